@@ -1,8 +1,8 @@
-const { app, BrowserWindow, ipcMain, Menu, MenuItem } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, MenuItem, Notification } = require('electron');
 const path = require('path');
 const fs   = require('fs');
 const os   = require('os');
-const { exec, execSync } = require('child_process');
+const { exec, execFile, execSync, spawn } = require('child_process');
 
 // Suppress harmless GPU/VSync compositor errors on Linux (no compositor / VM)
 app.commandLine.appendSwitch('disable-gpu-vsync');
@@ -47,6 +47,8 @@ const EXEC_ENV = {
 // Lives only in the Node process. Cleared on every app restart.
 // The renderer cannot write to this — only read via IPC.
 let authSession = { authorized: false, licenseType: 'none', displayVersion: '1.0.0' };
+// Set only by validate-dev-key; a developer session is never re-validated
+let devSession = false;
 // ─────────────────────────────────────────────────────────────────────────────
 
 function createWindow() {
@@ -109,31 +111,323 @@ function createWindow() {
   });
 }
 
+// ── Job registry ──────────────────────────────────────────────────────────────
+// Every child spawned on behalf of the renderer is registered here under a
+// numeric ID so it can be listed and cancelled. Children are started detached
+// (own process group) so cancel can take down the whole tree — python3, sudo
+// and the package manager or scanner underneath it.
+const JOB_KILL_GRACE_MS = 5000;  // SIGTERM → SIGKILL escalation delay
+const jobs = new Map();          // id → { id, command, action, tool, tag, pid, startedAt, child, cancelled }
+let nextJobId = 1;
+
+function jobSummary(job) {
+  const { id, command, action, tool, tag, pid, startedAt, cancelled } = job;
+  return { id, command, action, tool, tag, pid, startedAt, cancelled };
+}
+
+function notifyJob(event, job) {
+  const win = BrowserWindow.getAllWindows()[0];
+  if (win && !win.isDestroyed()) win.webContents.send('job-update', { event, job: jobSummary(job) });
+}
+
+// args[0] = script path, args[1] = backend action, then --flag value pairs
+function registerJob(child, command, args, tag) {
+  const flagIdx = args.indexOf('--tool');
+  const job = {
+    id:        nextJobId++,
+    command:   path.basename(String(command)),
+    action:    command === 'python3' ? String(args[1] || '') : '',
+    tool:      flagIdx >= 0 ? String(args[flagIdx + 1] || '') : '',
+    tag:       tag || '',
+    pid:       child.pid,
+    startedAt: new Date().toISOString(),
+    child,
+    cancelled: false,
+  };
+  jobs.set(job.id, job);
+  notifyJob('started', job);
+  return job;
+}
+
+function finishJob(job) {
+  if (!jobs.delete(job.id)) return;
+  notifyJob(job.cancelled ? 'cancelled' : 'finished', job);
+}
+
+function signalJob(job, signal) {
+  try {
+    process.kill(-job.pid, signal);   // whole process group
+  } catch (_) {
+    try { job.child.kill(signal); } catch (_) { /* already gone */ }
+  }
+}
+
+function cancelJob(job) {
+  if (job.cancelled) return;
+  job.cancelled = true;
+  signalJob(job, 'SIGTERM');
+  // Escalate even if the group leader exits — grandchildren (apt, scanners)
+  // may ignore SIGTERM and would otherwise outlive the cancel.
+  setTimeout(() => signalJob(job, 'SIGKILL'), JOB_KILL_GRACE_MS).unref();
+}
+
+// ── Command allow-list ────────────────────────────────────────────────────────
+// execute-command never runs a shell: the renderer names an executable and an
+// argv array, and only the combinations accepted by checkCommand() are spawned.
+// Anything else is refused and appended to ~/.kjer/logs/rejected-commands.log.
+const APP_ROOT = path.join(__dirname, '..');
+
+// Must match ACTION_MAP / the argparse flags in lib/backend_api.py
+const BACKEND_ACTIONS = new Set([
+  'check-activation', 'activate', 'install', 'uninstall', 'list-installed',
+  'install-profile', 'install-batch', 'system-status', 'host-scan', 'scan-network',
+  'scan-device', 'get-hwid', 'store-detected-os', 'get-version-info',
+  'get-available-tools', 'apply-upgrade', 'uninitialize', 'reinitialize',
+  'check-sudo', 'setup-sudo', 'run-tool', 'defend-tool', 'service-status',
+  'revert-defense', 'list-changeset', 'tool-versions', 'update-tool',
+  'trust-plugin', 'untrust-plugin',
+]);
+const BACKEND_FLAGS = new Set([
+  '--tool', '--tools', '--profile', '--license-key', '--license-type', '--detected-os', '--target-ip',
+  '--changeset',
+]);
+
+// nmap is only allowed for host discovery / quick checks — no scripts, no output files
+const NMAP_FLAGS       = new Set(['-sn', '-Pn', '-F']);
+const NMAP_VALUE_FLAGS = { '--host-timeout': /^\d+(ms|s|m)?$/ };
+
+// A scan target: IPv4/IPv6 address, CIDR or hostname. Never starts with '-'
+// so it cannot be read as an option by the tool receiving it.
+const TARGET_RE = /^[A-Za-z0-9][A-Za-z0-9.:\/_-]{0,252}$/;
+
+// A single device for the tools below: an IP address or a dotted FQDN — no
+// ranges, paths, options or bare words (which the tools read as subcommands,
+// e.g. `ufw disable`).
+const HOSTNAME_RE = /^(?=.{1,253}$)[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+
+function isHostTarget(arg) {
+  return net.isIP(arg) !== 0 || HOSTNAME_RE.test(arg);
+}
+
+// The tools the network page's Defend dialog offers to run against one device
+// as `<tool> <host>` (defensiveNames in app.js defendDevice).
+const DEVICE_TOOL_COMMANDS = new Set([
+  'ufw', 'firewalld', 'fail2ban', 'suricata', 'snort', 'ossec', 'auditd', 'aide', 'rkhunter', 'chkrootkit',
+]);
+
+// upgrade_manager.py arguments: a release tag (v1.2.3, v1.2.3-beta.1) and a
+// GitHub token (classic hex, ghp_… or github_pat_…)
+const UPGRADE_VERSION_RE = /^v?\d{1,4}\.\d{1,4}\.\d{1,4}(?:-[A-Za-z0-9.]{1,32})?$/;
+const UPGRADE_TOKEN_RE   = /^[A-Za-z0-9_]{20,255}$/;
+
+function isAppScript(arg, relPath) {
+  return typeof arg === 'string' && path.resolve(arg) === path.join(APP_ROOT, relPath);
+}
+
+// Returns { ok: true, file } or { ok: false, reason }
+function checkCommand(command, args) {
+  if (typeof command !== 'string' || !Array.isArray(args) || args.some(a => typeof a !== 'string')) {
+    return { ok: false, reason: 'command must be a string and args an array of strings' };
+  }
+
+  if (command === 'python3') {
+    const [script, ...rest] = args;
+    if (isAppScript(script, 'lib/backend_api.py')) {
+      const [action, ...flags] = rest;
+      if (!BACKEND_ACTIONS.has(action)) return { ok: false, reason: `unknown backend action "${action}"` };
+      if (flags.length % 2 !== 0) return { ok: false, reason: 'backend flags must be --flag value pairs' };
+      for (let i = 0; i < flags.length; i += 2) {
+        if (!BACKEND_FLAGS.has(flags[i]))  return { ok: false, reason: `backend flag "${flags[i]}" not allowed` };
+        if (flags[i + 1].startsWith('-'))  return { ok: false, reason: `value for ${flags[i]} may not start with "-"` };
+      }
+      return { ok: true, file: PYTHON3_BIN };
+    }
+    if (isAppScript(script, 'lib/upgrade_manager.py')) {
+      // check <install_path> [token] | install <version> <token> <install_path>
+      const [action, ...params] = rest;
+      let version, token, installPath;
+      if (action === 'check' && params.length >= 1 && params.length <= 2) [installPath, token] = params;
+      else if (action === 'install' && params.length === 3) [version, token, installPath] = params;
+      else return { ok: false, reason: `upgrade_manager action "${action}" not allowed` };
+      if (action === 'install' && !UPGRADE_VERSION_RE.test(version)) return { ok: false, reason: `"${version}" is not a release version` };
+      if (token !== undefined && !UPGRADE_TOKEN_RE.test(token)) return { ok: false, reason: 'malformed GitHub token' };
+      if (path.resolve(installPath) !== APP_ROOT) {
+        return { ok: false, reason: 'upgrade_manager may only update this installation' };
+      }
+      return { ok: true, file: PYTHON3_BIN };
+    }
+    if (isAppScript(script, 'scripts/kjer-cli.py')) {
+      if (rest.length !== 1 || rest[0] !== '--analyze') return { ok: false, reason: 'only kjer-cli.py --analyze is allowed' };
+      return { ok: true, file: PYTHON3_BIN };
+    }
+    return { ok: false, reason: `python3 script "${script}" is not part of Kjer` };
+  }
+
+  if (command === 'nmap') {
+    let targets = 0;
+    for (let i = 0; i < args.length; i++) {
+      const a = args[i];
+      if (NMAP_FLAGS.has(a)) continue;
+      if (NMAP_VALUE_FLAGS[a]) {
+        if (!NMAP_VALUE_FLAGS[a].test(args[i + 1] || '')) return { ok: false, reason: `bad value for nmap ${a}` };
+        i++;
+        continue;
+      }
+      if (!TARGET_RE.test(a)) return { ok: false, reason: `nmap argument "${a}" not allowed` };
+      targets++;
+    }
+    if (targets === 0) return { ok: false, reason: 'nmap requires a target' };
+    return { ok: true, file: 'nmap' };
+  }
+
+  if (DEVICE_TOOL_COMMANDS.has(command)) {
+    if (args.length !== 1) return { ok: false, reason: `${command} takes exactly one argument, the device address` };
+    if (!isHostTarget(args[0])) return { ok: false, reason: `argument "${args[0]}" is not an IP address or fully qualified hostname` };
+    return { ok: true, file: command };
+  }
+
+  return { ok: false, reason: `executable "${command}" is not on the allow-list` };
+}
+
+function rejectCommand(command, args, reason) {
+  const line = `${new Date().toISOString()}  REJECTED  ${JSON.stringify([command, ...(Array.isArray(args) ? args : [])])}  — ${reason}\n`;
+  console.warn(`[execute-command] ${line.trim()}`);
+  try {
+    const logsDir = path.join(os.homedir(), '.kjer', 'logs');
+    fs.mkdirSync(logsDir, { recursive: true });
+    fs.appendFileSync(path.join(logsDir, 'rejected-commands.log'), line);
+  } catch (_) { /* logging is best-effort */ }
+  return { stdout: '', stderr: `Command rejected: ${reason}`, code: 126, rejected: true };
+}
+
+// Spawn a registered job and collect its output.
+// Resolves { stdout, stderr, code } plus cancelled: true when stopped via
+// cancel-job / cancel-jobs. onLine(stream, line) receives each complete
+// output line as it arrives.
+function runJob(file, argv, { env = EXEC_ENV, timeout, tag, command, args, onLine } = {}) {
+  return new Promise((resolve) => {
+    let child;
+    try {
+      child = spawn(file, argv, { cwd: APP_ROOT, env, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+    } catch (e) {
+      resolve({ stdout: '', stderr: e.message, code: 1 });
+      return;
+    }
+    const job = child.pid ? registerJob(child, command, args, tag) : null;
+
+    const output  = { stdout: '', stderr: '' };
+    const pending = { stdout: '', stderr: '' };
+    const onData = (stream) => (chunk) => {
+      const text = chunk.toString();
+      output[stream] += text;
+      if (!onLine) return;
+      const lines = (pending[stream] + text).split(/\r?\n/);
+      pending[stream] = lines.pop();
+      lines.forEach(l => onLine(stream, l));
+    };
+    child.stdout.on('data', onData('stdout'));
+    child.stderr.on('data', onData('stderr'));
+
+    const timer = setTimeout(() => {
+      if (job) signalJob(job, 'SIGKILL');
+      else child.kill('SIGKILL');
+    }, timeout);
+    let settled = false;
+    const finish = (code, errText) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (job) finishJob(job);
+      if (onLine) ['stdout', 'stderr'].forEach(s => { if (pending[s]) onLine(s, pending[s]); });
+      resolve({
+        stdout: output.stdout,
+        stderr: errText ? (output.stderr + errText) : output.stderr,
+        code,
+        ...(job && job.cancelled ? { cancelled: true } : {}),
+      });
+    };
+    child.on('error', (e) => finish(1, e.message));
+    child.on('close', (code) => finish(code === null ? 1 : code));  // null = killed by signal
+  });
+}
+
 // IPC: run a system command and return { stdout, stderr, code }
 // Timeout is action-aware: install operations can take many minutes (large packages, apt locks);
 // quick informational calls keep a short 30s ceiling.
 const LONG_RUNNING_ACTIONS = new Set([
   'install', 'uninstall', 'install-profile', 'install-batch', 'run-tool', 'defend-tool',
+  'revert-defense',
 ]);
-ipcMain.handle('execute-command', async (event, command, args = []) => {
-  return new Promise((resolve) => {
-    // args[0] = script path, args[1] = backend action
-    const action  = Array.isArray(args) ? (String(args[1] || '')) : '';
-    // 900s covers repo setup + apt-get + large package downloads (Splunk ~1.2 GB, Nessus ~850 MB)
-    const timeout = LONG_RUNNING_ACTIONS.has(action) ? 900000 : 30000;
-    // Resolve python3 to its full discovered path so the call works even when
-    // PATH is minimal (e.g. launched from a .desktop file or the kjer CLI).
-    const resolvedCommand = command === 'python3' ? PYTHON3_BIN : command;
-    const safeArgs = args.map(a => String(a).replace(/"/g, '\\"'));
-    const fullCmd  = [resolvedCommand, ...safeArgs.map(a => `"${a}"`)].join(' ');
-    exec(fullCmd, { timeout, env: EXEC_ENV }, (error, stdout, stderr) => {
-      resolve({
-        stdout: stdout  || '',
-        stderr: stderr  || '',
-        code:   error ? (error.code || 1) : 0,
-      });
-    });
+// options.tag groups jobs belonging to one renderer operation (see cancel-jobs).
+ipcMain.handle('execute-command', async (event, command, args = [], options = {}) => {
+  const check = checkCommand(command, args);
+  if (!check.ok) return rejectCommand(command, args, check.reason);
+  // args[0] = script path, args[1] = backend action
+  const action  = String(args[1] || '');
+  // 900s covers repo setup + apt-get + large package downloads (Splunk ~1.2 GB, Nessus ~850 MB)
+  const timeout = LONG_RUNNING_ACTIONS.has(action) ? 900000 : 30000;
+  // check.file has python3 resolved to its full discovered path so the call works
+  // even when PATH is minimal (e.g. launched from a .desktop file or the kjer CLI).
+  return runJob(check.file, args, { timeout, tag: options.tag, command, args });
+});
+
+// IPC: streaming variant of execute-command.
+// Resolves with the same { stdout, stderr, code } once the process exits, but
+// also pushes every complete output line to the calling window on the
+// 'command-stream' channel while it runs:
+//   { streamId, type: 'line',     stream: 'stdout'|'stderr', line }
+//   { streamId, type: 'progress', data: { stage, message, tool?, current?, total?, percent? } }
+// backend_api.py writes progress events as JSON lines on stderr when KJER_STREAM=1,
+// so stdout still carries only the final JSON result.
+ipcMain.handle('execute-command-stream', async (event, streamId, command, args = [], options = {}) => {
+  const check = checkCommand(command, args);
+  if (!check.ok) return rejectCommand(command, args, check.reason);
+  const action  = String(args[1] || '');
+  const timeout = LONG_RUNNING_ACTIONS.has(action) ? 900000 : 30000;
+  const sender = event.sender;
+  const send = (msg) => {
+    if (!sender.isDestroyed()) sender.send('command-stream', { streamId, ...msg });
+  };
+  const isProgress = (line) => line.startsWith('{"event": "progress"');
+
+  const result = await runJob(check.file, args, {
+    env: { ...EXEC_ENV, KJER_STREAM: '1', PYTHONUNBUFFERED: '1' },
+    timeout, tag: options.tag, command, args,
+    onLine: (stream, line) => {
+      if (!line.trim()) return;
+      if (stream === 'stderr' && isProgress(line)) {
+        try {
+          send({ type: 'progress', data: JSON.parse(line) });
+          return;
+        } catch (_) { /* not a progress event after all — forward as text */ }
+      }
+      send({ type: 'line', stream, line });
+    },
   });
+  // Progress events were already delivered — keep them out of stderr so
+  // callers that surface stderr as an error message only see real output.
+  result.stderr = result.stderr.split('\n').filter(l => !isProgress(l)).join('\n');
+  return result;
+});
+
+// IPC: list running jobs
+ipcMain.handle('list-jobs', async () => {
+  return [...jobs.values()].map(jobSummary);
+});
+
+// IPC: cancel one job by ID
+ipcMain.handle('cancel-job', async (event, jobId) => {
+  const job = jobs.get(Number(jobId));
+  if (!job) return { success: false, error: 'No running job with that ID' };
+  cancelJob(job);
+  return { success: true, job: jobSummary(job) };
+});
+
+// IPC: cancel every running job carrying the given tag
+ipcMain.handle('cancel-jobs', async (event, tag) => {
+  const matching = [...jobs.values()].filter(j => j.tag && j.tag === tag);
+  matching.forEach(cancelJob);
+  return { success: true, cancelled: matching.length };
 });
 
 // IPC: synchronous seed-state — read all critical ~/.kjer/ files once at startup
@@ -268,6 +562,35 @@ ipcMain.handle('read-license-key', async () => {
   }
 });
 
+// IPC: write ~/.kjer/license_key.json so the key survives localStorage clears
+ipcMain.handle('write-license-key', async (event, key, type) => {
+  try {
+    const kjerDir = path.join(os.homedir(), '.kjer');
+    fs.mkdirSync(kjerDir, { recursive: true });
+    const payload = { key: String(key || ''), type: String(type || ''), saved_at: new Date().toISOString() };
+    fs.writeFileSync(path.join(kjerDir, 'license_key.json'), JSON.stringify(payload));
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: create or remove the ~/.kjer/initialized flag read by the CLI
+ipcMain.handle('set-initialized-flag', async (event, present) => {
+  try {
+    const flagFile = path.join(os.homedir(), '.kjer', 'initialized');
+    if (present) {
+      fs.mkdirSync(path.dirname(flagFile), { recursive: true });
+      fs.closeSync(fs.openSync(flagFile, 'a'));
+    } else {
+      fs.rmSync(flagFile, { force: true });
+    }
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
 // IPC: write (or update) ~/.kjer/install_state.json  (used by Windows installer path)
 ipcMain.handle('write-install-state', async (event, state) => {
   try {
@@ -292,6 +615,7 @@ ipcMain.handle('validate-dev-key', async (event, suppliedKey) => {
     const stored  = fs.readFileSync(keyFile, 'utf8').trim();
     const valid   = typeof suppliedKey === 'string' && suppliedKey.trim().toUpperCase() === stored.toUpperCase();
     if (valid) {
+      devSession  = true;
       authSession = { authorized: true, licenseType: 'enterprise', displayVersion: 'developer' };
     }
     return { valid };
@@ -300,24 +624,61 @@ ipcMain.handle('validate-dev-key', async (event, suppliedKey) => {
   }
 });
 
+// The cached license (~/.kjer/license_key.json) as the backend's
+// check-activation sees it — the same check the renderer runs at boot. The
+// monitor calls this before resuming and hourly while it runs, so a windowless
+// start at login or a license that lapses mid-run is gated on the real tier.
+// A developer session (validate-dev-key) is left as it is.
+const LICENSE_RECHECK_MS = 3600000;
+let licenseCheckedAt = 0;
+
+async function refreshLicenseSession() {
+  if (devSession) return;
+  licenseCheckedAt = Date.now();
+  try {
+    const r   = await runFixed(PYTHON3_BIN, [path.join(APP_ROOT, 'lib', 'backend_api.py'), 'check-activation'], { cwd: APP_ROOT, timeout: 30000 });
+    const res = JSON.parse(r.stdout);
+    authSession = res?.activated
+      ? { authorized: true, licenseType: res.license_type || 'personal', displayVersion: authSession.displayVersion }
+      : { authorized: false, licenseType: 'none', displayVersion: authSession.displayVersion };
+  } catch (_) {
+    // Unreadable result — keep the session; an unauthorized one allows no autonomous response
+  }
+}
+
 // IPC: return the current auth session — renderer uses this for all feature gate decisions
 ipcMain.handle('get-auth-session', async () => {
   return { ...authSession };
 });
 
-// IPC: set auth session from a regular license key validated by the backend
-// Also called on startup to restore session from a cached license key
+// IPC: the renderer activated or restored a regular license key. Its tier is
+// not trusted — the session is re-read from the backend's check-activation;
+// only the version shown in the UI is taken from the renderer.
 ipcMain.handle('set-license-auth', async (event, data) => {
-  if (data && data.authorized) {
-    authSession = {
-      authorized:     true,
-      licenseType:    data.licenseType    || 'personal',
-      displayVersion: data.displayVersion || data.version || '1.0.0',
-    };
+  if (devSession) return { success: true, licenseType: authSession.licenseType };
+  const version = data?.displayVersion || data?.version;
+  if (typeof version === 'string' && version !== 'developer' && version.length <= 32) {
+    authSession = { ...authSession, displayVersion: version };
   }
-  return { success: true };
+  await refreshLicenseSession();
+  return authSession.authorized
+    ? { success: true, licenseType: authSession.licenseType }
+    : { success: false, error: 'No activated license found' };
 });
 
+// Files write-file / write-pdf wrote this session (newest last). report-job-deliver
+// only hands these to an alert sink, so the renderer cannot attach a file it did
+// not just produce.
+const WRITTEN_FILES_MAX = 200;
+const writtenFiles = new Set();
+
+function rememberWrittenFile(file) {
+  const full = path.resolve(file);
+  writtenFiles.delete(full);
+  writtenFiles.add(full);
+  if (writtenFiles.size > WRITTEN_FILES_MAX) writtenFiles.delete(writtenFiles.values().next().value);
+}
+
 // IPC: save activity log to ~/.kjer/logs/
 // IPC: write any file under the user's home or /tmp — used by report generation
 ipcMain.handle('write-file', async (event, filePath, content) => {
@@ -327,12 +688,59 @@ ipcMain.handle('write-file', async (event, filePath, content) => {
     const dir = path.dirname(expandedPath);
     fs.mkdirSync(dir, { recursive: true });
     fs.writeFileSync(expandedPath, content, 'utf8');
+    rememberWrittenFile(expandedPath);
     return { success: true, filePath: expandedPath };
   } catch (err) {
     return { success: false, error: err.message };
   }
 });
 
+// IPC: render report HTML to PDF in a hidden window and write it like write-file.
+// The page is loaded from a temp file with scripts disabled and navigation
+// blocked, so report content (tool output, file paths) cannot run or load anything.
+const PDF_PAGE_SIZES   = ['A4', 'Letter', 'Legal'];
+const PDF_RENDER_LIMIT = 60 * 1000;
+
+ipcMain.handle('write-pdf', async (event, filePath, html, options = {}) => {
+  const tmpHtml = path.join(os.tmpdir(), `kjer-report-${process.pid}-${Date.now()}.html`);
+  let win = null;
+  try {
+    const expandedPath = filePath.replace(/^~([/\\]|$)/, os.homedir() + '/');
+    fs.writeFileSync(tmpHtml, html, 'utf8');
+    win = new BrowserWindow({
+      show: false,
+      webPreferences: { javascript: false, sandbox: true, contextIsolation: true, nodeIntegration: false },
+    });
+    win.webContents.on('will-navigate', (e) => e.preventDefault());
+    win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    let timer;
+    await Promise.race([
+      win.loadFile(tmpHtml),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Timed out rendering the report')), PDF_RENDER_LIMIT); }),
+    ]).finally(() => clearTimeout(timer));
+    const footer = String(options.footer || '').replace(/[<>&]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;' }[c]));
+    const pdf = await win.webContents.printToPDF({
+      pageSize:            PDF_PAGE_SIZES.includes(options.pageSize) ? options.pageSize : 'A4',
+      landscape:           !!options.landscape,
+      printBackground:     true,
+      margins:             { top: 0.6, bottom: 0.7, left: 0.6, right: 0.6 },
+      displayHeaderFooter: true,
+      headerTemplate:      '<span></span>',
+      footerTemplate:      `<div style="font-size:8px; width:100%; padding:0 0.6in; color:#888; display:flex; justify-content:space-between;">` +
+                           `<span>${footer}</span><span><span class="pageNumber"></span> / <span class="totalPages"></span></span></div>`,
+    });
+    fs.mkdirSync(path.dirname(expandedPath), { recursive: true });
+    fs.writeFileSync(expandedPath, pdf);
+    rememberWrittenFile(expandedPath);
+    return { success: true, filePath: expandedPath, bytes: pdf.length };
+  } catch (err) {
+    return { success: false, error: err.message };
+  } finally {
+    if (win && !win.isDestroyed()) win.destroy();
+    fs.rm(tmpHtml, { force: true }, () => {});
+  }
+});
+
 ipcMain.handle('save-activity-log', async (event, content) => {
   try {
     const logsDir = path.join(os.homedir(), '.kjer', 'logs');
@@ -347,112 +755,2878 @@ ipcMain.handle('save-activity-log', async (event, content) => {
   }
 });
 
-// ── Kjer Peer Server (device connection approval) ───────────────────────────
-// Listens on KJER_PEER_PORT so other Kjer devices can send connection requests
-// and receive approval/denial responses.
-const http = require('http');
-const KJER_PEER_PORT = 47392;
-const _pendingIncomingRequests = []; // { requestId, requesterName, requesterIP, timestamp }
+// ── Tool database ─────────────────────────────────────────────────────────────
+// db/defensive-tools-db.yaml defines every tool: the backend's install and run
+// fields and, under each tool's `gui:` key, what the toolbox shows. Main has no
+// YAML parser, so the backend parses the file (tools-db — the same
+// yaml.safe_load the installer uses) and the entries are validated here.
+// Entries that fail are left out of the renderer's toolbox and reported with
+// the reason, so a broken edit shows up as a flagged tool rather than a broken
+// card. Community plugins (~/.kjer/plugins/<key>/manifest.json, see
+// lib/tool_plugins.py) arrive as the "plugins" category; manifests the backend
+// rejected are reported the same way. The result is cached until the file or a
+// manifest changes.
 
-const peerServer = http.createServer((req, res) => {
-  res.setHeader('Content-Type', 'application/json');
-  if (req.method !== 'POST') {
-    res.writeHead(405);
-    res.end(JSON.stringify({ error: 'Method not allowed' }));
-    return;
+const TOOLS_DB_FILE         = path.join(APP_ROOT, 'db', 'defensive-tools-db.yaml');
+const TOOL_PLUGINS_DIR      = path.join(os.homedir(), '.kjer', 'plugins');
+const TOOL_KEY_RE           = /^[a-z0-9][a-z0-9-]*$/;
+const TOOL_PLATFORMS        = ['windows', 'macos', 'linux'];
+const TOOL_INSTALL_SOURCES  = new Set(['pkg', 'repo', 'download', 'builtin']);
+const TOOL_RUN_VIA          = new Set(['kjer', 'daemon', 'direct', 'builtin']);
+const TOOL_GUI_FIELDS       = ['name', 'category', 'summary', 'details', 'version', 'url', 'os',
+  'compatibility', 'size_mb', 'priority', 'requires', 'conflicts'];
+
+let toolsDbCache = null;   // { stamp, result }
+
+// Modification times of the database file, the plugin trust list and every
+// plugin manifest — the cache key
+function toolsDbStamp() {
+  const stamps = [fs.statSync(TOOLS_DB_FILE).mtimeMs];
+  try { stamps.push(`trusted:${fs.statSync(path.join(TOOL_PLUGINS_DIR, 'trusted.json')).mtimeMs}`); }
+  catch (_) { stamps.push('trusted:-'); }
+  let dirs = [];
+  try { dirs = fs.readdirSync(TOOL_PLUGINS_DIR).sort(); } catch (_) { /* no plugins */ }
+  for (const d of dirs) {
+    try { stamps.push(`${d}:${fs.statSync(path.join(TOOL_PLUGINS_DIR, d, 'manifest.json')).mtimeMs}`); }
+    catch (_) { stamps.push(`${d}:-`); }
   }
-  let body = '';
-  req.on('data', chunk => { body += chunk.slice(0, 4096); }); // cap at 4 KB
-  req.on('end', () => {
-    try {
-      const data = JSON.parse(body);
+  return stamps.join('|');
+}
 
-      if (req.url === '/connection-request') {
-        // Validate required fields — do not trust remote input beyond basic checks
-        const requestId     = String(data.requestId     || Date.now()).slice(0, 64);
-        const requesterName = String(data.requesterName || 'Unknown').slice(0, 128);
-        const requesterIP   = String(data.requesterIP   || req.socket.remoteAddress || '').slice(0, 45);
-        const entry = { requestId, requesterName, requesterIP, timestamp: new Date().toISOString() };
-        _pendingIncomingRequests.push(entry);
-        const wins = BrowserWindow.getAllWindows();
-        if (wins.length > 0) wins[0].webContents.send('kjer-connection-request', entry);
-        res.writeHead(200);
-        res.end(JSON.stringify({ received: true, requestId }));
+// Validate one tool entry; returns a list of "path: problem" strings (empty when valid)
+function validateToolEntry(key, t) {
+  const errors = [];
+  const err = (p, msg) => errors.push(`${p}: ${msg}`);
+  const text = (v) => typeof v === 'string' && v.trim() !== '';
+  if (!TOOL_KEY_RE.test(key)) err(key, 'tool keys are lowercase letters, digits and "-"');
+  if (!isPlainObject(t)) return [...errors, `${key}: must be a mapping`];
 
-      } else if (req.url === '/connection-response') {
-        const payload = {
-          requestId:    String(data.requestId    || '').slice(0, 64),
-          approved:     Boolean(data.approved),
-          approverName: String(data.approverName || 'Unknown').slice(0, 128),
-        };
-        const wins = BrowserWindow.getAllWindows();
-        if (wins.length > 0) wins[0].webContents.send('kjer-connection-response', payload);
-        res.writeHead(200);
-        res.end(JSON.stringify({ received: true }));
+  if (t.binary !== undefined && !text(t.binary)) err(`${key}.binary`, 'must be a command name');
+  if (!text(t.description)) err(`${key}.description`, 'is required');
+  if (!TOOL_INSTALL_SOURCES.has(t.install_source)) err(`${key}.install_source`, `must be one of ${[...TOOL_INSTALL_SOURCES].join(', ')}`);
+  if (!TOOL_RUN_VIA.has(t.run_via)) err(`${key}.run_via`, `must be one of ${[...TOOL_RUN_VIA].join(', ')}`);
+  if (t.packages != null && !(isPlainObject(t.packages) && Object.values(t.packages).every(text))) {
+    err(`${key}.packages`, 'must map package managers to package names');
+  }
+  if (t.run_cmd !== undefined && !(isStringList(t.run_cmd) && t.run_cmd.length)) err(`${key}.run_cmd`, 'must be a list of strings');
+  if (t.service_name !== undefined && !text(t.service_name)) err(`${key}.service_name`, 'must be a unit name');
+  if (t.findings_window_hours !== undefined && !(typeof t.findings_window_hours === 'number' && t.findings_window_hours > 0)) {
+    err(`${key}.findings_window_hours`, 'must be a number > 0');
+  }
+  if (t.dependencies !== undefined && !isStringList(t.dependencies)) err(`${key}.dependencies`, 'must be a list of strings');
+  if (t.signatures !== undefined) {
+    const s = t.signatures;
+    if (!isPlainObject(s)) err(`${key}.signatures`, 'must be a mapping');
+    else {
+      if (!text(s.label)) err(`${key}.signatures.label`, 'is required');
+      if (!(isStringList(s.paths) && s.paths.length && s.paths.every(p => p.startsWith('/')))) err(`${key}.signatures.paths`, 'must list absolute paths or globs');
+      if (!(typeof s.max_age_days === 'number' && s.max_age_days > 0)) err(`${key}.signatures.max_age_days`, 'must be a number > 0');
+      if (!(isStringList(s.update_cmd) && s.update_cmd.length)) err(`${key}.signatures.update_cmd`, 'must be a list of strings');
+      if (s.ok_exit_codes !== undefined && !(Array.isArray(s.ok_exit_codes) && s.ok_exit_codes.every(Number.isInteger))) err(`${key}.signatures.ok_exit_codes`, 'must be a list of exit codes');
+      if (s.service !== undefined && !text(s.service)) err(`${key}.signatures.service`, 'must be a unit name');
+    }
+  }
 
-      } else {
-        res.writeHead(404);
-        res.end(JSON.stringify({ error: 'Not found' }));
-      }
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+  const g = t.gui;
+  if (!isPlainObject(g)) return [...errors, `${key}.gui: missing — the toolbox has nothing to show for this tool`];
+  Object.keys(g).filter(k => !TOOL_GUI_FIELDS.includes(k)).forEach(k => err(`${key}.gui.${k}`, 'unknown field'));
+  for (const f of ['name', 'category', 'summary', 'details']) {
+    if (!text(g[f])) err(`${key}.gui.${f}`, 'is required');
+  }
+  // YAML reads an unquoted 1.10 as the number 1.1
+  if (!text(g.version)) err(`${key}.gui.version`, 'must be a quoted string');
+  if (g.url !== undefined && !/^https?:\/\/\S+$/.test(String(g.url))) err(`${key}.gui.url`, 'must be an http(s) URL');
+  if (!(isStringList(g.os) && g.os.length && g.os.every(o => TOOL_PLATFORMS.includes(o)))) {
+    err(`${key}.gui.os`, `must list one or more of ${TOOL_PLATFORMS.join(', ')}`);
+  }
+  if (!(isPlainObject(g.compatibility) && TOOL_PLATFORMS.every(o => Number.isInteger(g.compatibility[o]) && g.compatibility[o] >= 0 && g.compatibility[o] <= 100))) {
+    err(`${key}.gui.compatibility`, 'needs a 0-100 score for each of windows, macos and linux');
+  }
+  if (!(typeof g.size_mb === 'number' && g.size_mb >= 0)) err(`${key}.gui.size_mb`, 'must be a number ≥ 0');
+  if (!(Number.isInteger(g.priority) && g.priority >= 1)) err(`${key}.gui.priority`, 'must be a whole number ≥ 1');
+  if (g.requires !== undefined && !isStringList(g.requires)) err(`${key}.gui.requires`, 'must be a list of strings');
+  if (g.conflicts !== undefined && !isStringList(g.conflicts)) err(`${key}.gui.conflicts`, 'must be a list of tool keys or components');
+  return errors;
+}
+
+/**
+ * Split a parsed database into { tools: { key: { category, ...entry } },
+ * profiles, rejected: [ { key, errors } ] }. Keys under "profiles" are tool
+ * sets, every other top-level key is a category of tools.
+ */
+function validateToolsDatabase(db) {
+  const tools = {}, rejected = [];
+  if (!isPlainObject(db)) return { tools, profiles: {}, rejected: [{ key: '(file)', errors: ['the database must be a mapping of categories'] }] };
+  for (const [category, entries] of Object.entries(db)) {
+    if (category === 'profiles') continue;
+    if (!isPlainObject(entries)) {
+      rejected.push({ key: category, errors: [`${category}: a category must map tool keys to entries`] });
+      continue;
     }
-  });
+    for (const [key, entry] of Object.entries(entries)) {
+      const errors = validateToolEntry(key, entry);
+      if (tools[key]) errors.push(`${key}: also defined in ${tools[key].category}`);
+      if (errors.length) rejected.push({ key, category, errors });
+      else tools[key] = { category, ...entry };
+    }
+  }
+  const profiles = isPlainObject(db.profiles) ? db.profiles : {};
+  return { tools, profiles, rejected };
+}
+
+// IPC: the validated tool database.
+// Returns { success, tools, profiles, rejected } or { success: false, error }
+ipcMain.handle('tools-database', async () => {
+  try {
+    const stamp = toolsDbStamp();
+    if (toolsDbCache?.stamp === stamp) return toolsDbCache.result;
+    const r = await runFixed(PYTHON3_BIN, [path.join(APP_ROOT, 'lib', 'backend_api.py'), 'tools-db'], { cwd: APP_ROOT, timeout: 30000 });
+    let parsed;
+    try { parsed = JSON.parse(r.stdout); } catch (_) { parsed = null; }
+    if (!parsed?.success) {
+      return { success: false, error: parsed?.error || r.stderr.trim().split('\n').pop() || 'tool database could not be read' };
+    }
+    const result = { success: true, ...validateToolsDatabase(parsed.db) };
+    for (const p of Array.isArray(parsed.plugin_errors) ? parsed.plugin_errors : []) {
+      result.rejected.push({ key: String(p.key), category: 'plugins', errors: isStringList(p.errors) ? p.errors : [] });
+    }
+    toolsDbCache = { stamp, result };
+    return result;
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
 });
-peerServer.on('error', e => console.warn(`Kjer peer server: ${e.message}`));
-peerServer.listen(KJER_PEER_PORT, '0.0.0.0');
 
-// IPC: POST a connection request to a remote Kjer device
-ipcMain.handle('send-connection-request', async (event, { targetIP, requestId, requesterName, requesterIP }) => {
-  return new Promise((resolve) => {
-    const body = JSON.stringify({ requestId, requesterName, requesterIP });
-    const req  = http.request({
-      hostname: targetIP, port: KJER_PEER_PORT,
-      path: '/connection-request', method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
-      timeout: 5000,
-    }, (res) => {
-      let d = ''; res.on('data', c => { d += c; }); res.on('end', () => resolve({ success: true }));
-    });
-    req.on('error',   e  => resolve({ success: false, error: e.message }));
-    req.on('timeout', () => { req.destroy(); resolve({ success: false, error: 'timeout' }); });
-    req.write(body); req.end();
-  });
+// ── Install planning ──────────────────────────────────────────────────────────
+// Tools list the system components they need (gui.requires) and the ones they
+// cannot run beside (gui.conflicts). The renderer's install planner asks which
+// of those components are already on this host: commands are looked up on
+// PATH and libraries in the linker cache (ldconfig -p) — nothing is installed.
+
+const SYSTEM_COMPONENTS = {
+  python3:    { label: 'Python 3',                 bins: ['python3'] },
+  perl:       { label: 'Perl',                     bins: ['perl'] },
+  java:       { label: 'Java runtime',             bins: ['java'] },
+  go:         { label: 'Go toolchain',             bins: ['go'] },
+  openssl:    { label: 'OpenSSL',                  bins: ['openssl'], libs: ['libssl.so'] },
+  libpcap:    { label: 'libpcap',                  libs: ['libpcap.so'] },
+  glib2:      { label: 'GLib 2',                   libs: ['libglib-2.0.so'] },
+  libjansson: { label: 'Jansson JSON library',     libs: ['libjansson.so'] },
+  firewalld:  { label: 'firewalld',                bins: ['firewall-cmd'] },
+};
+
+// IPC: which of the named components are present.
+// Returns { success, components: { name: { label, present: true|false|null } } }
+// — null when the component is unknown or could not be checked on this platform.
+ipcMain.handle('probe-components', async (event, names) => {
+  if (!isStringList(names)) return { success: false, error: 'names must be a list of component names' };
+  const wanted = [...new Set(names)].slice(0, 100);
+  let linkerCache = null;
+  if (process.platform === 'linux' && wanted.some(n => SYSTEM_COMPONENTS[n]?.libs)) {
+    const ldconfig = findOnPath('ldconfig');
+    if (ldconfig) {
+      const r = await runFixed(ldconfig, ['-p'], { timeout: 10000 });
+      if (r.code === 0) linkerCache = r.stdout;
+    }
+  }
+  const components = {};
+  for (const name of wanted) {
+    const c = SYSTEM_COMPONENTS[name];
+    if (!c) { components[name] = { label: name, present: null }; continue; }
+    let present;
+    if ((c.bins || []).some(b => findOnPath(b))) present = true;
+    else if (c.libs && linkerCache !== null) present = c.libs.some(l => linkerCache.includes(l));
+    else present = c.bins ? false : null;   // a library-only component without ldconfig is unknown
+    components[name] = { label: c.label, present };
+  }
+  return { success: true, components };
 });
 
-// IPC: POST approval/denial back to the requesting device
-ipcMain.handle('send-connection-response', async (event, { targetIP, requestId, approved, approverName }) => {
-  return new Promise((resolve) => {
-    const body = JSON.stringify({ requestId, approved, approverName });
-    const req  = http.request({
-      hostname: targetIP, port: KJER_PEER_PORT,
-      path: '/connection-response', method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
-      timeout: 5000,
-    }, (res) => {
-      let d = ''; res.on('data', c => { d += c; }); res.on('end', () => resolve({ success: true }));
-    });
-    req.on('error',   e  => resolve({ success: false, error: e.message }));
-    req.on('timeout', () => { req.destroy(); resolve({ success: false, error: 'timeout' }); });
-    req.write(body); req.end();
-  });
+// ── Tool versions ─────────────────────────────────────────────────────────────
+// The backend's tool-versions action compares installed versions with the
+// version feed (lib/tool_versions.py). db/tool-versions.json ships with Kjer
+// and lists no tools; an imported feed is saved as ~/.kjer/tool-versions.json
+// and used while its "updated" date is not older than a bundled feed that
+// lists tools.
+
+const VERSION_FEED_LOCAL = path.join(os.homedir(), '.kjer', 'tool-versions.json');
+const VERSION_FEED_MAX_BYTES = 512 * 1024;
+
+// Mirrors validate_feed in lib/tool_versions.py
+function validateVersionFeed(feed) {
+  if (!isPlainObject(feed)) return ['the feed must be a JSON object'];
+  const errors = [];
+  if (feed.feed !== 1) errors.push('feed: must be 1');
+  if (!(typeof feed.updated === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(feed.updated))) errors.push('updated: must be a YYYY-MM-DD date');
+  if (!isPlainObject(feed.tools)) return [...errors, 'tools: must map tool keys to {latest}'];
+  for (const [key, t] of Object.entries(feed.tools)) {
+    if (!(isPlainObject(t) && typeof t.latest === 'string' && /\d/.test(t.latest))) errors.push(`tools.${key}.latest: must be a version string`);
+    else if (t.notes != null && typeof t.notes !== 'string') errors.push(`tools.${key}.notes: must be text`);
+  }
+  return errors;
+}
+
+// IPC: validate an imported feed and save it as the local feed.
+// Returns { success, updated, tools } or { success: false, error, errors }
+ipcMain.handle('save-version-feed', async (event, text) => {
+  if (typeof text !== 'string' || text.length > VERSION_FEED_MAX_BYTES) {
+    return { success: false, error: 'the feed must be a JSON file under 512 KB' };
+  }
+  let feed;
+  try { feed = JSON.parse(text); } catch (e) { return { success: false, error: `not valid JSON: ${e.message}` }; }
+  const errors = validateVersionFeed(feed);
+  if (errors.length) return { success: false, error: errors[0], errors };
+  try {
+    fs.mkdirSync(path.dirname(VERSION_FEED_LOCAL), { recursive: true });
+    fs.writeFileSync(VERSION_FEED_LOCAL, JSON.stringify(feed, null, 2));
+    return { success: true, updated: feed.updated, tools: Object.keys(feed.tools).length };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
 });
 
-// IPC: return all pending incoming requests (for renderer startup catch-up)
-ipcMain.handle('get-pending-requests', async () => [..._pendingIncomingRequests]);
+// ── Run history ───────────────────────────────────────────────────────────────
+// Every completed scan and defend run is stored as ~/.kjer/history/<id>.json.
+// index.json keeps the newest-first summaries so the History view can list
+// runs without parsing every record.
 
-// IPC: clear a handled pending request
-ipcMain.handle('clear-pending-request', async (event, requestId) => {
-  const idx = _pendingIncomingRequests.findIndex(r => r.requestId === requestId);
-  if (idx !== -1) _pendingIncomingRequests.splice(idx, 1);
-  return { success: true };
+const HISTORY_DIR       = path.join(os.homedir(), '.kjer', 'history');
+const HISTORY_INDEX     = path.join(HISTORY_DIR, 'index.json');
+const HISTORY_MAX_RUNS  = 500;
+const HISTORY_ID_RE     = /^(scan|defend)-\d{8}T\d{6}-[a-z0-9]{4}$/;
+
+function readHistoryIndex() {
+  try {
+    const data = JSON.parse(fs.readFileSync(HISTORY_INDEX, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function historySummary(id, run) {
+  return {
+    id,
+    kind:        run.kind,
+    startedAt:   run.startedAt   || null,
+    completedAt: run.completedAt || null,
+    durationMs:  run.durationMs  || 0,
+    threatLevel: run.threatLevel || null,
+    posture:     run.posture     || null,
+    counts:      run.counts      || {},
+    findings:    Array.isArray(run.findings) ? run.findings.length : 0,
+    actionsTotal: run.actionsTotal || 0,
+    scanId:      run.scanId      || null,
+    source:      run.source      || null,
+    schedule:    run.schedule?.name || null,
+  };
+}
+
+// Write one run record and its index entry; returns the new run ID
+function saveHistoryRun(run) {
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+  const id    = `${run.kind}-${stamp}-${Math.random().toString(36).slice(2, 6).padEnd(4, '0')}`;
+  const record = { ...run, id, savedAt: new Date().toISOString() };
+  fs.writeFileSync(path.join(HISTORY_DIR, `${id}.json`), JSON.stringify(record, null, 2));
+
+  const index   = [historySummary(id, record), ...readHistoryIndex()];
+  const dropped = index.splice(HISTORY_MAX_RUNS);
+  dropped.forEach(r => fs.rmSync(path.join(HISTORY_DIR, `${r.id}.json`), { force: true }));
+  fs.writeFileSync(HISTORY_INDEX, JSON.stringify(index, null, 2));
+  return id;
+}
+
+// IPC: persist one scan/defend run. Returns { success, id }
+ipcMain.handle('history-save', async (event, run) => {
+  try {
+    if (!run || (run.kind !== 'scan' && run.kind !== 'defend')) {
+      return { success: false, error: 'run.kind must be "scan" or "defend"' };
+    }
+    return { success: true, id: saveHistoryRun(run) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
 });
-// ─────────────────────────────────────────────────────────────────────────────
 
-app.whenReady().then(createWindow);
+// IPC: list stored runs, newest first. Returns { success, runs: [summary] }
+ipcMain.handle('history-list', async () => {
+  return { success: true, runs: readHistoryIndex() };
+});
 
-// Signal renderer to auto-save log before quitting
+// IPC: load one full run record by ID. Returns { success, run }
+ipcMain.handle('history-get', async (event, id) => {
+  if (!HISTORY_ID_RE.test(String(id))) return { success: false, error: 'Invalid history ID' };
+  try {
+    const run = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, `${id}.json`), 'utf8'));
+    return { success: true, run };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: delete one run and drop it from the index
+ipcMain.handle('history-delete', async (event, id) => {
+  if (!HISTORY_ID_RE.test(String(id))) return { success: false, error: 'Invalid history ID' };
+  try {
+    fs.rmSync(path.join(HISTORY_DIR, `${id}.json`), { force: true });
+    const index = readHistoryIndex().filter(r => r.id !== id);
+    fs.writeFileSync(HISTORY_INDEX, JSON.stringify(index, null, 2));
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Finding suppressions ──────────────────────────────────────────────────────
+// ~/.kjer/suppressions.json — findings the user marked as accepted risk or
+// false positive. Keyed by finding fingerprint; expiry is enforced by the
+// renderer so expired entries stay visible until removed.
+
+const SUPPRESSIONS_FILE  = path.join(os.homedir(), '.kjer', 'suppressions.json');
+const SUPPRESSION_KINDS  = new Set(['accepted-risk', 'false-positive']);
+
+function readSuppressions() {
+  try {
+    const data = JSON.parse(fs.readFileSync(SUPPRESSIONS_FILE, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writeSuppressions(entries) {
+  fs.mkdirSync(path.dirname(SUPPRESSIONS_FILE), { recursive: true });
+  fs.writeFileSync(SUPPRESSIONS_FILE, JSON.stringify(entries, null, 2));
+}
+
+// IPC: list all suppressions (including expired). Returns { success, entries }
+ipcMain.handle('suppressions-list', async () => {
+  return { success: true, entries: readSuppressions() };
+});
+
+// IPC: add or replace the suppression for one fingerprint
+ipcMain.handle('suppression-save', async (event, entry) => {
+  try {
+    if (!entry || typeof entry.fingerprint !== 'string' || !entry.fingerprint) {
+      return { success: false, error: 'fingerprint is required' };
+    }
+    if (!SUPPRESSION_KINDS.has(entry.kind)) return { success: false, error: `Unknown kind: ${entry.kind}` };
+    if (!String(entry.reason || '').trim()) return { success: false, error: 'A reason is required' };
+    if (entry.expiresAt && isNaN(Date.parse(entry.expiresAt))) return { success: false, error: 'Invalid expiry date' };
+
+    const record = {
+      fingerprint: entry.fingerprint,
+      tool:        String(entry.tool  || ''),
+      title:       String(entry.title || ''),
+      kind:        entry.kind,
+      reason:      String(entry.reason).trim(),
+      owner:       String(entry.owner || '').trim(),
+      expiresAt:   entry.expiresAt || null,
+      createdAt:   new Date().toISOString(),
+    };
+    const entries = readSuppressions().filter(e => e.fingerprint !== record.fingerprint);
+    entries.push(record);
+    writeSuppressions(entries);
+    return { success: true, entry: record };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: remove the suppression for one fingerprint
+ipcMain.handle('suppression-remove', async (event, fingerprint) => {
+  try {
+    writeSuppressions(readSuppressions().filter(e => e.fingerprint !== fingerprint));
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Scheduled scans ───────────────────────────────────────────────────────────
+// ~/.kjer/schedules.json — cron-style scan schedules. The renderer owns the
+// engine (scans run through the same pipeline as Run, so the window must be
+// open); this only persists the definitions and their recent run results.
+
+const SCHEDULES_FILE           = path.join(os.homedir(), '.kjer', 'schedules.json');
+const SCHEDULE_ID_RE           = /^sched-[a-z0-9]{6,20}$/;
+const SCHEDULE_MISSED_POLICIES = new Set(['run-once', 'skip']);
+const SCHEDULE_MAX_RUNS        = 20;   // run results kept per schedule
+
+function readSchedules() {
+  try {
+    const data = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writeSchedules(entries) {
+  fs.mkdirSync(path.dirname(SCHEDULES_FILE), { recursive: true });
+  fs.writeFileSync(SCHEDULES_FILE, JSON.stringify(entries, null, 2));
+}
+
+const isStringList = (v) => Array.isArray(v) && v.every(s => typeof s === 'string');
+
+// IPC: list all schedules. Returns { success, schedules }
+ipcMain.handle('schedules-list', async () => {
+  return { success: true, schedules: readSchedules() };
+});
+
+// IPC: add or replace one schedule (cron syntax is validated by the renderer)
+ipcMain.handle('schedule-save', async (event, entry) => {
+  try {
+    if (!entry || !SCHEDULE_ID_RE.test(String(entry.id))) return { success: false, error: 'Invalid schedule id' };
+    if (!String(entry.name || '').trim()) return { success: false, error: 'A name is required' };
+    if (String(entry.cron || '').trim().split(/\s+/).length !== 5) return { success: false, error: 'Cron expression needs 5 fields' };
+    if (!SCHEDULE_MISSED_POLICIES.has(entry.missedPolicy)) return { success: false, error: `Unknown missed-run policy: ${entry.missedPolicy}` };
+    if (!isStringList(entry.tools || []) || !isStringList(entry.phases || [])) return { success: false, error: 'tools and phases must be lists' };
+    if (entry.nextRunAt && isNaN(Date.parse(entry.nextRunAt))) return { success: false, error: 'Invalid next run time' };
+
+    const existing = readSchedules();
+    const prev     = existing.find(s => s.id === entry.id);
+    const record = {
+      id:           entry.id,
+      name:         String(entry.name).trim(),
+      cron:         String(entry.cron).trim().replace(/\s+/g, ' '),
+      preset:       entry.preset || null,
+      tools:        entry.tools  || [],
+      phases:       entry.phases || [],
+      missedPolicy: entry.missedPolicy,
+      enabled:      entry.enabled !== false,
+      nextRunAt:    entry.nextRunAt || null,
+      lastRunAt:    entry.lastRunAt || null,
+      runs:         (Array.isArray(entry.runs) ? entry.runs : []).slice(0, SCHEDULE_MAX_RUNS),
+      createdAt:    prev?.createdAt || new Date().toISOString(),
+    };
+    writeSchedules([...existing.filter(s => s.id !== record.id), record]);
+    return { success: true, schedule: record };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: delete one schedule
+ipcMain.handle('schedule-remove', async (event, id) => {
+  try {
+    writeSchedules(readSchedules().filter(s => s.id !== id));
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Report presets and templates ──────────────────────────────────────────────
+// ~/.kjer/report-presets.json — named report wizard settings (sections,
+// frameworks, format, path pattern, title, audience, template).
+// ~/.kjer/report-templates/<name>.<html|md> — user-editable templates that
+// restyle HTML / Markdown reports. The renderer owns the template engine and
+// validates a template before saving; this only stores the files.
+
+const REPORT_PRESETS_FILE     = path.join(os.homedir(), '.kjer', 'report-presets.json');
+const REPORT_TEMPLATES_DIR    = path.join(os.homedir(), '.kjer', 'report-templates');
+const REPORT_PRESET_ID_RE     = /^preset-[a-z0-9]{6,20}$/;
+const REPORT_TEMPLATE_NAME_RE = /^[a-z0-9][a-z0-9-]{0,47}$/;
+const REPORT_FORMATS          = new Set(['txt', 'md', 'html', 'pdf', 'json', 'sarif', 'csv']);
+const REPORT_TEMPLATE_FORMATS = new Set(['html', 'md']);
+const REPORT_SECTIONS         = ['threats', 'defense', 'diff', 'vulns', 'network', 'integrity', 'compliance', 'sysinfo', 'tools', 'actlog', 'monitor'];
+const REPORT_TEMPLATE_MAX     = 256 * 1024;
+
+function readReportPresets() {
+  try {
+    const data = JSON.parse(fs.readFileSync(REPORT_PRESETS_FILE, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writeReportPresets(presets) {
+  fs.mkdirSync(path.dirname(REPORT_PRESETS_FILE), { recursive: true });
+  fs.writeFileSync(REPORT_PRESETS_FILE, JSON.stringify(presets, null, 2));
+}
+
+// "<name>.<format>" → { name, format } or null
+function parseTemplateRef(ref) {
+  const m = /^([a-z0-9][a-z0-9-]{0,47})\.(html|md)$/.exec(String(ref || ''));
+  return m ? { name: m[1], format: m[2] } : null;
+}
+
+function validateReportPreset(p) {
+  if (!isPlainObject(p)) return 'preset must be an object';
+  if (!REPORT_PRESET_ID_RE.test(String(p.id))) return 'Invalid preset id';
+  if (!String(p.name || '').trim()) return 'A name is required';
+  if (!isPlainObject(p.sections) || !REPORT_SECTIONS.some(s => p.sections[s] === true)) return 'Select at least one report section';
+  if (!REPORT_FORMATS.has(p.format)) return `Unknown format: ${p.format}`;
+  if (!['executive', 'technical'].includes(p.audience)) return 'audience must be executive or technical';
+  if (p.pathPattern !== undefined && typeof p.pathPattern !== 'string') return 'pathPattern must be a string';
+  if (p.template) {
+    const ref = parseTemplateRef(p.template);
+    if (!ref) return `Invalid template: ${p.template}`;
+    if (ref.format !== p.format) return `Template ${p.template} is for ${ref.format.toUpperCase()} reports`;
+  }
+  return null;
+}
+
+// IPC: all presets. Returns { success, presets }
+ipcMain.handle('report-presets-list', async () => {
+  return { success: true, presets: readReportPresets() };
+});
+
+// IPC: add or replace one preset (matched by id)
+ipcMain.handle('report-preset-save', async (event, preset) => {
+  try {
+    const error = validateReportPreset(preset);
+    if (error) return { success: false, error };
+    const record = {
+      id:          preset.id,
+      name:        String(preset.name).trim(),
+      sections:    Object.fromEntries(REPORT_SECTIONS.map(s => [s, preset.sections[s] === true])),
+      frameworks:  isStringList(preset.frameworks) ? preset.frameworks : [],
+      format:      preset.format,
+      pathPattern: String(preset.pathPattern || '').trim(),
+      title:       String(preset.title || '').trim().slice(0, 200),
+      audience:    preset.audience,
+      template:    preset.template || null,
+      updatedAt:   new Date().toISOString(),
+    };
+    const presets = readReportPresets().filter(p => p.id !== record.id);
+    presets.push(record);
+    writeReportPresets(presets);
+    return { success: true, presets };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: delete one preset
+ipcMain.handle('report-preset-remove', async (event, id) => {
+  try {
+    const presets = readReportPresets().filter(p => p.id !== id);
+    writeReportPresets(presets);
+    return { success: true, presets };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: template files. Returns { success, templates: [{ ref, name, format, size, updatedAt }] }
+ipcMain.handle('report-templates-list', async () => {
+  try {
+    const files = fs.existsSync(REPORT_TEMPLATES_DIR) ? fs.readdirSync(REPORT_TEMPLATES_DIR) : [];
+    const templates = files.map(parseTemplateRef).filter(Boolean).map(t => {
+      const st = fs.statSync(path.join(REPORT_TEMPLATES_DIR, `${t.name}.${t.format}`));
+      return { ref: `${t.name}.${t.format}`, ...t, size: st.size, updatedAt: st.mtime.toISOString() };
+    });
+    return { success: true, templates };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: one template's source. Returns { success, ref, format, text }
+ipcMain.handle('report-template-get', async (event, ref) => {
+  const t = parseTemplateRef(ref);
+  if (!t) return { success: false, error: `Invalid template: ${ref}` };
+  try {
+    const text = fs.readFileSync(path.join(REPORT_TEMPLATES_DIR, ref), 'utf8');
+    return { success: true, ref, format: t.format, text };
+  } catch (e) {
+    return { success: false, error: e.code === 'ENOENT' ? `Template ${ref} not found` : e.message };
+  }
+});
+
+// IPC: create or overwrite a template (name + format + text)
+ipcMain.handle('report-template-save', async (event, { name, format, text } = {}) => {
+  try {
+    if (!REPORT_TEMPLATE_NAME_RE.test(String(name))) return { success: false, error: 'Name must be lowercase letters, digits and dashes' };
+    if (!REPORT_TEMPLATE_FORMATS.has(format)) return { success: false, error: 'Templates are HTML or Markdown' };
+    if (typeof text !== 'string' || !text.trim()) return { success: false, error: 'Template is empty' };
+    if (Buffer.byteLength(text) > REPORT_TEMPLATE_MAX) return { success: false, error: 'Template is larger than 256 KB' };
+    fs.mkdirSync(REPORT_TEMPLATES_DIR, { recursive: true });
+    fs.writeFileSync(path.join(REPORT_TEMPLATES_DIR, `${name}.${format}`), text);
+    return { success: true, ref: `${name}.${format}` };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: delete a template; presets that use it fall back to the built-in layout
+ipcMain.handle('report-template-remove', async (event, ref) => {
+  if (!parseTemplateRef(ref)) return { success: false, error: `Invalid template: ${ref}` };
+  try {
+    fs.rmSync(path.join(REPORT_TEMPLATES_DIR, ref), { force: true });
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Alert routing ─────────────────────────────────────────────────────────────
+// Threats found by scans (renderer, alert-dispatch), the background monitor
+// and response-policy notify actions are routed to user-configured sinks.
+// Each sink has a severity threshold and a dedupe window; deliveries that fail
+// are queued and retried with backoff, across restarts.
+//
+//   ~/.kjer/alerts.json       { sinks: [ { id, type, name, enabled, minSeverity,
+//                             dedupeMinutes, ...type options } ] }
+//   ~/.kjer/alert-queue.json  { pending: [ { sinkId, alert, attempts, nextAttemptAt,
+//                             lastError } ], failed: [...], sent: { sinkId: { dedupeKey: iso } } }
+//
+// Sink types are the entries of ALERT_SINKS: { label, fields, validate(sink),
+// send(sink, alert) }. send rejects with err.permanent set when retrying cannot
+// help. alert-sink-test sends straight to a sink, so each type can be tried
+// against a local stand-in such as `nc -l 8080` (webhook), `nc -ul 5514`
+// (syslog over UDP) or a debugging SMTP server on localhost. The SMTP sink
+// targets a local or trusted relay: no AUTH, optional implicit TLS.
+// An alert may name a file in attachment ({ path, contentType }); the SMTP
+// sink attaches it and the webhook sink embeds it base64-encoded. The file is
+// read at send time, so queued retries do not hold its content. Only
+// report-job-deliver attaches files (withReportAttachment), after checking the
+// report was just written by Kjer into its job's directory — alerts from the
+// renderer cannot.
+
+const http  = require('http');
+const https = require('https');
+const net   = require('net');
+const tls   = require('tls');
+const dgram = require('dgram');
+
+const ALERTS_FILE          = path.join(os.homedir(), '.kjer', 'alerts.json');
+const ALERT_QUEUE_FILE     = path.join(os.homedir(), '.kjer', 'alert-queue.json');
+const ALERT_SINK_ID_RE     = /^sink-[a-z0-9]{6,20}$/;
+const ALERT_SEVERITIES     = ['info', 'low', 'medium', 'high', 'critical'];
+const ALERT_TIMEOUT_MS     = 10000;
+const ALERT_MAX_ATTEMPTS   = 6;
+const ALERT_RETRY_BASE_MS  = 30 * 1000;   // 30 s, 1 min, 2 min, ... between attempts
+const ALERT_RETRY_TICK_MS  = 15 * 1000;
+const ALERT_QUEUE_MAX      = 500;
+const ALERT_FAILED_KEPT    = 50;
+const ALERT_EMAIL_RE       = /^[^\s@<>]+@[^\s@<>]+$/;
+const ALERT_ATTACHMENT_MAX = 10 * 1024 * 1024;
+// RFC 5424 severity codes
+const SYSLOG_SEVERITY      = { critical: 2, high: 3, medium: 4, low: 5, info: 6 };
+// Private enterprise number reserved for documentation (RFC 5612), used as the SD-ID suffix
+const SYSLOG_SD_ID         = 'kjer@32473';
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const validPort     = (p) => Number.isInteger(p) && p >= 1 && p <= 65535;
+const alertFailure  = (message, permanent = false) => Object.assign(new Error(message), { permanent });
+
+// POST a body; resolves { statusCode, body } for any HTTP response, rejects on network errors
+function httpPost(url, body, headers = {}, { insecureTls = false } = {}) {
+  const u = new URL(url);
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === 'https:' ? https : http).request(u, {
+      method:  'POST',
+      timeout: ALERT_TIMEOUT_MS,
+      headers: { 'Content-Length': Buffer.byteLength(body), 'User-Agent': 'Kjer', ...headers },
+      ...(u.protocol === 'https:' && { rejectUnauthorized: !insecureTls }),
+    }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', d => { if (data.length < 1e6) data += d; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+    });
+    req.on('timeout', () => req.destroy(alertFailure(`${u.host} timed out`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD-ELEMENT] BOM MSG
+function syslogMessage(sink, alert) {
+  const pri     = (sink.facility ?? 4) * 8 + (SYSLOG_SEVERITY[alert.severity] ?? 6);
+  const header  = (v, max) => (String(v || '').replace(/[^\x21-\x7e]/g, '') || '-').slice(0, max);
+  const sdValue = (v) => String(v).replace(/["\\\]]/g, c => '\\' + c);
+  const params  = Object.entries({ severity: alert.severity, tool: alert.tool, source: alert.source, fingerprint: alert.fingerprint })
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}="${sdValue(v)}"`);
+  const text = alert.message && alert.message !== alert.title ? `${alert.title} — ${alert.message}` : alert.title;
+  return `<${pri}>1 ${alert.at} ${header(alert.host, 255)} kjer ${process.pid} ${header(alert.source.toUpperCase(), 32)} `
+       + `[${SYSLOG_SD_ID} ${params.join(' ')}] ﻿${text}`;
+}
+
+// The alert's attachment as { name, contentType, content } — null when there is
+// none, or the file is gone (pruned since) or larger than ALERT_ATTACHMENT_MAX
+function readAlertAttachment(alert) {
+  if (!alert.attachment) return null;
+  try {
+    if (fs.statSync(alert.attachment.path).size > ALERT_ATTACHMENT_MAX) return null;
+    return { ...alert.attachment, content: fs.readFileSync(alert.attachment.path) };
+  } catch (_) {
+    return null;
+  }
+}
+
+function smtpMessage(sink, alert) {
+  const subject = `[Kjer] ${alert.severity.toUpperCase()}: ${alert.title}`;
+  const headers = [
+    `From: ${sink.from}`,
+    `To: ${sink.to.join(', ')}`,
+    `Subject: ${/^[\x20-\x7e]*$/.test(subject) ? subject : `=?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`}`,
+    `Date: ${new Date(alert.at).toUTCString()}`,
+    `Message-ID: <${alert.id}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+  ];
+  const text = [
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    alert.message || alert.title,
+    '',
+    `Severity: ${alert.severity}`,
+    `Tool:     ${alert.tool || '-'}`,
+    `Source:   ${alert.source}`,
+    `Host:     ${alert.host}`,
+    `Time:     ${alert.at}`,
+  ];
+  const file = readAlertAttachment(alert);
+  if (!file) return [...headers, ...text].join('\r\n');
+  const boundary = `=_${alert.id}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...text,
+    `--${boundary}`,
+    `Content-Type: ${file.contentType}; name="${file.name}"`,
+    `Content-Disposition: attachment; filename="${file.name}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    file.content.toString('base64').replace(/.{76}(?=.)/g, '$&\r\n'),
+    `--${boundary}--`,
+  ].join('\r\n');
+}
+
+// Minimal SMTP client: EHLO, MAIL FROM, RCPT TO, DATA, QUIT
+function smtpSend(sink, alert) {
+  const port = sink.port || (sink.secure ? 465 : 25);
+  return new Promise((resolve, reject) => {
+    const sock = sink.secure
+      ? tls.connect({ host: sink.host, port, servername: sink.host, timeout: ALERT_TIMEOUT_MS })
+      : net.connect({ host: sink.host, port, timeout: ALERT_TIMEOUT_MS });
+    let buf = '';
+    let waiting = null;
+    const fail = (err) => { sock.destroy(); reject(err); };
+    sock.on('timeout', () => fail(alertFailure('SMTP relay timed out')));
+    sock.on('error', fail);
+    sock.on('close', () => { if (waiting) fail(alertFailure('SMTP relay closed the connection')); });
+    sock.on('data', d => {
+      buf += d.toString('utf8');
+      // A reply ends with a "NNN text" line; continuation lines are "NNN-text"
+      const m = buf.match(/(?:^|\r\n)(\d{3})(?: [^\r\n]*)?\r\n$/);
+      if (!m || !waiting) return;
+      const reply = { code: Number(m[1]), text: buf.trim().split('\r\n').pop() };
+      const done  = waiting;
+      buf = '';
+      waiting = null;
+      done(reply);
+    });
+    const expect = (codes) => new Promise((res, rej) => {
+      waiting = (r) => (codes.includes(r.code) ? res(r) : rej(alertFailure(`SMTP ${r.text}`, r.code >= 500)));
+    });
+    const command = (line, codes) => {
+      const reply = expect(codes);
+      sock.write(line + '\r\n');
+      return reply;
+    };
+    (async () => {
+      await expect([220]);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      await command(`MAIL FROM:<${sink.from}>`, [250]);
+      for (const rcpt of sink.to) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+      await command('DATA', [354]);
+      const accepted = await command(smtpMessage(sink, alert).replace(/^\./gm, '..') + '\r\n.', [250]);
+      await command('QUIT', [221]).catch(() => {});
+      sock.end();
+      resolve(accepted.text);
+    })().catch(fail);
+  });
+}
+
+const ALERT_SINKS = {
+  webhook: {
+    label:  'HTTP webhook',
+    fields: ['url', 'headers'],
+    validate(s) {
+      let url;
+      try { url = new URL(s.url); } catch (_) { return 'url must be a valid http(s) URL'; }
+      if (!['http:', 'https:'].includes(url.protocol)) return 'url must be http or https';
+      if (s.headers !== undefined && !(isPlainObject(s.headers) && Object.values(s.headers).every(v => typeof v === 'string'))) {
+        return 'headers must map header names to strings';
+      }
+      return null;
+    },
+    // POST the alert as JSON; 4xx other than 429 will not succeed on retry
+    async send(s, alert) {
+      const file = readAlertAttachment(alert);
+      const body = JSON.stringify({
+        source: 'kjer',
+        ...alert,
+        ...(alert.attachment && { attachment: { ...alert.attachment, content: file ? file.content.toString('base64') : null } }),
+      });
+      const { statusCode } = await httpPost(s.url, body, { 'Content-Type': 'application/json', ...(s.headers || {}) });
+      if (statusCode >= 200 && statusCode < 300) return `HTTP ${statusCode}`;
+      throw alertFailure(`HTTP ${statusCode}`, statusCode >= 400 && statusCode < 500 && statusCode !== 429);
+    },
+  },
+
+  syslog: {
+    label:  'Syslog (RFC 5424)',
+    fields: ['host', 'port', 'protocol', 'facility'],
+    validate(s) {
+      if (!String(s.host || '').trim()) return 'host is required';
+      if (s.port !== undefined && !validPort(s.port)) return 'port must be 1-65535';
+      if (!['udp', 'tcp'].includes(s.protocol)) return 'protocol must be udp or tcp';
+      if (s.facility !== undefined && !(Number.isInteger(s.facility) && s.facility >= 0 && s.facility <= 23)) {
+        return 'facility must be 0-23';
+      }
+      return null;
+    },
+    send(s, alert) {
+      const msg  = Buffer.from(syslogMessage(s, alert));
+      const port = s.port || 514;
+      if (s.protocol === 'udp') {
+        return new Promise((resolve, reject) => {
+          const sock = dgram.createSocket(net.isIPv6(s.host) ? 'udp6' : 'udp4');
+          sock.send(msg, port, s.host, err => {
+            sock.close();
+            if (err) reject(err); else resolve(`${msg.length} bytes sent`);
+          });
+        });
+      }
+      // TCP uses octet-counting framing (RFC 6587)
+      return new Promise((resolve, reject) => {
+        const sock = net.connect({ host: s.host, port, timeout: ALERT_TIMEOUT_MS }, () => {
+          sock.end(Buffer.concat([Buffer.from(`${msg.length} `), msg]), () => resolve(`${msg.length} bytes sent`));
+        });
+        sock.on('timeout', () => sock.destroy(alertFailure('syslog connection timed out')));
+        sock.on('error', reject);
+      });
+    },
+  },
+
+  smtp: {
+    label:  'Email (SMTP relay)',
+    fields: ['host', 'port', 'secure', 'from', 'to'],
+    validate(s) {
+      if (!String(s.host || '').trim()) return 'host is required';
+      if (s.port !== undefined && !validPort(s.port)) return 'port must be 1-65535';
+      if (s.secure !== undefined && typeof s.secure !== 'boolean') return 'secure must be true or false';
+      if (!ALERT_EMAIL_RE.test(String(s.from || ''))) return 'from must be an email address';
+      if (!isStringList(s.to) || s.to.length === 0 || !s.to.every(a => ALERT_EMAIL_RE.test(a))) {
+        return 'to must be a list of email addresses';
+      }
+      return null;
+    },
+    send: smtpSend,
+  },
+
+  desktop: {
+    label:  'Desktop notification',
+    fields: [],
+    validate: () => null,
+    send(s, alert) {
+      if (!Notification.isSupported()) return Promise.reject(alertFailure('Desktop notifications are not supported', true));
+      new Notification({
+        title:   `Kjer — ${alert.severity.toUpperCase()}`,
+        body:    alert.message && alert.message !== alert.title ? `${alert.title}\n${alert.message}` : alert.title,
+        urgency: alert.severity === 'critical' ? 'critical' : 'normal',
+      }).show();
+      return Promise.resolve('shown');
+    },
+  },
+};
+
+function readAlertsConfig() {
+  try {
+    const data = JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8'));
+    return { sinks: Array.isArray(data.sinks) ? data.sinks : [] };
+  } catch (_) {
+    return { sinks: [] };
+  }
+}
+
+function writeAlertsConfig() {
+  fs.mkdirSync(path.dirname(ALERTS_FILE), { recursive: true });
+  fs.writeFileSync(ALERTS_FILE, JSON.stringify(alerts.config, null, 2));
+}
+
+function readAlertQueue() {
+  try {
+    const q = JSON.parse(fs.readFileSync(ALERT_QUEUE_FILE, 'utf8'));
+    return {
+      pending: Array.isArray(q.pending) ? q.pending : [],
+      failed:  Array.isArray(q.failed)  ? q.failed  : [],
+      sent:    isPlainObject(q.sent)    ? q.sent    : {},
+    };
+  } catch (_) {
+    return { pending: [], failed: [], sent: {} };
+  }
+}
+
+function writeAlertQueue() {
+  try {
+    fs.mkdirSync(path.dirname(ALERT_QUEUE_FILE), { recursive: true });
+    fs.writeFileSync(ALERT_QUEUE_FILE, JSON.stringify(alerts.queue, null, 2));
+  } catch (e) {
+    console.warn('[alerts] queue not saved:', e.message);
+  }
+}
+
+const alerts = {
+  config:   readAlertsConfig(),
+  queue:    readAlertQueue(),
+  timer:    null,
+  retrying: false,
+};
+
+// Validate a sink from the renderer; returns an error string or null
+function validateAlertSink(s) {
+  if (!isPlainObject(s)) return 'sink must be an object';
+  if (!ALERT_SINK_ID_RE.test(String(s.id))) return 'Invalid sink id';
+  const type = ALERT_SINKS[s.type];
+  if (!type) return `Unknown sink type: ${s.type}`;
+  if (!String(s.name || '').trim()) return 'A name is required';
+  if (!ALERT_SEVERITIES.includes(s.minSeverity)) return `Unknown severity: ${s.minSeverity}`;
+  if (!(Number.isFinite(s.dedupeMinutes) && s.dedupeMinutes >= 0)) return 'dedupeMinutes must be a number ≥ 0';
+  return type.validate(s);
+}
+
+function normalizeAlert(a = {}) {
+  const title = String(a.title || a.message || 'Kjer alert').slice(0, 300);
+  return {
+    id:          `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6).padEnd(4, '0')}`,
+    at:          new Date().toISOString(),
+    severity:    ALERT_SEVERITIES.includes(a.severity) ? a.severity : 'info',
+    title,
+    message:     String(a.message || '').slice(0, 2000),
+    tool:        a.tool ? String(a.tool) : null,
+    source:      String(a.source || 'kjer'),
+    host:        os.hostname(),
+    fingerprint: String(a.fingerprint || `${a.tool || ''}::${title}`),
+  };
+}
+
+// Attach a report file that report-job-deliver has already checked (see writtenFiles)
+function withReportAttachment(alert, file) {
+  return {
+    ...alert,
+    attachment: {
+      path:        file,
+      name:        path.basename(file).replace(/["\\\r\n]/g, '_'),
+      contentType: REPORT_FILE_TYPES[path.extname(file).slice(1)] || 'application/octet-stream',
+    },
+  };
+}
+
+// Escalations of the same finding are not deduplicated against the lower severity
+const alertDedupeKey = (alert) => `${alert.fingerprint}|${alert.severity}`;
+
+function markAlertSent(sinkId, alert) {
+  const sent = alerts.queue.sent[sinkId] || {};
+  sent[alertDedupeKey(alert)] = new Date().toISOString();
+  // Forget entries older than a day — longer than any useful dedupe window
+  const cutoff = Date.now() - 24 * 3600000;
+  for (const [k, at] of Object.entries(sent)) if (Date.parse(at) < cutoff) delete sent[k];
+  alerts.queue.sent[sinkId] = sent;
+}
+
+function recordAlertFailure(entry, error) {
+  alerts.queue.failed = [{ ...entry, lastError: error, failedAt: new Date().toISOString() }, ...alerts.queue.failed]
+    .slice(0, ALERT_FAILED_KEPT);
+  console.warn(`[alerts] ${entry.sinkId}: giving up on "${entry.alert.title}" — ${error}`);
+}
+
+function enqueueAlert(sinkId, alert, error) {
+  alerts.queue.pending.push({
+    sinkId, alert, attempts: 1, lastError: error,
+    nextAttemptAt: new Date(Date.now() + ALERT_RETRY_BASE_MS).toISOString(),
+  });
+  const dropped = alerts.queue.pending.splice(0, alerts.queue.pending.length - ALERT_QUEUE_MAX);
+  dropped.forEach(e => recordAlertFailure(e, 'retry queue full'));
+  scheduleAlertRetry();
+}
+
+// Send one normalized alert to one sink; failures go to the retry queue unless
+// permanent. Returns 'delivered' | 'queued' | 'failed'. The caller writes the queue.
+async function deliverAlert(sink, alert) {
+  try {
+    await ALERT_SINKS[sink.type].send(sink, alert);
+    markAlertSent(sink.id, alert);
+    return 'delivered';
+  } catch (e) {
+    if (e.permanent) {
+      recordAlertFailure({ sinkId: sink.id, alert, attempts: 1 }, e.message);
+      return 'failed';
+    }
+    enqueueAlert(sink.id, alert, e.message);
+    return 'queued';
+  }
+}
+
+/**
+ * Route one alert ({ severity, title, message, tool, source, fingerprint }) to
+ * every enabled sink at or above its threshold.
+ * Returns { delivered, queued, skipped, failed } sink counts.
+ */
+async function dispatchAlert(input) {
+  const alert  = normalizeAlert(input);
+  const counts = { delivered: 0, queued: 0, skipped: 0, failed: 0 };
+  const rank   = ALERT_SEVERITIES.indexOf(alert.severity);
+  const now    = Date.now();
+  await Promise.all(alerts.config.sinks.map(async sink => {
+    if (!sink.enabled || rank < ALERT_SEVERITIES.indexOf(sink.minSeverity) || !ALERT_SINKS[sink.type]) return;
+    const last = Date.parse(alerts.queue.sent[sink.id]?.[alertDedupeKey(alert)] || '');
+    const queued = alerts.queue.pending.some(p => p.sinkId === sink.id && alertDedupeKey(p.alert) === alertDedupeKey(alert));
+    if (queued || (sink.dedupeMinutes && now - last < sink.dedupeMinutes * 60000)) {
+      counts.skipped++;
+      return;
+    }
+    counts[await deliverAlert(sink, alert)]++;
+  }));
+  writeAlertQueue();
+  return counts;
+}
+
+function scheduleAlertRetry() {
+  if (alerts.timer || alerts.queue.pending.length === 0) return;
+  alerts.timer = setInterval(retryAlerts, ALERT_RETRY_TICK_MS);
+}
+
+// Retry queued deliveries whose backoff has elapsed
+async function retryAlerts() {
+  if (alerts.retrying) return;
+  alerts.retrying = true;
+  try {
+    const now = Date.now();
+    const due = alerts.queue.pending.filter(p => Date.parse(p.nextAttemptAt) <= now);
+    for (const entry of due) {
+      const sink = alerts.config.sinks.find(s => s.id === entry.sinkId);
+      let done = true;
+      if (sink?.enabled && ALERT_SINKS[sink.type]) {
+        try {
+          await ALERT_SINKS[sink.type].send(sink, entry.alert);
+          markAlertSent(sink.id, entry.alert);
+        } catch (e) {
+          entry.attempts++;
+          entry.lastError = e.message;
+          if (e.permanent || entry.attempts >= ALERT_MAX_ATTEMPTS) {
+            recordAlertFailure(entry, e.message);
+          } else {
+            entry.nextAttemptAt = new Date(Date.now() + ALERT_RETRY_BASE_MS * 2 ** (entry.attempts - 1)).toISOString();
+            done = false;
+          }
+        }
+      }
+      if (done) alerts.queue.pending = alerts.queue.pending.filter(p => p !== entry);
+    }
+  } finally {
+    alerts.retrying = false;
+    writeAlertQueue();
+    if (alerts.queue.pending.length === 0 && alerts.timer) {
+      clearInterval(alerts.timer);
+      alerts.timer = null;
+    }
+  }
+}
+
+function alertsStatus() {
+  return {
+    sinks: alerts.config.sinks,
+    types: Object.fromEntries(Object.entries(ALERT_SINKS).map(([k, t]) => [k, t.label])),
+    queue: { pending: alerts.queue.pending, failed: alerts.queue.failed },
+  };
+}
+
+// IPC: sinks, available sink types and the retry queue
+ipcMain.handle('alerts-status', async () => {
+  return { success: true, ...alertsStatus() };
+});
+
+// IPC: add or replace one sink (matched by id)
+ipcMain.handle('alert-sink-save', async (event, sink) => {
+  try {
+    const error = validateAlertSink(sink);
+    if (error) return { success: false, error };
+    const record = {
+      id:            sink.id,
+      type:          sink.type,
+      name:          String(sink.name).trim(),
+      enabled:       sink.enabled !== false,
+      minSeverity:   sink.minSeverity,
+      dedupeMinutes: sink.dedupeMinutes,
+      ...Object.fromEntries(ALERT_SINKS[sink.type].fields.filter(f => sink[f] !== undefined).map(f => [f, sink[f]])),
+    };
+    const sinks = alerts.config.sinks;
+    const at    = sinks.findIndex(s => s.id === record.id);
+    if (at >= 0) sinks[at] = record; else sinks.push(record);
+    writeAlertsConfig();
+    return { success: true, sink: record, ...alertsStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: delete one sink and anything queued for it
+ipcMain.handle('alert-sink-remove', async (event, id) => {
+  try {
+    alerts.config.sinks = alerts.config.sinks.filter(s => s.id !== id);
+    alerts.queue.pending = alerts.queue.pending.filter(p => p.sinkId !== id);
+    delete alerts.queue.sent[id];
+    writeAlertsConfig();
+    writeAlertQueue();
+    return { success: true, ...alertsStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: send a test alert straight to a sink (saved or not) — no threshold,
+// dedupe or retry. Returns { success, result } or { success: false, error }
+ipcMain.handle('alert-sink-test', async (event, sink) => {
+  const error = validateAlertSink(sink);
+  if (error) return { success: false, error };
+  try {
+    const alert = normalizeAlert({
+      severity: sink.minSeverity,
+      title:    'Kjer test alert',
+      message:  `Test delivery to "${sink.name}" from ${os.hostname()}`,
+      source:   'test',
+    });
+    return { success: true, result: await ALERT_SINKS[sink.type].send(sink, alert) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: route alerts from the renderer (one object or a list)
+ipcMain.handle('alert-dispatch', async (event, input) => {
+  try {
+    const totals = { delivered: 0, queued: 0, skipped: 0, failed: 0 };
+    for (const a of Array.isArray(input) ? input : [input]) {
+      const c = await dispatchAlert(a);
+      Object.keys(totals).forEach(k => { totals[k] += c[k]; });
+    }
+    return { success: true, ...totals };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: drop queued retries and the failure log
+ipcMain.handle('alert-queue-clear', async () => {
+  alerts.queue.pending = [];
+  alerts.queue.failed  = [];
+  writeAlertQueue();
+  return { success: true, ...alertsStatus() };
+});
+
+// ── Report jobs ───────────────────────────────────────────────────────────────
+// ~/.kjer/report-jobs.json — reports generated without the wizard: after a
+// scan, on a cron schedule or when a monitor session ends. The renderer fires
+// the jobs and builds each report from a preset (the report builders live
+// there), writing it to <directory>/<YYYY-MM-DD>/. This persists the jobs and,
+// once a report is written, applies the job's retention limits to its
+// directory and hands the file to the job's alert sink.
+
+const REPORT_JOBS_FILE        = path.join(os.homedir(), '.kjer', 'report-jobs.json');
+const REPORT_JOB_ID_RE        = /^rjob-[a-z0-9]{6,20}$/;
+const REPORT_JOB_TRIGGERS     = new Set(['scan', 'cron', 'monitor-end']);
+const REPORT_JOB_SCAN_SOURCES = new Set(['any', 'schedule', 'manual']);
+const REPORT_JOB_MAX_RUNS     = 20;
+const REPORT_DAY_DIR_RE       = /^\d{4}-\d{2}-\d{2}$/;
+const REPORT_FILE_TYPES       = {
+  txt: 'text/plain', md: 'text/markdown', html: 'text/html', pdf: 'application/pdf',
+  json: 'application/json', sarif: 'application/sarif+json', csv: 'text/csv',
+};
+
+const expandHome = (p) => String(p).replace(/^~([/\\]|$)/, os.homedir() + '/');
+
+function readReportJobs() {
+  try {
+    const data = JSON.parse(fs.readFileSync(REPORT_JOBS_FILE, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writeReportJobs(entries) {
+  fs.mkdirSync(path.dirname(REPORT_JOBS_FILE), { recursive: true });
+  fs.writeFileSync(REPORT_JOBS_FILE, JSON.stringify(entries, null, 2));
+}
+
+const validRetention = (n) => Number.isInteger(n) && n >= 0 && n <= 10000;
+
+function validateReportJob(j) {
+  if (!isPlainObject(j)) return 'job must be an object';
+  if (!REPORT_JOB_ID_RE.test(String(j.id))) return 'Invalid report job id';
+  if (!String(j.name || '').trim()) return 'A name is required';
+  if (!readReportPresets().some(p => p.id === j.presetId)) return 'Choose a saved report preset';
+  if (!REPORT_JOB_TRIGGERS.has(j.trigger)) return `Unknown trigger: ${j.trigger}`;
+  if (j.trigger === 'scan' && !REPORT_JOB_SCAN_SOURCES.has(j.scanSource)) return `Unknown scan source: ${j.scanSource}`;
+  // cron syntax is validated by the renderer, as for scan schedules
+  if (j.trigger === 'cron' && String(j.cron || '').trim().split(/\s+/).length !== 5) return 'Cron expression needs 5 fields';
+  if (!path.isAbsolute(expandHome(j.directory || ''))) return 'directory must be an absolute path or start with ~/';
+  if (!validRetention(j.keepReports) || !validRetention(j.keepDays)) return 'Retention limits must be whole numbers ≥ 0';
+  if (j.sinkId && !alerts.config.sinks.some(s => s.id === j.sinkId)) return 'Unknown alert sink';
+  if (j.nextRunAt && isNaN(Date.parse(j.nextRunAt))) return 'Invalid next run time';
+  return null;
+}
+
+/**
+ * Apply a job's retention to the reports it wrote itself (job.files, recorded
+ * by report-job-deliver): keep the newest keepReports and none older than
+ * keepDays (0 = no limit). Other files in the directory — reports of other
+ * jobs sharing it, anything Kjer did not write — are never touched. Day
+ * directories left empty are removed. Returns { removed, kept } paths.
+ */
+function pruneReportDirectory(dir, { files: written = [], keepReports, keepDays }) {
+  const files = [];
+  for (const file of new Set(written)) {
+    if (!file.startsWith(dir + path.sep) || !REPORT_DAY_DIR_RE.test(path.basename(path.dirname(file)))) continue;
+    try {
+      const st = fs.statSync(file);
+      if (st.isFile()) files.push({ file, mtime: st.mtimeMs });
+    } catch (_) { /* already deleted by hand */ }
+  }
+  files.sort((a, b) => b.mtime - a.mtime);
+  const cutoff  = keepDays ? Date.now() - keepDays * 86400000 : 0;
+  const removed = files.filter((f, i) => (keepReports && i >= keepReports) || f.mtime < cutoff).map(f => f.file);
+  removed.forEach(f => fs.rmSync(f, { force: true }));
+  new Set(removed.map(f => path.dirname(f))).forEach(d => {
+    if (fs.readdirSync(d).length === 0) fs.rmdirSync(d);
+  });
+  return { removed, kept: files.map(f => f.file).filter(f => !removed.includes(f)) };
+}
+
+// IPC: list all report jobs. Returns { success, jobs }
+ipcMain.handle('report-jobs-list', async () => {
+  return { success: true, jobs: readReportJobs() };
+});
+
+// IPC: add or replace one report job (matched by id)
+ipcMain.handle('report-job-save', async (event, job) => {
+  try {
+    const error = validateReportJob(job);
+    if (error) return { success: false, error };
+    const existing = readReportJobs();
+    const prev     = existing.find(j => j.id === job.id);
+    const record = {
+      id:          job.id,
+      name:        String(job.name).trim(),
+      enabled:     job.enabled !== false,
+      presetId:    job.presetId,
+      trigger:     job.trigger,
+      scanSource:  job.trigger === 'scan' ? job.scanSource : null,
+      cron:        job.trigger === 'cron' ? String(job.cron).trim().replace(/\s+/g, ' ') : null,
+      directory:   String(job.directory).trim(),
+      keepReports: job.keepReports,
+      keepDays:    job.keepDays,
+      sinkId:      job.sinkId || null,
+      nextRunAt:   job.trigger === 'cron' ? job.nextRunAt || null : null,
+      lastRunAt:   job.lastRunAt || null,
+      runs:        (Array.isArray(job.runs) ? job.runs : []).slice(0, REPORT_JOB_MAX_RUNS),
+      files:       prev?.files || [],   // written by report-job-deliver only
+      createdAt:   prev?.createdAt || new Date().toISOString(),
+    };
+    writeReportJobs([...existing.filter(j => j.id !== record.id), record]);
+    return { success: true, job: record };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: delete one report job (reports already written are kept)
+ipcMain.handle('report-job-remove', async (event, id) => {
+  try {
+    writeReportJobs(readReportJobs().filter(j => j.id !== id));
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: a job's report has been written — record it, apply the job's retention to
+// the reports it wrote and send the file to the job's alert sink. The file must
+// be a report (REPORT_FILE_TYPES) that write-file / write-pdf wrote this session
+// into a <directory>/<YYYY-MM-DD>/ folder of the job.
+// Returns { success, file, pruned, delivery }
+// where delivery is null (no sink) or 'delivered' | 'queued' | 'failed' | 'skipped'
+ipcMain.handle('report-job-deliver', async (event, { id, file, severity, summary } = {}) => {
+  try {
+    const jobs = readReportJobs();
+    const job  = jobs.find(j => j.id === id);
+    if (!job) return { success: false, error: 'Unknown report job' };
+    const dir  = path.resolve(expandHome(job.directory));
+    const full = path.resolve(expandHome(file || ''));
+    const inDayDir = path.dirname(path.dirname(full)) === dir && REPORT_DAY_DIR_RE.test(path.basename(path.dirname(full)));
+    if (!inDayDir || !REPORT_FILE_TYPES[path.extname(full).slice(1)] || !writtenFiles.has(full) || !fs.existsSync(full)) {
+      return { success: false, error: `${full} is not a report this job just wrote in ${dir}/<YYYY-MM-DD>/` };
+    }
+    writtenFiles.delete(full);
+    const { removed: pruned, kept } = pruneReportDirectory(dir, { ...job, files: [...(job.files || []), full] });
+    job.files = kept;
+    writeReportJobs(jobs);
+
+    let delivery = null;
+    if (job.sinkId) {
+      const sink = alerts.config.sinks.find(s => s.id === job.sinkId);
+      if (!sink?.enabled || !ALERT_SINKS[sink.type]) {
+        delivery = 'skipped';
+      } else {
+        delivery = await deliverAlert(sink, withReportAttachment(normalizeAlert({
+          severity,
+          title:       `Report "${job.name}" ready`,
+          message:     `${summary ? `${summary} — ` : ''}saved to ${full}`,
+          source:      'report',
+          fingerprint: `report::${job.id}::${path.basename(full)}`,
+        }), full));
+        writeAlertQueue();
+      }
+    }
+    return { success: true, file: full, pruned: pruned.length, delivery };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── SIEM export ───────────────────────────────────────────────────────────────
+// Kjer's own findings, defend actions and monitor transitions are serialized
+// as CEF, LEEF or Elastic Common Schema and shipped to a Splunk HTTP Event
+// Collector or an Elasticsearch _bulk endpoint. Events are buffered per
+// destination (and on disk, so nothing is lost while the SIEM is unreachable)
+// and sent in batches; a failed batch stays at the head of the buffer and is
+// retried with backoff.
+//
+//   ~/.kjer/siem.json         { destinations: [ { id, name, enabled, type, format, url,
+//                             token | apiKey | username+password, index, batchSize,
+//                             flushSeconds, insecureTls } ] }
+//   ~/.kjer/siem-buffer.json  { destId: { events, inFlight, sentTotal, dropped, failures,
+//                             lastError, lastSentAt, retryAt } }
+//
+// Events come from the renderer (siem-ingest: scan findings and defend actions)
+// and from emitMonitorEvent. siem-test sends one event synchronously, so a
+// destination can be verified against a local HTTP stand-in.
+
+const SIEM_CONFIG_FILE    = path.join(os.homedir(), '.kjer', 'siem.json');
+const SIEM_BUFFER_FILE    = path.join(os.homedir(), '.kjer', 'siem-buffer.json');
+const SIEM_DEST_ID_RE     = /^siem-[a-z0-9]{6,20}$/;
+const SIEM_BUFFER_MAX     = 5000;          // events kept per destination while offline
+const SIEM_TICK_MS        = 5 * 1000;
+const SIEM_RETRY_BASE_MS  = 30 * 1000;
+const SIEM_RETRY_MAX_MS   = 15 * 60 * 1000;
+const SIEM_MONITOR_TYPES  = new Set(['threat', 'resolved', 'defended', 'needs-approval', 'policy']);
+const SIEM_VENDOR         = 'PhanesGuild Software';
+const SIEM_PRODUCT        = 'Kjer';
+const SIEM_VERSION        = (() => {
+  try { return JSON.parse(fs.readFileSync(path.join(APP_ROOT, 'version.json'), 'utf8')).version || ''; } catch (_) { return ''; }
+})();
+// Severity scales: CEF/LEEF 0-10, ECS event.severity as used by Elastic detection rules
+const SIEM_SEVERITY_CEF   = { info: 1, low: 3, medium: 5, high: 8, critical: 10 };
+const SIEM_SEVERITY_ECS   = { info: 0, low: 21, medium: 47, high: 73, critical: 99 };
+// Scan phase (SCAN_PHASES in app.js) → ECS event.category
+const SIEM_PHASE_CATEGORY = {
+  'NETWORK ANALYSIS':   ['network', 'intrusion_detection'],
+  'VULNERABILITY SCAN': ['vulnerability'],
+  'MALWARE & EDR':      ['malware'],
+  'FILE INTEGRITY':     ['file'],
+  'MEMORY FORENSICS':   ['malware', 'process'],
+  'COMPLIANCE & AUDIT': ['configuration'],
+  'SIEM & LOG INGEST':  ['intrusion_detection'],
+};
+
+// Shape every producer's event the same way before it is buffered
+function normalizeSiemEvent(e = {}) {
+  const str = (v, max = 500) => (v === undefined || v === null || v === '' ? null : String(v).slice(0, max));
+  return {
+    id:          `kjer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8).padEnd(6, '0')}`,
+    at:          !isNaN(Date.parse(e.at)) ? new Date(e.at).toISOString() : new Date().toISOString(),
+    kind:        ['finding', 'action', 'monitor'].includes(e.kind) ? e.kind : 'finding',
+    action:      str(e.action, 64),
+    severity:    ALERT_SEVERITIES.includes(e.severity) ? e.severity : 'info',
+    title:       str(e.title) || 'Kjer event',
+    message:     str(e.message, 2000),
+    tool:        str(e.tool, 100),
+    key:         str(e.key, 64),
+    phase:       str(e.phase, 100),
+    source:      str(e.source, 32) || 'kjer',
+    outcome:     ['success', 'failure', 'unknown'].includes(e.outcome) ? e.outcome : null,
+    fingerprint: str(e.fingerprint),
+    scanId:      str(e.scanId, 64),
+    changesetId: str(e.changesetId, 64),
+    provenance:  str(e.provenance, 16),
+    host:        os.hostname(),
+  };
+}
+
+const cefHeader = (v) => String(v).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+const cefValue  = (v) => String(v).replace(/\\/g, '\\\\').replace(/=/g, '\\=').replace(/\r?\n/g, '\\n');
+const siemSignature = (e) => `${e.kind}:${e.action || e.key || 'event'}`;
+
+function toCef(e) {
+  const ext = {
+    rt: Date.parse(e.at), dvchost: e.host, externalId: e.id, msg: e.message, cat: e.phase || e.kind,
+    act: e.action, outcome: e.outcome,
+    cs1Label: e.tool && 'tool', cs1: e.tool,
+    cs2Label: e.fingerprint && 'fingerprint', cs2: e.fingerprint,
+    cs3Label: 'source', cs3: e.source,
+    cs4Label: e.changesetId && 'changeset', cs4: e.changesetId,
+    cs5Label: e.scanId && 'scanId', cs5: e.scanId,
+  };
+  return [
+    'CEF:0', SIEM_VENDOR, SIEM_PRODUCT, SIEM_VERSION, siemSignature(e), e.title, SIEM_SEVERITY_CEF[e.severity],
+  ].map((v, i) => (i === 0 ? v : cefHeader(v))).join('|') + '|'
+    + Object.entries(ext).filter(([, v]) => v !== null && v !== undefined).map(([k, v]) => `${k}=${cefValue(v)}`).join(' ');
+}
+
+// LEEF 2.0 with "^" as the attribute delimiter (declared in the header)
+function toLeef(e) {
+  const clean = (v) => String(v).replace(/[\^\r\n\t]/g, ' ');
+  const attrs = {
+    devTime: e.at, devTimeFormat: "yyyy-MM-dd'T'HH:mm:ss.SSSX", sev: SIEM_SEVERITY_CEF[e.severity],
+    cat: e.phase || e.kind, identHostName: e.host, msg: e.message ? `${e.title} — ${e.message}` : e.title,
+    eventId: e.id, action: e.action, outcome: e.outcome, tool: e.tool, fingerprint: e.fingerprint,
+    source: e.source, changeset: e.changesetId, scanId: e.scanId,
+  };
+  return ['LEEF:2.0', ...[SIEM_VENDOR, SIEM_PRODUCT, SIEM_VERSION, siemSignature(e)].map(clean), '^'].join('|') + '|'
+    + Object.entries(attrs).filter(([, v]) => v !== null && v !== undefined).map(([k, v]) => `${k}=${clean(v)}`).join('^');
+}
+
+function toEcs(e) {
+  const category = e.kind === 'action' ? ['configuration'] : (SIEM_PHASE_CATEGORY[e.phase] || ['host']);
+  const type = e.kind === 'action' || e.action === 'defended' ? ['change']
+             : e.action === 'resolved' ? ['end']
+             : e.kind === 'finding' || e.action === 'threat' ? ['indicator']
+             : ['info'];
+  return {
+    '@timestamp': e.at,
+    ecs:          { version: '8.11.0' },
+    message:      e.message ? `${e.title} — ${e.message}` : e.title,
+    event: {
+      id:       e.id,
+      kind:     e.kind === 'finding' || e.action === 'threat' ? 'alert' : 'event',
+      category,
+      type,
+      action:   e.action || e.kind,
+      outcome:  e.outcome || undefined,
+      severity: SIEM_SEVERITY_ECS[e.severity],
+      dataset:  `kjer.${e.kind}`,
+      module:   'kjer',
+      provider: e.source,
+    },
+    log:      { level: e.severity },
+    host:     { hostname: e.host, name: e.host },
+    observer: { vendor: SIEM_VENDOR, product: SIEM_PRODUCT, version: SIEM_VERSION || undefined },
+    rule:     e.fingerprint ? { id: e.fingerprint, name: e.title } : undefined,
+    tags:     ['kjer', e.kind],
+    kjer: {
+      tool: e.tool || undefined, tool_key: e.key || undefined, phase: e.phase || undefined,
+      fingerprint: e.fingerprint || undefined, scan_id: e.scanId || undefined,
+      changeset_id: e.changesetId || undefined, provenance: e.provenance || undefined,
+    },
+  };
+}
+
+const SIEM_FORMATS = {
+  cef:  { label: 'CEF',                        serialize: toCef,  sourcetype: 'kjer:cef'  },
+  leef: { label: 'LEEF 2.0',                   serialize: toLeef, sourcetype: 'kjer:leef' },
+  ecs:  { label: 'Elastic Common Schema JSON', serialize: toEcs,  sourcetype: 'kjer:ecs'  },
+};
+
+// Default endpoint path when the configured URL is just scheme://host:port
+function siemEndpoint(url, defaultPath) {
+  const u = new URL(url);
+  if (u.pathname === '/' || u.pathname === '') u.pathname = defaultPath;
+  return u.toString();
+}
+
+// Each target ships one batch and resolves { sent, retry: [events], rejected };
+// it throws when the whole batch should be retried later.
+const SIEM_TARGETS = {
+  'splunk-hec': {
+    label: 'Splunk HEC',
+    validate(d) {
+      if (!String(d.token || '').trim()) return 'An HEC token is required';
+      return null;
+    },
+    async ship(d, events) {
+      const fmt  = SIEM_FORMATS[d.format];
+      const body = events.map(e => JSON.stringify({
+        time:       Date.parse(e.at) / 1000,
+        host:       e.host,
+        source:     'kjer',
+        sourcetype: fmt.sourcetype,
+        ...(d.index && { index: d.index }),
+        event:      fmt.serialize(e),
+      })).join('\n');
+      const r = await httpPost(siemEndpoint(d.url, '/services/collector/event'), body,
+        { 'Content-Type': 'application/json', Authorization: `Splunk ${d.token}` }, { insecureTls: d.insecureTls });
+      if (r.statusCode >= 200 && r.statusCode < 300) return { sent: events.length, retry: [], rejected: 0 };
+      // 400 means HEC could not parse the batch — resending it unchanged cannot succeed
+      if (r.statusCode === 400) return { sent: 0, retry: [], rejected: events.length, error: `HTTP 400 ${r.body.slice(0, 200)}` };
+      throw new Error(`HTTP ${r.statusCode} ${r.body.slice(0, 200)}`.trim());
+    },
+  },
+
+  'elastic-bulk': {
+    label: 'Elasticsearch _bulk',
+    validate(d) {
+      if (!String(d.index || '').trim()) return 'An index or data stream name is required';
+      if (d.username !== undefined && typeof d.password !== 'string') return 'password is required with username';
+      return null;
+    },
+    async ship(d, events) {
+      const fmt  = SIEM_FORMATS[d.format];
+      // create + the event id makes a resent batch idempotent (duplicates come back 409)
+      const body = events.map(e => {
+        const doc = d.format === 'ecs' ? fmt.serialize(e) : { '@timestamp': e.at, message: fmt.serialize(e) };
+        return `${JSON.stringify({ create: { _index: d.index, _id: e.id } })}\n${JSON.stringify(doc)}\n`;
+      }).join('');
+      const auth = d.apiKey ? `ApiKey ${d.apiKey}`
+                 : d.username ? `Basic ${Buffer.from(`${d.username}:${d.password}`).toString('base64')}` : null;
+      const r = await httpPost(siemEndpoint(d.url, '/_bulk'), body,
+        { 'Content-Type': 'application/x-ndjson', ...(auth && { Authorization: auth }) }, { insecureTls: d.insecureTls });
+      if (r.statusCode < 200 || r.statusCode >= 300) throw new Error(`HTTP ${r.statusCode} ${r.body.slice(0, 200)}`.trim());
+      let res;
+      try { res = JSON.parse(r.body); } catch (_) { throw new Error('Unexpected _bulk response'); }
+      if (!res.errors) return { sent: events.length, retry: [], rejected: 0 };
+      const out = { sent: 0, retry: [], rejected: 0, error: null };
+      (res.items || []).forEach((item, i) => {
+        const st = Object.values(item)[0] || {};
+        if (st.status < 300 || st.status === 409) out.sent++;
+        else if (st.status === 429 || st.status >= 500) out.retry.push(events[i]);
+        else {
+          out.rejected++;
+          out.error = out.error || `${st.status} ${st.error?.type || ''}: ${st.error?.reason || ''}`.trim();
+        }
+      });
+      return out;
+    },
+  },
+};
+
+function readSiemConfig() {
+  try {
+    const data = JSON.parse(fs.readFileSync(SIEM_CONFIG_FILE, 'utf8'));
+    return { destinations: Array.isArray(data.destinations) ? data.destinations : [] };
+  } catch (_) {
+    return { destinations: [] };
+  }
+}
+
+function writeSiemConfig() {
+  fs.mkdirSync(path.dirname(SIEM_CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(SIEM_CONFIG_FILE, JSON.stringify(siem.config, null, 2));
+}
+
+function readSiemBuffer() {
+  try {
+    const data = JSON.parse(fs.readFileSync(SIEM_BUFFER_FILE, 'utf8'));
+    if (!isPlainObject(data)) return {};
+    // A batch that was in flight when Kjer closed is sent again
+    for (const st of Object.values(data)) {
+      if (!isPlainObject(st) || !Array.isArray(st.inFlight)) continue;
+      st.events = [...st.inFlight, ...(Array.isArray(st.events) ? st.events : [])];
+      delete st.inFlight;
+    }
+    return data;
+  } catch (_) {
+    return {};
+  }
+}
+
+function writeSiemBuffer() {
+  try {
+    fs.mkdirSync(path.dirname(SIEM_BUFFER_FILE), { recursive: true });
+    fs.writeFileSync(SIEM_BUFFER_FILE, JSON.stringify(siem.buffer));
+  } catch (e) {
+    console.warn('[siem] buffer not saved:', e.message);
+  }
+}
+
+const siem = {
+  config:   readSiemConfig(),
+  buffer:   readSiemBuffer(),
+  timer:    null,
+  flushing: new Set(),
+};
+
+function siemDestState(id) {
+  if (!siem.buffer[id]) {
+    siem.buffer[id] = { events: [], sentTotal: 0, dropped: 0, failures: 0, lastError: null, lastSentAt: null, lastFlushAt: null, retryAt: null };
+  }
+  return siem.buffer[id];
+}
+
+function validateSiemDestination(d) {
+  if (!isPlainObject(d)) return 'destination must be an object';
+  if (!SIEM_DEST_ID_RE.test(String(d.id))) return 'Invalid destination id';
+  if (!String(d.name || '').trim()) return 'A name is required';
+  const target = SIEM_TARGETS[d.type];
+  if (!target) return `Unknown destination type: ${d.type}`;
+  if (!SIEM_FORMATS[d.format]) return `Unknown format: ${d.format}`;
+  let url;
+  try { url = new URL(d.url); } catch (_) { return 'url must be a valid http(s) URL'; }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'url must be http or https';
+  if (!(Number.isInteger(d.batchSize) && d.batchSize >= 1 && d.batchSize <= 1000)) return 'batchSize must be 1-1000';
+  if (!(Number.isInteger(d.flushSeconds) && d.flushSeconds >= 5 && d.flushSeconds <= 3600)) return 'flushSeconds must be 5-3600';
+  return target.validate(d);
+}
+
+/** Buffer normalized events for every enabled destination. */
+function siemIngest(events) {
+  const dests = siem.config.destinations.filter(d => d.enabled);
+  if (dests.length === 0 || events.length === 0) return 0;
+  const normalized = events.map(normalizeSiemEvent);
+  for (const d of dests) {
+    const st = siemDestState(d.id);
+    st.events.push(...normalized);
+    const over = st.events.length - SIEM_BUFFER_MAX;
+    if (over > 0) {
+      st.events.splice(0, over);   // oldest go first
+      st.dropped += over;
+    }
+  }
+  writeSiemBuffer();
+  scheduleSiemFlush();
+  return normalized.length;
+}
+
+async function siemFlush(d, { force = false } = {}) {
+  const st = siemDestState(d.id);
+  if (siem.flushing.has(d.id) || st.events.length === 0) return;
+  if (!force && st.retryAt && Date.parse(st.retryAt) > Date.now()) return;
+  siem.flushing.add(d.id);
+  // The batch leaves the buffer while it is shipped, so events ingested (or
+  // dropped for space) meanwhile cannot shift it; unsent events go back in front
+  const batch = st.events.splice(0, d.batchSize);
+  st.inFlight = batch;
+  writeSiemBuffer();
+  let unsent = batch;
+  try {
+    const r = await SIEM_TARGETS[d.type].ship(d, batch);
+    unsent = r.retry;
+    st.sentTotal += r.sent;
+    st.dropped   += r.rejected;
+    st.lastError  = [r.rejected && `${r.rejected} event(s) rejected — ${r.error}`,
+                     r.retry.length && `${r.retry.length} event(s) deferred by the SIEM`].filter(Boolean).join('; ') || null;
+    st.lastSentAt = new Date().toISOString();
+    st.failures   = r.retry.length ? st.failures + 1 : 0;
+    st.retryAt    = r.retry.length ? new Date(Date.now() + SIEM_RETRY_BASE_MS).toISOString() : null;
+  } catch (e) {
+    st.failures++;
+    st.lastError = e.message;
+    st.retryAt   = new Date(Date.now() + Math.min(SIEM_RETRY_MAX_MS, SIEM_RETRY_BASE_MS * 2 ** (st.failures - 1))).toISOString();
+  } finally {
+    st.events = [...unsent, ...st.events];
+    const over = st.events.length - SIEM_BUFFER_MAX;
+    if (over > 0) {
+      st.events.splice(0, over);
+      st.dropped += over;
+    }
+    delete st.inFlight;
+    st.lastFlushAt = new Date().toISOString();
+    siem.flushing.delete(d.id);
+    writeSiemBuffer();
+  }
+}
+
+// Flush destinations whose batch is full or whose flush interval has elapsed
+async function siemTick() {
+  const now = Date.now();
+  let pending = 0;
+  for (const d of siem.config.destinations) {
+    const st = siem.buffer[d.id];
+    if (!d.enabled || !st || st.events.length === 0) continue;
+    const since = now - Date.parse(st.lastFlushAt || 0);
+    if (st.events.length >= d.batchSize || since >= d.flushSeconds * 1000) await siemFlush(d);
+    pending += siem.buffer[d.id]?.events.length || 0;
+  }
+  if (pending === 0 && siem.timer) {
+    clearInterval(siem.timer);
+    siem.timer = null;
+  }
+}
+
+function scheduleSiemFlush() {
+  if (siem.timer) return;
+  const pending = siem.config.destinations.some(d => d.enabled && siem.buffer[d.id]?.events.length);
+  if (pending) siem.timer = setInterval(siemTick, SIEM_TICK_MS);
+}
+
+function monitorSiemEvent(evt) {
+  return {
+    kind:     'monitor',
+    action:   evt.type,
+    at:       evt.at,
+    severity: evt.type === 'resolved' ? 'info' : POLICY_LEVEL_SEVERITY[evt.level] || 'info',
+    title:    `${evt.name || evt.tool || 'Monitor'}: ${evt.message || evt.type}`,
+    tool:     evt.name,
+    key:      evt.tool,
+    source:   'monitor',
+    outcome:  evt.type === 'defended' ? (evt.level === 'error' ? 'failure' : 'success') : null,
+    fingerprint: evt.tool && evt.message ? `${evt.tool}::${evt.message}` : null,
+  };
+}
+
+function siemStatus() {
+  return {
+    destinations: siem.config.destinations.map(d => {
+      const st = siem.buffer[d.id] || {};
+      return { ...d, buffered: (st.events?.length || 0) + (st.inFlight?.length || 0), sentTotal: st.sentTotal || 0, dropped: st.dropped || 0,
+               lastError: st.lastError || null, lastSentAt: st.lastSentAt || null, retryAt: st.retryAt || null };
+    }),
+    targets: Object.fromEntries(Object.entries(SIEM_TARGETS).map(([k, t]) => [k, t.label])),
+    formats: Object.fromEntries(Object.entries(SIEM_FORMATS).map(([k, f]) => [k, f.label])),
+  };
+}
+
+// IPC: destinations with their buffer/delivery state
+ipcMain.handle('siem-status', async () => {
+  return { success: true, ...siemStatus() };
+});
+
+// IPC: add or replace one destination (matched by id)
+ipcMain.handle('siem-destination-save', async (event, dest) => {
+  try {
+    const error = validateSiemDestination(dest);
+    if (error) return { success: false, error };
+    const record = {
+      id: dest.id, name: String(dest.name).trim(), enabled: dest.enabled !== false,
+      type: dest.type, format: dest.format, url: dest.url,
+      batchSize: dest.batchSize, flushSeconds: dest.flushSeconds, insecureTls: !!dest.insecureTls,
+    };
+    ['token', 'index', 'apiKey', 'username', 'password'].forEach(k => {
+      if (typeof dest[k] === 'string' && dest[k]) record[k] = dest[k];
+    });
+    const list = siem.config.destinations;
+    const at   = list.findIndex(d => d.id === record.id);
+    if (at >= 0) list[at] = record; else list.push(record);
+    writeSiemConfig();
+    scheduleSiemFlush();
+    return { success: true, ...siemStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: delete a destination and its buffer
+ipcMain.handle('siem-destination-remove', async (event, id) => {
+  try {
+    siem.config.destinations = siem.config.destinations.filter(d => d.id !== id);
+    delete siem.buffer[id];
+    writeSiemConfig();
+    writeSiemBuffer();
+    return { success: true, ...siemStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: buffer events from the renderer. Returns { success, accepted }
+ipcMain.handle('siem-ingest', async (event, events) => {
+  try {
+    return { success: true, accepted: siemIngest(Array.isArray(events) ? events : [events]) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: send buffered events now, ignoring the flush interval and backoff
+ipcMain.handle('siem-flush', async (event, id) => {
+  try {
+    const dests = siem.config.destinations.filter(d => d.enabled && (!id || d.id === id));
+    for (const d of dests) {
+      while ((siem.buffer[d.id]?.events.length || 0) > 0) {
+        const before = siem.buffer[d.id].events.length;
+        await siemFlush(d, { force: true });
+        if (siem.buffer[d.id].events.length >= before) break;   // failed or retrying — stop here
+      }
+    }
+    return { success: true, ...siemStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: ship one test event straight to a destination (saved or not) and
+// show exactly what was sent. Returns { success, payload, result } or error
+ipcMain.handle('siem-test', async (event, dest) => {
+  const error = validateSiemDestination(dest);
+  if (error) return { success: false, error };
+  try {
+    const e = normalizeSiemEvent({
+      kind: 'finding', action: 'test', severity: 'low', title: 'Kjer SIEM test event',
+      message: `Test delivery to "${dest.name}"`, source: 'test', fingerprint: 'kjer::siem-test',
+    });
+    const payload = SIEM_FORMATS[dest.format].serialize(e);
+    const r = await SIEM_TARGETS[dest.type].ship(dest, [e]);
+    if (r.sent === 0) return { success: false, error: r.error || 'Event was not accepted', payload };
+    return { success: true, payload, result: `${r.sent} event accepted` };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Response policy ───────────────────────────────────────────────────────────
+// ~/.kjer/policy.json — declarative response rules for the Industrial tier
+// (canRunAutonomously). When a valid policy is present it replaces the
+// built-in phase conditions of activateSmartDefense and decides what the
+// background monitor does about a new threat. Evaluated here so both share
+// one implementation and one rate-limit state.
+//
+//   { "version": 1,
+//     "rules": [ {
+//       "id": "malware-critical", "description": "...", "enabled": true,
+//       "when": { "roles": ["malware_scan"], "tools": ["clamav"],
+//                 "severity": ["critical"] | "minSeverity": "high",
+//                 "phases": ["MALWARE & EDR"], "devices": ["web-01"],
+//                 "time": { "days": ["mon", "fri"], "from": "22:00", "to": "06:00" } },
+//       "then": [ { "action": "defend", "roles": ["av_remediate"], "tools": [] },
+//                 { "action": "notify", "level": "error", "message": "{count} finding(s) on {device}" } ],
+//       "cooldownMinutes": 30,
+//       "rateLimit": { "max": 3, "perMinutes": 60 } } ] }
+//
+//   ~/.kjer/policy-state.json  { rules: { id: { fires: [iso, ...] } } }
+//
+// Every "when" condition must hold for the same finding (time is checked
+// against the evaluation time; a window with from > to wraps past midnight).
+// List values match any entry. Main has no tool database, so tool roles and
+// scan phases come from the renderer's catalog: { key: { name, roles, phase } }.
+
+const POLICY_FILE        = path.join(os.homedir(), '.kjer', 'policy.json');
+const POLICY_STATE_FILE  = path.join(os.homedir(), '.kjer', 'policy-state.json');
+const POLICY_TIERS       = new Set(['industrial']);
+const POLICY_SEVERITIES  = ['info', 'low', 'medium', 'high', 'critical'];
+// Finding level → severity for findings without a parsed severity (inverse of SEVERITY_TO_LEVEL in app.js)
+const POLICY_LEVEL_SEVERITY = { critical: 'critical', error: 'high', warning: 'medium', info: 'low', success: 'info' };
+// Mirror TOOL_ROLES and SCAN_PHASES in app.js — only used to catch typos in rules
+const POLICY_ROLES  = new Set(['network_scan', 'vuln_scan', 'malware_scan', 'integrity_scan', 'memory_scan',
+  'compliance_scan', 'siem', 'firewall', 'ips', 'av_remediate', 'vuln_svc']);
+const POLICY_PHASES = new Set(['NETWORK ANALYSIS', 'VULNERABILITY SCAN', 'MALWARE & EDR', 'FILE INTEGRITY',
+  'MEMORY FORENSICS', 'COMPLIANCE & AUDIT', 'SIEM & LOG INGEST']);
+const POLICY_DAYS          = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const POLICY_NOTIFY_LEVELS = new Set(['info', 'success', 'warning', 'error', 'critical']);
+const POLICY_RULE_ID_RE    = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const POLICY_TOOL_KEY_RE   = /^[a-z0-9-]+$/;
+const POLICY_TIME_RE       = /^([01]\d|2[0-3]):[0-5]\d$/;
+const POLICY_FIRES_KEPT    = 100;   // fire timestamps kept per rule (rate-limit window)
+
+// Validate a parsed policy; returns a list of "path: problem" strings (empty when valid)
+function validatePolicy(policy) {
+  const errors = [];
+  const err = (p, msg) => errors.push(`${p}: ${msg}`);
+  const checkKeys = (p, obj, allowed) => Object.keys(obj)
+    .filter(k => !allowed.includes(k))
+    .forEach(k => err(p, `unknown key "${k}"`));
+  const checkList = (p, v, allowed, what) => {
+    if (!isStringList(v) || v.length === 0) return err(p, 'must be a non-empty list of strings');
+    if (allowed) v.filter(s => !allowed.has(s)).forEach(s => err(p, `unknown ${what} "${s}"`));
+  };
+
+  if (!isPlainObject(policy)) return ['policy: must be a JSON object'];
+  checkKeys('policy', policy, ['version', 'rules']);
+  if (policy.version !== 1) err('version', 'must be 1');
+  if (!Array.isArray(policy.rules)) {
+    err('rules', 'must be a list');
+    return errors;
+  }
+
+  const ids = new Set();
+  policy.rules.forEach((rule, i) => {
+    const p = `rules[${i}]`;
+    if (!isPlainObject(rule)) return err(p, 'must be an object');
+    checkKeys(p, rule, ['id', 'description', 'enabled', 'when', 'then', 'cooldownMinutes', 'rateLimit']);
+    if (!POLICY_RULE_ID_RE.test(String(rule.id ?? ''))) err(`${p}.id`, 'must be 1-64 letters, digits, "-" or "_"');
+    else if (ids.has(rule.id)) err(`${p}.id`, `duplicate id "${rule.id}"`);
+    ids.add(rule.id);
+    if (rule.description !== undefined && typeof rule.description !== 'string') err(`${p}.description`, 'must be a string');
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') err(`${p}.enabled`, 'must be true or false');
+
+    const w = `${p}.when`;
+    const when = rule.when;
+    if (!isPlainObject(when)) {
+      err(w, 'must be an object');
+    } else {
+      checkKeys(w, when, ['roles', 'tools', 'severity', 'minSeverity', 'phases', 'devices', 'time']);
+      if (when.roles    !== undefined) checkList(`${w}.roles`, when.roles, POLICY_ROLES, 'role');
+      if (when.tools    !== undefined) checkList(`${w}.tools`, when.tools, null);
+      if (isStringList(when.tools)) when.tools.filter(k => !POLICY_TOOL_KEY_RE.test(k)).forEach(k => err(`${w}.tools`, `invalid tool key "${k}"`));
+      if (when.severity !== undefined) checkList(`${w}.severity`, when.severity, new Set(POLICY_SEVERITIES), 'severity');
+      if (when.minSeverity !== undefined && !POLICY_SEVERITIES.includes(when.minSeverity)) {
+        err(`${w}.minSeverity`, `must be one of ${POLICY_SEVERITIES.join(', ')}`);
+      }
+      if (when.severity !== undefined && when.minSeverity !== undefined) err(w, 'use either severity or minSeverity, not both');
+      if (when.phases   !== undefined) checkList(`${w}.phases`, when.phases, POLICY_PHASES, 'phase');
+      if (when.devices  !== undefined) checkList(`${w}.devices`, when.devices, null);
+      if (when.time !== undefined) {
+        const t = when.time;
+        if (!isPlainObject(t)) {
+          err(`${w}.time`, 'must be an object');
+        } else {
+          checkKeys(`${w}.time`, t, ['days', 'from', 'to']);
+          if (t.days !== undefined) checkList(`${w}.time.days`, t.days, new Set(POLICY_DAYS), 'day');
+          if ((t.from === undefined) !== (t.to === undefined)) err(`${w}.time`, 'from and to must be set together');
+          ['from', 'to'].forEach(k => {
+            if (t[k] !== undefined && !POLICY_TIME_RE.test(String(t[k]))) err(`${w}.time.${k}`, 'must be HH:MM (24-hour)');
+          });
+          if (t.from !== undefined && t.from === t.to) err(`${w}.time`, 'from and to must differ');
+        }
+      }
+    }
+
+    const actions = rule.then;
+    if (!Array.isArray(actions) || actions.length === 0) {
+      err(`${p}.then`, 'must be a non-empty list of actions');
+    } else {
+      actions.forEach((a, j) => {
+        const ap = `${p}.then[${j}]`;
+        if (!isPlainObject(a)) return err(ap, 'must be an object');
+        if (a.action === 'defend') {
+          checkKeys(ap, a, ['action', 'roles', 'tools']);
+          if (a.roles === undefined && a.tools === undefined) err(ap, 'defend needs roles or tools');
+          if (a.roles !== undefined) checkList(`${ap}.roles`, a.roles, POLICY_ROLES, 'role');
+          if (a.tools !== undefined) checkList(`${ap}.tools`, a.tools, null);
+        } else if (a.action === 'notify') {
+          checkKeys(ap, a, ['action', 'message', 'level']);
+          if (typeof a.message !== 'string' || !a.message.trim()) err(`${ap}.message`, 'is required');
+          if (a.level !== undefined && !POLICY_NOTIFY_LEVELS.has(a.level)) {
+            err(`${ap}.level`, `must be one of ${[...POLICY_NOTIFY_LEVELS].join(', ')}`);
+          }
+        } else {
+          err(`${ap}.action`, 'must be "defend" or "notify"');
+        }
+      });
+    }
+
+    if (rule.cooldownMinutes !== undefined && !(Number.isFinite(rule.cooldownMinutes) && rule.cooldownMinutes >= 0)) {
+      err(`${p}.cooldownMinutes`, 'must be a number ≥ 0');
+    }
+    if (rule.rateLimit !== undefined) {
+      const rl = rule.rateLimit;
+      if (!isPlainObject(rl)) {
+        err(`${p}.rateLimit`, 'must be an object');
+      } else {
+        checkKeys(`${p}.rateLimit`, rl, ['max', 'perMinutes']);
+        if (!Number.isInteger(rl.max) || rl.max < 1) err(`${p}.rateLimit.max`, 'must be a whole number ≥ 1');
+        if (!(Number.isFinite(rl.perMinutes) && rl.perMinutes > 0)) err(`${p}.rateLimit.perMinutes`, 'must be a number > 0');
+      }
+    }
+  });
+  return errors;
+}
+
+// Parse and validate policy text; policy is null unless it is valid
+function parsePolicy(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { policy: null, errors: [`JSON: ${e.message}`] };
+  }
+  const errors = validatePolicy(parsed);
+  return { policy: errors.length ? null : parsed, errors };
+}
+
+// The policy file as { exists, text, policy, errors }
+function readPolicy() {
+  let text;
+  try {
+    text = fs.readFileSync(POLICY_FILE, 'utf8');
+  } catch (_) {
+    return { exists: false, text: '', policy: null, errors: [] };
+  }
+  return { exists: true, text, ...parsePolicy(text) };
+}
+
+function readPolicyState() {
+  try {
+    const st = JSON.parse(fs.readFileSync(POLICY_STATE_FILE, 'utf8'));
+    return { rules: isPlainObject(st.rules) ? st.rules : {} };
+  } catch (_) {
+    return { rules: {} };
+  }
+}
+
+function writePolicyState(state) {
+  fs.mkdirSync(path.dirname(POLICY_STATE_FILE), { recursive: true });
+  fs.writeFileSync(POLICY_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Same tier rule as monitorMayAutoDefend: no license session, no autonomous response.
+function policyTierAllowed() {
+  return authSession.authorized && POLICY_TIERS.has(authSession.licenseType);
+}
+
+function policyFindingSeverity(f) {
+  if (POLICY_SEVERITIES.includes(f.severity)) return f.severity;
+  if (f.level === 'info' && !f.flagged) return 'info';
+  return POLICY_LEVEL_SEVERITY[f.level] || 'info';
+}
+
+function policyInWindow(time, now) {
+  if (!time) return true;
+  if (time.days && !time.days.includes(POLICY_DAYS[now.getDay()])) return false;
+  if (!time.from) return true;
+  const mins = now.getHours() * 60 + now.getMinutes();
+  const [from, to] = [time.from, time.to].map(t => Number(t.slice(0, 2)) * 60 + Number(t.slice(3)));
+  return from < to ? (mins >= from && mins < to) : (mins >= from || mins < to);
+}
+
+function policyRuleMatches(when, f, env) {
+  const tool   = env.catalog[f.key] || {};
+  const sev    = policyFindingSeverity(f);
+  const device = String(f.device || env.device).toLowerCase();
+  return (!when.tools       || when.tools.includes(f.key))
+      && (!when.roles       || when.roles.some(r => (tool.roles || []).includes(r)))
+      && (!when.severity    || when.severity.includes(sev))
+      && (!when.minSeverity || POLICY_SEVERITIES.indexOf(sev) >= POLICY_SEVERITIES.indexOf(when.minSeverity))
+      && (!when.phases      || when.phases.includes(f.phase || tool.phase))
+      && (!when.devices     || when.devices.some(d => d.toLowerCase() === device));
+}
+
+// Why a matching rule may not fire now (cooldown / rate limit), or null
+function policyThrottle(rule, fires, now) {
+  const times = fires.map(Date.parse).filter(Number.isFinite);
+  const last  = times.length ? Math.max(...times) : null;
+  if (rule.cooldownMinutes && last !== null && now - last < rule.cooldownMinutes * 60000) {
+    return `cooldown — last fired ${Math.round((now - last) / 60000)} min ago (${rule.cooldownMinutes} min cooldown)`;
+  }
+  if (rule.rateLimit) {
+    const recent = times.filter(t => now - t < rule.rateLimit.perMinutes * 60000).length;
+    if (recent >= rule.rateLimit.max) {
+      return `rate limit — fired ${recent} time(s) in the last ${rule.rateLimit.perMinutes} min (max ${rule.rateLimit.max})`;
+    }
+  }
+  return null;
+}
+
+// Fill {rule} {count} {tools} {severity} {device} {finding} in a notify message
+function policyMessage(template, rule, matched, env) {
+  const worst = matched.reduce((a, b) =>
+    (POLICY_SEVERITIES.indexOf(policyFindingSeverity(b)) > POLICY_SEVERITIES.indexOf(policyFindingSeverity(a)) ? b : a));
+  const values = {
+    rule:     rule.id,
+    count:    String(matched.length),
+    tools:    [...new Set(matched.map(f => f.tool || env.catalog[f.key]?.name || f.key))].join(', '),
+    severity: policyFindingSeverity(worst),
+    device:   env.device,
+    finding:  worst.message || worst.title || '',
+  };
+  return template.replace(/\{(\w+)\}/g, (m, k) => (k in values ? values[k] : m));
+}
+
+/**
+ * Decide what a policy does about a set of findings.
+ * env: { catalog, device, now }. Fires are recorded in state unless dryRun.
+ * Returns { fired: [{ rule, description, matched, findings }], throttled: [{ rule, reason, matched }],
+ *           defend: [{ key, name, rules }], notify: [{ rule, level, message }], warnings: [string] }
+ */
+function evaluatePolicy(policy, findings, env, state, dryRun = false) {
+  const now    = env.now || new Date();
+  const result = { fired: [], throttled: [], defend: [], notify: [], warnings: [] };
+  const defend = new Map();
+
+  for (const rule of policy.rules) {
+    if (rule.enabled === false || !policyInWindow(rule.when.time, now)) continue;
+    const matched = findings.filter(f => policyRuleMatches(rule.when, f, env));
+    if (matched.length === 0) continue;
+
+    const fires  = state.rules[rule.id]?.fires || [];
+    const reason = policyThrottle(rule, fires, now.getTime());
+    if (reason) {
+      result.throttled.push({ rule: rule.id, reason, matched: matched.length });
+      continue;
+    }
+    if (!dryRun) state.rules[rule.id] = { fires: [...fires, now.toISOString()].slice(-POLICY_FIRES_KEPT) };
+
+    result.fired.push({
+      rule:        rule.id,
+      description: rule.description || '',
+      matched:     matched.length,
+      findings:    matched.map(f => ({
+        key: f.key, tool: f.tool || env.catalog[f.key]?.name || f.key,
+        severity: policyFindingSeverity(f), message: f.message || f.title || '',
+      })),
+    });
+    for (const action of rule.then) {
+      if (action.action === 'notify') {
+        result.notify.push({ rule: rule.id, level: action.level || 'warning', message: policyMessage(action.message, rule, matched, env) });
+        continue;
+      }
+      const keys = Object.keys(env.catalog).filter(k => (action.tools || []).includes(k)
+        || (action.roles || []).some(r => (env.catalog[k].roles || []).includes(r)));
+      if (keys.length === 0) result.warnings.push(`Rule "${rule.id}": no installed tool matches its defend action`);
+      keys.forEach(k => {
+        const d = defend.get(k) || { key: k, name: env.catalog[k].name || k, rules: [] };
+        if (!d.rules.includes(rule.id)) d.rules.push(rule.id);
+        defend.set(k, d);
+      });
+    }
+  }
+  result.defend = [...defend.values()];
+  return result;
+}
+
+// Renderer-supplied tool catalog, reduced to the fields the engine reads
+function sanitizeCatalog(catalog) {
+  const out = {};
+  if (!isPlainObject(catalog)) return out;
+  for (const [key, t] of Object.entries(catalog)) {
+    if (!POLICY_TOOL_KEY_RE.test(key) || !isPlainObject(t)) continue;
+    out[key] = {
+      name:  String(t.name || key),
+      roles: isStringList(t.roles) ? t.roles : [],
+      phase: typeof t.phase === 'string' ? t.phase : null,
+    };
+  }
+  return out;
+}
+
+// Route a notify action through the alert sinks
+function dispatchPolicyNotify(n) {
+  return dispatchAlert({
+    severity:    POLICY_LEVEL_SEVERITY[n.level] || 'medium',
+    title:       n.message,
+    source:      'policy',
+    tool:        `rule:${n.rule}`,
+    fingerprint: `policy::${n.rule}::${n.message}`,
+  }).catch(e => console.warn('[alerts] policy notify not routed:', e.message));
+}
+
+// IPC: the policy file, its validation errors and rule fire state
+ipcMain.handle('policy-get', async () => {
+  return { success: true, path: POLICY_FILE, ...readPolicy(), state: readPolicyState() };
+});
+
+// IPC: validate policy text without saving. Returns { success, valid, errors }
+ipcMain.handle('policy-validate', async (event, text) => {
+  const { errors } = parsePolicy(String(text ?? ''));
+  return { success: true, valid: errors.length === 0, errors };
+});
+
+// IPC: save the policy (written as typed); empty text removes it
+ipcMain.handle('policy-save', async (event, text) => {
+  try {
+    text = String(text ?? '');
+    if (!text.trim()) {
+      fs.rmSync(POLICY_FILE, { force: true });
+      return { success: true, exists: false, errors: [] };
+    }
+    const { errors } = parsePolicy(text);
+    if (errors.length) return { success: false, error: `Policy has ${errors.length} error(s)`, errors };
+    fs.mkdirSync(path.dirname(POLICY_FILE), { recursive: true });
+    fs.writeFileSync(POLICY_FILE, text);
+    return { success: true, exists: true, errors: [] };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: dry-run a policy (the saved one, or unsaved text) against a recorded
+// scan from history or a list of findings. Nothing is recorded or executed.
+ipcMain.handle('policy-test', async (event, { text, scanId, findings, catalog, device } = {}) => {
+  try {
+    const { policy, errors } = text !== undefined ? parsePolicy(String(text)) : readPolicy();
+    if (!policy) return { success: false, error: errors.length ? `Policy has ${errors.length} error(s)` : 'No policy saved', errors };
+
+    let scan = null;
+    if (scanId !== undefined) {
+      if (!HISTORY_ID_RE.test(String(scanId)) || !String(scanId).startsWith('scan-')) return { success: false, error: 'Invalid scan ID' };
+      scan = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, `${scanId}.json`), 'utf8'));
+      findings = scan.findings;
+    }
+    if (!Array.isArray(findings)) return { success: false, error: 'A scan ID or findings list is required' };
+
+    const env = { catalog: sanitizeCatalog(catalog), device: String(device || os.hostname()), now: new Date() };
+    const evaluation = evaluatePolicy(policy, findings, env, readPolicyState(), true);
+    return {
+      success: true,
+      evaluation,
+      findings: findings.length,
+      scan: scan && { id: scan.id, startedAt: scan.startedAt, threatLevel: scan.threatLevel || null },
+    };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: evaluate the saved policy for a defend run and record the rules that
+// fired. Returns { success, active, errors, evaluation } — active is false when
+// there is no valid policy, in which case the built-in phases apply.
+ipcMain.handle('policy-evaluate', async (event, { findings, catalog } = {}) => {
+  try {
+    if (!policyTierAllowed()) return { success: false, error: 'Response policies require an Industrial license' };
+    const { exists, policy, errors } = readPolicy();
+    if (!policy) return { success: true, active: false, exists, errors };
+    const state = readPolicyState();
+    const env   = { catalog: sanitizeCatalog(catalog), device: os.hostname(), now: new Date() };
+    const evaluation = evaluatePolicy(policy, Array.isArray(findings) ? findings : [], env, state);
+    writePolicyState(state);
+    evaluation.notify.forEach(dispatchPolicyNotify);
+    return { success: true, active: true, exists, errors, evaluation };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Background monitor ────────────────────────────────────────────────────────
+// Monitoring runs here rather than in the renderer so it keeps going when the
+// window is closed and resumes after a restart (or at login, see
+// applyStartOnLogin). Each tool is re-checked with run-tool on its own
+// interval; only level changes are reported. The renderer reconnects with
+// monitor-status and receives live 'monitor-event' messages. With autonomous
+// set (Industrial) and a valid response policy, the policy decides what a new
+// threat triggers instead of the single-tool auto-defend.
+//
+//   ~/.kjer/monitor.json        config: { enabled, startOnLogin, autoDefend, autonomous,
+//                               defaultIntervalMin, tools: { key: { name, intervalMin } },
+//                               catalog: { key: { name, roles, phase } } }
+//   ~/.kjer/monitor-state.json  { startedAt, checks, tools: { key: { level, message,
+//                               checkedAt, nextDueAt } } }
+
+const MONITOR_CONFIG_FILE   = path.join(os.homedir(), '.kjer', 'monitor.json');
+const MONITOR_STATE_FILE    = path.join(os.homedir(), '.kjer', 'monitor-state.json');
+const MONITOR_TICK_MS       = 30 * 1000;   // how often due tools are looked for
+const MONITOR_TOOL_GAP_MS   = 200;         // pause between tools — gentle on CPU
+const MONITOR_EVENT_BUFFER  = 200;         // recent events replayed to a reconnecting window
+const MONITOR_MIN_INTERVAL  = 1;           // minutes
+const MONITOR_MAX_INTERVAL  = 24 * 60;
+const MONITOR_DEFEND_TIERS  = new Set(['enterprise', 'industrial']);
+const MONITOR_FLAGGED       = new Set(['critical', 'error', 'warning']);
+const MONITOR_LEVEL_RANK    = { success: 0, info: 1, warning: 2, error: 3, critical: 4 };
+// Normalized finding severity → finding level (matches SEVERITY_TO_LEVEL in app.js)
+const MONITOR_SEVERITY_LEVEL = { critical: 'critical', high: 'error', medium: 'warning', low: 'info', info: 'info' };
+
+const monitor = {
+  timer:   null,
+  busy:    false,
+  paused:  false,
+  config:  readMonitorConfig(),
+  state:   null,
+  events:  [],
+};
+
+function defaultMonitorConfig() {
+  return {
+    enabled: false, startOnLogin: false, autoDefend: false, autonomous: false,
+    defaultIntervalMin: 5, tools: {}, catalog: {},
+  };
+}
+
+function readMonitorConfig() {
+  try {
+    return { ...defaultMonitorConfig(), ...JSON.parse(fs.readFileSync(MONITOR_CONFIG_FILE, 'utf8')) };
+  } catch (_) {
+    return defaultMonitorConfig();
+  }
+}
+
+function writeMonitorConfig() {
+  fs.mkdirSync(path.dirname(MONITOR_CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(MONITOR_CONFIG_FILE, JSON.stringify(monitor.config, null, 2));
+}
+
+function readMonitorState() {
+  try {
+    const st = JSON.parse(fs.readFileSync(MONITOR_STATE_FILE, 'utf8'));
+    return { startedAt: st.startedAt || null, checks: st.checks || 0, tools: st.tools || {} };
+  } catch (_) {
+    return { startedAt: null, checks: 0, tools: {} };
+  }
+}
+
+function writeMonitorState() {
+  try {
+    fs.mkdirSync(path.dirname(MONITOR_STATE_FILE), { recursive: true });
+    fs.writeFileSync(MONITOR_STATE_FILE, JSON.stringify(monitor.state, null, 2));
+  } catch (e) {
+    console.warn('[monitor] state not saved:', e.message);
+  }
+}
+
+function clampInterval(min) {
+  if (min === null || min === undefined || min === '') return null;
+  const n = Math.round(Number(min));
+  return Number.isFinite(n) ? Math.min(MONITOR_MAX_INTERVAL, Math.max(MONITOR_MIN_INTERVAL, n)) : null;
+}
+
+function monitorIntervalMs(key) {
+  const tool = monitor.config.tools[key] || {};
+  return (clampInterval(tool.intervalMin) || clampInterval(monitor.config.defaultIntervalMin) || 5) * 60000;
+}
+
+function emitMonitorEvent(evt) {
+  const event = { at: new Date().toISOString(), ...evt };
+  monitor.events.push(event);
+  monitor.events.splice(0, monitor.events.length - MONITOR_EVENT_BUFFER);
+  const win = BrowserWindow.getAllWindows()[0];
+  if (win && !win.isDestroyed()) win.webContents.send('monitor-event', event);
+  if (SIEM_MONITOR_TYPES.has(event.type)) siemIngest([monitorSiemEvent(event)]);
+}
+
+function monitorStatus() {
+  return {
+    active: !!monitor.timer,
+    paused: monitor.paused,
+    config: monitor.config,
+    state:  monitor.state  || readMonitorState(),
+    events: monitor.events,
+  };
+}
+
+// Auto-defend needs the renderer's consent (canAutoDefend at start) and a
+// license session with an Enterprise+ tier — restored from the cached license
+// (refreshLicenseSession) when the monitor starts at login. Without one,
+// threats wait for approval.
+function monitorMayAutoDefend() {
+  if (!monitor.config.autoDefend) return false;
+  return authSession.authorized && MONITOR_DEFEND_TIERS.has(authSession.licenseType);
+}
+
+function runMonitorBackend(action, flags) {
+  const args = [path.join(APP_ROOT, 'lib', 'backend_api.py'), action, ...flags];
+  return runJob(PYTHON3_BIN, args, { timeout: 900000, tag: 'monitor', command: 'python3', args })
+    .then(r => {
+      if (r.cancelled || !r.stdout.trim()) return null;
+      try { return JSON.parse(r.stdout); } catch (_) { return null; }
+    });
+}
+
+// Same as _findingMessageHash in app.js
+function findingMessageHash(message) {
+  const text = String(message || '').replace(/ — ↻ recurring after defend:.*$/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// Flagged, unsuppressed findings of one run-tool result (empty when clean).
+// Fingerprints follow _suppressionFingerprint in app.js: "<tool>::<finding id>", or
+// "<tool>::msg-<message hash>" for a tool's single summary finding.
+function monitorOpenFindings(key, name, result) {
+  const now = Date.now();
+  const suppressed = new Set(readSuppressions()
+    .filter(e => !e.expiresAt || Date.parse(e.expiresAt) > now)
+    .map(e => e.fingerprint));
+  const phase  = monitor.config.catalog[key]?.phase || null;
+  const parsed = Array.isArray(result.findings) ? result.findings : [];
+  if (parsed.length > 0) {
+    return parsed
+      .filter(f => !suppressed.has(`${key}::${f.id}`))
+      .map(f => ({ key, tool: name, phase, severity: f.severity,
+                   level: MONITOR_SEVERITY_LEVEL[f.severity] || 'info', message: f.title || result.summary }))
+      .filter(f => MONITOR_FLAGGED.has(f.level));
+  }
+  const level   = result.finding_level;
+  const message = result.summary || 'Scan completed';
+  if (!MONITOR_FLAGGED.has(level) || suppressed.has(`${key}::msg-${findingMessageHash(message)}`)) return [];
+  return [{ key, tool: name, phase, level, message }];
+}
+
+// Policy that governs monitor response, or null (not autonomous, wrong tier, none saved or invalid)
+function monitorActivePolicy() {
+  if (!monitor.config.autonomous || !policyTierAllowed()) return null;
+  return readPolicy().policy;
+}
+
+// finding is the threat that triggered the defense — it may come from another
+// tool when a policy rule engages, say, av_remediate tools for a malware_scan finding.
+async function monitorAutoDefend(key, name, finding, rules = null) {
+  const startedAt = new Date();
+  const changeset = `cs-${startedAt.toISOString().replace(/[-:]/g, '').slice(0, 15).toLowerCase()}-${Math.random().toString(16).slice(2, 6).padEnd(4, '0')}`;
+  const r = await runMonitorBackend('defend-tool', ['--tool', key, '--changeset', changeset]);
+  if (!monitor.timer) return;
+  const summary = r?.success ? (r.summary || 'Defense applied') : (r?.error || 'Defense failed');
+  const level   = r?.success ? (r.level || 'success') : 'error';
+  emitMonitorEvent({ type: 'defended', tool: key, name, level, message: summary });
+  // Recorded like a GUI defend run so it can be reviewed and reverted from History
+  try {
+    saveHistoryRun({
+      kind:         'defend',
+      source:       'monitor',
+      startedAt,
+      completedAt:  new Date(),
+      durationMs:   Date.now() - startedAt.getTime(),
+      posture:      rules ? 'MONITOR POLICY RESPONSE' : 'MONITOR AUTO-DEFEND',
+      toolsEngaged: [name],
+      actionsTotal: 1,
+      findings:     [{ tool: finding.tool, key: finding.key, level: finding.level, message: finding.message }],
+      actions:      [{ type: 'result', tool: name, level, message: summary }],
+      changesetId:  r?.changeset || changeset,
+      ...(rules && { policy: { rules } }),
+    });
+  } catch (e) {
+    console.warn('[monitor] defend run not saved:', e.message);
+  }
+}
+
+// Apply the response policy to one tool's open findings
+async function monitorApplyPolicy(policy, key, name, open, worst, counts) {
+  const state = readPolicyState();
+  const env   = { catalog: monitor.config.catalog, device: os.hostname(), now: new Date() };
+  const ev    = evaluatePolicy(policy, open, env, state);
+  try {
+    writePolicyState(state);
+  } catch (e) {
+    console.warn('[monitor] policy state not saved:', e.message);
+  }
+  const policyEvent = (message, level = 'info') => emitMonitorEvent({ type: 'policy', tool: key, name, level, message });
+  ev.throttled.forEach(t => policyEvent(`Rule "${t.rule}" not applied — ${t.reason}`));
+  ev.warnings.forEach(w => policyEvent(w, 'warning'));
+  if (ev.fired.length === 0) {
+    if (ev.throttled.length === 0) policyEvent('No policy rule matched — no action taken');
+    return;
+  }
+  ev.fired.forEach(f => policyEvent(`Rule "${f.rule}" fired — ${f.matched} matching finding(s)`));
+  ev.notify.forEach(n => {
+    emitMonitorEvent({ type: 'notify', tool: key, name, level: n.level, message: n.message, rule: n.rule });
+    dispatchPolicyNotify(n);
+  });
+  for (const d of ev.defend) {
+    if (!monitor.timer) return;
+    await monitorAutoDefend(d.key, d.name, worst, d.rules);
+    counts.defended++;
+  }
+}
+
+// Check one tool; transitions are emitted and tallied into counts
+async function monitorCheckTool(key, counts) {
+  const name   = monitor.config.tools[key]?.name || key;
+  const result = await runMonitorBackend('run-tool', ['--tool', key]);
+  if (!monitor.timer) return;   // stopped while the tool was running
+
+  const entry = monitor.state.tools[key] || {};
+  entry.nextDueAt = new Date(Date.now() + monitorIntervalMs(key)).toISOString();
+  monitor.state.tools[key] = entry;
+  if (!result || !result.success) return;   // tool unavailable — keep the previous level
+
+  const open      = monitorOpenFindings(key, name, result);
+  const finding   = open.length === 0 ? null
+    : open.reduce((a, b) => (MONITOR_LEVEL_RANK[b.level] > MONITOR_LEVEL_RANK[a.level] ? b : a));
+  const newLevel  = finding ? finding.level : 'success';
+  const prevLevel = entry.level || null;
+  const wasClean  = !prevLevel || prevLevel === 'success';
+  entry.level     = newLevel;
+  entry.message   = finding ? finding.message : '';
+  entry.checkedAt = new Date().toISOString();
+  monitor.state.checks++;
+
+  if (finding && (wasClean || MONITOR_LEVEL_RANK[newLevel] > MONITOR_LEVEL_RANK[prevLevel])) {
+    emitMonitorEvent({ type: 'threat', tool: key, name, level: newLevel, message: finding.message, escalated: !wasClean });
+    dispatchAlert({
+      severity:    policyFindingSeverity(finding),
+      title:       `${name}: ${finding.message}`,
+      message:     wasClean ? 'New threat detected by the background monitor' : `Escalated from ${prevLevel} to ${newLevel}`,
+      tool:        name,
+      source:      'monitor',
+      fingerprint: `${key}::${finding.message}`,
+    }).catch(e => console.warn('[alerts] monitor alert not routed:', e.message));
+    counts.threats++;
+    const policy = monitorActivePolicy();
+    if (policy) {
+      await monitorApplyPolicy(policy, key, name, open, finding, counts);
+    } else if (monitorMayAutoDefend()) {
+      await monitorAutoDefend(key, name, finding);
+      counts.defended++;
+    } else {
+      emitMonitorEvent({ type: 'needs-approval', tool: key, name, level: 'info', message: finding.message });
+    }
+  } else if (!finding && !wasClean) {
+    emitMonitorEvent({ type: 'resolved', tool: key, name, level: 'success', message: 'Threat cleared — now clean' });
+    counts.resolved++;
+  }
+}
+
+async function monitorTick() {
+  if (monitor.busy || monitor.paused || !monitor.timer) return;
+  const now = Date.now();
+  const due = Object.keys(monitor.config.tools).filter(k => {
+    const next = monitor.state.tools[k]?.nextDueAt;
+    return !next || Date.parse(next) <= now;
+  });
+  if (due.length === 0) return;
+
+  monitor.busy = true;
+  const counts = { threats: 0, defended: 0, resolved: 0 };
+  try {
+    if (now - licenseCheckedAt > LICENSE_RECHECK_MS) await refreshLicenseSession();
+    for (let i = 0; i < due.length; i++) {
+      if (!monitor.timer || monitor.paused) break;
+      if (i > 0) await new Promise(res => setTimeout(res, MONITOR_TOOL_GAP_MS));
+      await monitorCheckTool(due[i], counts);
+    }
+  } finally {
+    monitor.busy = false;
+    if (monitor.state) writeMonitorState();
+  }
+  if (counts.threats > 0 || counts.resolved > 0) {
+    emitMonitorEvent({ type: 'cycle', checked: due.length, ...counts });
+  }
+}
+
+function startMonitor({ resume = false, skipFirstCheck = false } = {}) {
+  if (monitor.timer) return;
+  monitor.state = readMonitorState();
+  if (!resume) {
+    // Fresh start: forget previous levels. skipFirstCheck is used right after a
+    // full scan, whose results the renderer has already reported.
+    const now = Date.now();
+    monitor.state = { startedAt: new Date(now).toISOString(), checks: 0, tools: {} };
+    Object.keys(monitor.config.tools).forEach(k => {
+      monitor.state.tools[k] = { nextDueAt: new Date(skipFirstCheck ? now + monitorIntervalMs(k) : now).toISOString() };
+    });
+    writeMonitorState();
+  }
+  monitor.paused = false;
+  monitor.timer  = setInterval(monitorTick, MONITOR_TICK_MS);
+  emitMonitorEvent({ type: 'status', active: true, resumed: resume });
+  setImmediate(monitorTick);
+}
+
+// reason 'restart' marks a stop that is immediately followed by a fresh start —
+// the renderer does not treat it as the end of a monitor session
+function stopMonitor(reason = 'stopped') {
+  if (!monitor.timer) return;
+  clearInterval(monitor.timer);
+  monitor.timer = null;
+  jobs.forEach(job => { if (job.tag === 'monitor') cancelJob(job); });
+  writeMonitorState();
+  emitMonitorEvent({ type: 'status', active: false, reason, startedAt: monitor.state?.startedAt || null, checks: monitor.state?.checks || 0 });
+}
+
+// Linux has no login-item API — use an XDG autostart entry instead
+const AUTOSTART_FILE = path.join(os.homedir(), '.config', 'autostart', 'kjer-monitor.desktop');
+
+function applyStartOnLogin(enabled) {
+  if (process.platform !== 'linux') {
+    app.setLoginItemSettings({ openAtLogin: enabled, args: ['--background'] });
+    return;
+  }
+  if (!enabled) {
+    fs.rmSync(AUTOSTART_FILE, { force: true });
+    return;
+  }
+  const exec = (app.isPackaged ? [process.execPath] : [process.execPath, app.getAppPath()])
+    .map(p => `"${p}"`).join(' ');
+  fs.mkdirSync(path.dirname(AUTOSTART_FILE), { recursive: true });
+  fs.writeFileSync(AUTOSTART_FILE, [
+    '[Desktop Entry]',
+    'Type=Application',
+    'Name=Kjer Monitor',
+    'Comment=Kjer background threat monitor',
+    `Exec=${exec} --background`,
+    'Terminal=false',
+    'X-GNOME-Autostart-enabled=true',
+    '',
+  ].join('\n'));
+}
+
+// Merge renderer-supplied settings into the config (unknown keys ignored)
+function mergeMonitorConfig(patch = {}) {
+  const cfg = monitor.config;
+  if (patch.defaultIntervalMin !== undefined) cfg.defaultIntervalMin = clampInterval(patch.defaultIntervalMin) || cfg.defaultIntervalMin;
+  if (patch.autoDefend !== undefined)         cfg.autoDefend = !!patch.autoDefend;
+  if (patch.autonomous !== undefined)         cfg.autonomous = !!patch.autonomous;
+  if (patch.catalog !== undefined)            cfg.catalog = sanitizeCatalog(patch.catalog);
+  if (patch.tools && typeof patch.tools === 'object') {
+    const tools = {};
+    for (const [key, t] of Object.entries(patch.tools)) {
+      if (!/^[a-z0-9-]+$/.test(key)) continue;
+      const prev = cfg.tools[key] || {};
+      tools[key] = {
+        name:        String(t?.name || prev.name || key),
+        intervalMin: t?.intervalMin === null ? null : (clampInterval(t?.intervalMin ?? prev.intervalMin) || null),
+      };
+    }
+    cfg.tools = tools;
+  }
+  if (patch.startOnLogin !== undefined && !!patch.startOnLogin !== cfg.startOnLogin) {
+    cfg.startOnLogin = !!patch.startOnLogin;
+    applyStartOnLogin(cfg.startOnLogin);
+  }
+}
+
+// IPC: current monitor state for a (re)connecting window
+ipcMain.handle('monitor-status', async () => {
+  return { success: true, ...monitorStatus() };
+});
+
+// IPC: start (or reconfigure and restart) the background monitor
+ipcMain.handle('monitor-start', async (event, options = {}) => {
+  try {
+    mergeMonitorConfig(options);
+    if (Object.keys(monitor.config.tools).length === 0) return { success: false, error: 'No tools to monitor' };
+    monitor.config.enabled = true;
+    writeMonitorConfig();
+    // Already running (e.g. after a full Run): restart from the new baseline
+    if (monitor.timer) stopMonitor('restart');
+    startMonitor({ skipFirstCheck: !!options.skipFirstCheck });
+    return { success: true, ...monitorStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: stop the monitor and keep it stopped across restarts
+ipcMain.handle('monitor-stop', async () => {
+  try {
+    monitor.config.enabled = false;
+    writeMonitorConfig();
+    stopMonitor();
+    return { success: true, ...monitorStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// IPC: suspend checks while a full Run is in progress (state is kept)
+ipcMain.handle('monitor-pause', async (event, paused) => {
+  monitor.paused = !!paused;
+  if (monitor.paused) jobs.forEach(job => { if (job.tag === 'monitor') cancelJob(job); });
+  return { success: true, paused: monitor.paused };
+});
+
+// IPC: change intervals / start-on-login without starting or stopping
+ipcMain.handle('monitor-configure', async (event, patch) => {
+  try {
+    mergeMonitorConfig(patch);
+    writeMonitorConfig();
+    // New intervals apply from each tool's last check, not after the old one elapses
+    if (monitor.state) {
+      for (const [key, st] of Object.entries(monitor.state.tools)) {
+        if (st.checkedAt) st.nextDueAt = new Date(Date.parse(st.checkedAt) + monitorIntervalMs(key)).toISOString();
+      }
+      writeMonitorState();
+    }
+    return { success: true, ...monitorStatus() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// ── Post-initialization setup ─────────────────────────────────────────────────
+// Fixed command sequences run by the main process itself (the renderer can no
+// longer run shell snippets through execute-command).
+
+function findOnPath(name) {
+  const exts = process.platform === 'win32' ? ['.exe', '.cmd', ''] : [''];
+  for (const dir of (EXEC_ENV.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const ext of exts) {
+      const candidate = path.join(dir, name + ext);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function runFixed(file, args, { cwd, timeout = 600000 } = {}) {
+  return new Promise((resolve) => {
+    execFile(file, args, { cwd, timeout, env: EXEC_ENV, maxBuffer: 8 * 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({ stdout: stdout || '', stderr: stderr || '', code: error ? (error.code || 1) : 0 });
+    });
+  });
+}
+
+const NODE_INSTALL_CMDS = {
+  'apt-get': 'apt-get update -qq && apt-get install -y nodejs npm',
+  dnf:       'dnf install -y nodejs npm',
+  pacman:    'pacman -S --noconfirm nodejs npm',
+  zypper:    'zypper install -y nodejs npm',
+};
+
+// IPC: make sure desktop/node_modules/electron exists so `kjer --gui` works
+// from a terminal. Installs Node.js first when npm is missing.
+// Returns { success, status: 'present'|'installed'|'unverified'|'no-node', nodeVia?, message? }
+ipcMain.handle('setup-electron-runtime', async () => {
+  const desktopDir = __dirname;
+  if (fs.existsSync(path.join(desktopDir, 'node_modules', 'electron'))) {
+    return { success: true, status: 'present' };
+  }
+
+  let nodeVia = '';
+  if (!findOnPath('npm')) {
+    if (process.platform === 'linux') {
+      const pm = Object.keys(NODE_INSTALL_CMDS).find(findOnPath);
+      if (!pm) return { success: false, status: 'no-node', message: 'Cannot auto-install Node.js — unknown Linux distro. Run: sudo apt install nodejs npm' };
+      await runFixed('pkexec', ['sh', '-c', NODE_INSTALL_CMDS[pm]]);
+      nodeVia = pm === 'apt-get' ? 'apt' : pm;
+    } else if (process.platform === 'darwin') {
+      if (!findOnPath('brew')) return { success: false, status: 'no-node', message: 'Homebrew not found — install Node.js from https://nodejs.org' };
+      await runFixed('brew', ['install', 'node']);
+      nodeVia = 'Homebrew';
+    } else if (process.platform === 'win32') {
+      await runFixed('winget', ['install', 'OpenJS.NodeJS.LTS', '--accept-package-agreements', '--accept-source-agreements', '--silent']);
+      nodeVia = 'winget';
+    }
+  }
+
+  const npm = findOnPath('npm') || 'npm';
+  const result = await runFixed(npm, ['install'], { cwd: desktopDir });
+  const installed = result.code === 0 || fs.existsSync(path.join(desktopDir, 'node_modules', 'electron'));
+  return { success: installed, status: installed ? 'installed' : 'unverified', nodeVia };
+});
+
+// IPC: register the `kjer` CLI command on PATH.
+// Linux/macOS: symlink in ~/.local/bin (no sudo), falling back to /usr/local/bin via pkexec.
+// Windows: the installer registers it — only report whether it is present.
+// Returns { success, status: 'present'|'linked'|'missing'|'failed', path? }
+ipcMain.handle('register-cli', async () => {
+  if (findOnPath('kjer')) return { success: true, status: 'present' };
+  if (process.platform === 'win32') return { success: false, status: 'missing' };
+
+  const cliScript  = path.join(APP_ROOT, 'scripts', 'kjer-cli.py');
+  const localBin   = path.join(os.homedir(), '.local', 'bin');
+  const linkTarget = path.join(localBin, 'kjer');
+  try {
+    fs.chmodSync(cliScript, 0o755);
+    fs.mkdirSync(localBin, { recursive: true });
+    fs.rmSync(linkTarget, { force: true });
+    fs.symlinkSync(cliScript, linkTarget);
+    return { success: true, status: 'linked', path: linkTarget };
+  } catch (_) { /* fall through to system-wide link */ }
+
+  // Prompts for an admin password
+  const pk = await runFixed('pkexec', ['ln', '-sf', cliScript, '/usr/local/bin/kjer']);
+  return pk.code === 0
+    ? { success: true, status: 'linked', path: '/usr/local/bin/kjer' }
+    : { success: false, status: 'failed' };
+});
+
+// ── Kjer Peer Server (device connection approval) ───────────────────────────
+// Listens on KJER_PEER_PORT so other Kjer devices can send connection requests
+// and receive approval/denial responses.
+const KJER_PEER_PORT = 47392;
+const _pendingIncomingRequests = []; // { requestId, requesterName, requesterIP, timestamp }
+
+const peerServer = http.createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    return;
+  }
+  let body = '';
+  req.on('data', chunk => { body += chunk.slice(0, 4096); }); // cap at 4 KB
+  req.on('end', () => {
+    try {
+      const data = JSON.parse(body);
+
+      if (req.url === '/connection-request') {
+        // Validate required fields — do not trust remote input beyond basic checks
+        const requestId     = String(data.requestId     || Date.now()).slice(0, 64);
+        const requesterName = String(data.requesterName || 'Unknown').slice(0, 128);
+        const requesterIP   = String(data.requesterIP   || req.socket.remoteAddress || '').slice(0, 45);
+        const entry = { requestId, requesterName, requesterIP, timestamp: new Date().toISOString() };
+        _pendingIncomingRequests.push(entry);
+        const wins = BrowserWindow.getAllWindows();
+        if (wins.length > 0) wins[0].webContents.send('kjer-connection-request', entry);
+        res.writeHead(200);
+        res.end(JSON.stringify({ received: true, requestId }));
+
+      } else if (req.url === '/connection-response') {
+        const payload = {
+          requestId:    String(data.requestId    || '').slice(0, 64),
+          approved:     Boolean(data.approved),
+          approverName: String(data.approverName || 'Unknown').slice(0, 128),
+        };
+        const wins = BrowserWindow.getAllWindows();
+        if (wins.length > 0) wins[0].webContents.send('kjer-connection-response', payload);
+        res.writeHead(200);
+        res.end(JSON.stringify({ received: true }));
+
+      } else {
+        res.writeHead(404);
+        res.end(JSON.stringify({ error: 'Not found' }));
+      }
+    } catch (e) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    }
+  });
+});
+peerServer.on('error', e => console.warn(`Kjer peer server: ${e.message}`));
+peerServer.listen(KJER_PEER_PORT, '0.0.0.0');
+
+// IPC: POST a connection request to a remote Kjer device
+ipcMain.handle('send-connection-request', async (event, { targetIP, requestId, requesterName, requesterIP }) => {
+  return new Promise((resolve) => {
+    const body = JSON.stringify({ requestId, requesterName, requesterIP });
+    const req  = http.request({
+      hostname: targetIP, port: KJER_PEER_PORT,
+      path: '/connection-request', method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: 5000,
+    }, (res) => {
+      let d = ''; res.on('data', c => { d += c; }); res.on('end', () => resolve({ success: true }));
+    });
+    req.on('error',   e  => resolve({ success: false, error: e.message }));
+    req.on('timeout', () => { req.destroy(); resolve({ success: false, error: 'timeout' }); });
+    req.write(body); req.end();
+  });
+});
+
+// IPC: POST approval/denial back to the requesting device
+ipcMain.handle('send-connection-response', async (event, { targetIP, requestId, approved, approverName }) => {
+  return new Promise((resolve) => {
+    const body = JSON.stringify({ requestId, approved, approverName });
+    const req  = http.request({
+      hostname: targetIP, port: KJER_PEER_PORT,
+      path: '/connection-response', method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: 5000,
+    }, (res) => {
+      let d = ''; res.on('data', c => { d += c; }); res.on('end', () => resolve({ success: true }));
+    });
+    req.on('error',   e  => resolve({ success: false, error: e.message }));
+    req.on('timeout', () => { req.destroy(); resolve({ success: false, error: 'timeout' }); });
+    req.write(body); req.end();
+  });
+});
+
+// IPC: return all pending incoming requests (for renderer startup catch-up)
+ipcMain.handle('get-pending-requests', async () => [..._pendingIncomingRequests]);
+
+// IPC: clear a handled pending request
+ipcMain.handle('clear-pending-request', async (event, requestId) => {
+  const idx = _pendingIncomingRequests.findIndex(r => r.requestId === requestId);
+  if (idx !== -1) _pendingIncomingRequests.splice(idx, 1);
+  return { success: true };
+});
+// ─────────────────────────────────────────────────────────────────────────────
+
+// One instance owns the background monitor; a second launch (e.g. from the
+// menu while the monitor runs windowless) just brings up the window.
+if (!app.requestSingleInstanceLock()) {
+  app.quit();
+} else {
+  app.on('second-instance', () => {
+    const win = BrowserWindow.getAllWindows()[0];
+    if (!win) { createWindow(); return; }
+    if (win.isMinimized()) win.restore();
+    win.focus();
+  });
+
+  app.whenReady().then(async () => {
+    scheduleAlertRetry();   // deliveries still queued from the last session
+    scheduleSiemFlush();    // SIEM events buffered while offline
+    // Resume monitoring where the previous session left off, gated on the cached license
+    if (monitor.config.enabled && Object.keys(monitor.config.tools).length > 0) {
+      await refreshLicenseSession();
+      startMonitor({ resume: true });
+    }
+    // Launched at login: stay windowless while the monitor runs
+    if (!(process.argv.includes('--background') && monitor.timer)) createWindow();
+  });
+}
+
+// Signal renderer to auto-save log before quitting
 let _autoSaveTriggered = false;
 app.on('before-quit', (e) => {
   if (!_autoSaveTriggered) {
@@ -462,13 +3636,21 @@ app.on('before-quit', (e) => {
     if (wins.length > 0) {
       wins[0].webContents.send('app-before-quit');
     }
+    // Job children run in their own process groups and would outlive the app
+    if (monitor.timer) {
+      clearInterval(monitor.timer);
+      monitor.timer = null;
+      writeMonitorState();   // config.enabled stays set — resumed on next launch
+    }
+    jobs.forEach(cancelJob);
     // Allow up to 1.5s for renderer to save, then force quit
     setTimeout(() => app.quit(), 1500);
   }
 });
 
 app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
+  // The monitor keeps running without a window; relaunching reconnects to it
+  if (process.platform !== 'darwin' && !monitor.timer) {
     app.quit();
   }
 });
@@ -22,13 +22,67 @@ try {
 
 contextBridge.exposeInMainWorld('electronAPI', {
     /**
-     * Run a system command via the main process.
-     * @param {string} command - e.g. 'python3', 'bash', 'powershell'
-     * @param {string[]} args   - arguments to pass
-     * @returns {Promise<{stdout:string, stderr:string, code:number}>}
+     * Run a system command via the main process. The command and its argv are
+     * checked against the main-process allow-list; rejected calls resolve with
+     * code 126 and { rejected: true } without spawning anything.
+     * @param {string} command - e.g. 'python3', 'nmap' or an installed tool binary
+     * @param {string[]} args   - arguments to pass (never shell-interpreted)
+     * @param {{tag?:string}} [options] - tag groups the job for cancelJobs()
+     * @returns {Promise<{stdout:string, stderr:string, code:number, cancelled?:boolean, rejected?:boolean}>}
      */
-    executeCommand: (command, args) =>
-        ipcRenderer.invoke('execute-command', command, args),
+    executeCommand: (command, args, options = {}) =>
+        ipcRenderer.invoke('execute-command', command, args, options),
+
+    /**
+     * Run a system command and receive its output line by line while it runs.
+     * Resolves with the same result shape as executeCommand once it exits.
+     * @param {string} command
+     * @param {string[]} args
+     * @param {{onLine?:(stream:string, line:string)=>void,
+     *          onProgress?:(event:{stage:string, message:string, tool?:string,
+     *                               current?:number, total?:number, percent?:number})=>void}} handlers
+     * @param {{tag?:string}} [options] - tag groups the job for cancelJobs()
+     * @returns {Promise<{stdout:string, stderr:string, code:number, cancelled?:boolean}>}
+     */
+    executeCommandStream: (command, args, handlers = {}, options = {}) => {
+        const streamId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        const listener = (_event, msg) => {
+            if (!msg || msg.streamId !== streamId) return;
+            if (msg.type === 'progress' && handlers.onProgress) handlers.onProgress(msg.data);
+            else if (msg.type === 'line' && handlers.onLine) handlers.onLine(msg.stream, msg.line);
+        };
+        ipcRenderer.on('command-stream', listener);
+        return ipcRenderer.invoke('execute-command-stream', streamId, command, args, options)
+            .finally(() => ipcRenderer.removeListener('command-stream', listener));
+    },
+
+    /**
+     * List subprocesses currently running on behalf of the renderer.
+     * @returns {Promise<Array<{id:number, command:string, action:string, tool:string,
+     *                          tag:string, pid:number, startedAt:string, cancelled:boolean}>>}
+     */
+    listJobs: () =>
+        ipcRenderer.invoke('list-jobs'),
+
+    /**
+     * Cancel one job: SIGTERM to its process group, SIGKILL after a grace period.
+     * @param {number} jobId
+     * @returns {Promise<{success:boolean, job?:object, error?:string}>}
+     */
+    cancelJob: (jobId) =>
+        ipcRenderer.invoke('cancel-job', jobId),
+
+    /**
+     * Cancel every running job started with the given tag.
+     * @param {string} tag
+     * @returns {Promise<{success:boolean, cancelled:number}>}
+     */
+    cancelJobs: (tag) =>
+        ipcRenderer.invoke('cancel-jobs', tag),
+
+    /** Listen for job lifecycle events: { event: 'started'|'finished'|'cancelled', job }. */
+    onJobUpdate: (callback) =>
+        ipcRenderer.on('job-update', (_event, data) => callback(data)),
 
     /**
      * Get the Kjer root directory (parent of the desktop/ folder).
@@ -72,6 +126,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
     readSystemAnalysis: () =>
         ipcRenderer.invoke('read-system-analysis'),
 
+    /**
+     * Load db/defensive-tools-db.yaml, validated. tools maps each tool key to its
+     * YAML entry plus { category }; rejected lists entries that failed
+     * validation as { key, category, errors }.
+     * @returns {Promise<{success:boolean, tools?:object, profiles?:object, rejected?:object[], error?:string}>}
+     */
+    loadToolsDatabase: () =>
+        ipcRenderer.invoke('tools-database'),
+
+    /**
+     * Check which system components (gui.requires / gui.conflicts names such as
+     * java, libpcap or firewalld) are present on this host.
+     * @param {string[]} names
+     * @returns {Promise<{success:boolean, components?:Object<string,{label:string, present:boolean|null}>, error?:string}>}
+     */
+    probeComponents: (names) =>
+        ipcRenderer.invoke('probe-components', names),
+
+    /**
+     * Validate a version feed (JSON text) and save it as ~/.kjer/tool-versions.json.
+     * @param {string} text
+     * @returns {Promise<{success:boolean, updated?:string, tools?:number, error?:string, errors?:string[]}>}
+     */
+    saveVersionFeed: (text) =>
+        ipcRenderer.invoke('save-version-feed', text),
+
     /**
      * Get real disk usage for the root/system drive.
      * Returns { success, total_disk_gb, avail_disk_gb }
@@ -153,6 +233,399 @@ contextBridge.exposeInMainWorld('electronAPI', {
     writeFile: (filePath, content) =>
         ipcRenderer.invoke('write-file', filePath, content),
 
+    /**
+     * Render report HTML to a PDF in a hidden window and write it to disk.
+     * Supports ~ for home directory.
+     * @param {string} filePath - destination path (may start with ~)
+     * @param {string} html     - self-contained print HTML (scripts are not run)
+     * @param {{pageSize?:'A4'|'Letter'|'Legal', landscape?:boolean, footer?:string}} [options]
+     * @returns {Promise<{success:boolean, filePath?:string, bytes?:number, error?:string}>}
+     */
+    writePdf: (filePath, html, options) =>
+        ipcRenderer.invoke('write-pdf', filePath, html, options),
+
+    /**
+     * Persist a completed scan or defend run to ~/.kjer/history/.
+     * @param {{kind:'scan'|'defend', startedAt, completedAt, durationMs, ...}} run
+     * @returns {Promise<{success:boolean, id?:string, error?:string}>}
+     */
+    saveHistoryRun: (run) =>
+        ipcRenderer.invoke('history-save', run),
+
+    /**
+     * List stored runs, newest first (summaries only — no findings/actions).
+     * @returns {Promise<{success:boolean, runs:Array<{id, kind, startedAt, completedAt,
+     *          durationMs, threatLevel, posture, counts, findings, actionsTotal, scanId}>}>}
+     */
+    listHistory: () =>
+        ipcRenderer.invoke('history-list'),
+
+    /**
+     * Load one full run record.
+     * @param {string} id
+     * @returns {Promise<{success:boolean, run?:object, error?:string}>}
+     */
+    getHistoryRun: (id) =>
+        ipcRenderer.invoke('history-get', id),
+
+    /**
+     * Delete one stored run.
+     * @param {string} id
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    deleteHistoryRun: (id) =>
+        ipcRenderer.invoke('history-delete', id),
+
+    /**
+     * List suppressed findings from ~/.kjer/suppressions.json (expired ones included).
+     * @returns {Promise<{success:boolean, entries:Array<{fingerprint, tool, title,
+     *          kind:'accepted-risk'|'false-positive', reason, owner, expiresAt, createdAt}>}>}
+     */
+    listSuppressions: () =>
+        ipcRenderer.invoke('suppressions-list'),
+
+    /**
+     * Mark a finding fingerprint as accepted risk or false positive.
+     * @param {{fingerprint:string, tool?:string, title?:string,
+     *          kind:'accepted-risk'|'false-positive', reason:string, owner?:string, expiresAt?:string}} entry
+     * @returns {Promise<{success:boolean, entry?:object, error?:string}>}
+     */
+    saveSuppression: (entry) =>
+        ipcRenderer.invoke('suppression-save', entry),
+
+    /**
+     * Remove the suppression for a fingerprint.
+     * @param {string} fingerprint
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    removeSuppression: (fingerprint) =>
+        ipcRenderer.invoke('suppression-remove', fingerprint),
+
+    /**
+     * List scan schedules from ~/.kjer/schedules.json.
+     * @returns {Promise<{success:boolean, schedules:Array<{id, name, cron, preset, tools:string[],
+     *          phases:string[], missedPolicy:'run-once'|'skip', enabled:boolean,
+     *          nextRunAt, lastRunAt, runs:object[], createdAt}>}>}
+     */
+    listSchedules: () =>
+        ipcRenderer.invoke('schedules-list'),
+
+    /**
+     * Add or replace a scan schedule (matched by id).
+     * @param {{id:string, name:string, cron:string, tools?:string[], phases?:string[],
+     *          missedPolicy:'run-once'|'skip', enabled?:boolean, nextRunAt?:string, runs?:object[]}} schedule
+     * @returns {Promise<{success:boolean, schedule?:object, error?:string}>}
+     */
+    saveSchedule: (schedule) =>
+        ipcRenderer.invoke('schedule-save', schedule),
+
+    /**
+     * Delete a scan schedule.
+     * @param {string} id
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    removeSchedule: (id) =>
+        ipcRenderer.invoke('schedule-remove', id),
+
+    /**
+     * Report presets: named report wizard settings.
+     * @returns {Promise<{success:boolean, presets:Array<{id, name, sections:Object<string,boolean>,
+     *          frameworks:string[], format, pathPattern, title, audience:'executive'|'technical',
+     *          template:string|null, updatedAt}>}>}
+     */
+    listReportPresets: () =>
+        ipcRenderer.invoke('report-presets-list'),
+
+    /**
+     * Add or replace a report preset (matched by id).
+     * @param {object} preset  same shape as listReportPresets entries
+     * @returns {Promise<{success:boolean, presets?:object[], error?:string}>}
+     */
+    saveReportPreset: (preset) =>
+        ipcRenderer.invoke('report-preset-save', preset),
+
+    /**
+     * Delete a report preset.
+     * @param {string} id
+     * @returns {Promise<{success:boolean, presets?:object[], error?:string}>}
+     */
+    removeReportPreset: (id) =>
+        ipcRenderer.invoke('report-preset-remove', id),
+
+    /**
+     * User report templates in ~/.kjer/report-templates.
+     * @returns {Promise<{success:boolean, templates?:Array<{ref, name, format:'html'|'md', size, updatedAt}>, error?:string}>}
+     */
+    listReportTemplates: () =>
+        ipcRenderer.invoke('report-templates-list'),
+
+    /**
+     * Source of one template.
+     * @param {string} ref  "<name>.<html|md>"
+     * @returns {Promise<{success:boolean, ref?:string, format?:string, text?:string, error?:string}>}
+     */
+    getReportTemplate: (ref) =>
+        ipcRenderer.invoke('report-template-get', ref),
+
+    /**
+     * Create or overwrite a template.
+     * @param {{name:string, format:'html'|'md', text:string}} template
+     * @returns {Promise<{success:boolean, ref?:string, error?:string}>}
+     */
+    saveReportTemplate: (template) =>
+        ipcRenderer.invoke('report-template-save', template),
+
+    /**
+     * Delete a template.
+     * @param {string} ref
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    removeReportTemplate: (ref) =>
+        ipcRenderer.invoke('report-template-remove', ref),
+
+    /**
+     * Alert routing: configured sinks, the available sink types and the retry
+     * queue (pending deliveries and the recent failures given up on).
+     * @returns {Promise<{success:boolean, sinks:object[], types:Object<string,string>,
+     *          queue:{pending:object[], failed:object[]}}>}
+     */
+    getAlertsStatus: () =>
+        ipcRenderer.invoke('alerts-status'),
+
+    /**
+     * Add or replace an alert sink (matched by id).
+     * @param {{id:string, type:'webhook'|'syslog'|'smtp'|'desktop', name:string, enabled?:boolean,
+     *          minSeverity:'info'|'low'|'medium'|'high'|'critical', dedupeMinutes:number}} sink
+     *        plus the type's options — webhook: url, headers; syslog: host, port, protocol, facility;
+     *        smtp: host, port, secure, from, to[]
+     * @returns {Promise<{success:boolean, sink?:object, sinks?:object[], error?:string}>}
+     */
+    saveAlertSink: (sink) =>
+        ipcRenderer.invoke('alert-sink-save', sink),
+
+    /**
+     * Delete an alert sink and its queued deliveries.
+     * @param {string} id
+     * @returns {Promise<{success:boolean, sinks?:object[], error?:string}>}
+     */
+    removeAlertSink: (id) =>
+        ipcRenderer.invoke('alert-sink-remove', id),
+
+    /**
+     * Send a test alert straight to a sink, bypassing threshold, dedupe and retry.
+     * @param {object} sink  same shape as saveAlertSink
+     * @returns {Promise<{success:boolean, result?:string, error?:string}>}
+     */
+    testAlertSink: (sink) =>
+        ipcRenderer.invoke('alert-sink-test', sink),
+
+    /**
+     * Route one or more alerts to every matching sink.
+     * @param {{severity:string, title:string, message?:string, tool?:string, source?:string,
+     *          fingerprint?:string}|object[]} alerts
+     * @returns {Promise<{success:boolean, delivered?:number, queued?:number, skipped?:number,
+     *          failed?:number, error?:string}>}
+     */
+    dispatchAlerts: (alerts) =>
+        ipcRenderer.invoke('alert-dispatch', alerts),
+
+    /**
+     * Drop all queued retries and the failure log.
+     * @returns {Promise<{success:boolean}>}
+     */
+    clearAlertQueue: () =>
+        ipcRenderer.invoke('alert-queue-clear'),
+
+    /**
+     * Report jobs: reports written after a scan, on a cron schedule or when a
+     * monitor session ends, from a report preset.
+     * @returns {Promise<{success:boolean, jobs:Array<{id, name, enabled:boolean, presetId,
+     *          trigger:'scan'|'cron'|'monitor-end', scanSource:'any'|'schedule'|'manual'|null,
+     *          cron:string|null, directory, keepReports:number, keepDays:number, sinkId:string|null,
+     *          nextRunAt, lastRunAt, runs:object[], createdAt}>}>}
+     */
+    listReportJobs: () =>
+        ipcRenderer.invoke('report-jobs-list'),
+
+    /**
+     * Add or replace a report job (matched by id).
+     * @param {object} job  same shape as listReportJobs entries
+     * @returns {Promise<{success:boolean, job?:object, error?:string}>}
+     */
+    saveReportJob: (job) =>
+        ipcRenderer.invoke('report-job-save', job),
+
+    /**
+     * Delete a report job. Reports it already wrote are kept.
+     * @param {string} id
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    removeReportJob: (id) =>
+        ipcRenderer.invoke('report-job-remove', id),
+
+    /**
+     * A job's report was written: apply the job's retention limits and send
+     * the file to its alert sink.
+     * @param {{id:string, file:string, severity?:string, summary?:string}} report
+     * @returns {Promise<{success:boolean, file?:string, pruned?:number,
+     *          delivery?:null|'delivered'|'queued'|'failed'|'skipped', error?:string}>}
+     */
+    deliverReportJob: (report) =>
+        ipcRenderer.invoke('report-job-deliver', report),
+
+    /**
+     * SIEM destinations (~/.kjer/siem.json) with buffered/sent counts and last error.
+     * @returns {Promise<{success:boolean, destinations:object[], targets:object, formats:object}>}
+     */
+    getSiemStatus: () =>
+        ipcRenderer.invoke('siem-status'),
+
+    /**
+     * Add or replace a SIEM destination.
+     * @param {{id:string, name:string, enabled:boolean, type:'splunk-hec'|'elastic-bulk',
+     *          format:'cef'|'leef'|'ecs', url:string, token?:string, index?:string,
+     *          apiKey?:string, username?:string, password?:string, batchSize:number,
+     *          flushSeconds:number, insecureTls?:boolean}} dest
+     * @returns {Promise<{success:boolean, destinations?:object[], error?:string}>}
+     */
+    saveSiemDestination: (dest) =>
+        ipcRenderer.invoke('siem-destination-save', dest),
+
+    /**
+     * Delete a SIEM destination and its buffered events.
+     * @param {string} id
+     * @returns {Promise<{success:boolean, destinations?:object[], error?:string}>}
+     */
+    removeSiemDestination: (id) =>
+        ipcRenderer.invoke('siem-destination-remove', id),
+
+    /**
+     * Send one test event straight to a destination.
+     * @param {object} dest  same shape as saveSiemDestination
+     * @returns {Promise<{success:boolean, payload?:string|object, result?:string, error?:string}>}
+     */
+    testSiemDestination: (dest) =>
+        ipcRenderer.invoke('siem-test', dest),
+
+    /**
+     * Buffer findings / defend actions for every enabled SIEM destination.
+     * @param {{kind:'finding'|'action', severity:string, title:string, message?:string,
+     *          tool?:string, key?:string, phase?:string, action?:string, outcome?:string,
+     *          fingerprint?:string, scanId?:string, changesetId?:string,
+     *          provenance?:string}|object[]} events
+     * @returns {Promise<{success:boolean, accepted?:number, error?:string}>}
+     */
+    ingestSiemEvents: (events) =>
+        ipcRenderer.invoke('siem-ingest', events),
+
+    /**
+     * Ship buffered events now instead of waiting for the batch/flush interval.
+     * @param {string} [id]  one destination; all when omitted
+     * @returns {Promise<{success:boolean, destinations?:object[], error?:string}>}
+     */
+    flushSiem: (id) =>
+        ipcRenderer.invoke('siem-flush', id),
+
+    /**
+     * Read ~/.kjer/policy.json (Industrial response policy) with its
+     * validation errors and per-rule fire history.
+     * @returns {Promise<{success:boolean, path:string, exists:boolean, text:string,
+     *          policy:object|null, errors:string[], state:{rules:Object<string,{fires:string[]}>}}>}
+     */
+    getPolicy: () =>
+        ipcRenderer.invoke('policy-get'),
+
+    /**
+     * Validate policy JSON text without saving it.
+     * @param {string} text
+     * @returns {Promise<{success:boolean, valid:boolean, errors:string[]}>}
+     */
+    validatePolicy: (text) =>
+        ipcRenderer.invoke('policy-validate', text),
+
+    /**
+     * Save the response policy. Rejected with errors when invalid; empty text
+     * removes the policy file.
+     * @param {string} text
+     * @returns {Promise<{success:boolean, exists?:boolean, errors?:string[], error?:string}>}
+     */
+    savePolicy: (text) =>
+        ipcRenderer.invoke('policy-save', text),
+
+    /**
+     * Dry-run a policy against a recorded scan (or findings) — nothing is
+     * executed and no rate-limit state is recorded.
+     * @param {{text?:string, scanId?:string, findings?:object[],
+     *          catalog:Object<string,{name:string, roles:string[], phase:string|null}>, device?:string}} options
+     * @returns {Promise<{success:boolean, evaluation?:object, findings?:number, scan?:object,
+     *          errors?:string[], error?:string}>}
+     */
+    testPolicy: (options) =>
+        ipcRenderer.invoke('policy-test', options),
+
+    /**
+     * Evaluate the saved policy for a defend run and record the rules that fired.
+     * @param {{findings:object[], catalog:Object<string,{name:string, roles:string[], phase:string|null}>}} options
+     * @returns {Promise<{success:boolean, active?:boolean, errors?:string[],
+     *          evaluation?:{fired:object[], throttled:object[], defend:object[], notify:object[], warnings:string[]},
+     *          error?:string}>}
+     */
+    evaluatePolicy: (options) =>
+        ipcRenderer.invoke('policy-evaluate', options),
+
+    /**
+     * Start the background monitor in the main process. It keeps running when
+     * the window closes and resumes after a restart until monitorStop().
+     * @param {{tools?:Object<string,{name:string, intervalMin?:number|null}>,
+     *          defaultIntervalMin?:number, autoDefend?:boolean, startOnLogin?:boolean,
+     *          autonomous?:boolean, catalog?:Object<string,{name:string, roles:string[], phase:string|null}>,
+     *          skipFirstCheck?:boolean}} options
+     * @returns {Promise<{success:boolean, active?:boolean, paused?:boolean, config?:object,
+     *          state?:object, events?:object[], error?:string}>}
+     */
+    monitorStart: (options) =>
+        ipcRenderer.invoke('monitor-start', options),
+
+    /**
+     * Stop the background monitor (and keep it stopped on the next launch).
+     * @returns {Promise<{success:boolean, active?:boolean, error?:string}>}
+     */
+    monitorStop: () =>
+        ipcRenderer.invoke('monitor-stop'),
+
+    /**
+     * Suspend (true) or resume (false) monitor checks, e.g. during a full Run.
+     * @param {boolean} paused
+     * @returns {Promise<{success:boolean, paused:boolean}>}
+     */
+    monitorPause: (paused) =>
+        ipcRenderer.invoke('monitor-pause', paused),
+
+    /**
+     * Update monitor settings without starting or stopping it.
+     * @param {{tools?:object, defaultIntervalMin?:number, autoDefend?:boolean, startOnLogin?:boolean}} patch
+     * @returns {Promise<{success:boolean, config?:object, error?:string}>}
+     */
+    monitorConfigure: (patch) =>
+        ipcRenderer.invoke('monitor-configure', patch),
+
+    /**
+     * Current monitor state for (re)connecting: config, per-tool levels and
+     * recent events (most recent last).
+     * @returns {Promise<{success:boolean, active:boolean, paused:boolean, config:object,
+     *          state:{startedAt, checks, tools:Object<string,{level, message, checkedAt, nextDueAt}>},
+     *          events:object[]}>}
+     */
+    getMonitorStatus: () =>
+        ipcRenderer.invoke('monitor-status'),
+
+    /**
+     * Listen for monitor events: { type:'threat'|'resolved'|'defended'|'needs-approval'
+     * |'cycle'|'status', at, tool?, name?, level?, message?, ... }.
+     */
+    onMonitorEvent: (callback) =>
+        ipcRenderer.on('monitor-event', (_event, data) => callback(data)),
+
     /**
      * Read ~/.kjer/license_key.json directly from the Node process (no subprocess).
      * Returns { success, key, type, version } or { success: false }.
@@ -160,6 +633,36 @@ contextBridge.exposeInMainWorld('electronAPI', {
     readLicenseKey: () =>
         ipcRenderer.invoke('read-license-key'),
 
+    /**
+     * Write ~/.kjer/license_key.json ({ key, type, saved_at }).
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    writeLicenseKey: (key, type) =>
+        ipcRenderer.invoke('write-license-key', key, type),
+
+    /**
+     * Create (true) or remove (false) the ~/.kjer/initialized flag.
+     * @param {boolean} present
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    setInitializedFlag: (present) =>
+        ipcRenderer.invoke('set-initialized-flag', present),
+
+    /**
+     * Ensure the local Electron runtime (desktop/node_modules) is installed,
+     * installing Node.js first if npm is missing.
+     * @returns {Promise<{success:boolean, status:string, nodeVia?:string, message?:string}>}
+     */
+    setupElectronRuntime: () =>
+        ipcRenderer.invoke('setup-electron-runtime'),
+
+    /**
+     * Register the `kjer` CLI command on PATH.
+     * @returns {Promise<{success:boolean, status:string, path?:string}>}
+     */
+    registerCli: () =>
+        ipcRenderer.invoke('register-cli'),
+
     /** Listen for incoming connection requests pushed from the main process. */
     onConnectionRequest: (callback) =>
         ipcRenderer.on('kjer-connection-request', (_event, data) => callback(data)),
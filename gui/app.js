@@ -6,9 +6,13 @@
 
 const BackendAPI = {
     /**
-     * Execute backend Python script
+     * Execute backend Python script.
+     * Pass `handlers` ({ onLine, onProgress }) to stream the backend's live
+     * output and progress events while it runs; the resolved result is the
+     * same either way. `params.jobTag` tags the subprocess so JobControl can
+     * cancel it — a cancelled call resolves with { success: false, cancelled: true }.
      */
-    async callBackend(action, params = {}) {
+    async callBackend(action, params = {}, handlers = null) {
         const appPath    = await window.electronAPI?.getAppPath?.();
         const backendPath = appPath ? `${appPath}/lib/backend_api.py` : '../lib/backend_api.py';
         const args = [backendPath, action];
@@ -19,9 +23,21 @@ const BackendAPI = {
         if (params.tools)        args.push('--tools',         params.tools);
         if (params.profile)      args.push('--profile',       params.profile);
         if (params.detectedOS)   args.push('--detected-os',   params.detectedOS);
+        if (params.changeset)    args.push('--changeset',     params.changeset);
         
+        const options = params.jobTag ? { tag: params.jobTag } : {};
         try {
-            const response = await window.electronAPI?.executeCommand('python3', args);
+            const streaming = handlers && window.electronAPI?.executeCommandStream;
+            const response  = streaming
+                ? await window.electronAPI.executeCommandStream('python3', args, {
+                    // stdout carries only the final JSON result — stream stderr only
+                    onLine:     (stream, line) => { if (stream === 'stderr' && handlers.onLine) handlers.onLine(line); },
+                    onProgress: (evt) => { if (handlers.onProgress) handlers.onProgress(evt); },
+                }, options)
+                : await window.electronAPI?.executeCommand('python3', args, options);
+            if (response?.cancelled) {
+                return { success: false, cancelled: true, error: 'Cancelled by user', message: 'Cancelled by user' };
+            }
             if (response && response.stdout && response.stdout.trim()) {
                 try {
                     return JSON.parse(response.stdout);
@@ -51,8 +67,8 @@ const BackendAPI = {
         return await this.callBackend('activate', { licenseKey, licenseType });
     },
     
-    async installTool(toolName) {
-        return await this.callBackend('install', { tool: toolName });
+    async installTool(toolName, handlers = null, jobTag = '') {
+        return await this.callBackend('install', { tool: toolName, jobTag }, handlers);
     },
     
     async uninstallTool(toolName) {
@@ -87,18 +103,30 @@ const BackendAPI = {
         return await this.callBackend('setup-sudo');
     },
 
-    async installBatch(toolKeys) {
-        return await this.callBackend('install-batch', { tools: toolKeys.join(',') });
+    async installBatch(toolKeys, handlers = null) {
+        return await this.callBackend('install-batch', { tools: toolKeys.join(',') }, handlers);
     },
 
-    async runTool(toolKey) {
-        return await this.callBackend('run-tool', { tool: toolKey });
+    async runTool(toolKey, handlers = null, jobTag = '') {
+        return await this.callBackend('run-tool', { tool: toolKey, jobTag }, handlers);
     },
 
     async serviceStatus(toolKey) {
         return await this.callBackend('service-status', { tool: toolKey });
     },
 
+    async getToolVersions() {
+        return await this.callBackend('tool-versions');
+    },
+
+    async updateTool(toolKey, handlers = null, jobTag = '') {
+        return await this.callBackend('update-tool', { tool: toolKey, jobTag }, handlers);
+    },
+
+    async setPluginTrusted(toolKey, trusted) {
+        return await this.callBackend(trusted ? 'trust-plugin' : 'untrust-plugin', { tool: toolKey });
+    },
+
     async getHostScan() {
         return await this.callBackend('host-scan');
     },
@@ -119,6 +147,57 @@ const BackendAPI = {
     }
 };
 
+// ==================== JOB CONTROL ====================
+
+/**
+ * Named long-running operations that can be stopped from the UI.
+ * An operation tags every backend call it makes with its name; Stop marks
+ * the operation cancelled (so its loop stops launching new work) and asks
+ * the main process to kill every running subprocess carrying that tag.
+ * Stop buttons declare the operation they control via data-stop-job.
+ */
+const JobControl = {
+    _ops: {},   // name → { label, cancelled }
+
+    begin(name, label) {
+        this._ops[name] = { label: label || name, cancelled: false };
+        this._syncButtons(name);
+    },
+
+    end(name) {
+        delete this._ops[name];
+        this._syncButtons(name);
+    },
+
+    isCancelled(name) {
+        return !!this._ops[name]?.cancelled;
+    },
+
+    async cancel(name) {
+        const op = this._ops[name];
+        if (!op || op.cancelled) return;
+        op.cancelled = true;
+        this._syncButtons(name);
+        let killed = 0;
+        try {
+            const r = await window.electronAPI?.cancelJobs?.(name);
+            killed = r?.cancelled || 0;
+        } catch (e) {
+            console.warn('cancelJobs IPC failed:', e);
+        }
+        logActivity(`${op.label} stopped by user — ${killed} running job(s) cancelled`, 'warning', '', true);
+        showNotification(`${op.label} stopping…`);
+    },
+
+    _syncButtons(name) {
+        const op = this._ops[name];
+        document.querySelectorAll(`[data-stop-job="${name}"]`).forEach(btn => {
+            btn.style.display = op ? '' : 'none';
+            btn.disabled      = !!op?.cancelled;
+        });
+    }
+};
+
 // ==================== LICENSE TIER DEFINITIONS ====================
 
 const KJER_TIERS = {
@@ -226,7 +305,7 @@ function resetApplicationState() {
     // Also delete the on-disk initialized flag so it doesn't get restored on next load.
     // Without this, loadInstallStateIntoApp() would immediately re-set ktorInitialized=true.
     try {
-        window.electronAPI?.executeCommand?.('bash', ['-c', 'rm -f ~/.kjer/initialized']);
+        window.electronAPI?.setInitializedFlag?.(false);
     } catch (e) { /* non-fatal */ }
 
     logActivity('Application state reset. License remains active on this system.', 'warning');
@@ -293,12 +372,6 @@ async function detectFullHostSystem(force = false) {
 
     logActivity('Running full host system detection…', 'info');
 
-    // ── Build lowercase key→displayName lookup once ──────────────────────────
-    const keyToName = {};
-    for (const [key, tool] of Object.entries(TOOLS_DATABASE)) {
-        keyToName[key.toLowerCase()] = tool.name;
-    }
-
     // ── Primary path: Python backend host-scan (returns OS + hardware + tools) ─
     let data = null;
     try {
@@ -372,13 +445,10 @@ async function detectFullHostSystem(force = false) {
                 const found = [];
                 for (const [yamlKey, info] of Object.entries(detected)) {
                     if (!info?.path && !info?.installed) continue;
-                    const displayName = keyToName[yamlKey.toLowerCase()];
-                    if (displayName) {
-                        const dbKey = Object.keys(TOOLS_DATABASE)
-                            .find(k => TOOLS_DATABASE[k].name === displayName)
-                            || yamlKey.toLowerCase();
-                        setToolInstalled(dbKey, true);
-                        found.push(dbKey);
+                    const key = yamlKey.toLowerCase();
+                    if (TOOLS_DATABASE[key]) {
+                        setToolInstalled(key, true);
+                        found.push(key);
                     }
                 }
                 if (found.length > 0) {
@@ -528,12 +598,7 @@ async function loadInstallStateIntoApp() {
     // the license gate after every reinstall.
     if (!localStorage.getItem('kjerInitialized') && _sysAnalysisLoaded && localStorage.getItem('userOS')) {
         try {
-            const isWin = localStorage.getItem('userOS') === 'windows';
-            const shell = isWin ? 'powershell' : 'bash';
-            const cmd   = isWin
-                ? ['-Command', 'New-Item -ItemType File -Force -Path "$env:USERPROFILE\\.kjer\\initialized" | Out-Null']
-                : ['-c', 'mkdir -p ~/.kjer && touch ~/.kjer/initialized'];
-            await window.electronAPI?.executeCommand?.(shell, cmd);
+            await window.electronAPI?.setInitializedFlag?.(true);
             localStorage.setItem('kjerInitialized', 'true');
             logActivity('Initialization state auto-recovered from system cache', 'info');
         } catch (_) { /* non-fatal */ }
@@ -721,11 +786,7 @@ async function initializeKjer() {
     // Write ~/.kjer/initialized flag so the CLI knows initialization is complete.
     // No key is required for initialization — only upgrades require a key.
     try {
-        const writeCmd = installedOS === 'windows'
-            ? ['-Command', 'New-Item -ItemType Directory -Force -Path "$env:USERPROFILE\.kjer" | Out-Null; New-Item -ItemType File -Force -Path "$env:USERPROFILE\.kjer\initialized" | Out-Null']
-            : ['-c', 'mkdir -p ~/.kjer && touch ~/.kjer/initialized'];
-        const shell = installedOS === 'windows' ? 'powershell' : 'bash';
-        await window.electronAPI?.executeCommand?.(shell, writeCmd);
+        await window.electronAPI?.setInitializedFlag?.(true);
     } catch (e) {
         // Non-fatal: CLI will fall back to install_state.json check
     }
@@ -850,100 +911,24 @@ async function checkSudoStatus() {
 async function setupElectronDependencies(osName) {
     // Ensures desktop/node_modules/electron exists so the CLI can launch the GUI
     // via 'npx electron .' or './node_modules/.bin/electron .'
-    // We are already running inside Electron, so Node/npm is available on PATH.
+    // The check and install run in the main process (setup-electron-runtime).
     logActivity('Verifying Electron runtime dependencies...', 'info');
     try {
-        const kjerpathi = await window.electronAPI?.getAppPath?.();
-        if (!kjerpathi) {
+        if (!window.electronAPI?.setupElectronRuntime) {
             logActivity('Electron dependency check skipped (no app path)', 'info');
             return;
         }
-        const desktopDir   = `${kjerpathi}/desktop`;
-        const nodeModules  = `${desktopDir}/node_modules/electron`;
-
-        // Check if local electron is already installed
-        const checkCmd = osName === 'windows'
-            ? `powershell -Command "if (Test-Path '${nodeModules}') { 'found' } else { 'missing' }"`
-            : `bash -c "[ -d '${nodeModules}' ] && echo found || echo missing"`;
-        const [checkExe, ...checkArgs] = checkCmd.split(' ');
-        const checkResult = await window.electronAPI.executeCommand(
-            osName === 'windows' ? 'powershell' : 'bash',
-            osName === 'windows'
-                ? ['-Command', `if (Test-Path '${nodeModules}') { 'found' } else { 'missing' }`]
-                : ['-c', `[ -d '${nodeModules}' ] && echo found || echo missing`]
-        );
-
-        if (checkResult?.stdout?.trim() === 'found') {
+        const r = await window.electronAPI.setupElectronRuntime();
+        if (r?.status === 'present') {
             logActivity('Electron runtime: already installed', 'success');
             return;
         }
-
-        logActivity('Installing Electron runtime (npm install)...', 'info');
-
-        // Check if npm is available; if not, install Node.js first
-        const npmCheck = await window.electronAPI.executeCommand(
-            osName === 'windows' ? 'powershell' : 'bash',
-            osName === 'windows'
-                ? ['-Command', 'if (Get-Command npm -ErrorAction SilentlyContinue) { "found" } else { "missing" }']
-                : ['-c', 'command -v npm >/dev/null 2>&1 && echo found || echo missing']
-        );
-
-        if (npmCheck?.stdout?.trim() !== 'found') {
-            logActivity('Node.js not found — installing automatically...', 'info');
-
-            if (osName === 'linux') {
-                // Detect distro and use appropriate package manager
-                const distroResult = await window.electronAPI.executeCommand('bash', [
-                    '-c',
-                    'if command -v apt-get >/dev/null 2>&1; then echo apt;' +
-                    ' elif command -v dnf >/dev/null 2>&1; then echo dnf;' +
-                    ' elif command -v pacman >/dev/null 2>&1; then echo pacman;' +
-                    ' elif command -v zypper >/dev/null 2>&1; then echo zypper;' +
-                    ' else echo unknown; fi'
-                ]);
-                const pm = distroResult?.stdout?.trim();
-                const nodeInstallCmd = {
-                    apt:    'apt-get update -qq && apt-get install -y nodejs npm',
-                    dnf:    'dnf install -y nodejs npm',
-                    pacman: 'pacman -S --noconfirm nodejs npm',
-                    zypper: 'zypper install -y nodejs npm',
-                }[pm];
-                if (nodeInstallCmd) {
-                    await window.electronAPI.executeCommand('bash', ['-c', `pkexec sh -c '${nodeInstallCmd}'`]);
-                    logActivity(`Node.js installed via ${pm}`, 'success');
-                } else {
-                    logActivity('Cannot auto-install Node.js — unknown Linux distro. Run: sudo apt install nodejs npm', 'warning');
-                    return;
-                }
-            } else if (osName === 'macos') {
-                const brewCheck = await window.electronAPI.executeCommand('bash', [
-                    '-c', 'command -v brew >/dev/null 2>&1 && echo found || echo missing'
-                ]);
-                if (brewCheck?.stdout?.trim() === 'found') {
-                    await window.electronAPI.executeCommand('bash', ['-c', 'brew install node']);
-                    logActivity('Node.js installed via Homebrew', 'success');
-                } else {
-                    logActivity('Homebrew not found — install Node.js from https://nodejs.org', 'warning');
-                    return;
-                }
-            } else if (osName === 'windows') {
-                await window.electronAPI.executeCommand('powershell', [
-                    '-Command',
-                    'winget install OpenJS.NodeJS.LTS --accept-package-agreements --accept-source-agreements --silent'
-                ]);
-                logActivity('Node.js installed via winget', 'success');
-            }
+        if (r?.status === 'no-node') {
+            logActivity(r.message, 'warning');
+            return;
         }
-
-        // Now run npm install in desktop/
-        const npmResult = await window.electronAPI.executeCommand(
-            osName === 'windows' ? 'powershell' : 'bash',
-            osName === 'windows'
-                ? ['-Command', `Set-Location '${desktopDir}'; npm install 2>&1`]
-                : ['-c', `cd '${desktopDir}' && npm install 2>&1 | tail -3`]
-        );
-
-        if (checkResult?.code === 0 || npmResult?.stdout?.includes('added')) {
+        if (r?.nodeVia) logActivity(`Node.js installed via ${r.nodeVia}`, 'success');
+        if (r?.success) {
             logActivity('Electron runtime installed successfully', 'success');
             logActivity('"kjer --gui" will now work from any terminal', 'success');
         } else {
@@ -961,59 +946,26 @@ async function setupCLIIntegration(osName) {
     // Windows     : verifies the launcher exists in %ProgramFiles%\Kjer\.
     logActivity('Registering "kjer" CLI command on this system...', 'info');
     try {
-        const kjerpathi = await window.electronAPI?.getAppPath?.();
-        if (!kjerpathi) {
+        if (!window.electronAPI?.registerCli) {
             logActivity('CLI setup: run the installer script to register the "kjer" command', 'info');
             return;
         }
-
-        if (osName === 'linux' || osName === 'macos') {
-            const cliScript  = `${kjerpathi}/scripts/kjer-cli.py`;
-            const localBin   = `${process.env.HOME || '~'}/.local/bin`;
-            const linkTarget = `${localBin}/kjer`;
-
-            // Check if 'kjer' is already accessible on PATH
-            const checkResult = await window.electronAPI.executeCommand('bash', [
-                '-c', 'command -v kjer >/dev/null 2>&1 && echo "found" || echo "missing"'
-            ]);
-            if (checkResult?.stdout?.trim() === 'found') {
-                logActivity('"kjer" command is already available on PATH', 'success');
-                return;
-            }
-
-            // Create symlink in ~/.local/bin (no sudo; in PATH on Ubuntu 20+, Fedora 33+, macOS)
-            const setupScript = [
-                `chmod +x "${cliScript}"`,
-                `mkdir -p "${localBin}"`,
-                `ln -sf "${cliScript}" "${linkTarget}"`,
-                `echo "ok"`,
-            ].join(' && ');
-
-            const linkResult = await window.electronAPI.executeCommand('bash', ['-c', setupScript]);
-            if (linkResult?.stdout?.trim() === 'ok') {
-                logActivity(`CLI registered: ${linkTarget}`, 'success');
+        const r = await window.electronAPI.registerCli();
+        if (r?.status === 'present') {
+            logActivity(osName === 'windows'
+                ? '"kjer" command is available on PATH'
+                : '"kjer" command is already available on PATH', 'success');
+        } else if (r?.status === 'linked') {
+            logActivity(r.path === '/usr/local/bin/kjer'
+                ? 'CLI registered: /usr/local/bin/kjer (system-wide)'
+                : `CLI registered: ${r.path}`, 'success');
+            if (r.path !== '/usr/local/bin/kjer') {
                 logActivity('Open a new terminal and type "kjer" to access the CLI', 'info');
-            } else {
-                // Fallback: attempt /usr/local/bin via pkexec (prompts for admin password)
-                const pkCmd = `pkexec sh -c 'ln -sf "${cliScript}" /usr/local/bin/kjer && chmod +x /usr/local/bin/kjer' && echo "ok"`;
-                const pkResult = await window.electronAPI.executeCommand('bash', ['-c', pkCmd]);
-                if (pkResult?.stdout?.trim() === 'ok') {
-                    logActivity('CLI registered: /usr/local/bin/kjer (system-wide)', 'success');
-                } else {
-                    logActivity('CLI setup: run "sudo ./installer/install-linux.sh" to register the "kjer" command', 'info');
-                }
             }
-
         } else if (osName === 'windows') {
-            const checkResult = await window.electronAPI.executeCommand('powershell', [
-                '-Command',
-                'if (Get-Command kjer -ErrorAction SilentlyContinue) { "found" } else { "missing" }',
-            ]);
-            if (checkResult?.stdout?.trim() === 'found') {
-                logActivity('"kjer" command is available on PATH', 'success');
-            } else {
-                logActivity('CLI setup: run installer\\install-windows.ps1 (as Administrator) to register "kjer"', 'info');
-            }
+            logActivity('CLI setup: run installer\\install-windows.ps1 (as Administrator) to register "kjer"', 'info');
+        } else {
+            logActivity('CLI setup: run "sudo ./installer/install-linux.sh" to register the "kjer" command', 'info');
         }
     } catch (e) {
         logActivity('CLI integration check completed', 'info');
@@ -1043,11 +995,11 @@ function openManual() {
         
         html += `
             <div style="padding: 15px; background-color: rgba(157, 78, 221, 0.05); border-left: 3px solid #9D4EDD; border-radius: 4px;">
-                <h4 style="color: #B0E0E6; margin: 0 0 10px 0;">${tool.name}</h4>
-                <p style="margin: 0 0 8px 0; color: #9D4EDD; font-weight: bold; font-size: 13px;">${tool.category}</p>
-                <p style="margin: 0 0 10px 0; color: #B0E0E6; line-height: 1.5;">${tool.detailedDescription}</p>
+                <h4 style="color: #B0E0E6; margin: 0 0 10px 0;">${_escapeHtml(tool.name)}</h4>
+                <p style="margin: 0 0 8px 0; color: #9D4EDD; font-weight: bold; font-size: 13px;">${_escapeHtml(tool.category)}</p>
+                <p style="margin: 0 0 10px 0; color: #B0E0E6; line-height: 1.5;">${_escapeHtml(tool.detailedDescription)}</p>
                 <p style="margin: 0 0 8px 0; color: #888; font-size: 12px;">${osIcons}</p>
-                <p style="margin: 0; color: #B0E0E6; font-size: 12px;"><strong>Size:</strong> ${tool.size_mb}MB | <strong>Version:</strong> ${tool.version}</p>
+                <p style="margin: 0; color: #B0E0E6; font-size: 12px;"><strong>Size:</strong> ${tool.size_mb}MB | <strong>Version:</strong> ${_escapeHtml(tool.version)}</p>
             </div>
         `;
     }
@@ -1068,14 +1020,8 @@ function closeManual() {
  * localStorage clears and app reinstalls.
  */
 async function saveLicenseKeyToDisk(key, type) {
-    const os = localStorage.getItem('userOS') || 'linux';
     try {
-        const payload = JSON.stringify({ key, type, saved_at: new Date().toISOString() });
-        const shell   = os === 'windows' ? 'powershell' : 'bash';
-        const cmd     = os === 'windows'
-            ? ['-Command', `New-Item -Force -Path "$env:USERPROFILE\\.kjer" -ItemType Directory | Out-Null; Set-Content -Path "$env:USERPROFILE\\.kjer\\license_key.json" -Value '${payload}' -Encoding UTF8`]
-            : ['-c', `mkdir -p ~/.kjer && printf '%s' '${payload}' > ~/.kjer/license_key.json`];
-        await window.electronAPI?.executeCommand?.(shell, cmd);
+        await window.electronAPI?.writeLicenseKey?.(key, type);
     } catch (e) { /* non-fatal */ }
 }
 
@@ -1084,25 +1030,12 @@ async function saveLicenseKeyToDisk(key, type) {
  * Returns { key, type, saved_at } or null.
  */
 async function readLicenseKeyFromDisk() {
-    // Primary: direct IPC read — no subprocess, works reliably regardless of PATH.
+    // Direct IPC read — no subprocess, works reliably regardless of PATH.
     try {
         if (window.electronAPI?.readLicenseKey) {
             const r = await window.electronAPI.readLicenseKey();
             if (r?.success && r.key) return r;
         }
-    } catch (e) { /* fall through to bash fallback */ }
-
-    // Fallback: bash/powershell subprocess (legacy path for environments where
-    // the preload version pre-dates the readLicenseKey IPC handler).
-    const os = localStorage.getItem('userOS') || 'linux';
-    try {
-        const shell = os === 'windows' ? 'powershell' : 'bash';
-        const cmd   = os === 'windows'
-            ? ['-Command', `if (Test-Path "$env:USERPROFILE\\.kjer\\license_key.json") { Get-Content "$env:USERPROFILE\\.kjer\\license_key.json" -Raw } else { '{}' }`]
-            : ['-c', `cat ~/.kjer/license_key.json 2>/dev/null || echo '{}'`];
-        const result = await window.electronAPI?.executeCommand?.(shell, cmd);
-        const raw = result?.stdout?.trim();
-        if (raw && raw !== '{}') return JSON.parse(raw);
     } catch (e) { /* non-fatal */ }
     return null;
 }
@@ -1415,486 +1348,143 @@ async function checkAvailableTools() {
 }
 
 // ==================== TOOLS DATABASE ====================
+// Every tool is defined in db/defensive-tools-db.yaml and loaded through the
+// main process ("Tool database" in desktop/main.js), which validates each
+// entry. TOOLS_DATABASE keeps the shape the toolbox has always used: card
+// fields come from the entry's `gui:` block, install and run fields from the
+// entry itself. Entries that failed validation are kept in
+// ToolsDatabase.rejected and flagged above the toolbox instead of rendered.
+
+const TOOLS_DATABASE = {};
+
+const ToolsDatabase = {
+    loaded:   false,
+    error:    null,
+    rejected: [],        // [{ key, category, errors }]
+    _loading: null,
+
+    /** Fill TOOLS_DATABASE; later calls share the first load. */
+    load() {
+        if (!this._loading) this._loading = this._load();
+        return this._loading;
+    },
 
-const TOOLS_DATABASE = {
-    'windows-defender': {
-        name: 'Windows Defender',
-        category: 'EDR',
-        icon: '',
-        description: 'Built-in Windows endpoint detection and response',
-        detailedDescription: 'Windows Defender is Microsoft\'s integrated antivirus and anti-malware solution. It provides real-time protection against viruses, spyware, and ransomware with advanced threat prevention. Features include behavior monitoring, cloud-based protection, and automatic updates. Built into Windows 10/11, it requires no additional installation.',
-        status: 'available',
-        version: '4.18.2301',
-        url: 'https://www.microsoft.com/windows/comprehensive-security',
-        osCompatibility: ['windows'],
-        compatibilityScore: { windows: 98, macos: 0, linux: 0 },
-        dependencies: [],
-        size_mb: 200,
-        priority: 1,
-        installSource: 'builtin',
-        runVia: 'builtin'
-    },
-    'malwarebytes': {
-        name: 'Malwarebytes',
-        category: 'EDR',
-        icon: '',
-        description: 'Advanced anti-malware and anti-ransomware protection',
-        detailedDescription: 'Malwarebytes combines multiple detection techniques including behavioral analysis and machine learning to catch advanced threats. It specializes in ransomware protection with rollback capabilities and provides real-time scanning. Known for high detection rates against emerging threats and zero-day exploits.',
-        status: 'available',
-        version: '5.0.15',
-        url: 'https://www.malwarebytes.com',
-        osCompatibility: ['windows', 'macos', 'linux'],
-        compatibilityScore: { windows: 95, macos: 90, linux: 80 },
-        dependencies: [],
-        size_mb: 250,
-        priority: 2,
-        installSource: 'download',
-        runVia: 'direct'
-    },
-    'kaspersky': {
-        name: 'Kaspersky Endpoint Security',
-        category: 'EDR',
-        icon: '',
-        description: 'Enterprise endpoint protection and management',
-        detailedDescription: 'Kaspersky offers comprehensive endpoint protection with advanced threat defense, exploit prevention, and vulnerability assessment. Includes centralized management console for enterprise deployments, behavioral analysis, and integration with corporate security infrastructure.',
-        status: 'available',
-        version: '11.7.0',
-        url: 'https://www.kaspersky.com/enterprise',
-        osCompatibility: ['windows', 'macos', 'linux'],
-        compatibilityScore: { windows: 92, macos: 85, linux: 75 },
-        dependencies: [],
-        size_mb: 350,
-        priority: 3,
-        installSource: 'download',
-        runVia: 'daemon'
-    },
-    'wireshark': {
-        name: 'Wireshark',
-        category: 'Network',
-        icon: '',
-        description: 'Network protocol analyzer and packet sniffer',
-        detailedDescription: 'Wireshark captures and displays network traffic in real-time. Allows deep inspection of network packets, protocol analysis, and live capture from network interfaces. Essential for network troubleshooting, security analysis, and understanding network communication patterns. Supports thousands of protocols.',
-        status: 'available',
-        version: '4.0.8',
-        url: 'https://www.wireshark.org',
-        osCompatibility: ['windows', 'macos', 'linux'],
-        compatibilityScore: { windows: 90, macos: 88, linux: 95 },
-        dependencies: ['libpcap'],
-        size_mb: 120,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'direct'
-    },
-    'suricata': {
-        name: 'Suricata',
-        category: 'Network',
-        icon: '',
-        description: 'Open source IDS/IPS engine',
-        detailedDescription: 'Suricata is an open-source Intrusion Detection/Prevention System that monitors network traffic for suspicious activity. Supports multi-threaded processing, protocol analysis, and signature-based detection. Can operate in IDS mode (detection only) or IPS mode (blocking threats).',
-        status: 'available',
-        version: '6.0.11',
-        url: 'https://suricata.io',
-        osCompatibility: ['linux', 'macos'],
-        compatibilityScore: { windows: 60, macos: 85, linux: 98 },
-        dependencies: ['libjansson', 'libpcap'],
-        size_mb: 180,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'daemon'
-    },
-    'zeek': {
-        name: 'Zeek (Bro)',
-        category: 'Network',
-        icon: '',
-        description: 'Network security monitoring framework',
-        detailedDescription: 'Zeek is a powerful network analysis framework that monitors network traffic and generates comprehensive logs. Provides automated threat detection, detailed protocol analysis, and custom scripting capabilities. Generates structured logs ideal for SIEM integration and forensic analysis.',
-        status: 'available',
-        version: '5.0.7',
-        url: 'https://zeek.org',
-        osCompatibility: ['linux', 'macos'],
-        compatibilityScore: { windows: 50, macos: 82, linux: 96 },
-        dependencies: ['libpcap', 'openssl'],
-        size_mb: 280,
-        priority: 3,
-        installSource: 'repo',
-        runVia: 'daemon'
-    },
-    'ghidra': {
-        name: 'Ghidra',
-        category: 'Analysis',
-        icon: '',
-        description: 'Software reverse engineering framework (NSA)',
-        detailedDescription: 'Ghidra is the NSA\'s open-source reverse engineering suite. Includes binary disassembly, decompilation, debugging, and scripting capabilities. Supports multiple processor architectures and file formats. Features collaborative analysis features and extensive API for automation.',
-        status: 'available',
-        version: '10.2.3',
-        url: 'https://ghidra-sre.org',
-        osCompatibility: ['windows', 'macos', 'linux'],
-        compatibilityScore: { windows: 88, macos: 87, linux: 92 },
-        dependencies: ['java'],
-        size_mb: 420,
-        priority: 1,
-        installSource: 'download',
-        runVia: 'direct'
-    },
-    'ida-pro': {
-        name: 'IDA Pro',
-        category: 'Analysis',
-        icon: '',
-        description: 'Interactive disassembler and debugger',
-        detailedDescription: 'IDA Pro is the industry-leading binary analysis tool. Provides interactive disassembly, decompilation via Hex-Rays plugin, debugging capabilities, and extensive scripting. Used by security researchers worldwide for malware analysis and vulnerability research.',
-        status: 'available',
-        version: '8.2.0',
-        url: 'https://www.hex-rays.com/ida-pro',
-        osCompatibility: ['windows', 'linux'],
-        compatibilityScore: { windows: 94, macos: 60, linux: 85 },
-        dependencies: [],
-        size_mb: 890,
-        priority: 2,
-        installSource: 'download',
-        runVia: 'direct'
-    },
-    'volatility': {
-        name: 'Volatility',
-        category: 'Analysis',
-        icon: '',
-        description: 'Memory forensics analysis framework',
-        detailedDescription: 'Volatility is the leading open-source memory forensics framework. Analyzes RAM dumps to extract running processes, network connections, and artifacts. Essential for incident response and malware analysis. Supports multiple OS profiles and extensive plugin ecosystem.',
-        status: 'available',
-        version: '2.6.1',
-        url: 'https://www.volatilityfoundation.org',
-        osCompatibility: ['windows', 'macos', 'linux'],
-        compatibilityScore: { windows: 91, macos: 87, linux: 93 },
-        dependencies: ['python3'],
-        size_mb: 150,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'direct'
-    },
-    'splunk': {
-        name: 'Splunk Enterprise',
-        category: 'SIEM',
-        icon: '',
-        description: 'Data analytics and SIEM platform',
-        detailedDescription: 'Splunk is a powerful data analytics platform that ingests, indexes, and analyzes machine-generated data. Functions as a SIEM for security monitoring and threat detection. Provides real-time dashboards, alerting, and advanced search capabilities across terabytes of data.',
-        status: 'available',
-        version: '9.1.1',
-        url: 'https://www.splunk.com',
-        osCompatibility: ['windows', 'linux'],
-        compatibilityScore: { windows: 90, macos: 50, linux: 96 },
-        dependencies: ['python3', 'java'],
-        size_mb: 1200,
-        priority: 1,
-        installSource: 'download',
-        runVia: 'daemon'
-    },
-    'elastic-stack': {
-        name: 'Elastic Stack (ELK)',
-        category: 'SIEM',
-        icon: '',
-        description: 'Elasticsearch, Logstash, Kibana stack',
-        detailedDescription: 'The Elastic Stack combines Elasticsearch (search engine), Logstash (log processor), and Kibana (visualization). Open-source solution for log management, analytics, and SIEM. Highly scalable and cost-effective alternative to commercial SIEM platforms.',
-        status: 'available',
-        version: '8.6.0',
-        url: 'https://www.elastic.co',
-        osCompatibility: ['windows', 'linux', 'macos'],
-        compatibilityScore: { windows: 88, macos: 85, linux: 98 },
-        dependencies: ['java'],
-        size_mb: 950,
-        priority: 1,
-        installSource: 'repo',
-        runVia: 'daemon'
-    },
-    'nessus': {
-        name: 'Nessus Professional',
-        category: 'Vulnerability',
-        icon: '',
-        description: 'Comprehensive vulnerability management',
-        detailedDescription: 'Nessus is the most widely used vulnerability scanner. Performs comprehensive vulnerability assessments, compliance checks, and risk analysis. Features include credential-based scanning, cloud integration, and detailed remediation guidance. Regularly updated with new vulnerability plugins.',
-        status: 'available',
-        version: '10.5.2',
-        url: 'https://www.tenable.com/products/nessus',
-        osCompatibility: ['windows', 'linux'],
-        compatibilityScore: { windows: 92, macos: 50, linux: 94 },
-        dependencies: [],
-        size_mb: 850,
-        priority: 1,
-        installSource: 'download',
-        runVia: 'daemon'
-    },
-    'openvas': {
-        name: 'OpenVAS',
-        category: 'Vulnerability',
-        icon: '',
-        description: 'Open source vulnerability scanner',
-        detailedDescription: 'OpenVAS is a free and open-source vulnerability scanner. Performs network and host vulnerability assessments with a growing NVT database. Includes reporting capabilities, task scheduling, and integration with other security tools. Community-driven development.',
-        status: 'available',
-        version: '21.4.0',
-        url: 'https://openvas.org',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 40, macos: 60, linux: 98 },
-        dependencies: ['openssl', 'glib2'],
-        size_mb: 650,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'daemon'
-    },
-    'cis-cat': {
-        name: 'CIS-CAT Pro',
-        category: 'Hardening',
-        icon: '',
-        description: 'Configuration compliance assessment tool',
-        detailedDescription: 'CIS-CAT Pro assesses system compliance against CIS Benchmarks. Validates security configurations, identifies misconfigurations, and provides remediation steps. Essential for ensuring systems meet industry security standards and compliance requirements.',
-        status: 'available',
-        version: '5.1.0',
-        url: 'https://www.cisecurity.org',
-        osCompatibility: ['windows', 'linux'],
-        compatibilityScore: { windows: 89, macos: 70, linux: 87 },
-        dependencies: ['java'],
-        size_mb: 380,
-        priority: 1,
-        installSource: 'download',
-        runVia: 'direct'
-    },
-    'osquery': {
-        name: 'OSQuery',
-        category: 'Hardening',
-        icon: '',
-        description: 'Operating system instrumentation framework',
-        detailedDescription: 'OSQuery allows you to query operating system information using SQL. Provides real-time visibility into system state, running processes, network connections, and security events. Cross-platform support with deployment via configuration management tools.',
-        status: 'available',
-        version: '5.8.0',
-        url: 'https://osquery.io',
-        osCompatibility: ['windows', 'macos', 'linux'],
-        compatibilityScore: { windows: 86, macos: 89, linux: 91 },
-        dependencies: [],
-        size_mb: 95,
-        priority: 1,
-        installSource: 'repo',
-        runVia: 'direct'
-    },
-    'gvm': {
-        name: 'GVM',
-        category: 'Vulnerability',
-        icon: '',
-        description: 'Go Vulnerability Management system',
-        detailedDescription: 'GVM is a comprehensive Go-based vulnerability management platform that provides advanced threat detection and vulnerability scanning. Features include real-time monitoring, automated remediation, and integration with security tools. Optimized for modern cloud infrastructure and containerized environments.',
-        status: 'available',
-        version: '1.0.0',
-        url: 'https://github.com/khulnasoft-labs/gvm',
-        osCompatibility: ['linux', 'macos'],
-        compatibilityScore: { windows: 60, macos: 85, linux: 98 },
-        dependencies: ['go'],
-        size_mb: 120,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'daemon'
-    },
-    'fail2ban': {
-        name: 'Fail2ban',
-        category: 'Defense',
-        icon: '',
-        description: 'Intrusion prevention software for Linux',
-        detailedDescription: 'Fail2ban is an open-source intrusion prevention framework designed for Linux systems. Monitors log files for suspicious activity and automatically updates firewall rules to block attacking hosts. Commonly used to protect against brute-force attacks and DoS attacks. Essential for Linux server hardening.',
-        status: 'available',
-        version: '1.0.2',
-        url: 'https://www.fail2ban.org',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 99 },
-        dependencies: ['python3'],
-        size_mb: 45,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'daemon'
-    },
-    'lynis': {
-        name: 'Lynis',
-        category: 'Hardening',
-        icon: '',
-        description: 'Security auditing tool for Linux and Unix',
-        detailedDescription: 'Lynis is a comprehensive security auditing tool for Linux, Unix, and macOS systems. Performs security configuration checks, compliance assessments, and identifies security weaknesses. Provides detailed reports with hardening recommendations. Open-source and widely used by system administrators.',
-        status: 'available',
-        version: '3.0.8',
-        url: 'https://cisofy.com/lynis',
-        osCompatibility: ['linux', 'macos'],
-        compatibilityScore: { windows: 0, macos: 75, linux: 99 },
-        dependencies: [],
-        size_mb: 25,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'aide': {
-        name: 'AIDE',
-        category: 'Hardening',
-        icon: '',
-        description: 'File integrity monitoring system',
-        detailedDescription: 'AIDE (Advanced Intrusion Detection Environment) is a file integrity monitoring tool for Linux. Creates a database of system files and detects unauthorized changes. Essential for detecting rootkits and unauthorized modifications. Commonly integrated into system monitoring workflows.',
-        status: 'available',
-        version: '0.17.4',
-        url: 'https://aide.github.io',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 99 },
-        dependencies: [],
-        size_mb: 50,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'chkrootkit': {
-        name: 'Chkrootkit',
-        category: 'Defense',
-        icon: '',
-        description: 'Rootkit detection tool for Linux',
-        detailedDescription: 'Chkrootkit is a common Linux rootkit detector that checks for signs of rootkits and other malicious modifications. Performs various security checks including suspicious files, hidden processes, and kernel modifications. Essential for incident response and security auditing.',
-        status: 'available',
-        version: '0.55',
-        url: 'http://www.chkrootkit.org',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 98 },
-        dependencies: [],
-        size_mb: 30,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'rkhunter': {
-        name: 'Rkhunter',
-        category: 'Defense',
-        icon: '',
-        description: 'Rootkit and malware scanner for Linux',
-        detailedDescription: 'Rootkit Hunter (rkhunter) is a Unix-based tool that scans for rootkits, backdoors, and other suspicious activity on Linux systems. Performs file integrity checks, kernel module scanning, and suspicious process analysis. Works well with Chkrootkit for comprehensive detection.',
-        status: 'available',
-        version: '1.4.6',
-        url: 'http://rkhunter.sourceforge.net',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 97 },
-        dependencies: [],
-        size_mb: 40,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'clamav': {
-        name: 'ClamAV',
-        category: 'EDR',
-        icon: '',
-        description: 'Open-source antivirus for Linux',
-        detailedDescription: 'ClamAV is a free and open-source antivirus engine for detecting trojans, viruses, malware, and other malicious threats. Provides command-line scanning tools and daemon mode for real-time protection. Widely used in production environments and email gateways.',
-        status: 'available',
-        version: '1.0.0',
-        url: 'https://www.clamav.net',
-        osCompatibility: ['linux', 'windows', 'macos'],
-        compatibilityScore: { windows: 75, macos: 80, linux: 98 },
-        dependencies: [],
-        size_mb: 200,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'tiger': {
-        name: 'TIGER',
-        category: 'Hardening',
-        icon: '',
-        description: 'System security checking software',
-        detailedDescription: 'TIGER is a script-based security audit tool for Unix-like systems. Performs comprehensive security checks on system configuration, user accounts, permissions, and installed programs. Generates detailed reports with security recommendations. Complementary to Lynis and AIDE.',
-        status: 'available',
-        version: '3.2.3',
-        url: 'http://www.nongnu.org/tiger',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 96 },
-        dependencies: ['perl'],
-        size_mb: 35,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'tripwire': {
-        name: 'Tripwire',
-        category: 'Hardening',
-        icon: '',
-        description: 'File integrity and change management',
-        detailedDescription: 'Tripwire is a commercial-grade file integrity and intrusion detection system for Linux and Unix. Detects and reports unauthorized modifications to system files. Essential for compliance and incident detection. Available as open-source evaluation version.',
-        status: 'available',
-        version: '2.4.3',
-        url: 'https://www.tripwire.com',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 98 },
-        dependencies: [],
-        size_mb: 85,
-        priority: 2,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'apparmor': {
-        name: 'AppArmor',
-        category: 'Defense',
-        icon: '',
-        description: 'Linux application security module',
-        detailedDescription: 'AppArmor is a Linux security module that confines programs to a limited set of resources. Provides mandatory access control through application profiles. Reduces attack surface by restricting what applications can do. Built into many Linux distributions.',
-        status: 'available',
-        version: '3.0.0',
-        url: 'https://gitlab.com/apparmor/apparmor/-/wikis/home',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 99 },
-        dependencies: [],
-        size_mb: 20,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'daemon'
-    },
-    'selinux': {
-        name: 'SELinux',
-        category: 'Defense',
-        icon: '',
-        description: 'Security-Enhanced Linux (NSA)',
-        detailedDescription: 'SELinux is a mandatory access control (MAC) security module for Linux developed by the NSA. Provides fine-grained control over system resources and user permissions. Reduces the impact of security vulnerabilities. Standard on Red Hat-based distributions.',
-        status: 'available',
-        version: '3.4.0',
-        url: 'https://github.com/SELinuxProject',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 99 },
-        dependencies: [],
-        size_mb: 15,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'ufw': {
-        name: 'UFW',
-        category: 'Defense',
-        icon: '',
-        description: 'Uncomplicated Firewall for Linux',
-        detailedDescription: 'UFW is a user-friendly firewall management tool for Linux that simplifies iptables configuration. Provides easy command-line interface for managing firewall rules. Widely used on Ubuntu and Debian systems. Essential for network security hardening.',
-        status: 'available',
-        version: '0.36.1',
-        url: 'https://wiki.ubuntu.com/UncomplicatedFirewall',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 98 },
-        dependencies: [],
-        size_mb: 10,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'kjer'
-    },
-    'auditd': {
-        name: 'Auditd',
-        category: 'Hardening',
-        icon: '',
-        description: 'Linux audit framework',
-        detailedDescription: 'Auditd is the Linux audit framework that provides system-level auditing of user and process activity. Generates comprehensive audit logs for compliance and forensic analysis. Essential for meeting security standards like PCI-DSS and HIPAA.',
-        status: 'available',
-        version: '3.0.0',
-        url: 'https://access.redhat.com/documentation/en-us/red_hat_enterprise_linux/7/html/security_guide/chap-system_auditing',
-        osCompatibility: ['linux'],
-        compatibilityScore: { windows: 0, macos: 0, linux: 99 },
-        dependencies: [],
-        size_mb: 25,
-        priority: 1,
-        installSource: 'pkg',
-        runVia: 'daemon'
-    }
+    async _load() {
+        try {
+            const res = await window.electronAPI?.loadToolsDatabase?.();
+            if (!res) throw new Error('the desktop app is not available');
+            if (!res.success) throw new Error(res.error);
+            for (const [key, entry] of Object.entries(res.tools)) TOOLS_DATABASE[key] = _toolFromYaml(entry);
+            this.rejected = res.rejected || [];
+            this.loaded   = true;
+            this._addCategoryOptions();
+            this._registerPluginRoles();
+        } catch (err) {
+            this.error = err.message;
+            logActivity(`Tool database could not be loaded: ${err.message}`, 'error');
+        }
+        this.rejected.forEach(r => logActivity(`Tool database: "${r.key}" not shown — ${r.errors.join('; ')}`, 'warning'));
+        this.renderNotice();
+    },
+
+    /** Categories the toolbox filter does not list yet (added in the YAML). */
+    _addCategoryOptions() {
+        const filter = document.getElementById('categoryFilter');
+        if (!filter) return;
+        const listed = new Set([...filter.options].map(o => o.value));
+        [...new Set(Object.values(TOOLS_DATABASE).map(t => t.category))]
+            .filter(c => !listed.has(c))
+            .forEach(c => filter.add(new Option(c, c)));
+    },
+
+    /** Add community plugins to the scan / defend roles their manifests declare. */
+    _registerPluginRoles() {
+        for (const [key, tool] of Object.entries(TOOLS_DATABASE)) {
+            (tool.plugin?.roles || [])
+                .filter(role => TOOL_ROLES[role] && !TOOL_ROLES[role].includes(key))
+                .forEach(role => TOOL_ROLES[role].push(key));
+        }
+    },
+
+    /** The warning above the toolbox listing entries that could not be shown. */
+    renderNotice() {
+        const el = document.getElementById('toolsDbNotice');
+        if (!el) return;
+        if (!this.error && this.rejected.length === 0) {
+            el.style.display = 'none';
+            el.innerHTML = '';
+            return;
+        }
+        const heading = this.error
+            ? `The tool database could not be loaded: ${_escapeHtml(this.error)}`
+            : `${this.rejected.length} tool ${this.rejected.length === 1 ? 'entry' : 'entries'} in db/defensive-tools-db.yaml or ~/.kjer/plugins could not be shown`;
+        const where = (r) => r.category === 'plugins' ? `~/.kjer/plugins/${r.key}/manifest.json`
+            : r.category ? `${r.category}.${r.key}` : r.key;
+        const items = this.rejected.map(r =>
+            `<li><code>${_escapeHtml(where(r))}</code> — ${_escapeHtml(r.errors.join('; '))}</li>`).join('');
+        el.innerHTML = `<strong>${heading}</strong>${items ? `<ul style="margin:6px 0 0; padding-left:18px;">${items}</ul>` : ''}`;
+        el.style.display = 'block';
+    },
 };
 
+/** One validated YAML entry in the toolbox's shape. */
+function _toolFromYaml(t) {
+    const g = t.gui;
+    return {
+        name:                g.name,
+        category:            g.category,
+        icon:                '',
+        description:         g.summary,
+        detailedDescription: g.details,
+        status:              'available',
+        version:             g.version,
+        url:                 g.url || '',
+        osCompatibility:     g.os,
+        compatibilityScore:  g.compatibility,
+        dependencies:        g.requires || [],
+        conflicts:           g.conflicts || [],
+        size_mb:             g.size_mb,
+        priority:            g.priority,
+        installSource:       t.install_source,
+        runVia:              t.run_via,
+        binary:              t.binary || null,
+        serviceName:         t.service_name || null,
+        // Community plugin (~/.kjer/plugins): what the renderer needs from its manifest
+        community:           !!t.plugin,
+        plugin:              t.plugin ? {
+            author:   t.plugin.author || null,
+            roles:    t.plugin.roles,
+            advisory: t.plugin.advisory || null,
+            risk:     t.plugin.risk || null,
+            defend:   t.plugin.defend ? { summary: t.plugin.defend.summary } : null,
+            // Nothing from the manifest runs until the user trusts it (setPluginTrust)
+            trusted:  !!t.plugin.trusted,
+            commands: [t.run_cmd, ...(t.plugin.defend?.cmds || [])].filter(Boolean),
+        } : null,
+    };
+}
+
+/** Trust a community plugin after showing the commands it runs as root, or revoke that trust. */
+async function setPluginTrust(toolKey, trusted) {
+    const tool = TOOLS_DATABASE[toolKey];
+    if (!tool?.plugin) return;
+    if (trusted) {
+        const cmds = tool.plugin.commands.map(c => `  ${c.join(' ')}`).join('\n') || '  (none)';
+        const ok = confirm(`Trust the community plugin "${tool.name}"${tool.plugin.author ? ` by ${tool.plugin.author}` : ''}?\n\n` +
+            `Kjer will run these commands with sudo when it scans or defends with it:\n${cmds}\n\n` +
+            'Only trust plugins from authors you trust. Editing the manifest revokes this.');
+        if (!ok) return;
+    }
+    const res = await BackendAPI.setPluginTrusted(toolKey, trusted);
+    if (!res?.success) {
+        showNotification(`${tool.name}: ${res?.error || 'trust could not be changed'}`, 'error');
+        return;
+    }
+    tool.plugin.trusted = trusted;
+    logActivity(`Community plugin ${tool.name} ${trusted ? 'trusted — its commands may run' : 'no longer trusted'}`, trusted ? 'warning' : 'info', '', true);
+    renderToolsList();
+}
+
 // ==================== ACTIVITY LOG MANAGEMENT ====================
 
 const ActivityLog = {
@@ -2100,19 +1690,21 @@ const SecurityMonitor = {
     maxEntries: 400,
     entries: [],
 
-    _fmt: function(tool, message, level, type) {
+    _fmt: function(tool, message, level, type, provenance) {
         const now = new Date();
-        return {
+        const entry = {
             time: now.toLocaleTimeString('en-US', { hour12: true }),
             tool: tool || '',
             message: message,
             level: level || 'info',
             type: type || 'result'   // 'result' | 'section' | 'divider'
         };
+        if (provenance) entry.provenance = provenance;   // 'real' | 'simulated' | 'error'
+        return entry;
     },
 
-    log: function(tool, message, level) {
-        this.entries.unshift(this._fmt(tool, message, level, 'result'));
+    log: function(tool, message, level, provenance) {
+        this.entries.unshift(this._fmt(tool, message, level, 'result', provenance));
         if (this.entries.length > this.maxEntries) this.entries.pop();
         this.render();
     },
@@ -2129,16 +1721,52 @@ const SecurityMonitor = {
         this.render();
     },
 
+    // Transient "live" line per tool: each streamed output line overwrites the
+    // previous one in place so long-running installs and scans show activity
+    // without flooding the log. Removed with endLive() once the call returns.
+    live: function(tool, message) {
+        const entry = this._fmt(tool, message, 'info', 'live');
+        const idx   = this.entries.findIndex(e => e.type === 'live' && e.tool === tool);
+        if (idx >= 0) {
+            this.entries[idx] = entry;
+        } else {
+            this.entries.unshift(entry);
+            if (this.entries.length > this.maxEntries) this.entries.pop();
+        }
+        this._renderSoon();
+    },
+
+    endLive: function(tool) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(e => !(e.type === 'live' && e.tool === tool));
+        if (this.entries.length !== before) this.render();
+    },
+
+    // Output can arrive faster than the log can be rebuilt — coalesce renders.
+    _renderSoon: function() {
+        if (this._renderPending) return;
+        this._renderPending = true;
+        requestAnimationFrame(() => {
+            this._renderPending = false;
+            this.render();
+        });
+    },
+
     render: function() {
         const logEntries = document.getElementById('logEntries');
         if (!logEntries) return;
 
+        // Watermark: simulated results must never pass for real ones
+        const watermark = isSimulationMode()
+            ? '<div style="text-align:center;color:#ff9800;border:1px dashed #ff9800;border-radius:4px;padding:4px 0;margin-bottom:6px;font-size:11px;font-weight:700;letter-spacing:1px;">SIMULATION MODE — failed tool calls produce generated demo results</div>'
+            : '';
+
         if (this.entries.length === 0) {
-            logEntries.innerHTML = '<div style="text-align:center;color:var(--color-empty-state);padding:32px 0;font-size:13px;">Run a Security Scan or Smart Defense to see activity here.</div>';
+            logEntries.innerHTML = watermark + '<div style="text-align:center;color:var(--color-empty-state);padding:32px 0;font-size:13px;">Run a Security Scan or Smart Defense to see activity here.</div>';
             return;
         }
 
-        logEntries.innerHTML = this.entries.map(entry => {
+        logEntries.innerHTML = watermark + this.entries.map(entry => {
             if (entry.type === 'divider') {
                 return `<div class="log-entry log-divider">
                     <div class="log-col-time"></div>
@@ -2153,9 +1781,18 @@ const SecurityMonitor = {
                     <div class="log-col-message" style="color:#9D4EDD;font-weight:600;letter-spacing:0.5px">${entry.message}</div>
                 </div>`;
             }
-            const toolCol = entry.tool
+            const toolCol = (entry.tool
                 ? `<span class="log-tool-name">[${entry.tool}]</span> `
-                : '';
+                : '') + (entry.provenance === 'simulated'
+                ? '<span style="color:#ff9800;font-weight:700;">[SIMULATED]</span> '
+                : '');
+            if (entry.type === 'live') {
+                return `<div class="log-entry log-live">
+                    <div class="log-col-time">${entry.time}</div>
+                    <div class="log-col-level log-level info">LIVE</div>
+                    <div class="log-col-message">${toolCol}${_escapeHtml(entry.message)}</div>
+                </div>`;
+            }
             return `<div class="log-entry">
                 <div class="log-col-time">${entry.time}</div>
                 <div class="log-col-level log-level ${entry.level}">${entry.level.toUpperCase()}</div>
@@ -2276,7 +1913,8 @@ function bootApplication() {
 
             // Full host scan: detects OS, RAM, disk, CPU, and all installed tools
             // in a single backend pass, then refreshes all GUI panels.
-            detectFullHostSystem().catch(() => {});
+            // Installed versions are checked once the scan has refreshed installedTools.
+            detectFullHostSystem().catch(() => {}).then(() => ToolVersions.refresh());
 
             // Auto-check for Kjer application updates if the setting is enabled.
             // Runs silently: no notification when up-to-date, only when an update exists.
@@ -2303,7 +1941,15 @@ document.addEventListener('DOMContentLoaded', async function() {
 
     loadSettings();
     NetworkStatus.init();
+    Suppressions.load();
+    // Everything below reads TOOLS_DATABASE (scheduled-scan catch-up included)
+    await ToolsDatabase.load();
+    InstallQueue.load();      // unfinished installs from the last session wait for Resume
+    ToolVersions.render();
     _monitorUiActive(false);  // ensure stop/badge start hidden
+    MonitorService.connect(); // re-attach to a monitor still running in the main process
+    ScanScheduler.init();
+    ReportJobs.init();
 
     // Mark the start of this session in the activity log
     const sessionStart = new Date().toLocaleString();
@@ -2525,9 +2171,10 @@ async function switchTab(tabName) {
 
     if (tabName === 'status')   { updateStatusPage(); }
     if (tabName === 'tools')    { reapplyToolFilter(); }
-    if (tabName === 'settings') { updateSettingsSystemInfo(); checkSudoStatus(); }
+    if (tabName === 'settings') { updateSettingsSystemInfo(); checkSudoStatus(); MonitorService.renderSettings(); ScanScheduler.render(); ResponsePolicy.render(); AlertRouting.render(); SiemExport.render(); ReportPresets.render(); ReportJobs.render(); }
     if (tabName === 'network')  { renderNetworkPage(); }
     if (tabName === 'profiles') { renderProfiles(); }
+    if (tabName === 'history')  { ScanHistory.render(); Suppressions.render(); }
 
     logActivity(`Switched to ${tabName} tab`);
 }
@@ -3257,17 +2904,67 @@ function showRecommendedTools() {
 
 const ReportWizard = {
     page: 1,
+    source: null,   // { scan, defense, label, date } when regenerating from history
+    preset: null,   // report preset applied to the wizard, if any
+    _logo: '',      // PDF logo data URL being edited on page 2
 
-    open() {
+    _sectionIds: ['threats', 'defense', 'diff', 'vulns', 'network', 'integrity', 'compliance', 'sysinfo', 'tools', 'actlog', 'monitor'],
+
+    open(source = null) {
         this.page = 1;
+        this.source = source;
+        this.preset = null;
         this._showPage(1);
         // Pre-fill default save path
         const ext  = this._selectedFormat();
-        const ts   = new Date().toISOString().slice(0, 10);
+        const ts   = this._reportDate();
         const def  = `~/Documents/kjer-report-${ts}.${ext}`;
         const inp  = document.getElementById('reportSavePath');
         if (inp) inp.value = def;
+        this._onFormatChange();
         document.getElementById('reportWizardModal').style.display = 'flex';
+        this._loadPresets();
+    },
+
+    /** Fill the preset picker and re-apply the preset used last time. */
+    async _loadPresets() {
+        const box = document.getElementById('reportPresetRow');
+        if (box) box.style.display = ReportPresets.api ? '' : 'none';
+        if (!ReportPresets.api) return;
+        await ReportPresets.load().catch(err => console.warn('Report presets could not be loaded:', err));
+        const select = document.getElementById('reportPresetSelect');
+        if (!select) return;
+        select.innerHTML = '<option value="">— None (choose below) —</option>' + ReportPresets.presets.map(p =>
+            `<option value="${p.id}">${_escapeHtml(p.name)}</option>`).join('');
+        const last = localStorage.getItem(REPORT_PRESET_KEY);
+        if (last && ReportPresets.presets.some(p => p.id === last)) this.applyPreset(last);
+        else this._fillTemplates();
+    },
+
+    applyPreset(id) {
+        const preset = ReportPresets.presets.find(p => p.id === id) || null;
+        this.preset  = preset;
+        const select = document.getElementById('reportPresetSelect');
+        if (select) select.value = preset ? preset.id : '';
+        if (!preset) { localStorage.removeItem(REPORT_PRESET_KEY); return; }
+        localStorage.setItem(REPORT_PRESET_KEY, preset.id);
+
+        this._sectionIds.forEach(k => {
+            const box = document.getElementById(`rpt_${k}`);
+            if (box) box.checked = !!preset.sections[k];
+        });
+        Object.keys(COMPLIANCE_FRAMEWORKS).forEach(fw => {
+            const box = document.getElementById(`rpt_fw_${fw}`);
+            if (box) box.checked = (preset.frameworks || []).includes(fw);
+        });
+        const radio = document.querySelector(`input[name="reportFormat"][value="${preset.format}"]`);
+        if (radio) radio.checked = true;
+        document.getElementById('reportTitle').value    = preset.title || '';
+        document.getElementById('reportAudience').value = preset.audience || 'technical';
+        document.getElementById('reportSavePath').value = preset.pathPattern || `~/Documents/kjer-report-${this._reportDate()}.${preset.format}`;
+        const tpl = document.getElementById('reportTemplateSelect');
+        if (tpl) tpl.value = '';
+        this._onFormatChange();
     },
 
     close() {
@@ -3277,12 +2974,13 @@ const ReportWizard = {
     next() {
         if (this.page === 1) {
             // Ensure at least one section is checked
-            const checked = ['rpt_threats','rpt_defense','rpt_vulns','rpt_network',
+            const checked = ['rpt_threats','rpt_defense','rpt_diff','rpt_vulns','rpt_network',
                              'rpt_integrity','rpt_compliance','rpt_sysinfo','rpt_tools','rpt_actlog','rpt_monitor']
                             .some(id => document.getElementById(id)?.checked);
             if (!checked) { showNotification('Select at least one report section.'); return; }
             this._showPage(2);
         } else if (this.page === 2) {
+            if (this._selectedFormat() === 'pdf') this._saveBranding();
             // Update path extension and preview before page 3
             this._syncPathExtension();
             this._buildPreview();
@@ -3308,18 +3006,92 @@ const ReportWizard = {
             n === 3 ? '✓ Generate & Save' : 'Next →';
     },
 
+    /** YYYY-MM-DD used in default file names — the run's date for history reports. */
+    _reportDate() {
+        return (this.source?.date || new Date()).toISOString().slice(0, 10);
+    },
+
     _selectedFormat() {
         const radio = document.querySelector('input[name="reportFormat"]:checked');
         return radio ? radio.value : 'txt';
     },
 
+    /** Show the PDF branding options (pre-filled from the saved branding) when PDF is picked. */
+    _onFormatChange() {
+        this._fillTemplates();
+        const box = document.getElementById('reportPdfOptions');
+        if (!box) return;
+        const pdf = this._selectedFormat() === 'pdf';
+        box.style.display = pdf ? '' : 'none';
+        if (!pdf) return;
+        const brand = _reportBranding();
+        this._logo  = brand.logo;
+        document.getElementById('reportOrgName').value  = brand.orgName;
+        document.getElementById('reportPageSize').value = brand.pageSize;
+        this._showLogo();
+    },
+
+    /** Template picker for HTML and Markdown — stored templates of that format. */
+    _fillTemplates() {
+        const fmt    = this._selectedFormat();
+        const row    = document.getElementById('reportTemplateOptions');
+        const select = document.getElementById('reportTemplateSelect');
+        if (!row || !select) return;
+        const templates = ReportPresets.templates.filter(t => t.format === fmt);
+        row.style.display = ReportPresets.api && (fmt === 'html' || fmt === 'md') ? '' : 'none';
+        const current = select.value || (this.preset?.format === fmt && this.preset.template) || '';
+        select.innerHTML = '<option value="">Built-in layout</option>' + templates.map(t =>
+            `<option value="${t.ref}">${_escapeHtml(t.name)}</option>`).join('');
+        select.value = templates.some(t => t.ref === current) ? current : '';
+    },
+
+    _showLogo() {
+        const img = document.getElementById('reportLogoPreview');
+        if (!img) return;
+        img.src           = this._logo || '';
+        img.style.display = this._logo ? '' : 'none';
+    },
+
+    _pickLogo(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const url = String(reader.result || '');
+            if (url.length > REPORT_LOGO_MAX || !REPORT_LOGO_RE.test(url)) {
+                showNotification('Logo must be a PNG, JPEG, GIF, WebP or SVG image under 384 KB.');
+                input.value = '';
+                return;
+            }
+            this._logo = url;
+            this._showLogo();
+        };
+        reader.readAsDataURL(file);
+    },
+
+    _clearLogo() {
+        this._logo = '';
+        const input = document.getElementById('reportLogoFile');
+        if (input) input.value = '';
+        this._showLogo();
+    },
+
+    _saveBranding() {
+        localStorage.setItem(REPORT_BRANDING_KEY, JSON.stringify({
+            orgName:  document.getElementById('reportOrgName')?.value.trim().slice(0, 120) || '',
+            logo:     this._logo || '',
+            pageSize: document.getElementById('reportPageSize')?.value || 'A4',
+        }));
+    },
+
     _syncPathExtension() {
         const fmt  = this._selectedFormat();
-        const ts   = new Date().toISOString().slice(0, 10);
+        const ts   = this._reportDate();
         const defBase = `~/Documents/kjer-report-${ts}`;
         const inp  = document.getElementById('reportSavePath');
         if (!inp) return;
-        // Replace extension or reset to default
+        // Replace extension or reset to default; an {ext} pattern follows the format by itself
+        if (inp.value.endsWith('.{ext}')) return;
         if (!inp.value || inp.value.startsWith('~/Documents/kjer-report-')) {
             inp.value = `${defBase}.${fmt}`;
         } else {
@@ -3327,10 +3099,48 @@ const ReportWizard = {
         }
     },
 
+    /** Everything a preset stores, read from the wizard. */
+    _settings() {
+        const fmt = this._selectedFormat();
+        return {
+            sections:    Object.fromEntries(this._sectionIds.map(k => [k, !!document.getElementById(`rpt_${k}`)?.checked])),
+            frameworks:  Object.keys(COMPLIANCE_FRAMEWORKS).filter(fw => document.getElementById(`rpt_fw_${fw}`)?.checked),
+            format:      fmt,
+            pathPattern: document.getElementById('reportSavePath')?.value?.trim() || '',
+            title:       document.getElementById('reportTitle')?.value.trim() || '',
+            audience:    document.getElementById('reportAudience')?.value || 'technical',
+            template:    (fmt === 'html' || fmt === 'md') && document.getElementById('reportTemplateSelect')?.value || null,
+        };
+    },
+
+    /** Save path with placeholders filled in. */
+    _savePath(pattern) {
+        return pattern && _expandReportPath(pattern, { date: this._reportDate(), preset: this.preset?.name, ext: this._selectedFormat() });
+    },
+
+    /** Save the wizard's settings as a preset — replaces the applied preset when the name is unchanged. */
+    async savePreset() {
+        const name = document.getElementById('reportPresetName')?.value.trim() || '';
+        if (!name) { showNotification('Enter a name for the preset.'); return; }
+        const settings = this._settings();
+        // A dated path becomes a pattern so the preset keeps producing new file names
+        const date = this._reportDate();
+        settings.pathPattern = settings.pathPattern.split(date).join('{date}').replace(new RegExp(`\\.${settings.format}$`), '.{ext}');
+        const same = ReportPresets.presets.find(p => p.name.toLowerCase() === name.toLowerCase());
+        const id   = same?.id || `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const r    = await ReportPresets.save({ id, name, ...settings });
+        if (!r.success) { showNotification(`Preset not saved: ${r.error}`); return; }
+        this.preset = ReportPresets.presets.find(p => p.id === id);
+        localStorage.setItem(REPORT_PRESET_KEY, id);
+        logActivity(`Report preset ${same ? 'updated' : 'saved'}: ${name}`, 'info');
+        showNotification(`✓ Preset "${name}" saved`);
+    },
+
     _buildPreview() {
         const sections = [
             [document.getElementById('rpt_threats')?.checked,    'Detected Threats & Findings'],
             [document.getElementById('rpt_defense')?.checked,    'Defensive Actions Taken'],
+            [document.getElementById('rpt_diff')?.checked,       'Changes Since Baseline'],
             [document.getElementById('rpt_vulns')?.checked,      'Vulnerability Analysis'],
             [document.getElementById('rpt_network')?.checked,    'Network & Traffic Analysis'],
             [document.getElementById('rpt_integrity')?.checked,  'File Integrity Results'],
@@ -3342,36 +3152,42 @@ const ReportWizard = {
         ].filter(([on]) => on).map(([, label]) => label);
 
         const fmt      = this._selectedFormat().toUpperCase();
-        const path     = document.getElementById('reportSavePath')?.value || '~/Documents';
+        const settings = this._settings();
+        const path     = this._savePath(settings.pathPattern) || '~/Documents';
         const scanAge  = window.KjerLastScanResults?.completedAt
             ? Math.round((Date.now() - window.KjerLastScanResults.completedAt) / 1000) + 's ago'
             : 'None (run Scan first for richer results)';
+        const sourceLine = this.source
+            ? `<b>Source:</b> ${_escapeHtml(this.source.label)}${this.source.scan ? '' : ' (no linked scan)'}`
+            : `<b>Last scan:</b> ${scanAge}`;
 
         document.getElementById('reportPreviewText').innerHTML =
+            (this.preset ? `<b>Preset:</b> ${_escapeHtml(this.preset.name)}<br>` : '') +
+            `<b>Title:</b> ${_escapeHtml(settings.title || 'Kjer Security Report')} (${settings.audience})<br>` +
             `<b>Sections:</b> ${sections.join(', ')}<br>` +
-            `<b>Format:</b> ${fmt}<br>` +
-            `<b>Save to:</b> ${path}<br>` +
-            `<b>Last scan:</b> ${scanAge}`;
+            `<b>Format:</b> ${fmt}${settings.template ? ` — template ${_escapeHtml(settings.template)}` : ''}<br>` +
+            `<b>Save to:</b> ${_escapeHtml(path)}<br>` +
+            sourceLine;
+        const nameInp = document.getElementById('reportPresetName');
+        if (nameInp) nameInp.value = this.preset?.name || '';
+        const saveRow = document.getElementById('reportPresetSave');
+        if (saveRow) saveRow.style.display = ReportPresets.api ? '' : 'none';
     },
 
     async _generate() {
         try {
+            const settings = this._settings();
             const opts = {
-                threats:    document.getElementById('rpt_threats')?.checked,
-                defense:    document.getElementById('rpt_defense')?.checked,
-                vulns:      document.getElementById('rpt_vulns')?.checked,
-                network:    document.getElementById('rpt_network')?.checked,
-                integrity:  document.getElementById('rpt_integrity')?.checked,
-                compliance: document.getElementById('rpt_compliance')?.checked,
-                sysinfo:    document.getElementById('rpt_sysinfo')?.checked,
-                tools:      document.getElementById('rpt_tools')?.checked,
-                actlog:     document.getElementById('rpt_actlog')?.checked,
-                monitor:    document.getElementById('rpt_monitor')?.checked,
+                ...settings.sections,
+                frameworks:   settings.frameworks,
+                title:        settings.title,
+                audience:     settings.audience,
+                templateText: settings.template ? await ReportPresets.templateText(settings.template) : null,
             };
             const fmt      = this._selectedFormat();
-            const savePath = document.getElementById('reportSavePath')?.value?.trim() || '';
+            const savePath = this._savePath(settings.pathPattern) || '';
 
-            const content  = _buildReportContent(opts, fmt);
+            const content  = _buildReportContent(opts, fmt, this.source);
             const saved    = await _saveReportFile(content, fmt, savePath);
 
             this.close();
@@ -3403,9 +3219,12 @@ function reportWizardBack()   { ReportWizard.back();  }
 function _findingAdvisory(f) {
     const key = (f.key || f.tool || '').toLowerCase();
     const msg = (f.message || '').toLowerCase();
+    // Normalized findings carry a category; legacy one-line findings only have text
+    const isMalware = f.category ? f.category === 'malware'   : (msg.includes('threat') || msg.includes('infected'));
+    const isChange  = f.category ? f.category === 'integrity' : (msg.includes('change') || msg.includes('modified'));
 
     const notes = {
-        clamav:     msg.includes('threat') || msg.includes('infected')
+        clamav:     isMalware
                         ? 'Definitions updated; flagged file(s) quarantined — run second-pass clamscan to confirm.'
                         : 'Definitions updated; full scan clean.',
         chkrootkit: 'Cross-verified via promiscuous-mode check, debsums/rpm -Va, and rkhunter — see scan output for verdict.',
@@ -3413,7 +3232,7 @@ function _findingAdvisory(f) {
         gvm:        msg.includes('fail') ? 'Service restart attempted — check: systemctl status gvmd ospd-openvas.' : 'Service health confirmed.',
         openvas:    msg.includes('fail') ? 'Service restart attempted — check: systemctl status gvmd ospd-openvas.' : 'Service health confirmed.',
         suricata:   msg.includes('fail') ? 'Service restart attempted; rules reloaded.' : 'Rules reloaded; IPS mode active.',
-        aide:       msg.includes('change') || msg.includes('modified') ? 'Findings logged — baseline NOT auto-updated to preserve evidence.'
+        aide:       isChange ? 'Findings logged — baseline NOT auto-updated to preserve evidence.'
                         : msg.includes('error') ? 'Database initialised via aideinit/aide --init.' : 'Integrity check passed.',
         tripwire:   msg.includes('not fully') || msg.includes('--init') ? 'Not initialised — run: sudo tripwire --init on a clean system.' : 'Check completed.',
         lynis:      '19 kernel/network sysctl parameters hardened and persisted; Lynis audit re-run — remaining suggestions in /var/log/lynis.log require manual config (SSH, passwords, etc.).',
@@ -3425,7 +3244,8 @@ function _findingAdvisory(f) {
         selinux:    'Enforcing mode activated.',
     };
 
-    const note = notes[key] || `Automated countermeasures applied — review ${key} logs for details.`;
+    const note = notes[key] || TOOLS_DATABASE[key]?.plugin?.advisory
+        || `Automated countermeasures applied — review ${key} logs for details.`;
     return { defenseNote: note };
 }
 
@@ -3434,8 +3254,9 @@ function _findingAdvisory(f) {
 function _findingRisk(f) {
     const key = (f.key || f.tool || '').toLowerCase();
     const msg = (f.message || '').toLowerCase();
+    const isMalware = f.category ? f.category === 'malware' : (msg.includes('threat') || msg.includes('infected'));
     const risks = {
-        clamav:     msg.includes('threat') || msg.includes('infected')
+        clamav:     isMalware
                         ? 'Malware can steal credentials, encrypt files for ransom, or maintain persistent backdoor access.'
                         : 'Antivirus scan clean — no active threats detected.',
         chkrootkit: 'Rootkits hide attacker persistence; compromised binaries allow full undetected system control.',
@@ -3460,20 +3281,288 @@ function _findingRisk(f) {
         nessus:     'Unpatched vulnerabilities are actively exploited by automated attack frameworks.',
         osquery:    'Runtime process and file anomalies indicate active exploitation or malware execution.',
     };
-    return risks[key] || `${f.tool || key} flagged a ${(f.level || 'security')} condition requiring investigation.`;
+    return risks[key] || TOOLS_DATABASE[key]?.plugin?.risk || `${f.tool || key} flagged a ${(f.level || 'security')} condition requiring investigation.`;
+}
+
+// ==================== COMPLIANCE MAPPING ====================
+// Maps tools, individual checks and defend actions to controls in CIS
+// Controls v8, NIST SP 800-53 Rev. 5 and ISO/IEC 27001:2022 Annex A, so the
+// reports can show per-control coverage instead of per-tool output:
+//
+//   fail         — an open finding maps to the control
+//   pass         — a mapped tool ran cleanly, or a mapped defend action was applied
+//   not-assessed — nothing that maps to the control ran
+//
+// A finding maps through the most specific entry available: its Lynis test ID
+// prefix, then its parser category, then the tool that reported it.
+
+const COMPLIANCE_FRAMEWORKS = {
+    cis: {
+        label: 'CIS Controls v8',
+        controls: {
+            '1.1':  'Establish and Maintain Detailed Enterprise Asset Inventory',
+            '2.1':  'Establish and Maintain a Software Inventory',
+            '3.3':  'Configure Data Access Control Lists',
+            '3.11': 'Encrypt Sensitive Data at Rest',
+            '4.1':  'Establish and Maintain a Secure Configuration Process',
+            '4.4':  'Implement and Manage a Firewall on Servers',
+            '4.5':  'Implement and Manage a Firewall on End-User Devices',
+            '4.6':  'Securely Manage Enterprise Assets and Software',
+            '4.8':  'Uninstall or Disable Unnecessary Services on Enterprise Assets and Software',
+            '5.2':  'Use Unique Passwords',
+            '7.1':  'Establish and Maintain a Vulnerability Management Process',
+            '7.3':  'Perform Automated Operating System Patch Management',
+            '7.5':  'Perform Automated Vulnerability Scans of Internal Enterprise Assets',
+            '7.7':  'Remediate Detected Vulnerabilities',
+            '8.2':  'Collect Audit Logs',
+            '8.4':  'Standardize Time Synchronization',
+            '8.5':  'Collect Detailed Audit Logs',
+            '8.11': 'Conduct Audit Log Reviews',
+            '10.1': 'Deploy and Maintain Anti-Malware Software',
+            '10.2': 'Configure Automatic Anti-Malware Signature Updates',
+            '10.3': 'Disable Autorun and Autoplay for Removable Media',
+            '13.1': 'Centralize Security Event Alerting',
+            '13.3': 'Deploy a Network Intrusion Detection Solution',
+            '13.6': 'Collect Network Traffic Flow Logs',
+            '13.7': 'Deploy a Host-Based Intrusion Prevention Solution',
+            '13.8': 'Deploy a Network Intrusion Prevention Solution',
+        },
+    },
+    nist: {
+        label: 'NIST SP 800-53 Rev. 5',
+        controls: {
+            'AC-3':  'Access Enforcement',
+            'AC-6':  'Least Privilege',
+            'AC-7':  'Unsuccessful Logon Attempts',
+            'AC-17': 'Remote Access',
+            'AU-2':  'Event Logging',
+            'AU-6':  'Audit Record Review, Analysis, and Reporting',
+            'AU-8':  'Time Stamps',
+            'AU-12': 'Audit Record Generation',
+            'CM-2':  'Baseline Configuration',
+            'CM-6':  'Configuration Settings',
+            'CM-7':  'Least Functionality',
+            'CM-8':  'System Component Inventory',
+            'IA-5':  'Authenticator Management',
+            'IR-4':  'Incident Handling',
+            'MP-7':  'Media Use',
+            'RA-5':  'Vulnerability Monitoring and Scanning',
+            'SC-7':  'Boundary Protection',
+            'SC-28': 'Protection of Information at Rest',
+            'SI-2':  'Flaw Remediation',
+            'SI-3':  'Malicious Code Protection',
+            'SI-4':  'System Monitoring',
+            'SI-7':  'Software, Firmware, and Information Integrity',
+        },
+    },
+    iso: {
+        label: 'ISO/IEC 27001:2022 Annex A',
+        controls: {
+            'A.5.9':  'Inventory of information and other associated assets',
+            'A.5.25': 'Assessment and decision on information security events',
+            'A.7.10': 'Storage media',
+            'A.8.2':  'Privileged access rights',
+            'A.8.3':  'Information access restriction',
+            'A.8.5':  'Secure authentication',
+            'A.8.7':  'Protection against malware',
+            'A.8.8':  'Management of technical vulnerabilities',
+            'A.8.9':  'Configuration management',
+            'A.8.15': 'Logging',
+            'A.8.16': 'Monitoring activities',
+            'A.8.17': 'Clock synchronization',
+            'A.8.20': 'Networks security',
+            'A.8.24': 'Use of cryptography',
+        },
+    },
+};
+
+// Lynis test ID prefix (e.g. SSH-7408) → controls
+const COMPLIANCE_LYNIS_CHECKS = {
+    AUTH: { cis: ['5.2'],        nist: ['IA-5'],          iso: ['A.8.5'] },
+    SSH:  { cis: ['4.6'],        nist: ['AC-17', 'CM-6'], iso: ['A.8.5', 'A.8.20'] },
+    FIRE: { cis: ['4.4', '4.5'], nist: ['SC-7'],          iso: ['A.8.20'] },
+    KRNL: { cis: ['4.1'],        nist: ['CM-6'],          iso: ['A.8.9'] },
+    BOOT: { cis: ['4.1'],        nist: ['CM-6'],          iso: ['A.8.9'] },
+    HRDN: { cis: ['4.1'],        nist: ['CM-6'],          iso: ['A.8.9'] },
+    LOGG: { cis: ['8.2'],        nist: ['AU-2', 'AU-12'], iso: ['A.8.15'] },
+    ACCT: { cis: ['8.5'],        nist: ['AU-12'],         iso: ['A.8.15'] },
+    PKGS: { cis: ['7.3'],        nist: ['SI-2'],          iso: ['A.8.8'] },
+    MALW: { cis: ['10.1'],       nist: ['SI-3'],          iso: ['A.8.7'] },
+    FINT: { cis: [],             nist: ['SI-7'],          iso: ['A.8.9'] },
+    FILE: { cis: ['3.3'],        nist: ['AC-3'],          iso: ['A.8.3'] },
+    NETW: { cis: ['4.8'],        nist: ['CM-7'],          iso: ['A.8.20'] },
+    USB:  { cis: ['10.3'],       nist: ['MP-7'],          iso: ['A.7.10'] },
+    STRG: { cis: ['10.3'],       nist: ['MP-7'],          iso: ['A.7.10'] },
+    CRYP: { cis: ['3.11'],       nist: ['SC-28'],         iso: ['A.8.24'] },
+    TIME: { cis: ['8.4'],        nist: ['AU-8'],          iso: ['A.8.17'] },
+};
+
+// Parser category (lib/finding_parsers.py CATEGORIES) → controls
+const COMPLIANCE_CATEGORIES = {
+    malware:       { cis: ['10.1'],        nist: ['SI-3'],         iso: ['A.8.7'] },
+    rootkit:       { cis: ['10.1'],        nist: ['SI-3', 'SI-7'], iso: ['A.8.7'] },
+    integrity:     { cis: [],              nist: ['SI-7'],         iso: ['A.8.9'] },
+    hardening:     { cis: ['4.1'],         nist: ['CM-6'],         iso: ['A.8.9'] },
+    intrusion:     { cis: ['13.3'],        nist: ['SI-4'],         iso: ['A.8.16'] },
+    vulnerability: { cis: ['7.5', '7.7'],  nist: ['RA-5', 'SI-2'], iso: ['A.8.8'] },
+};
+
+const _mergeControls = (...maps) => Object.fromEntries(Object.keys(COMPLIANCE_FRAMEWORKS).map(fw =>
+    [fw, [...new Set(maps.flatMap(m => m[fw] || []))]]));
+
+const _AV_CONTROLS        = { cis: ['10.1'], nist: ['SI-3'], iso: ['A.8.7'] };
+const _VULN_SCAN_CONTROLS = { cis: ['7.1', '7.5'], nist: ['RA-5'], iso: ['A.8.8'] };
+const _FIM_CONTROLS       = { cis: [], nist: ['SI-7'], iso: ['A.8.9'] };
+const _NIDS_CONTROLS      = { cis: ['13.3', '13.6'], nist: ['SI-4'], iso: ['A.8.16'] };
+const _HARDENING_CONTROLS = { cis: ['4.1'], nist: ['CM-2', 'CM-6'], iso: ['A.8.9'] };
+
+// Tool key → controls the tool assesses when its scan runs (clean or not)
+const COMPLIANCE_TOOLS = {
+    clamav:             _AV_CONTROLS,
+    malwarebytes:       _AV_CONTROLS,
+    'windows-defender': _AV_CONTROLS,
+    kaspersky:          _AV_CONTROLS,
+    rkhunter:           _mergeControls(_AV_CONTROLS, { nist: ['SI-7'] }),
+    chkrootkit:         _mergeControls(_AV_CONTROLS, { nist: ['SI-7'] }),
+    nessus:             _VULN_SCAN_CONTROLS,
+    openvas:            _VULN_SCAN_CONTROLS,
+    gvm:                _VULN_SCAN_CONTROLS,
+    aide:               _FIM_CONTROLS,
+    tripwire:           _FIM_CONTROLS,
+    // Lynis runs every test group it has a prefix mapping for
+    lynis:              _mergeControls(_HARDENING_CONTROLS, ...Object.values(COMPLIANCE_LYNIS_CHECKS)),
+    tiger:              _mergeControls(_HARDENING_CONTROLS, COMPLIANCE_LYNIS_CHECKS.FILE),
+    'cis-cat':          _HARDENING_CONTROLS,
+    osquery:            { cis: ['1.1', '2.1'], nist: ['CM-8'], iso: ['A.5.9'] },
+    auditd:             { cis: ['8.2', '8.5'], nist: ['AU-2', 'AU-12'], iso: ['A.8.15'] },
+    suricata:           _NIDS_CONTROLS,
+    zeek:               _NIDS_CONTROLS,
+    wireshark:          { cis: ['13.6'], nist: ['SI-4'], iso: ['A.8.16'] },
+    splunk:             { cis: ['8.11', '13.1'], nist: ['AU-6'], iso: ['A.8.16'] },
+    'elastic-stack':    { cis: ['8.11', '13.1'], nist: ['AU-6'], iso: ['A.8.16'] },
+    volatility:         { cis: [], nist: ['IR-4'], iso: ['A.5.25'] },
+};
+
+// Tool key → controls its defend step implements
+const COMPLIANCE_DEFEND = {
+    ufw:        { cis: ['4.4', '4.5'], nist: ['SC-7'], iso: ['A.8.20'] },
+    firewalld:  { cis: ['4.4', '4.5'], nist: ['SC-7'], iso: ['A.8.20'] },
+    iptables:   { cis: ['4.4', '4.5'], nist: ['SC-7'], iso: ['A.8.20'] },
+    fail2ban:   { cis: ['13.7'], nist: ['AC-7', 'SI-4'], iso: ['A.8.5'] },
+    suricata:   { cis: ['13.8'], nist: ['SI-4', 'SC-7'], iso: ['A.8.16'] },
+    apparmor:   { cis: ['4.1'], nist: ['AC-3', 'AC-6', 'CM-7'], iso: ['A.8.2', 'A.8.3'] },
+    selinux:    { cis: ['4.1'], nist: ['AC-3', 'AC-6', 'CM-7'], iso: ['A.8.2', 'A.8.3'] },
+    clamav:     _mergeControls(_AV_CONTROLS, { cis: ['10.2'] }),
+    rkhunter:   _AV_CONTROLS,
+    lynis:      _HARDENING_CONTROLS,
+    tiger:      _mergeControls(_HARDENING_CONTROLS, COMPLIANCE_LYNIS_CHECKS.FILE),
+    auditd:     { cis: ['8.2', '8.5'], nist: ['AU-2', 'AU-12'], iso: ['A.8.15'] },
+    gvm:        _VULN_SCAN_CONTROLS,
+    openvas:    _VULN_SCAN_CONTROLS,
+    nessus:     _VULN_SCAN_CONTROLS,
+    aide:       _FIM_CONTROLS,
+    tripwire:   _FIM_CONTROLS,
+};
+
+/** Controls one finding maps to: { cis: [...], nist: [...], iso: [...] } */
+function complianceControlsFor(f) {
+    const key = (f.key || f.tool || '').toLowerCase();
+    if (key === 'lynis') {
+        const m = /\[([A-Z]+)-\d+\]/.exec(f.evidence || f.message || '');
+        if (m && COMPLIANCE_LYNIS_CHECKS[m[1]]) return COMPLIANCE_LYNIS_CHECKS[m[1]];
+    }
+    return COMPLIANCE_CATEGORIES[f.category] || COMPLIANCE_TOOLS[key] || {};
+}
+
+/** A finding counts against a control unless it is informational only. */
+const _complianceFailing = (f) => f.provenance !== 'error' && (f.level !== 'info' || f.flagged);
+
+/**
+ * Per-control coverage of one framework from a scan and (optionally) the
+ * defend run that followed it.
+ * @returns {{ framework, label, controls: [{ id, title, status, findings, assessedBy, actions, accepted }],
+ *             summary: { pass, fail, notAssessed } }}
+ */
+function complianceCoverage(framework, scan, defense) {
+    const fw       = COMPLIANCE_FRAMEWORKS[framework];
+    const failed   = new Set((scan?.toolErrors || []).map(f => (f.key || f.tool || '').toLowerCase()));
+    // Older history runs have no toolsAssessed — the tools that reported something ran
+    const assessed = new Set(scan?.toolsAssessed
+        || (scan?.findings || []).concat(scan?.suppressed || []).map(f => (f.key || f.tool || '').toLowerCase()));
+    const applied  = (defense?.plan?.actions || [])
+        .filter(a => a.approved && a.result && a.result.provenance !== 'error')
+        .map(a => ({ key: (a.key || '').toLowerCase(), tool: a.tool, summary: a.result.summary }));
+
+    const controls = Object.entries(fw.controls).map(([id, title]) => ({
+        id, title, status: 'not-assessed', findings: [], assessedBy: [], actions: [], accepted: 0,
+    }));
+    const byId = Object.fromEntries(controls.map(c => [c.id, c]));
+
+    assessed.forEach(key => {
+        if (failed.has(key)) return;
+        (COMPLIANCE_TOOLS[key]?.[framework] || []).forEach(id =>
+            byId[id]?.assessedBy.push(TOOLS_DATABASE[key]?.name || key));
+    });
+    (scan?.findings || []).filter(_complianceFailing).forEach(f =>
+        (complianceControlsFor(f)[framework] || []).forEach(id => byId[id]?.findings.push(f)));
+    (scan?.suppressed || []).forEach(f =>
+        (complianceControlsFor(f)[framework] || []).forEach(id => { if (byId[id]) byId[id].accepted++; }));
+    applied.forEach(a =>
+        (COMPLIANCE_DEFEND[a.key]?.[framework] || []).forEach(id => byId[id]?.actions.push(a)));
+
+    controls.forEach(c => {
+        c.status = c.findings.length > 0 ? 'fail'
+                 : c.assessedBy.length > 0 || c.actions.length > 0 ? 'pass'
+                 : 'not-assessed';
+    });
+    return {
+        framework,
+        label:    fw.label,
+        controls,
+        summary: {
+            pass:        controls.filter(c => c.status === 'pass').length,
+            fail:        controls.filter(c => c.status === 'fail').length,
+            notAssessed: controls.filter(c => c.status === 'not-assessed').length,
+        },
+    };
+}
+
+/** Coverage for every framework selected in the report wizard. */
+function _reportCompliance(opts, d) {
+    const frameworks = (opts.frameworks || Object.keys(COMPLIANCE_FRAMEWORKS)).filter(fw => COMPLIANCE_FRAMEWORKS[fw]);
+    return frameworks.map(fw => complianceCoverage(fw, d.scan, d.defense));
+}
+
+/** One-line evidence for a control row: findings, assessing tools, defend actions. */
+function _complianceEvidence(c) {
+    const parts = [];
+    if (c.findings.length)   parts.push(`${c.findings.length} open finding(s) from ${[...new Set(c.findings.map(f => f.tool))].join(', ')}`);
+    if (c.assessedBy.length) parts.push(`assessed by ${[...new Set(c.assessedBy)].join(', ')}`);
+    if (c.actions.length)    parts.push(`implemented by ${[...new Set(c.actions.map(a => a.tool))].join(', ')}`);
+    if (c.accepted)          parts.push(`${c.accepted} accepted risk(s)`);
+    return parts.join('; ') || 'no mapped tool ran';
 }
 
+const COMPLIANCE_STATUS_LABELS = { pass: 'PASS', fail: 'FAIL', 'not-assessed': 'NOT ASSESSED' };
+
 // ==================== REPORT CONTENT BUILDER ====================
 
-function _buildReportContent(opts, fmt) {
+/**
+ * @param {object} opts   - section toggles from the wizard
+ * @param {string} fmt    - 'txt' | 'md' | 'html' | 'json' | 'sarif' | 'csv' | 'pdf'
+ * @param {{scan, defense, diff?}|null} [source] - stored run to report on instead of
+ *        the current session's KjerLastScanResults / KjerLastDefenseResults
+ */
+function _buildReportContent(opts, fmt, source = null) {
     const ts          = new Date().toLocaleString();
     const tsISO       = new Date().toISOString();
     const os          = localStorage.getItem('userDistro') || localStorage.getItem('userOS') || 'Unknown';
     const version     = (localStorage.getItem('kjerVersion') || '1.0').replace(/^v/i, '');
     const licType     = localStorage.getItem('kjerLicenseType') || 'unknown';
     const installedAt = localStorage.getItem('installedAt') || 'Unknown';
-    const scan        = window.KjerLastScanResults;
-    const defense     = window.KjerLastDefenseResults;
+    const scan        = source ? source.scan    : window.KjerLastScanResults;
+    const defense     = source ? source.defense : window.KjerLastDefenseResults;
+    const diff        = source ? (source.diff || null) : _sessionScanDiff();
     const installed   = getInstalledTools();
     const toolNames   = Object.keys(installed);
 
@@ -3487,13 +3576,66 @@ function _buildReportContent(opts, fmt) {
     const hostName       = localStorage.getItem('hostName') || localStorage.getItem('kjerHostname') || '';
     const hostSubnet     = hostIP ? _getLocalSubnet() : '';
 
-    const ctx = { ts, os, version, licType, installedAt, scan, defense, toolNames, logEntries, monitorEntries, networkDevices, hostIP, hostName, hostSubnet };
-    if (fmt === 'json') return _buildJsonReport(opts, { ...ctx, ts: tsISO });
-    if (fmt === 'md')   return _buildMarkdownReport(opts, ctx);
-    if (fmt === 'html') return _buildHtmlReport(opts, ctx);
+    const prov = _reportProvenance(scan, defense);
+
+    // Executive reports keep the findings that drive the threat level; the
+    // technical audience (the default) gets everything
+    const title    = (opts.title || '').trim() || 'Kjer Security Report';
+    const audience = opts.audience === 'executive' ? 'executive' : 'technical';
+    const shown    = scan && audience === 'executive'
+        ? { ...scan, findings: (scan.findings || []).filter(f => REPORT_EXECUTIVE_LEVELS.has(f.level)), suppressed: [] }
+        : scan;
+    const omitted  = scan ? (scan.findings || []).length - shown.findings.length + (scan.suppressed || []).length - (shown.suppressed || []).length : 0;
+
+    const ctx = { ts, os, version, licType, installedAt, scan: shown, defense, diff, prov, toolNames, logEntries, monitorEntries, networkDevices, hostIP, hostName, hostSubnet, title, audience, omitted };
+    if (opts.templateText && (fmt === 'html' || fmt === 'md')) {
+        const builtin = fmt === 'html' ? _buildHtmlReport(opts, ctx) : _buildMarkdownReport(opts, ctx);
+        return _renderReportTemplate(opts.templateText, _reportTemplateModel(opts, fmt, ctx, builtin),
+                                     fmt === 'html' ? _escapeHtml : _escapeMdTemplate);
+    }
+    if (fmt === 'json')  return _buildJsonReport(opts, { ...ctx, ts: tsISO });
+    if (fmt === 'sarif') return _buildSarifReport(opts, { ...ctx, ts: tsISO });
+    if (fmt === 'csv')   return _buildCsvReport(opts, ctx);
+    if (fmt === 'pdf')   return _buildPdfReport(opts, ctx);
+    if (fmt === 'md')    return _buildMarkdownReport(opts, ctx);
+    if (fmt === 'html')  return _buildHtmlReport(opts, ctx);
     return _buildTextReport(opts, ctx);
 }
 
+/**
+ * Where the reported results came from: whether simulation mode was on (or any
+ * finding/action is generated) and which tool runs or defense actions failed.
+ */
+function _reportProvenance(scan, defense) {
+    const acts = (defense?.actions || []).filter(e => e.type === 'result' && e.tool && e.message);
+    const simulatedFindings = (scan?.findings || []).filter(f => f.provenance === 'simulated').length;
+    const simulatedActions  = acts.filter(a => a.provenance === 'simulated').length;
+    return {
+        simulated: !!(scan?.simulationMode || defense?.simulationMode) || simulatedFindings + simulatedActions > 0,
+        simulatedFindings,
+        simulatedActions,
+        errors: [
+            ...(scan?.toolErrors || []).map(f => ({ tool: f.tool, stage: 'scan', message: f.message })),
+            ...acts.filter(a => a.provenance === 'error').map(a => ({ tool: a.tool, stage: 'defend', message: a.message })),
+        ],
+    };
+}
+
+function _simulationNotice(prov) {
+    return `SIMULATION MODE — this report contains generated demo results ` +
+           `(${prov.simulatedFindings} finding(s), ${prov.simulatedActions} action(s)) that do not reflect real tool output`;
+}
+
+// Finding levels an executive report keeps (critical / high / medium)
+const REPORT_EXECUTIVE_LEVELS = new Set(['critical', 'error', 'warning']);
+
+/** Note for executive reports that left out lower-severity findings; '' otherwise. */
+function _audienceNotice(d) {
+    if (d.audience !== 'executive' || !d.omitted) return '';
+    return `Executive summary — ${d.omitted} low-severity, informational or accepted finding(s) omitted; ` +
+           `generate a technical report for full detail`;
+}
+
 function _rptLine(char, len) { return char.repeat(len || 60); }
 
 function _buildTextReport(opts, d) {
@@ -3503,11 +3645,16 @@ function _buildTextReport(opts, d) {
     const hasDefense = !!(defense && defense.actions && defense.actions.length > 0);
     let r = [];
     r.push(L('='));
-    r.push('KJER SECURITY REPORT');
+    r.push(d.title.toUpperCase());
     r.push(`Generated : ${d.ts}`);
     r.push(`Platform  : ${d.os}`);
     r.push(`Version   : v${d.version} (${d.licType})`);
     r.push(L('='));
+    if (d.prov.simulated) {
+        r.push(`*** ${_simulationNotice(d.prov)} ***`);
+        r.push(L('='));
+    }
+    if (_audienceNotice(d)) r.push(`(${_audienceNotice(d)})`);
 
     // Scan summary
     if (scan) {
@@ -3533,9 +3680,10 @@ function _buildTextReport(opts, d) {
         r.push(`\nFINDINGS — ${findings.length} finding(s)`);
         r.push(L('-'));
         findings.forEach(f => {
-            r.push(`\n  [${(f.level || 'info').toUpperCase()}] ${f.tool}  |  ${f.phase || ''}`);
+            r.push(`\n  [${(f.level || 'info').toUpperCase()}] ${f.tool}  |  ${f.phase || ''}${f.provenance === 'simulated' ? '  |  SIMULATED' : ''}`);
             r.push(`  Detected : ${f.message}`);
             r.push(`  Threat   : ${_findingRisk(f)}`);
+            if (f.remediation) r.push(`  Remedy   : ${f.remediation}`);
             if (hasDefense) {
                 const act = _matchAct(f);
                 r.push(`  Fixed    : ${act ? act.message : _findingAdvisory(f).defenseNote}`);
@@ -3547,6 +3695,58 @@ function _buildTextReport(opts, d) {
         r.push('\n  No findings — system scan clean.');
     }
 
+    const suppressed = (scan?.suppressed || []).filter(f => wantAll || activePhases.has(f.phase));
+    if (suppressed.length > 0) {
+        r.push(`\nSUPPRESSED FINDINGS — ${suppressed.length} (excluded from threat level)`);
+        r.push(L('-'));
+        suppressed.forEach(f => {
+            r.push(`\n  [${(f.level || 'info').toUpperCase()}] ${f.tool}  |  ${f.phase || ''}`);
+            r.push(`  Detected : ${f.message}`);
+            r.push(`  Status   : ${Suppressions.describe(f.suppressed)}`);
+        });
+        r.push('');
+        r.push(L('-'));
+    }
+
+    if (d.prov.errors.length > 0) {
+        r.push(`\nTOOL ERRORS — ${d.prov.errors.length} (no results; not included in the threat level)`);
+        r.push(L('-'));
+        d.prov.errors.forEach(e => r.push(`  [${e.stage.toUpperCase()}] ${e.tool}: ${e.message}`));
+        r.push(L('-'));
+    }
+
+    if (opts.diff) {
+        r.push('\nCHANGES SINCE BASELINE');
+        r.push(L('-'));
+        const df = d.diff;
+        if (df) {
+            const when = (ref) => ref?.completedAt ? new Date(ref.completedAt).toLocaleString() : '—';
+            r.push(`  Baseline : ${when(df.baseline)} (${df.baseline?.threatLevel || '—'})`);
+            r.push(`  Current  : ${when(df.current)} (${df.current?.threatLevel || '—'})`);
+            r.push(`  New: ${df.added.length}  |  Resolved: ${df.resolved.length}  |  Unchanged: ${df.unchanged.length}  |  Severity changed: ${df.changed.length}`);
+            r.push('');
+            df.added.forEach(f     => r.push(`  + NEW       [${(f.level || 'info').toUpperCase()}] ${f.tool}: ${f.message}`));
+            df.changed.forEach(c   => r.push(`  ~ ${c.direction.toUpperCase().padEnd(9)} [${(c.before.level || 'info').toUpperCase()} → ${(c.after.level || 'info').toUpperCase()}] ${c.after.tool}: ${c.after.message}`));
+            df.resolved.forEach(f  => r.push(`  - RESOLVED  [${(f.level || 'info').toUpperCase()}] ${f.tool}: ${f.message}`));
+            df.unchanged.forEach(f => r.push(`  = UNCHANGED [${(f.level || 'info').toUpperCase()}] ${f.tool}: ${f.message}`));
+        } else {
+            r.push('  No baseline scan to compare against.');
+        }
+    }
+
+    if (opts.compliance && scan) {
+        _reportCompliance(opts, d).forEach(cov => {
+            r.push(`\nCOMPLIANCE COVERAGE — ${cov.label}`);
+            r.push(L('-'));
+            r.push(`  Pass: ${cov.summary.pass}  |  Fail: ${cov.summary.fail}  |  Not assessed: ${cov.summary.notAssessed}`);
+            r.push('');
+            cov.controls.forEach(c => {
+                r.push(`  [${COMPLIANCE_STATUS_LABELS[c.status].padEnd(12)}] ${c.id.padEnd(6)} ${c.title}`);
+                if (c.status !== 'not-assessed') r.push(`${' '.repeat(24)}${_complianceEvidence(c)}`);
+            });
+        });
+    }
+
     // Defense summary (only when defense actually ran)
     if (hasDefense && opts.defense) {
         r.push('\nDEFENSE SUMMARY');
@@ -3559,7 +3759,7 @@ function _buildTextReport(opts, d) {
         if (allActs.length > 0) {
             r.push('');
             r.push('  TOOL ACTION LOG');
-            allActs.forEach(a => r.push(`  [${(a.level || 'info').toUpperCase()}] ${a.tool}: ${a.message}`));
+            allActs.forEach(a => r.push(`  [${(a.level || 'info').toUpperCase()}] ${a.tool}: ${a.message}${a.provenance === 'simulated' ? '  (simulated)' : ''}`));
         }
     }
 
@@ -3603,7 +3803,7 @@ function _buildTextReport(opts, d) {
 
     r.push('');
     r.push(L('='));
-    r.push('END OF KJER SECURITY REPORT');
+    r.push(`END OF ${d.title.toUpperCase()}`);
     r.push(L('='));
     return r.join('\n');
 }
@@ -3764,7 +3964,7 @@ function _buildMarkdownReport(opts, d) {
     const defense    = d.defense;
     const hasDefense = !!(defense && defense.actions && defense.actions.length > 0);
     let r = [];
-    r.push('# Kjer Security Report');
+    r.push(`# ${d.title}`);
     r.push('');
     r.push(`| | |`);
     r.push(`|---|---|`);
@@ -3772,6 +3972,14 @@ function _buildMarkdownReport(opts, d) {
     r.push(`| **Platform** | ${d.os} |`);
     r.push(`| **Version** | v${d.version} (${d.licType}) |`);
     r.push('');
+    if (d.prov.simulated) {
+        r.push(`> ⚠️ **${_simulationNotice(d.prov)}**`);
+        r.push('');
+    }
+    if (_audienceNotice(d)) {
+        r.push(`> ${_audienceNotice(d)}`);
+        r.push('');
+    }
 
     if (scan) {
         const tl = scan.critical > 0 ? '🔴 CRITICAL' : scan.high > 0 ? '🟠 HIGH' : scan.medium > 0 ? '🟡 MEDIUM' : '🟢 CLEAN';
@@ -3800,10 +4008,11 @@ function _buildMarkdownReport(opts, d) {
         r.push('## Findings');
         r.push('');
         findings.forEach((f, i) => {
-            r.push(`### ${i + 1}. \`${f.tool}\` — ${(f.level || 'info').toUpperCase()}`);
+            r.push(`### ${i + 1}. \`${f.tool}\` — ${(f.level || 'info').toUpperCase()}${f.provenance === 'simulated' ? ' _(simulated)_' : ''}`);
             r.push('');
             r.push(`**Detected:** ${f.message}  `);
             r.push(`**Threat:** ${_findingRisk(f)}  `);
+            if (f.remediation) r.push(`**Remediation:** ${f.remediation}  `);
             if (hasDefense) {
                 const act = _matchActMd(f);
                 r.push(`**Fixed:** ${act ? act.message : _findingAdvisory(f).defenseNote}  `);
@@ -3817,6 +4026,76 @@ function _buildMarkdownReport(opts, d) {
         r.push('');
     }
 
+    const suppressed = (scan?.suppressed || []).filter(f => wantAll || activePhases.has(f.phase));
+    if (suppressed.length > 0) {
+        r.push('## Suppressed Findings');
+        r.push('');
+        r.push('_Accepted risks and false positives — excluded from the threat level._');
+        r.push('');
+        r.push('| Tool | Severity | Finding | Status |');
+        r.push('|---|---|---|---|');
+        suppressed.forEach(f => r.push(`| **${f.tool}** | \`${(f.level || 'info').toUpperCase()}\` | ${f.message} | ${Suppressions.describe(f.suppressed)} |`));
+        r.push('');
+    }
+
+    if (d.prov.errors.length > 0) {
+        r.push('## Tool Errors');
+        r.push('');
+        r.push('_These tools returned no results — they are not included in the threat level._');
+        r.push('');
+        r.push('| Tool | Stage | Error |');
+        r.push('|---|---|---|');
+        d.prov.errors.forEach(e => r.push(`| **${e.tool}** | ${e.stage} | ${e.message} |`));
+        r.push('');
+    }
+
+    if (opts.diff) {
+        r.push('## Changes Since Baseline');
+        r.push('');
+        const df = d.diff;
+        if (df) {
+            const when = (ref) => ref?.completedAt ? new Date(ref.completedAt).toLocaleString() : '—';
+            r.push(`**Baseline:** ${when(df.baseline)} (${df.baseline?.threatLevel || '—'})  `);
+            r.push(`**Current:** ${when(df.current)} (${df.current?.threatLevel || '—'})`);
+            r.push('');
+            r.push('| New | Resolved | Unchanged | Severity Changed |');
+            r.push('|---|---|---|---|');
+            r.push(`| ${df.added.length} | ${df.resolved.length} | ${df.unchanged.length} | ${df.changed.length} |`);
+            r.push('');
+            const rows = [
+                ...df.added.map(f     => ['🆕 New', f, `\`${(f.level || 'info').toUpperCase()}\``]),
+                ...df.changed.map(c   => [c.direction === 'escalated' ? '⬆️ Escalated' : '⬇️ Reduced', c.after,
+                                          `\`${(c.before.level || 'info').toUpperCase()}\` → \`${(c.after.level || 'info').toUpperCase()}\``]),
+                ...df.resolved.map(f  => ['✅ Resolved', f, `\`${(f.level || 'info').toUpperCase()}\``]),
+                ...df.unchanged.map(f => ['= Unchanged', f, `\`${(f.level || 'info').toUpperCase()}\``]),
+            ];
+            if (rows.length > 0) {
+                r.push('| Change | Tool | Severity | Finding |');
+                r.push('|---|---|---|---|');
+                rows.forEach(([change, f, sev]) => r.push(`| ${change} | **${f.tool}** | ${sev} | ${f.message} |`));
+                r.push('');
+            }
+        } else {
+            r.push('> No baseline scan to compare against.');
+            r.push('');
+        }
+    }
+
+    if (opts.compliance && scan) {
+        r.push('## Compliance Coverage');
+        r.push('');
+        const cell = (t) => String(t).replace(/\|/g, '\\|');
+        _reportCompliance(opts, d).forEach(cov => {
+            r.push(`### ${cov.label}`);
+            r.push(`**${cov.summary.pass}** pass · **${cov.summary.fail}** fail · **${cov.summary.notAssessed}** not assessed`);
+            r.push('');
+            r.push('| Control | Title | Status | Evidence |');
+            r.push('|---|---|---|---|');
+            cov.controls.forEach(c => r.push(`| ${c.id} | ${cell(c.title)} | ${c.status === 'fail' ? '**FAIL**' : COMPLIANCE_STATUS_LABELS[c.status]} | ${cell(_complianceEvidence(c))} |`));
+            r.push('');
+        });
+    }
+
     if (hasDefense && opts.defense) {
         r.push('## Defense Summary');
         r.push('');
@@ -3833,7 +4112,7 @@ function _buildMarkdownReport(opts, d) {
             r.push('');
             r.push('| Tool | Result | Level |');
             r.push('|---|---|---|');
-            allActs.forEach(a => r.push(`| **${a.tool}** | ${a.message} | \`${(a.level||'info').toUpperCase()}\` |`));
+            allActs.forEach(a => r.push(`| **${a.tool}** | ${a.message}${a.provenance === 'simulated' ? ' _(simulated)_' : ''} | \`${(a.level||'info').toUpperCase()}\` |`));
             r.push('');
         }
     }
@@ -3960,6 +4239,7 @@ function _buildMarkdownReport(opts, d) {
         }
         r.push('');
     }
+    } // end replaced block guard
 
     if (opts.tools) {
         r.push('## Installed Tools Inventory');
@@ -3970,14 +4250,6 @@ function _buildMarkdownReport(opts, d) {
         r.push('');
     }
 
-    if (opts.tools && d.toolNames.length > 0) {
-        r.push('## Installed Tools');
-        r.push('');
-        d.toolNames.forEach(t => r.push(`- ${t}`));
-        r.push(`\n**Total:** ${d.toolNames.length}`);
-        r.push('');
-    }
-
     if (opts.actlog) {
         r.push('## Activity Log');
         r.push('');
@@ -4005,7 +4277,6 @@ function _buildMarkdownReport(opts, d) {
 
     r.push('\n---\n*Generated by Kjer Security Framework*');
     return r.join('\n');
-    } // end replaced block guard
 }
 
 function _buildHtmlReport(opts, d) {
@@ -4018,7 +4289,7 @@ function _buildHtmlReport(opts, d) {
 
     let b = [];
     b.push(`<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8">`);
-    b.push(`<title>Kjer Security Report — ${d.ts}</title>`);
+    b.push(`<title>${_escapeHtml(d.title)} — ${d.ts}</title>`);
     b.push(`<style>`);
     b.push(`body{font-family:"Segoe UI",Arial,sans-serif;background:#0d0d1a;color:#B0E0E6;margin:0;padding:24px 32px;max-width:900px;}`);
     b.push(`h1{color:#9D4EDD;border-bottom:2px solid #9D4EDD;padding-bottom:8px;margin-bottom:4px;}`);
@@ -4033,9 +4304,13 @@ function _buildHtmlReport(opts, d) {
     b.push(`.fix{color:#4caf50;margin:0;line-height:1.5;}`);
     b.push(`footer{margin-top:40px;border-top:1px solid #2a2a3a;padding-top:10px;color:#445;font-size:11px;}`);
     b.push(`</style></head><body>`);
-    b.push(`<h1>&#x1F6E1; Kjer Security Report</h1>`);
+    b.push(`<h1>&#x1F6E1; ${_escapeHtml(d.title)}</h1>`);
     b.push(`<table><tr><th>Generated</th><th>Platform</th><th>Version</th></tr>`);
     b.push(`<tr><td>${d.ts}</td><td>${d.os}</td><td>v${d.version} (${d.licType})</td></tr></table>`);
+    if (d.prov.simulated) {
+        b.push(`<div style="border:2px dashed #ff9800;color:#ff9800;padding:10px 14px;margin:16px 0;font-weight:700;text-align:center;">&#9888; ${_simulationNotice(d.prov)}</div>`);
+    }
+    if (_audienceNotice(d)) b.push(`<p style="color:#888;font-style:italic;">${_audienceNotice(d)}</p>`);
 
     if (scan) {
         const tl  = scan.critical > 0 ? 'CRITICAL' : scan.high > 0 ? 'HIGH' : scan.medium > 0 ? 'MEDIUM' : 'CLEAN';
@@ -4065,10 +4340,11 @@ function _buildHtmlReport(opts, d) {
             const fixText = hasDefense ? (act ? act.message : _findingAdvisory(f).defenseNote) : null;
             const fixCol  = act ? '#4caf50' : '#888';
             b.push(`<div class="card" style="border-color:${col};">`);
-            b.push(`  <div style="margin-bottom:8px;">${badge(lvl)} <strong style="color:#fff;font-size:14px;">&nbsp;${f.tool}</strong> <span style="color:#444;font-size:11px;margin-left:6px;">${f.phase||''}</span></div>`);
-            b.push(`  <div class="lbl">Detected</div><p class="val">${f.message}</p>`);
-            b.push(`  <div class="lbl" style="color:#cc8800;">Threat</div><p class="risk">${risk}</p>`);
-            if (hasDefense) b.push(`  <div class="lbl" style="color:${fixCol};">Fixed</div><p class="fix" style="color:${fixCol};">${fixText}</p>`);
+            b.push(`  <div style="margin-bottom:8px;">${badge(lvl)} <strong style="color:#fff;font-size:14px;">&nbsp;${_escapeHtml(f.tool)}</strong> <span style="color:#444;font-size:11px;margin-left:6px;">${_escapeHtml(f.phase)}</span>${f.provenance === 'simulated' ? ` ${badge('warning', 'Simulated')}` : ''}</div>`);
+            b.push(`  <div class="lbl">Detected</div><p class="val">${_escapeHtml(f.message)}</p>`);
+            b.push(`  <div class="lbl" style="color:#cc8800;">Threat</div><p class="risk">${_escapeHtml(risk)}</p>`);
+            if (f.remediation) b.push(`  <div class="lbl">Remediation</div><p class="val">${_escapeHtml(f.remediation)}</p>`);
+            if (hasDefense) b.push(`  <div class="lbl" style="color:${fixCol};">Fixed</div><p class="fix" style="color:${fixCol};">${_escapeHtml(fixText)}</p>`);
             b.push(`</div>`);
         });
     } else if (scan) {
@@ -4077,26 +4353,88 @@ function _buildHtmlReport(opts, d) {
         b.push(`<h2>Findings</h2><p><em>No scan data &mdash; run a scan first.</em></p>`);
     }
 
-    // ── Network devices section ──────────────────────────────────────
-    if (opts.network) {
-        b.push('<h2>Network &amp; Device Inventory</h2>');
-        if (d.hostIP) {
-            b.push('<h3 style="color:#B0E0E6;margin-top:12px;">Host Network</h3>');
-            b.push('<table><tr><th>Host IP</th><th>Hostname</th><th>Subnet</th></tr>');
-            b.push(`<tr><td><code>${d.hostIP}</code></td><td>${d.hostName || '—'}</td><td><code>${d.hostSubnet || '—'}</code></td></tr></table>`);
-        }
-        b.push(`<h3 style="color:#B0E0E6;margin-top:18px;">Network Page Devices (${d.networkDevices.length})</h3>`);
-        if (d.networkDevices.length === 0) {
-            b.push('<p><em>No devices added to the network page.</em></p>');
-        } else {
+    const suppressed = (scan?.suppressed || []).filter(f => wantAll || activePhases.has(f.phase));
+    if (suppressed.length > 0) {
+        const esc = (t) => String(t || '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        b.push(`<h2>Suppressed Findings <small style="color:#555;font-weight:400;font-size:13px;">(${suppressed.length}) &mdash; excluded from threat level</small></h2>`);
+        b.push('<table><tr><th>Tool</th><th>Severity</th><th>Finding</th><th>Status</th></tr>');
+        suppressed.forEach(f =>
+            b.push(`<tr><td><strong>${esc(f.tool)}</strong></td><td>${badge(f.level || 'info')}</td><td>${esc(f.message)}</td><td style="color:#888;">${esc(Suppressions.describe(f.suppressed))}</td></tr>`));
+        b.push('</table>');
+    }
+
+    if (d.prov.errors.length > 0) {
+        const esc = (t) => String(t || '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        b.push(`<h2>Tool Errors <small style="color:#555;font-weight:400;font-size:13px;">(${d.prov.errors.length}) &mdash; no results, not included in threat level</small></h2>`);
+        b.push('<table><tr><th>Tool</th><th>Stage</th><th>Error</th></tr>');
+        d.prov.errors.forEach(e =>
+            b.push(`<tr><td><strong>${esc(e.tool)}</strong></td><td>${e.stage}</td><td style="color:#ff6b00;">${esc(e.message)}</td></tr>`));
+        b.push('</table>');
+    }
+
+    if (opts.diff) {
+        b.push('<h2>Changes Since Baseline</h2>');
+        const df = d.diff;
+        if (df) {
+            const esc  = (t) => String(t || '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            const when = (ref) => ref?.completedAt ? new Date(ref.completedAt).toLocaleString() : '—';
+            b.push(`<p style="color:#888;font-size:12px;">Baseline: ${when(df.baseline)} (${df.baseline?.threatLevel || '—'}) &rarr; Current: ${when(df.current)} (${df.current?.threatLevel || '—'})</p>`);
+            b.push('<table><tr><th>New</th><th>Resolved</th><th>Unchanged</th><th>Severity Changed</th></tr>');
+            b.push(`<tr><td style="color:#ff4444;">${df.added.length}</td><td style="color:#4caf50;">${df.resolved.length}</td><td>${df.unchanged.length}</td><td style="color:#ffbb00;">${df.changed.length}</td></tr></table>`);
+            const rows = [
+                ...df.added.map(f     => ['New', '#ff4444', f, badge(f.level || 'info')]),
+                ...df.changed.map(c   => [c.direction === 'escalated' ? 'Escalated' : 'Reduced',
+                                          c.direction === 'escalated' ? '#ff6b00' : '#4caf50',
+                                          c.after, `${badge(c.before.level || 'info')} &rarr; ${badge(c.after.level || 'info')}`]),
+                ...df.resolved.map(f  => ['Resolved', '#4caf50', f, badge(f.level || 'info')]),
+                ...df.unchanged.map(f => ['Unchanged', '#888', f, badge(f.level || 'info')]),
+            ];
+            if (rows.length > 0) {
+                b.push('<table><tr><th>Change</th><th>Tool</th><th>Severity</th><th>Finding</th></tr>');
+                rows.forEach(([change, col, f, sev]) =>
+                    b.push(`<tr><td style="color:${col};font-weight:700;">${change}</td><td><strong>${esc(f.tool)}</strong></td><td>${sev}</td><td>${esc(f.message)}</td></tr>`));
+                b.push('</table>');
+            }
+        } else {
+            b.push('<p><em>No baseline scan to compare against.</em></p>');
+        }
+    }
+
+    if (opts.compliance && scan) {
+        const esc       = (t) => String(t || '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const statusCol = { pass: '#4caf50', fail: '#ff4444', 'not-assessed': '#666' };
+        b.push('<h2>Compliance Coverage</h2>');
+        _reportCompliance(opts, d).forEach(cov => {
+            b.push(`<h3 style="color:#B0E0E6;margin-top:18px;">${cov.label} <small style="color:#555;font-weight:400;">&mdash; ${cov.summary.pass} pass, ${cov.summary.fail} fail, ${cov.summary.notAssessed} not assessed</small></h3>`);
+            b.push('<table><tr><th>Control</th><th>Title</th><th>Status</th><th>Evidence</th></tr>');
+            cov.controls.forEach(c => b.push(
+                `<tr><td><strong>${c.id}</strong></td><td>${esc(c.title)}</td>` +
+                `<td style="color:${statusCol[c.status]};font-weight:700;white-space:nowrap;">${COMPLIANCE_STATUS_LABELS[c.status]}</td>` +
+                `<td style="color:#888;font-size:12px;">${esc(_complianceEvidence(c))}</td></tr>`));
+            b.push('</table>');
+        });
+    }
+
+    // ── Network devices section ──────────────────────────────────────
+    if (opts.network) {
+        b.push('<h2>Network &amp; Device Inventory</h2>');
+        if (d.hostIP) {
+            b.push('<h3 style="color:#B0E0E6;margin-top:12px;">Host Network</h3>');
+            b.push('<table><tr><th>Host IP</th><th>Hostname</th><th>Subnet</th></tr>');
+            b.push(`<tr><td><code>${d.hostIP}</code></td><td>${d.hostName || '—'}</td><td><code>${d.hostSubnet || '—'}</code></td></tr></table>`);
+        }
+        b.push(`<h3 style="color:#B0E0E6;margin-top:18px;">Network Page Devices (${d.networkDevices.length})</h3>`);
+        if (d.networkDevices.length === 0) {
+            b.push('<p><em>No devices added to the network page.</em></p>');
+        } else {
             const statusColor = { online: '#4caf50', offline: '#f44336', scanning: '#2196F3', defending: '#9D4EDD', pending: '#ff9800', denied: '#f44336', unknown: '#888' };
             b.push('<table><tr><th>#</th><th>Name</th><th>IP</th><th>Status</th><th>OS</th><th>MAC</th><th>Last Scanned</th></tr>');
             d.networkDevices.forEach((dev, i) => {
                 const sc = statusColor[dev.status] || '#888';
                 const ls = dev.lastScan ? new Date(dev.lastScan).toLocaleString() : 'Never';
-                b.push(`<tr><td>${i + 1}</td><td><strong>${dev.name}</strong></td><td><code>${dev.ip}</code></td>`);
-                b.push(`<td><span style="color:${sc};font-weight:700;">${dev.status || 'unknown'}</span></td>`);
-                b.push(`<td>${dev.os || '—'}</td><td style="font-size:11px;color:#777;">${dev.mac || '—'}</td><td>${ls}</td></tr>`);
+                b.push(`<tr><td>${i + 1}</td><td><strong>${_escapeHtml(dev.name)}</strong></td><td><code>${_escapeHtml(dev.ip)}</code></td>`);
+                b.push(`<td><span style="color:${sc};font-weight:700;">${_escapeHtml(dev.status || 'unknown')}</span></td>`);
+                b.push(`<td>${_escapeHtml(dev.os || '—')}</td><td style="font-size:11px;color:#777;">${_escapeHtml(dev.mac || '—')}</td><td>${ls}</td></tr>`);
             });
             b.push('</table>');
         }
@@ -4114,7 +4452,7 @@ function _buildHtmlReport(opts, d) {
             b.push('<table><tr><th>Tool</th><th>What It Did</th><th>Result</th></tr>');
             allActs.forEach(a => {
                 const lc = badgeColor[a.level] || '#888';
-                b.push(`<tr><td><strong>${a.tool}</strong></td><td>${a.message}</td><td>${badge(a.level || 'info')}</td></tr>`);
+                b.push(`<tr><td><strong>${_escapeHtml(a.tool)}</strong></td><td>${_escapeHtml(a.message)}</td><td>${badge(a.level || 'info')}${a.provenance === 'simulated' ? ` ${badge('warning', 'Simulated')}` : ''}</td></tr>`);
             });
             b.push('</table>');
         }
@@ -4182,9 +4520,25 @@ function _buildJsonReport(opts, d) {
         return entry;
     };
     const out = {
-        meta: { generated: d.ts, platform: d.os, version: d.version, licenseType: d.licType, installDate: d.installedAt }
+        meta: { title: d.title, audience: d.audience, omittedFindings: d.omitted, generated: d.ts, platform: d.os, version: d.version, licenseType: d.licType, installDate: d.installedAt },
+        provenance: {
+            simulationMode:    d.prov.simulated,
+            notice:            d.prov.simulated ? _simulationNotice(d.prov) : null,
+            simulatedFindings: d.prov.simulatedFindings,
+            simulatedActions:  d.prov.simulatedActions,
+            errors:            d.prov.errors,
+        },
     };
-    if (opts.threats)    out.threats       = { threatLevel: scan ? (scan.critical > 0 ? 'CRITICAL' : scan.high > 0 ? 'HIGH' : scan.medium > 0 ? 'MEDIUM' : 'CLEAN') : null, summary: scan ? { critical: scan.critical, high: scan.high, medium: scan.medium, low: scan.low, toolsRun: scan.toolsRun } : null, findings: (scan?.findings || []).map(enrichFinding) };
+    if (opts.threats)    out.threats       = { threatLevel: scan ? (scan.critical > 0 ? 'CRITICAL' : scan.high > 0 ? 'HIGH' : scan.medium > 0 ? 'MEDIUM' : 'CLEAN') : null, summary: scan ? { critical: scan.critical, high: scan.high, medium: scan.medium, low: scan.low, toolsRun: scan.toolsRun } : null, findings: (scan?.findings || []).map(enrichFinding), suppressed: scan?.suppressed || [] };
+    if (opts.diff)       out.diff           = d.diff ? {
+        baseline:  d.diff.baseline,
+        current:   d.diff.current,
+        summary:   { new: d.diff.added.length, resolved: d.diff.resolved.length, unchanged: d.diff.unchanged.length, changed: d.diff.changed.length },
+        new:       d.diff.added,
+        resolved:  d.diff.resolved,
+        unchanged: d.diff.unchanged,
+        changed:   d.diff.changed.map(c => ({ ...c.after, previousLevel: c.before.level, direction: c.direction })),
+    } : null;
     if (opts.vulns)      out.vulnerability  = { findings: (scan?.findings || []).filter(f => f.phase === 'VULNERABILITY SCAN').map(enrichFinding) };
     if (opts.network)    out.network        = {
         host: { ip: d.hostIP || null, hostname: d.hostName || null, subnet: d.hostSubnet || null },
@@ -4197,7 +4551,21 @@ function _buildJsonReport(opts, d) {
         findings: (scan?.findings || []).filter(f => f.phase === 'NETWORK ANALYSIS').map(enrichFinding),
     };
     if (opts.integrity)  out.fileIntegrity  = { findings: (scan?.findings || []).filter(f => f.phase === 'FILE INTEGRITY').map(enrichFinding) };
-    if (opts.compliance) out.compliance     = { findings: (scan?.findings || []).filter(f => f.phase === 'COMPLIANCE & AUDIT').map(enrichFinding) };
+    if (opts.compliance) out.compliance     = {
+        findings:   (scan?.findings || []).filter(f => f.phase === 'COMPLIANCE & AUDIT').map(enrichFinding),
+        frameworks: scan ? _reportCompliance(opts, d).map(cov => ({
+            framework: cov.framework,
+            label:     cov.label,
+            summary:   cov.summary,
+            controls:  cov.controls.map(c => ({
+                id: c.id, title: c.title, status: c.status,
+                findings:   c.findings.map(f => f.id || _findingDiffKey(f)),
+                assessedBy: [...new Set(c.assessedBy)],
+                implementedBy: [...new Set(c.actions.map(a => a.tool))],
+                acceptedRisks: c.accepted,
+            })),
+        })) : [],
+    };
     if (opts.defense && hasDefense) out.defense = {
         posture: defense.posture,
         toolsEngaged: defense.toolsEngaged,
@@ -4205,7 +4573,7 @@ function _buildJsonReport(opts, d) {
         completedAt: defense.completedAt,
         toolActionLog: defense.actions
             .filter(e => e.type === 'result' && e.tool && e.message)
-            .map(e => ({ tool: e.tool, result: e.message, level: e.level || 'info' }))
+            .map(e => ({ tool: e.tool, result: e.message, level: e.level || 'info', provenance: e.provenance || null }))
     };
     if (opts.tools)      out.installedTools = d.toolNames;
     if (opts.sysinfo)    out.systemInfo     = { os: d.os, version: d.version, licenseType: d.licType, installDate: d.installedAt };
@@ -4219,21 +4587,451 @@ function _buildJsonReport(opts, d) {
     return JSON.stringify(out, null, 2);
 }
 
+// ── SARIF / CSV ──────────────────────────────────────────────────────
+// Both are flat exports for other tooling rather than documents: SARIF for
+// CI / code-scanning pipelines, CSV for spreadsheets. The section toggles
+// still choose which findings (and, for CSV, defend actions) are included.
+
+/** Findings selected by the wizard's section toggles (all of them when "threats" is on). */
+function _reportFindings(opts, scan) {
+    const phaseMap = { vulns: 'VULNERABILITY SCAN', network: 'NETWORK ANALYSIS', integrity: 'FILE INTEGRITY', compliance: 'COMPLIANCE & AUDIT' };
+    const phases   = new Set(Object.entries(phaseMap).filter(([k]) => opts[k]).map(([, v]) => v));
+    return (scan?.findings || []).filter(f => opts.threats || phases.has(f.phase));
+}
+
+// Findings keep level on the GUI scale; severity only when the backend parsed one
+const _LEVEL_TO_SEVERITY = { critical: 'critical', error: 'high', warning: 'medium', info: 'low' };
+const _findingSeverity   = (f) => f.severity || _LEVEL_TO_SEVERITY[f.level] || 'info';
+
+// SARIF result.level and the numeric "security-severity" code-scanning UIs sort by
+const _SARIF_LEVEL             = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+const _SARIF_SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0', info: '0.0' };
+
+/**
+ * SARIF 2.1.0 — one run per tool (the tool is the driver). Rules group a
+ * tool's findings by category; each finding is a result with its fingerprint
+ * in partialFingerprints so pipelines can track it across scans.
+ */
+function _buildSarifReport(opts, d) {
+    const scan     = d.scan;
+    const findings = _reportFindings(opts, scan);
+    const endTime  = scan?.completedAt ? new Date(scan.completedAt).toISOString() : d.ts;
+    const byTool   = new Map();
+    const runFor   = (name, key) => {
+        const id = (key || name || 'kjer').toLowerCase();
+        if (!byTool.has(id)) {
+            const db = TOOLS_DATABASE[id];
+            byTool.set(id, { name: name || db?.name || id, key: id, url: db?.url, rules: new Map(), results: [], errors: [] });
+        }
+        return byTool.get(id);
+    };
+
+    findings.forEach(f => {
+        const run      = runFor(f.tool, f.key);
+        const severity = _findingSeverity(f);
+        const ruleId   = `${run.key}/${f.category || (f.phase || 'finding').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        if (!run.rules.has(ruleId)) {
+            run.rules.set(ruleId, {
+                id:                   ruleId,
+                name:                 `${run.name} ${f.category || f.phase || 'finding'}`,
+                shortDescription:     { text: `${run.name}: ${f.category || f.phase || 'finding'}` },
+                fullDescription:      { text: _findingRisk(f) },
+                defaultConfiguration: { level: _SARIF_LEVEL[severity] },
+                properties:           { tags: ['security', ...(f.category ? [f.category] : [])], 'security-severity': _SARIF_SECURITY_SEVERITY[severity] },
+            });
+        } else {
+            // A rule's default is its most severe result
+            const rule = run.rules.get(ruleId);
+            if (Number(_SARIF_SECURITY_SEVERITY[severity]) > Number(rule.properties['security-severity'])) {
+                rule.defaultConfiguration.level       = _SARIF_LEVEL[severity];
+                rule.properties['security-severity'] = _SARIF_SECURITY_SEVERITY[severity];
+            }
+        }
+        const result = {
+            ruleId,
+            ruleIndex:           [...run.rules.keys()].indexOf(ruleId),
+            level:               _SARIF_LEVEL[severity],
+            message:             { text: f.provenance === 'simulated' ? `${f.message} [SIMULATED]` : f.message },
+            partialFingerprints: { 'kjerFinding/v1': _findingDiffKey(f) },
+            properties: {
+                // Compliance controls differ per check, so they are tagged per result rather than per rule
+                tags:       Object.entries(complianceControlsFor(f)).flatMap(([fw, ids]) => ids.map(id => `${COMPLIANCE_FRAMEWORKS[fw].label}: ${id}`)),
+                severity,
+                phase:      f.phase || null,
+                recurring:  !!f.recurring,
+                provenance: f.provenance || null,
+                ...(f.cve?.length && { cve: f.cve }),
+                ...(f.evidence    && { evidence: f.evidence }),
+                ...(f.remediation && { remediation: f.remediation }),
+            },
+        };
+        if (f.path) result.locations = [{ physicalLocation: { artifactLocation: { uri: encodeURI(`file://${f.path}`) } } }];
+        else if (f.host) result.locations = [{ logicalLocations: [{ name: [f.host, f.port].filter(Boolean).join(':'), kind: 'resource' }] }];
+        run.results.push(result);
+    });
+    (scan?.toolErrors || []).forEach(f => runFor(f.tool, f.key).errors.push(f.message));
+
+    const runs = [...byTool.values()].map(run => ({
+        tool: {
+            driver: {
+                name:  run.name,
+                ...(run.url && { informationUri: run.url }),
+                rules: [...run.rules.values()],
+            },
+        },
+        automationDetails: { id: `kjer/${scan?.historyId || 'session'}/${run.key}` },
+        invocations: [{
+            executionSuccessful: run.errors.length === 0,
+            endTimeUtc:          endTime,
+            ...(run.errors.length && {
+                toolExecutionNotifications: run.errors.map(text => ({ level: 'error', message: { text } })),
+            }),
+        }],
+        results: run.results,
+        properties: { orchestrator: `Kjer ${d.version}`, platform: d.os, simulationMode: d.prov.simulated },
+    }));
+    if (runs.length === 0) {
+        // An empty scan is still a valid log — one run so consumers record "no results"
+        runs.push({
+            tool: { driver: { name: 'Kjer', version: d.version, rules: [] } },
+            invocations: [{ executionSuccessful: true, endTimeUtc: endTime }],
+            results: [],
+        });
+    }
+    return JSON.stringify({ $schema: 'https://json.schemastore.org/sarif-2.1.0.json', version: '2.1.0', runs }, null, 2);
+}
+
+/** RFC 4180 field; cells a spreadsheet would evaluate as a formula are prefixed with ' */
+function _csvField(v) {
+    let s = v === null || v === undefined ? '' : String(v);
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV — one row per finding, compliance control, defend action and tool error. */
+function _buildCsvReport(opts, d) {
+    const scan    = d.scan;
+    const defense = d.defense;
+    const header  = ['record_type', 'time', 'tool', 'tool_key', 'phase', 'severity', 'description', 'asset',
+                     'category', 'finding_id', 'recurring', 'outcome', 'detail', 'provenance', 'scan_id', 'changeset_id'];
+    const rows    = [];
+    const scanAt  = scan?.completedAt ? new Date(scan.completedAt).toISOString() : '';
+    const scanId  = scan?.historyId || '';
+
+    _reportFindings(opts, scan).forEach(f => rows.push([
+        'finding', scanAt, f.tool, f.key, f.phase, _findingSeverity(f), f.message, _findingAsset(f),
+        f.category, f.id, f.recurring ? 'yes' : 'no', 'open', f.remediation || _findingRisk(f), f.provenance, scanId, '',
+    ]));
+    if (opts.threats) {
+        (scan?.toolErrors || []).forEach(f => rows.push([
+            'tool_error', scanAt, f.tool, f.key, f.phase, '', f.message, '', '', '', '', 'failed', '', 'error', scanId, '',
+        ]));
+    }
+
+    if (opts.compliance && scan) {
+        // Control rows reuse the columns: tool = framework, tool_key = control ID
+        _reportCompliance(opts, d).forEach(cov => cov.controls.forEach(c => rows.push([
+            'control', scanAt, cov.label, c.id, '', '', c.title, '', '', '', '',
+            c.status, _complianceEvidence(c), '', scanId, '',
+        ])));
+    }
+
+    if (opts.defense && defense) {
+        const defAt = defense.completedAt ? new Date(defense.completedAt).toISOString() : '';
+        const outcome = (r) => !r ? 'not approved' : r.provenance === 'error' ? 'failed' : 'applied';
+        if (defense.plan?.actions?.length) {
+            defense.plan.actions.forEach(a => rows.push([
+                'defend_action', defAt, a.tool, a.key, a.phase, '', a.change || a.reason, '', '', '', '',
+                a.approved ? outcome(a.result) : 'not approved', a.result?.summary || a.reason, a.result?.provenance,
+                scan?.historyId || defense.scanId || '', defense.changesetId,
+            ]));
+        } else {
+            // Runs recorded before defend plans existed only have the activity log
+            (defense.actions || []).filter(e => e.type === 'result' && e.tool && e.message).forEach(e => rows.push([
+                'defend_action', defAt, e.tool, '', '', '', e.message, '', '', '', '',
+                e.provenance === 'error' ? 'failed' : 'applied', '', e.provenance, defense.scanId || '', defense.changesetId,
+            ]));
+        }
+    }
+
+    return [header, ...rows].map(r => r.map(_csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// ── PDF ──────────────────────────────────────────────────────────────
+// A print layout (light theme, cover page, charts as inline SVG) rendered to
+// PDF by the main process (write-pdf → webContents.printToPDF). Scripts are
+// disabled in the render window, so everything here is static markup.
+
+const REPORT_BRANDING_KEY = 'kjerReportBranding';
+const REPORT_LOGO_MAX     = 512 * 1024;   // data-URL length kept in localStorage
+const REPORT_LOGO_RE      = /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[a-z0-9+/=]+$/i;
+
+/** { orgName, logo, pageSize } saved from the wizard's PDF options. */
+function _reportBranding() {
+    try {
+        const b = JSON.parse(localStorage.getItem(REPORT_BRANDING_KEY) || '{}');
+        return {
+            orgName:  typeof b.orgName === 'string' ? b.orgName : '',
+            logo:     REPORT_LOGO_RE.test(b.logo || '') ? b.logo : '',
+            pageSize: ['A4', 'Letter', 'Legal'].includes(b.pageSize) ? b.pageSize : 'A4',
+        };
+    } catch (_) {
+        return { orgName: '', logo: '', pageSize: 'A4' };
+    }
+}
+
+const _PDF_SEVERITY_COLOR = { critical: '#c62828', high: '#ef6c00', medium: '#f9a825', low: '#2e7d32', info: '#1565c0' };
+
+/** Horizontal bar chart of finding counts per severity, as inline SVG. */
+function _pdfSeverityChart(counts) {
+    const rows  = ['critical', 'high', 'medium', 'low'];
+    const max   = Math.max(1, ...rows.map(s => counts[s] || 0));
+    const barW  = 420;
+    const svg   = [`<svg xmlns="http://www.w3.org/2000/svg" width="560" height="${rows.length * 34 + 10}" role="img" aria-label="Findings by severity">`];
+    rows.forEach((s, i) => {
+        const n = counts[s] || 0;
+        const y = 6 + i * 34;
+        const w = n === 0 ? 2 : Math.max(6, Math.round(barW * n / max));
+        svg.push(`<text x="0" y="${y + 18}" font-size="12" fill="#333">${s[0].toUpperCase() + s.slice(1)}</text>`);
+        svg.push(`<rect x="80" y="${y + 4}" width="${w}" height="20" rx="3" fill="${_PDF_SEVERITY_COLOR[s]}"/>`);
+        svg.push(`<text x="${80 + w + 8}" y="${y + 18}" font-size="12" font-weight="700" fill="#333">${n}</text>`);
+    });
+    svg.push('</svg>');
+    return svg.join('');
+}
+
+function _buildPdfReport(opts, d) {
+    const esc       = (t) => _escapeHtml(String(t ?? ''));
+    const brand     = _reportBranding();
+    const scan      = d.scan;
+    const defense   = d.defense;
+    const findings  = _reportFindings(opts, scan);
+    const counts    = { critical: 0, high: 0, medium: 0, low: 0 };
+    findings.forEach(f => { const s = _findingSeverity(f); counts[s === 'info' ? 'low' : s]++; });
+    const level     = scan ? _scanThreatLevel(scan) : 'NO SCAN DATA';
+    const levelCol  = { CRITICAL: _PDF_SEVERITY_COLOR.critical, HIGH: _PDF_SEVERITY_COLOR.high, MEDIUM: _PDF_SEVERITY_COLOR.medium, CLEAN: _PDF_SEVERITY_COLOR.low }[level] || '#777';
+    const sevRank   = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+    const sevPill   = (s) => `<span class="pill" style="background:${_PDF_SEVERITY_COLOR[s] || '#777'};">${esc(s.toUpperCase())}</span>`;
+    const when      = (t) => t ? new Date(t).toLocaleString() : '—';
+    const b = [];
+
+    b.push('<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8">');
+    b.push(`<title>${esc(brand.orgName ? `${brand.orgName} — ` : '')}${esc(d.title)}</title>`);
+    b.push('<style>');
+    b.push('body{font-family:"Segoe UI",Arial,sans-serif;color:#222;margin:0;font-size:11pt;}');
+    b.push('h1{font-size:26pt;margin:0 0 6px 0;color:#1a1a2e;}');
+    b.push('h2{font-size:15pt;color:#4a1a7a;border-bottom:2px solid #9D4EDD;padding-bottom:4px;margin:26px 0 10px 0;break-after:avoid;}');
+    b.push('h3{font-size:12pt;color:#333;margin:18px 0 6px 0;break-after:avoid;}');
+    b.push('table{width:100%;border-collapse:collapse;margin:6px 0 12px 0;font-size:9.5pt;}');
+    b.push('th{background:#ede7f6;color:#311b92;text-align:left;padding:6px 8px;}');
+    b.push('td{padding:5px 8px;border-bottom:1px solid #e0e0e0;vertical-align:top;word-break:break-word;}');
+    b.push('tr{break-inside:avoid;}');
+    b.push('.pill{color:#fff;font-size:8pt;font-weight:700;padding:2px 7px;border-radius:3px;white-space:nowrap;}');
+    b.push('.cover{height:9.4in;display:flex;flex-direction:column;justify-content:center;break-after:page;}');
+    b.push('.cover .logo{max-width:2.6in;max-height:1.2in;margin-bottom:28px;}');
+    b.push('.cover .org{font-size:14pt;color:#555;letter-spacing:1px;text-transform:uppercase;margin-bottom:10px;}');
+    b.push('.cover .meta{margin-top:34px;font-size:10.5pt;color:#444;line-height:1.8;}');
+    b.push('.level{display:inline-block;margin-top:22px;padding:8px 18px;color:#fff;font-weight:700;font-size:13pt;border-radius:4px;}');
+    b.push('.notice{border:2px dashed #ef6c00;color:#ef6c00;padding:8px 12px;margin:12px 0;font-weight:700;}');
+    b.push('.stats{display:flex;gap:10px;margin:10px 0 16px 0;}');
+    b.push('.stat{flex:1;border:1px solid #ddd;border-radius:4px;padding:8px 10px;}');
+    b.push('.stat b{display:block;font-size:18pt;}');
+    b.push('.muted{color:#777;}');
+    b.push('</style></head><body>');
+
+    // ── Cover ──
+    b.push('<section class="cover">');
+    if (brand.logo) b.push(`<img class="logo" src="${brand.logo}" alt="">`);
+    if (brand.orgName) b.push(`<div class="org">${esc(brand.orgName)}</div>`);
+    b.push(`<h1>${esc(d.title === 'Kjer Security Report' ? 'Security Assessment Report' : d.title)}</h1>`);
+    b.push(`<div class="muted">Prepared with Kjer Security Framework v${esc(d.version)}</div>`);
+    b.push(`<div><span class="level" style="background:${levelCol};">Threat level: ${esc(level)}</span></div>`);
+    b.push('<div class="meta">');
+    b.push(`<div><strong>Generated:</strong> ${esc(d.ts)}</div>`);
+    if (d.hostName || d.hostIP) b.push(`<div><strong>Host:</strong> ${esc([d.hostName, d.hostIP].filter(Boolean).join(' — '))}</div>`);
+    b.push(`<div><strong>Platform:</strong> ${esc(d.os)}</div>`);
+    if (scan) b.push(`<div><strong>Scan completed:</strong> ${esc(when(scan.completedAt))}</div>`);
+    if (defense?.completedAt) b.push(`<div><strong>Defense completed:</strong> ${esc(when(defense.completedAt))}</div>`);
+    b.push('</div>');
+    if (d.prov.simulated) b.push(`<div class="notice">${esc(_simulationNotice(d.prov))}</div>`);
+    if (_audienceNotice(d)) b.push(`<p class="muted">${esc(_audienceNotice(d))}</p>`);
+    b.push('</section>');
+
+    // ── Executive summary ──
+    b.push('<h2>Executive Summary</h2>');
+    if (!scan) {
+        b.push('<p>No scan results are available for this report. Run a scan to assess the system.</p>');
+    } else {
+        const total = findings.length;
+        const tools = new Set(findings.map(f => f.tool)).size;
+        b.push(`<p>The assessment ran ${esc(scan.toolsRun || 0)} security tool(s) and the overall threat level is <strong style="color:${levelCol};">${esc(level)}</strong>. ` +
+               (total === 0 ? 'No findings were reported in the selected sections.'
+                            : `${total} finding(s) were reported by ${tools} tool(s): ${counts.critical} critical, ${counts.high} high, ${counts.medium} medium and ${counts.low} low.`) +
+               (d.prov.errors.length ? ` ${d.prov.errors.length} tool run(s) failed and are not reflected in the threat level.` : '') +
+               (scan.suppressed?.length ? ` ${scan.suppressed.length} finding(s) were suppressed as accepted risk.` : '') + '</p>');
+        if (opts.defense && defense) {
+            b.push(`<p>Defensive response: <strong>${esc(defense.posture || '—')}</strong> — ${esc(defense.actionsTotal || 0)} action(s) taken` +
+                   `${defense.actionsFailed ? `, ${esc(defense.actionsFailed)} failed` : ''}.</p>`);
+        }
+        b.push('<div class="stats">');
+        ['critical', 'high', 'medium', 'low'].forEach(s =>
+            b.push(`<div class="stat" style="border-top:4px solid ${_PDF_SEVERITY_COLOR[s]};"><b>${counts[s]}</b>${s[0].toUpperCase() + s.slice(1)}</div>`));
+        b.push('</div>');
+        b.push('<h3>Findings by Severity</h3>');
+        b.push(_pdfSeverityChart(counts));
+        const top = [...findings].sort((a, c) => sevRank[_findingSeverity(c)] - sevRank[_findingSeverity(a)]).slice(0, 5);
+        if (top.length > 0) {
+            b.push('<h3>Most Severe Findings</h3>');
+            b.push('<table><tr><th style="width:70px;">Severity</th><th style="width:110px;">Tool</th><th>Finding</th></tr>');
+            top.forEach(f => b.push(`<tr><td>${sevPill(_findingSeverity(f))}</td><td>${esc(f.tool)}</td><td>${esc(f.message)}</td></tr>`));
+            b.push('</table>');
+        }
+    }
+
+    // ── Findings per phase ──
+    if (findings.length > 0) {
+        const phases = [...Object.keys(SCAN_PHASES), ...new Set(findings.map(f => f.phase).filter(p => p && !SCAN_PHASES[p]))];
+        phases.forEach(phase => {
+            const rows = findings.filter(f => (f.phase || '') === phase)
+                .sort((a, c) => sevRank[_findingSeverity(c)] - sevRank[_findingSeverity(a)]);
+            if (rows.length === 0) return;
+            b.push(`<h2>${esc(phase)} <span class="muted" style="font-size:10pt;">(${rows.length})</span></h2>`);
+            b.push('<table><tr><th style="width:70px;">Severity</th><th style="width:100px;">Tool</th><th>Finding</th><th style="width:34%;">Risk / Remediation</th></tr>');
+            rows.forEach(f => b.push(
+                `<tr><td>${sevPill(_findingSeverity(f))}${f.provenance === 'simulated' ? '<br><span class="muted">simulated</span>' : ''}</td>` +
+                `<td>${esc(f.tool)}</td><td>${esc(f.message)}${f.recurring ? '<br><span class="muted">recurring after defend</span>' : ''}</td>` +
+                `<td>${esc(f.remediation || _findingRisk(f))}</td></tr>`));
+            b.push('</table>');
+        });
+    }
+
+    if (d.prov.errors.length > 0) {
+        b.push('<h2>Tool Errors</h2>');
+        b.push('<table><tr><th style="width:110px;">Tool</th><th style="width:70px;">Stage</th><th>Error</th></tr>');
+        d.prov.errors.forEach(e => b.push(`<tr><td>${esc(e.tool)}</td><td>${esc(e.stage)}</td><td>${esc(e.message)}</td></tr>`));
+        b.push('</table>');
+    }
+
+    if (opts.compliance && scan) {
+        const statusCol = { pass: _PDF_SEVERITY_COLOR.low, fail: _PDF_SEVERITY_COLOR.critical, 'not-assessed': '#9e9e9e' };
+        b.push('<h2>Compliance Coverage</h2>');
+        _reportCompliance(opts, d).forEach(cov => {
+            const total = cov.controls.length || 1;
+            b.push(`<h3>${esc(cov.label)} <span class="muted" style="font-weight:400;">— ${cov.summary.pass} pass, ${cov.summary.fail} fail, ${cov.summary.notAssessed} not assessed</span></h3>`);
+            b.push('<svg xmlns="http://www.w3.org/2000/svg" width="560" height="14">');
+            let x = 0;
+            [['pass', cov.summary.pass], ['fail', cov.summary.fail], ['not-assessed', cov.summary.notAssessed]].forEach(([st, n]) => {
+                const w = Math.round(560 * n / total);
+                if (w > 0) b.push(`<rect x="${x}" y="0" width="${w}" height="14" fill="${statusCol[st]}"/>`);
+                x += w;
+            });
+            b.push('</svg>');
+            b.push('<table><tr><th style="width:60px;">Control</th><th>Title</th><th style="width:90px;">Status</th><th style="width:36%;">Evidence</th></tr>');
+            cov.controls.forEach(c => b.push(
+                `<tr><td>${esc(c.id)}</td><td>${esc(c.title)}</td>` +
+                `<td><span class="pill" style="background:${statusCol[c.status]};">${COMPLIANCE_STATUS_LABELS[c.status]}</span></td>` +
+                `<td>${esc(_complianceEvidence(c))}</td></tr>`));
+            b.push('</table>');
+        });
+    }
+
+    if (opts.diff && d.diff) {
+        b.push('<h2>Changes Since Baseline</h2>');
+        b.push(`<p class="muted">Baseline ${esc(when(d.diff.baseline?.completedAt))} (${esc(d.diff.baseline?.threatLevel || '—')}) → current ${esc(when(d.diff.current?.completedAt))} (${esc(d.diff.current?.threatLevel || '—')})</p>`);
+        b.push('<table><tr><th>New</th><th>Resolved</th><th>Severity changed</th><th>Unchanged</th></tr>');
+        b.push(`<tr><td>${d.diff.added.length}</td><td>${d.diff.resolved.length}</td><td>${d.diff.changed.length}</td><td>${d.diff.unchanged.length}</td></tr></table>`);
+    }
+
+    if (opts.defense && defense) {
+        b.push('<h2>Defensive Actions</h2>');
+        const planned = defense.plan?.actions || [];
+        if (planned.length > 0) {
+            b.push('<table><tr><th style="width:100px;">Tool</th><th>Change</th><th style="width:90px;">Outcome</th><th style="width:34%;">Result</th></tr>');
+            planned.forEach(a => {
+                const outcome = !a.approved ? 'Not approved' : !a.result ? 'Not run' : a.result.provenance === 'error' ? 'Failed' : 'Applied';
+                b.push(`<tr><td>${esc(a.tool)}</td><td>${esc(a.change || a.reason)}</td><td>${esc(outcome)}</td><td>${esc(a.result?.summary || '')}</td></tr>`);
+            });
+            b.push('</table>');
+        } else {
+            const acts = (defense.actions || []).filter(e => e.type === 'result' && e.tool && e.message);
+            if (acts.length === 0) b.push('<p class="muted">No defensive actions were recorded.</p>');
+            else {
+                b.push('<table><tr><th style="width:110px;">Tool</th><th>Result</th></tr>');
+                acts.forEach(a => b.push(`<tr><td>${esc(a.tool)}</td><td>${esc(a.message)}</td></tr>`));
+                b.push('</table>');
+            }
+        }
+    }
+
+    if (opts.network && d.networkDevices.length > 0) {
+        b.push('<h2>Network Devices</h2>');
+        b.push('<table><tr><th>Name</th><th>IP</th><th>Status</th><th>OS</th><th>Last scanned</th></tr>');
+        d.networkDevices.forEach(dev => b.push(`<tr><td>${esc(dev.name)}</td><td>${esc(dev.ip)}</td><td>${esc(dev.status || 'unknown')}</td><td>${esc(dev.os || '—')}</td><td>${esc(dev.lastScan ? when(dev.lastScan) : 'Never')}</td></tr>`));
+        b.push('</table>');
+    }
+
+    if (opts.monitor && d.monitorEntries.length > 0) {
+        const defended = d.monitorEntries.filter(e => e.message.includes('defended:')).length;
+        b.push('<h2>Monitor Activity</h2>');
+        b.push(`<p>${d.monitorEntries.length} monitor event(s) this session — ${d.monitorEntries.length - defended} threat(s), ${defended} auto-defend action(s).</p>`);
+    }
+
+    if (opts.sysinfo || opts.tools) {
+        b.push('<h2>Appendix — System</h2>');
+        if (opts.sysinfo) {
+            b.push('<table><tr><th>Platform</th><th>Kjer version</th><th>License</th><th>Installed</th></tr>');
+            b.push(`<tr><td>${esc(d.os)}</td><td>v${esc(d.version)}</td><td>${esc(d.licType)}</td><td>${esc(d.installedAt)}</td></tr></table>`);
+        }
+        if (opts.tools) b.push(`<p><strong>Installed tools (${d.toolNames.length}):</strong> ${esc(d.toolNames.map(k => TOOLS_DATABASE[k]?.name || k).join(', ') || 'none')}</p>`);
+    }
+
+    if (opts.actlog && d.logEntries.length > 0) {
+        b.push('<h2>Appendix — Activity Log</h2>');
+        b.push('<table><tr><th style="width:90px;">Time</th><th style="width:70px;">Level</th><th>Event</th></tr>');
+        d.logEntries.slice(0, 20).forEach(e => b.push(`<tr><td>${esc(e.time)}</td><td>${esc(e.level)}</td><td>${esc(e.message)}</td></tr>`));
+        b.push('</table>');
+    }
+
+    b.push('</body></html>');
+    return b.join('\n');
+}
+
 // ── File save helper ─────────────────────────────────────────────────
-async function _saveReportFile(content, fmt, customPath) {
+// Returns true when written to disk, false when it fell back to a browser
+// download. Headless callers (report jobs) pass download: false to get an
+// error instead of a download.
+async function _saveReportFile(content, fmt, customPath, { download = true } = {}) {
     const ts = new Date().toISOString().slice(0, 10);
     const fn = (customPath || '').trim() || `~/Documents/kjer-report-${ts}.${fmt}`;
 
+    // PDF is rendered by the main process — there is no browser fallback
+    if (fmt === 'pdf') {
+        if (!window.electronAPI?.writePdf) throw new Error('PDF export requires the desktop app — choose HTML and print it instead');
+        const { orgName, pageSize } = _reportBranding();
+        const result = await window.electronAPI.writePdf(fn, content, {
+            pageSize,
+            footer: `${orgName ? `${orgName} · ` : ''}Kjer Security Report · ${new Date().toLocaleDateString()}`,
+        });
+        if (!result?.success) throw new Error(result?.error || 'PDF could not be written');
+        return true;
+    }
+
     // Try Electron native file write — no shell escaping, handles any content
+    let writeError = 'File writing requires the desktop app';
     if (window.electronAPI?.writeFile) {
         try {
             const result = await window.electronAPI.writeFile(fn, content);
             if (result?.success) return true;
-        } catch (_) {}
+            writeError = result?.error || 'write failed';
+        } catch (err) {
+            writeError = err.message;
+        }
     }
+    if (!download) throw new Error(`${fn} could not be written: ${writeError}`);
 
     // Fallback: browser download (works in both Electron and plain browser)
-    const mimeMap = { txt: 'text/plain', md: 'text/markdown', html: 'text/html', json: 'application/json' };
+    const mimeMap = { txt: 'text/plain', md: 'text/markdown', html: 'text/html', json: 'application/json',
+                      sarif: 'application/sarif+json', csv: 'text/csv', pdf: 'application/pdf' };
     const blob = new Blob([content], { type: mimeMap[fmt] || 'text/plain' });
     const a    = document.createElement('a');
     a.href     = URL.createObjectURL(blob);
@@ -4245,6 +5043,459 @@ async function _saveReportFile(content, fmt, customPath) {
     return false;
 }
 
+// ==================== REPORT PRESETS & TEMPLATES ====================
+// Presets are named report wizard settings (sections, frameworks, format,
+// save path pattern, title, audience and template); templates restyle HTML and
+// Markdown reports without touching the builders above. Both are stored by the
+// main process (desktop/main.js, "Report presets and templates") in ~/.kjer.
+//
+// Template syntax (a Handlebars subset):
+//   {{path}}                       value, escaped for the output format
+//   {{{path}}}                     value, unescaped
+//   {{#if path}} … {{else}} … {{/if}}, {{#unless path}} … {{/unless}}
+//   {{#each path}} … {{else}} … {{/each}}   this, @index, @number, @first, @last
+//   {{! comment }}, {{!-- comment that may contain }} or other tags --}}
+// Paths are dotted (defense.posture). Inside #each a name not found on the
+// current item is looked up in the enclosing scopes, so {{title}} works anywhere.
+
+const _TPL_TAG_RE  = /\{\{!--[\s\S]*?--\}\}|\{\{![\s\S]*?\}\}|\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+const _TPL_PATH_RE = /^(?:this|@(?:index|number|first|last)|[A-Za-z_]\w*)(?:\.[A-Za-z_]\w*)*$/;
+
+/**
+ * Parse a template into a node tree. Throws with the line number on an
+ * unknown tag, a bad path or an unbalanced block — the settings editor uses
+ * this to validate templates before they are saved.
+ */
+function _parseReportTemplate(src) {
+    const root   = { kind: 'root', body: [] };
+    const stack  = [root];
+    const lineAt = (i) => src.slice(0, i).split('\n').length;
+    const path   = (expr, line) => {
+        if (!_TPL_PATH_RE.test(expr)) throw new Error(`Line ${line}: invalid expression "{{${expr}}}"`);
+        return expr;
+    };
+    let target = root.body;
+    let last   = 0;
+    let m;
+    _TPL_TAG_RE.lastIndex = 0;
+    while ((m = _TPL_TAG_RE.exec(src))) {
+        if (m.index > last) target.push(src.slice(last, m.index));
+        last = _TPL_TAG_RE.lastIndex;
+        const line = lineAt(m.index);
+        if (m[1] !== undefined) { target.push({ path: path(m[1], line), raw: true }); continue; }
+        if (m[2] === undefined) continue;   // comment
+
+        const tag = m[2];
+        const top   = stack[stack.length - 1];
+        const open  = /^#(each|if|unless)\s+(\S+)$/.exec(tag);
+        const close = /^\/(each|if|unless)$/.exec(tag);
+        if (open) {
+            const node = { kind: open[1], path: path(open[2], line), body: [], alt: [], line };
+            target.push(node);
+            stack.push(node);
+            target = node.body;
+        } else if (tag === 'else') {
+            if (top === root || target === top.alt) throw new Error(`Line ${line}: {{else}} outside an #if, #unless or #each block`);
+            target = top.alt;
+        } else if (close) {
+            if (top === root)          throw new Error(`Line ${line}: {{/${close[1]}}} has no matching {{#${close[1]}}}`);
+            if (top.kind !== close[1]) throw new Error(`Line ${line}: {{/${close[1]}}} closes {{#${top.kind}}} opened on line ${top.line}`);
+            stack.pop();
+            // A block after {{else}} is in the parent's alt list, which is then non-empty
+            const parent = stack[stack.length - 1];
+            target = parent.alt?.length ? parent.alt : parent.body;
+        } else if (/^[#/>^]/.test(tag)) {
+            throw new Error(`Line ${line}: unsupported tag "{{${tag}}}"`);
+        } else {
+            target.push({ path: path(tag, line), raw: false });
+        }
+    }
+    if (last < src.length) target.push(src.slice(last));
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`Line ${open.line}: {{#${open.kind}}} is never closed`);
+    }
+    return root.body;
+}
+
+const _tplOwn = (o, k) => o !== null && typeof o === 'object' && Object.prototype.hasOwnProperty.call(o, k);
+
+function _tplLookup(expr, scope) {
+    if (expr.startsWith('@')) {
+        while (scope && !scope.data) scope = scope.parent;
+        return scope?.data[expr.slice(1)];
+    }
+    const parts = expr.split('.');
+    let value;
+    if (parts[0] === 'this') {
+        parts.shift();
+        value = scope.ctx;
+    } else {
+        while (scope && !_tplOwn(scope.ctx, parts[0])) scope = scope.parent;
+        if (!scope) return undefined;
+        value = scope.ctx[parts.shift()];
+    }
+    for (const k of parts) value = _tplOwn(value, k) ? value[k] : undefined;
+    return value;
+}
+
+function _tplString(v) {
+    if (v === null || v === undefined) return '';
+    if (Array.isArray(v)) return v.map(_tplString).join(', ');
+    if (typeof v === 'object') return JSON.stringify(v);
+    return String(v);
+}
+
+function _renderTemplateNodes(nodes, scope, esc) {
+    return nodes.map(n => {
+        if (typeof n === 'string') return n;
+        const value = _tplLookup(n.path, scope);
+        if (!n.kind) return n.raw ? _tplString(value) : esc(_tplString(value));
+        const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+        if (n.kind === 'if')     return _renderTemplateNodes(truthy ? n.body : n.alt, scope, esc);
+        if (n.kind === 'unless') return _renderTemplateNodes(truthy ? n.alt : n.body, scope, esc);
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) return _renderTemplateNodes(n.alt, scope, esc);
+        return items.map((item, i) => _renderTemplateNodes(n.body, {
+            ctx: item, parent: scope,
+            data: { index: i, number: i + 1, first: i === 0, last: i === items.length - 1 },
+        }, esc)).join('');
+    }).join('');
+}
+
+/** Render a report template against a model; esc escapes {{…}} values. */
+function _renderReportTemplate(src, model, esc) {
+    return _renderTemplateNodes(_parseReportTemplate(src), { ctx: model, parent: null, data: null }, esc);
+}
+
+// In Markdown, {{…}} values must not break table rows
+const _escapeMdTemplate = (s) => s.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * The data a template sees. Lists follow the wizard's section toggles (an
+ * unticked section renders as an empty list / null); `sections` says which
+ * were ticked. builtinReport is the built-in report for the format (the HTML
+ * body, or the whole Markdown document) and builtinStyle its stylesheet, so a
+ * template can restyle or wrap the default layout.
+ */
+function _reportTemplateModel(opts, fmt, d, builtin) {
+    const scan    = d.scan;
+    const defense = d.defense;
+    const finding = (f) => ({
+        severity: _findingSeverity(f), level: f.level || 'info', tool: f.tool, phase: f.phase || '',
+        message: f.message, risk: _findingRisk(f), remediation: f.remediation || '', category: f.category || '',
+        cve: f.cve || '', path: f.path || '', host: f.host || '', port: f.port || '',
+        recurring: !!f.recurring, simulated: f.provenance === 'simulated',
+    });
+    const acts    = (defense?.actions || []).filter(e => e.type === 'result' && e.tool && e.message);
+    const df      = opts.diff ? d.diff : null;
+    const brief   = (f) => ({ severity: _findingSeverity(f), level: f.level || 'info', tool: f.tool, message: f.message });
+    const entry   = (e) => ({ time: e.time, level: e.level, message: e.message });
+    const html    = fmt === 'html' ? /<style>([\s\S]*?)<\/style>[\s\S]*?<body>([\s\S]*)<\/body>/.exec(builtin) : null;
+    return {
+        title: d.title, audience: d.audience, audienceNotice: _audienceNotice(d),
+        generated: d.ts, platform: d.os, version: d.version, license: d.licType, installDate: d.installedAt,
+        host: { name: d.hostName, ip: d.hostIP, subnet: d.hostSubnet },
+        simulated: d.prov.simulated, simulationNotice: d.prov.simulated ? _simulationNotice(d.prov) : '',
+        sections: Object.fromEntries(['threats', 'defense', 'diff', 'vulns', 'network', 'integrity', 'compliance',
+                                      'sysinfo', 'tools', 'actlog', 'monitor'].map(k => [k, !!opts[k]])),
+        hasScan: !!scan,
+        threatLevel: scan ? _scanThreatLevel(scan) : 'NO SCAN DATA',
+        counts: scan ? { critical: scan.critical, high: scan.high, medium: scan.medium, low: scan.low, toolsRun: scan.toolsRun || 0 } : null,
+        findings: _reportFindings(opts, scan).map(finding),
+        suppressed: _reportFindings(opts, { findings: scan?.suppressed || [] })
+            .map(f => ({ ...finding(f), reason: Suppressions.describe(f.suppressed) })),
+        toolErrors: d.prov.errors,
+        diff: df ? {
+            baselineAt: df.baseline?.completedAt ? new Date(df.baseline.completedAt).toLocaleString() : '',
+            currentAt:  df.current?.completedAt  ? new Date(df.current.completedAt).toLocaleString()  : '',
+            added: df.added.map(brief), resolved: df.resolved.map(brief), unchanged: df.unchanged.map(brief),
+            changed: df.changed.map(c => ({ ...brief(c.after), direction: c.direction, before: _findingSeverity(c.before) })),
+        } : null,
+        compliance: opts.compliance && scan ? _reportCompliance(opts, d).map(cov => ({
+            framework: cov.framework, label: cov.label, summary: cov.summary,
+            controls: cov.controls.map(c => ({ id: c.id, title: c.title, status: c.status,
+                                              statusLabel: COMPLIANCE_STATUS_LABELS[c.status], evidence: _complianceEvidence(c) })),
+        })) : [],
+        defense: opts.defense && acts.length > 0 ? {
+            posture: defense.posture, toolsEngaged: defense.toolsEngaged || [], actionsTotal: defense.actionsTotal,
+            completedAt: defense.completedAt ? new Date(defense.completedAt).toLocaleString() : '',
+            actions: acts.map(a => ({ level: a.level || 'info', tool: a.tool, message: a.message, simulated: a.provenance === 'simulated' })),
+        } : null,
+        networkDevices: opts.network ? d.networkDevices.map(dev => ({
+            name: dev.name, ip: dev.ip, status: dev.status || 'unknown', os: dev.os || '', mac: dev.mac || '',
+            lastScan: dev.lastScan ? new Date(dev.lastScan).toLocaleString() : '',
+        })) : [],
+        tools:    opts.tools  ? d.toolNames : [],
+        activity: opts.actlog ? d.logEntries.slice(0, 20).map(entry) : [],
+        monitor:  opts.monitor ? d.monitorEntries.map(entry) : [],
+        builtinReport: html ? html[2] : builtin,
+        builtinStyle:  html ? html[1] : '',
+    };
+}
+
+// Starting points offered by "New Template"
+const REPORT_TEMPLATE_EXAMPLES = {
+    html: `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8">
+<title>{{title}}</title>
+<style>
+body { font-family: Georgia, serif; color: #222; max-width: 860px; margin: 32px auto; }
+h1 { border-bottom: 3px solid #004d80; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #ddd; }
+.critical { color: #b00020; } .high { color: #e65100; } .medium { color: #b08800; }
+</style></head>
+<body>
+<h1>{{title}}</h1>
+<p>{{generated}} · {{platform}}{{#if host.name}} · {{host.name}}{{/if}}</p>
+{{#if simulated}}<p><strong>{{simulationNotice}}</strong></p>{{/if}}
+{{#if audienceNotice}}<p><em>{{audienceNotice}}</em></p>{{/if}}
+
+<h2>Threat level: {{threatLevel}}</h2>
+{{#if counts}}<p>Critical {{counts.critical}} · High {{counts.high}} · Medium {{counts.medium}} · Low {{counts.low}}</p>{{/if}}
+
+<h2>Findings</h2>
+<table>
+<tr><th>#</th><th>Severity</th><th>Tool</th><th>Finding</th><th>Remediation</th></tr>
+{{#each findings}}<tr><td>{{@number}}</td><td class="{{severity}}">{{severity}}</td><td>{{tool}}</td><td>{{message}}</td><td>{{remediation}}</td></tr>
+{{else}}<tr><td colspan="5">No findings.</td></tr>
+{{/each}}
+</table>
+
+{{#each compliance}}
+<h2>{{label}}</h2>
+<p>Pass {{summary.pass}} · Fail {{summary.fail}} · Not assessed {{summary.notAssessed}}</p>
+<table>{{#each controls}}<tr><td>{{statusLabel}}</td><td>{{id}}</td><td>{{title}}</td></tr>{{/each}}</table>
+{{/each}}
+
+{{#if defense}}
+<h2>Defensive actions</h2>
+<ul>{{#each defense.actions}}<li>{{tool}}: {{message}}</li>{{/each}}</ul>
+{{/if}}
+
+{{!-- Or keep the built-in layout and only restyle it:
+    <style>{{{builtinStyle}}} h1 { color: #004d80; }</style> … {{{builtinReport}}} --}}
+</body></html>
+`,
+    md: `# {{title}}
+
+_{{generated}} · {{platform}}_
+
+{{#if simulated}}> **{{simulationNotice}}**
+{{/if}}{{#if audienceNotice}}> {{audienceNotice}}
+{{/if}}
+## Threat level: {{threatLevel}}
+
+{{#if counts}}| Critical | High | Medium | Low |
+|---|---|---|---|
+| {{counts.critical}} | {{counts.high}} | {{counts.medium}} | {{counts.low}} |
+{{/if}}
+## Findings
+
+{{#each findings}}{{#if @first}}| Severity | Tool | Finding |
+|---|---|---|
+{{/if}}| {{severity}} | {{tool}} | {{message}} |
+{{else}}No findings.
+{{/each}}
+{{#each compliance}}
+## {{label}}
+
+Pass {{summary.pass}} · Fail {{summary.fail}} · Not assessed {{summary.notAssessed}}
+
+{{#each controls}}- **{{statusLabel}}** {{id}} {{title}}
+{{/each}}{{/each}}
+{{#if defense}}
+## Defensive actions
+
+{{#each defense.actions}}- {{tool}}: {{message}}
+{{/each}}{{/if}}
+`,
+};
+
+const REPORT_PRESET_KEY = 'kjerReportPreset';  // id of the preset the wizard opens with
+
+/** Expand {date} {time} {host} {preset} {ext} in a report save path. */
+function _expandReportPath(pattern, { date, preset, ext }) {
+    const slug = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const now  = new Date();
+    const vars = {
+        date,
+        time:   [now.getHours(), now.getMinutes(), now.getSeconds()].map(n => String(n).padStart(2, '0')).join(''),
+        host:   slug(localStorage.getItem('hostName') || localStorage.getItem('kjerHostname')) || 'host',
+        preset: slug(preset) || 'report',
+        ext,
+    };
+    return pattern.replace(/\{(date|time|host|preset|ext)\}/g, (_, k) => vars[k]);
+}
+
+const ReportPresets = {
+    presets:   [],
+    templates: [],
+    _editing:  null,   // template ref being edited
+
+    get api() {
+        return window.electronAPI?.listReportPresets ? window.electronAPI : null;
+    },
+
+    async load() {
+        if (!this.api) return;
+        const [p, t] = await Promise.all([this.api.listReportPresets(), this.api.listReportTemplates()]);
+        if (p?.success) this.presets   = p.presets;
+        if (t?.success) this.templates = t.templates;
+    },
+
+    async save(preset) {
+        const r = await this.api.saveReportPreset(preset);
+        if (r.success) this.presets = r.presets;
+        return r;
+    },
+
+    /** Source of a stored template; throws when it cannot be read. */
+    async templateText(ref) {
+        const r = await this.api.getReportTemplate(ref);
+        if (!r?.success) throw new Error(r?.error || `Template ${ref} could not be read`);
+        return r.text;
+    },
+
+    async remove(id) {
+        const preset = this.presets.find(p => p.id === id);
+        if (!preset || !confirm(`Delete report preset "${preset.name}"?`)) return;
+        const r = await this.api.removeReportPreset(id);
+        if (r.success) this.presets = r.presets;
+        if (localStorage.getItem(REPORT_PRESET_KEY) === id) localStorage.removeItem(REPORT_PRESET_KEY);
+        logActivity(`Report preset removed: ${preset.name}`, 'info');
+        this.render();
+    },
+
+    async openTemplate(ref = null, format = 'html') {
+        const existing = ref ? this.templates.find(t => t.ref === ref) : null;
+        const text     = existing ? await this.templateText(ref).catch(err => { showNotification(err.message); return null; })
+                                  : REPORT_TEMPLATE_EXAMPLES[format];
+        if (text === null) return;
+        this._editing = existing;
+        const attr    = (t) => _escapeHtml(t ?? '').replace(/"/g, '&quot;');
+        const field   = 'width:100%; margin-top:4px; padding:6px 8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+        const fmt     = existing?.format || format;
+
+        document.getElementById('reportTemplateModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'reportTemplateModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10001';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:760px; width:96vw;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">${existing ? 'Edit' : 'New'} Report Template</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('reportTemplateModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px; font-size:13px; color:#ccc;">
+                    <div style="display:flex; gap:10px;">
+                        <label style="flex:2;">Name
+                            <input id="rptTplName" type="text" style="${field}" value="${attr(existing?.name)}" placeholder="e.g. board-summary"${existing ? ' disabled' : ''}>
+                        </label>
+                        <label style="flex:1;">Format
+                            <select id="rptTplFormat" style="${field}"${existing ? ' disabled' : ''}
+                                onchange="ReportPresets._swapExample(this.value)">
+                                <option value="html"${fmt === 'html' ? ' selected' : ''}>HTML</option>
+                                <option value="md"${fmt === 'md' ? ' selected' : ''}>Markdown</option>
+                            </select>
+                        </label>
+                    </div>
+                    <label style="display:block; margin-top:10px;">Template
+                        <textarea id="rptTplText" spellcheck="false" style="${field} height:340px; font-family:monospace; font-size:12px; white-space:pre;">${_escapeHtml(text)}</textarea>
+                    </label>
+                    <p style="color:#888; font-size:11px; margin:6px 0 0;">
+                        {{value}} escaped · {{{value}}} raw · {{#if …}} / {{#unless …}} / {{#each …}} with {{else}} · {{@number}} inside #each.
+                        Data: title, generated, platform, threatLevel, counts, findings, suppressed, toolErrors, diff, compliance,
+                        defense, networkDevices, tools, activity, monitor, sections, builtinReport, builtinStyle.
+                    </p>
+                    <div id="rptTplError" style="font-size:12px; color:#f44336; margin-top:8px;"></div>
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('reportTemplateModal').remove()">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="ReportPresets.submitTemplate()">Save</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+    },
+
+    /** Switching format on a new template replaces an untouched example with the other one. */
+    _swapExample(format) {
+        const area = document.getElementById('rptTplText');
+        if (area && Object.values(REPORT_TEMPLATE_EXAMPLES).includes(area.value)) area.value = REPORT_TEMPLATE_EXAMPLES[format];
+    },
+
+    async submitTemplate() {
+        const name   = this._editing?.name   || document.getElementById('rptTplName')?.value.trim().toLowerCase() || '';
+        const format = this._editing?.format || document.getElementById('rptTplFormat')?.value || 'html';
+        const text   = document.getElementById('rptTplText')?.value || '';
+        const errBox = document.getElementById('rptTplError');
+        try {
+            _parseReportTemplate(text);
+        } catch (err) {
+            if (errBox) errBox.textContent = err.message;
+            return;
+        }
+        if (!this._editing && this.templates.some(t => t.ref === `${name}.${format}`) &&
+            !confirm(`Replace the existing template "${name}.${format}"?`)) return;
+        const r = await this.api.saveReportTemplate({ name, format, text });
+        if (!r.success) { if (errBox) errBox.textContent = r.error; return; }
+        document.getElementById('reportTemplateModal')?.remove();
+        logActivity(`Report template ${this._editing ? 'updated' : 'saved'}: ${r.ref}`, 'info');
+        this._editing = null;
+        this.render();
+    },
+
+    async removeTemplate(ref) {
+        const users = this.presets.filter(p => p.template === ref).map(p => p.name);
+        const note  = users.length ? ` Preset(s) ${users.join(', ')} will use the built-in layout.` : '';
+        if (!confirm(`Delete report template "${ref}"?${note}`)) return;
+        const r = await this.api.removeReportTemplate(ref);
+        if (!r.success) { showNotification(`Template not deleted: ${r.error}`); return; }
+        logActivity(`Report template removed: ${ref}`, 'info');
+        this.render();
+    },
+
+    describe(p) {
+        const sections = Object.entries(p.sections).filter(([, on]) => on).length;
+        return `${p.format.toUpperCase()} · ${p.audience} · ${sections} section(s)` +
+               (p.template ? ` · template ${p.template}` : '') + (p.pathPattern ? ` → ${p.pathPattern}` : '');
+    },
+
+    async render() {
+        const presetBox   = document.getElementById('reportPresetList');
+        const templateBox = document.getElementById('reportTemplateList');
+        if (!presetBox || !templateBox) return;
+        if (!this.api) {
+            presetBox.innerHTML   = '<p style="color:#888; font-size:13px;">Report presets require the desktop app.</p>';
+            templateBox.innerHTML = '';
+            return;
+        }
+        await this.load();
+        const row = (title, detail, buttons) => `
+            <div style="border:1px solid rgba(255,255,255,.07); border-radius:7px; padding:10px 16px; margin-bottom:8px;">
+                <div style="display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap;">
+                    <div style="min-width:0; font-size:12px;">
+                        <strong style="color:#B0E0E6;">${_escapeHtml(title)}</strong>
+                        <div style="color:#aaa; margin-top:3px; word-break:break-all;">${_escapeHtml(detail)}</div>
+                    </div>
+                    <div style="display:flex; gap:6px;">${buttons}</div>
+                </div>
+            </div>`;
+        presetBox.innerHTML = this.presets.map(p => row(p.name, this.describe(p), `
+            <button class="btn-small" onclick="ReportPresets.remove('${p.id}')" title="Delete preset">&#10005;</button>`)).join('')
+            || '<p style="color:#888; font-size:13px;">No report presets. Save one from the last step of the report wizard.</p>';
+        templateBox.innerHTML = this.templates.map(t => row(t.ref, `${t.format === 'md' ? 'Markdown' : 'HTML'} · ${Math.ceil(t.size / 1024)} KB · updated ${new Date(t.updatedAt).toLocaleString()}`, `
+            <button class="btn-small" onclick="ReportPresets.openTemplate('${t.ref}')">Edit</button>
+            <button class="btn-small" onclick="ReportPresets.removeTemplate('${t.ref}')" title="Delete template">&#10005;</button>`)).join('')
+            || '<p style="color:#888; font-size:13px;">No templates. HTML and Markdown reports use the built-in layout.</p>';
+    },
+};
+
 // ==================== COMPREHENSIVE SECURITY SCANNING ====================
 
 // ==================== SMART SECURITY ENGINE ====================
@@ -4294,20 +5545,49 @@ window.KjerPreviousScanResults = null;
 function logSection(title) {
     SecurityMonitor.section(title);
 }
-function logResult(tool, message, level) {
-    SecurityMonitor.log(tool, message, level || 'info');
+function logResult(tool, message, level, provenance) {
+    SecurityMonitor.log(tool, message, level || 'info', provenance);
 }
 function logDivider() {
     SecurityMonitor.divider();
 }
 
+// Progress stages worth a permanent log entry; all others (prepare, run,
+// configure, done) only update the live line.
+const _LOGGED_PROGRESS_STAGES = new Set(['install', 'tool-done', 'tool-failed']);
+
+/**
+ * Build BackendAPI stream handlers that mirror a backend call into the
+ * Activity Monitor: raw output and minor progress stages update a live line
+ * for `label`, milestone progress events are logged as regular entries.
+ * Call SecurityMonitor.endLive(label) in a finally once the backend call
+ * settles, so a rejected call does not leave the live line running.
+ */
+function _monitorStream(label) {
+    return {
+        onLine: (line) => SecurityMonitor.live(label, line.trim().slice(0, 240)),
+        onProgress: (evt) => {
+            if (!_LOGGED_PROGRESS_STAGES.has(evt.stage)) {
+                SecurityMonitor.live(label, evt.message);
+                return;
+            }
+            const name  = evt.tool ? (TOOLS_DATABASE[evt.tool]?.name || evt.tool) : label;
+            const pct   = evt.percent != null ? `${evt.percent}% — ` : '';
+            const level = evt.stage === 'tool-failed' ? 'error'
+                        : evt.stage === 'tool-done'   ? 'success'
+                        : 'info';
+            logResult(name, pct + evt.message, level);
+        },
+    };
+}
+
 // ─── SCAN ENGINE ─────────────────────────────────────────────────
 
 /**
  * Single "Run" entry point: scan all installed tools, then immediately
  * run smart defense based on what was found.  If the Monitor checkbox is
- * checked the recurring 5-minute monitor loop starts automatically after
- * the first scan+defend cycle — the SecurityMonitor accumulates the full
+ * checked the background monitor starts automatically after the first
+ * scan+defend cycle — the SecurityMonitor accumulates the full
  * session history without ever auto-clearing.
  */
 async function runKjer() {
@@ -4315,78 +5595,103 @@ async function runKjer() {
     // create multiple orphaned setInterval timers that all fire simultaneously.
     if (window._KjerRunning) return;
     window._KjerRunning = true;
+    JobControl.begin('run', 'Run');
 
     try {
-        // Fully stop the monitor for the duration of this run so no cycle can
-        // interleave with the scan or defend phases.
+        // Hold the background monitor for the duration of this run so no check
+        // can interleave with the scan or defend phases.
         const cb = document.getElementById('monitorCheckbox');
-        if (_monitorState.active) {
-            clearInterval(_monitorState.timer);
-            _monitorState.timer = null;
-            _monitorState.active = false;  // stops any in-flight _monitorCycle loop
-        }
+        await MonitorService.pause(true);
 
-        await performComprehensiveScan();
-        if (window.KjerLastScanResults && window.KjerLastScanResults.completedAt) {
+        const scanned = await performComprehensiveScan();
+        if (!JobControl.isCancelled('run') && window.KjerLastScanResults && window.KjerLastScanResults.completedAt) {
             await activateSmartDefense();
         }
+        if (scanned && !JobControl.isCancelled('run')) ReportJobs.afterScan(scanned);
 
         // Start monitoring only after the full run completes, and only if checked.
-        // _monitorState.active is false so _startMonitorLoop's guard passes cleanly.
-        if (cb && cb.checked) {
-            _startMonitorLoop(true);  // skip immediate cycle — scan+defend just ran
+        // An already-running monitor is restarted so it picks up the new baseline.
+        if (cb && cb.checked && !JobControl.isCancelled('run')) {
+            await MonitorService.start(true);  // skip immediate check — scan+defend just ran
         }
     } finally {
+        await MonitorService.pause(false);
+        JobControl.end('run');
         window._KjerRunning = false;
     }
 }
 
-async function performComprehensiveScan() {
+// Scan phases in run order → the tool roles each one engages
+const SCAN_PHASES = {
+    'NETWORK ANALYSIS':   ['network_scan'],
+    'VULNERABILITY SCAN': ['vuln_scan'],
+    'MALWARE & EDR':      ['malware_scan'],
+    'FILE INTEGRITY':     ['integrity_scan'],
+    'MEMORY FORENSICS':   ['memory_scan'],
+    'COMPLIANCE & AUDIT': ['compliance_scan'],
+    'SIEM & LOG INGEST':  ['siem'],
+};
+
+/**
+ * Scan installed tools phase by phase and publish KjerLastScanResults.
+ * options.tools / options.phases restrict the run to those tool keys / phase
+ * names (null = all); options.schedule ({ id, name }) marks a scheduled run.
+ * Returns the results, or null when the scan was aborted or stopped.
+ */
+async function performComprehensiveScan(options = {}) {
     const installed   = getInstalledTools();
     const installedNames = Object.keys(installed);
+    const { tools: onlyTools = null, phases: onlyPhases = null, schedule = null } = options;
 
     if (installedNames.length === 0) {
         showNotification('No tools installed. Use the Tool Box to install security tools first.');
         logActivity('Scan aborted — no security tools installed', 'warning');
-        return;
+        return null;
     }
 
     // ── Build phase lists ─────────────────────────────────────────
-    const phases = {
-        'NETWORK ANALYSIS':   getToolsByRole(['network_scan']),
-        'VULNERABILITY SCAN': getToolsByRole(['vuln_scan']),
-        'MALWARE & EDR':      getToolsByRole(['malware_scan']),
-        'FILE INTEGRITY':     getToolsByRole(['integrity_scan']),
-        'MEMORY FORENSICS':   getToolsByRole(['memory_scan']),
-        'COMPLIANCE & AUDIT': getToolsByRole(['compliance_scan']),
-        'SIEM & LOG INGEST':  getToolsByRole(['siem']),
-    };
+    const phases = Object.fromEntries(Object.entries(SCAN_PHASES)
+        .filter(([name]) => !onlyPhases || onlyPhases.includes(name))
+        .map(([name, roles]) => [name, getToolsByRole(roles).filter(t => !onlyTools || onlyTools.includes(t.key))]));
 
     const activePhases = Object.entries(phases).filter(([, tools]) => tools.length > 0);
 
     if (activePhases.length === 0) {
+        if (schedule) {
+            logActivity(`Scheduled scan "${schedule.name}" skipped — none of its tools/phases match installed scanners`, 'warning');
+            return null;
+        }
         showNotification('Installed tools have no scanning capability. Try installing Nessus, ClamAV, Lynis, or Suricata.');
         logActivity('Scan aborted — no scanner-role tools found among installed tools', 'warning');
-        return;
+        return null;
     }
 
     // Fresh results object
     const results = {
         startedAt:    new Date(),
-        findings:     [],       // { phase, tool, level, message }
+        findings:     [],       // { phase, tool, level, message, provenance }
+        suppressed:   [],       // findings covered by an active suppression
+        toolErrors:   [],       // provenance 'error' — the tool could not be run
+        toolsAssessed: [],      // keys of tools that ran without error (compliance coverage)
+        simulationMode: isSimulationMode(),
         critical:     0,
         high:         0,
         medium:       0,
         low:          0,
         toolsRun:     0,
     };
+    if (schedule) {
+        results.source   = 'schedule';
+        results.schedule = schedule;
+    }
+    await Suppressions.load();
     // Preserve the previous scan so the next scan can detect recurring defended findings.
     window.KjerPreviousScanResults = window.KjerLastScanResults;
     window.KjerLastScanResults = null;  // clear stale results
 
     // ── Header ────────────────────────────────────────────────────
     SecurityMonitor.divider();
-    SecurityMonitor.section('KJER SECURITY SCAN — ' + new Date().toLocaleTimeString());
+    SecurityMonitor.section((schedule ? `KJER SCHEDULED SCAN (${schedule.name})` : 'KJER SECURITY SCAN') + ' — ' + new Date().toLocaleTimeString());
     const os = localStorage.getItem('userDistro') || localStorage.getItem('userOS') || 'this system';
     SecurityMonitor.log('', `Target: ${os}  |  Tools engaged: ${activePhases.reduce((a,[,t])=>a+t.length,0)}`, 'info');
     SecurityMonitor.divider();
@@ -4404,10 +5709,22 @@ async function performComprehensiveScan() {
         await Promise.all(tools.map(async (tool, i) => {
             // Stagger tool calls within a phase by 300 ms to avoid thundering herd
             if (i > 0) await new Promise(res => setTimeout(res, i * 300));
+            if (JobControl.isCancelled('run')) return;
             try {
-                const finding = await _runToolScan(tool, phaseName);
+                const findings = await _runToolScan(tool, phaseName, 'run');
                 results.toolsRun++;
-                if (finding) {
+                if (!findings.some(f => f.provenance === 'error')) results.toolsAssessed.push(tool.key);
+                for (const finding of findings) {
+                    if (finding.provenance === 'error') {
+                        results.toolErrors.push(finding);
+                        continue;
+                    }
+                    const sup = Suppressions.match(finding);
+                    if (sup) {
+                        finding.suppressed = { kind: sup.kind, reason: sup.reason, owner: sup.owner, expiresAt: sup.expiresAt };
+                        results.suppressed.push(finding);
+                        continue;
+                    }
                     results.findings.push(finding);
                     if      (finding.level === 'critical') results.critical++;
                     else if (finding.level === 'error')    results.high++;
@@ -4421,9 +5738,20 @@ async function performComprehensiveScan() {
     }
 
     for (const [phaseName, tools] of activePhases) {
+        if (JobControl.isCancelled('run')) break;
         await runScanPhase(phaseName, tools);
     }
 
+    if (JobControl.isCancelled('run')) {
+        // A partial scan must not drive defend or recurring-finding detection
+        window.KjerLastScanResults = window.KjerPreviousScanResults;
+        SecurityMonitor.divider();
+        SecurityMonitor.section('SCAN STOPPED — ' + new Date().toLocaleTimeString());
+        SecurityMonitor.log('', `Stopped after ${results.toolsRun} tool(s) — partial results discarded`, 'warning');
+        SecurityMonitor.divider();
+        return null;
+    }
+
     // ── Summary ───────────────────────────────────────────────────
     results.completedAt = new Date();
     window.KjerLastScanResults = results;
@@ -4451,6 +5779,21 @@ async function performComprehensiveScan() {
     } else {
         SecurityMonitor.log('', 'No actionable findings — system posture looks good', 'success');
     }
+    if (results.suppressed.length > 0) {
+        SecurityMonitor.log('', `${results.suppressed.length} suppressed finding(s) excluded from the threat level`, 'info');
+    }
+    if (results.toolErrors.length > 0) {
+        SecurityMonitor.log('', `${results.toolErrors.length} tool(s) failed to run — not included in the threat level: ${results.toolErrors.map(f => f.tool).join(', ')}`, 'error');
+    }
+    const simulatedCount = results.findings.filter(f => f.provenance === 'simulated').length;
+    if (simulatedCount > 0) {
+        SecurityMonitor.log('', `SIMULATION MODE — ${simulatedCount} finding(s) are generated demo results, not real tool output`, 'warning');
+    }
+    const sinceLast = _sessionScanDiff();
+    if (sinceLast) {
+        const worse = sinceLast.added.length > 0 || sinceLast.changed.some(c => c.direction === 'escalated');
+        SecurityMonitor.log('', `Since last scan: ${_describeScanDiff(sinceLast)}`, worse ? 'warning' : 'info');
+    }
     SecurityMonitor.divider();
 
     logActivity(
@@ -4463,6 +5806,12 @@ async function performComprehensiveScan() {
         `Scan complete | ${threatLevel} | ` +
         `${results.critical} critical, ${results.high} high, ${results.medium} medium`
     );
+
+    AlertRouting.dispatchScan(results);
+    // Awaited so a defend that follows immediately can link back to this scan
+    await ScanHistory.recordScan(results);
+    SiemExport.sendScan(results);   // after recordScan so events carry the history ID
+    return results;
 }
 
 /**
@@ -4479,7 +5828,7 @@ function _simulateToolScan(tool, phase) {
     if (_lastDefSim
             && (_lastDefSim.toolKeysDefended || []).includes(tool.key)
             && (Date.now() - (_lastDefSim.completedAt || 0)) < 1800000) { // 30-min window
-        logResult(name, 'Post-defend check — no active threats detected', 'success');
+        logResult(name, 'Post-defend check — no active threats detected', 'success', 'simulated');
         return null; // no flagged finding
     }
 
@@ -4789,8 +6138,8 @@ function _simulateToolScan(tool, phase) {
             level = 'success';
     }
 
-    logResult(name, line, level);
-    return flagged ? { phase, tool: name, key: tool.key, level, message: line } : null;
+    logResult(name, line, level, 'simulated');
+    return flagged ? { phase, tool: name, key: tool.key, level, message: line, provenance: 'simulated' } : null;
 }
 
 /**
@@ -4812,15 +6161,78 @@ const _TOOL_PERSIST_HINTS = {
     'osquery':   'investigate flagged processes and accounts manually',
 };
 
-/** Simple integer random in [min, max] */
+// ==================== SIMULATION MODE ====================
+// Every finding and defense action carries a provenance: 'real' (parsed from
+// the backend), 'error' (the backend call failed) or 'simulated'. Simulation
+// is opt-in (Settings → Demo / Simulation Mode): only then do failed tool
+// calls fall back to _simulateToolScan / _simulateDefenseResult, and the
+// Activity Monitor and every report format are watermarked.
+
+const PROVENANCE_LABELS = { real: 'Real', simulated: 'Simulated', error: 'Error' };
+
+function isSimulationMode() {
+    return localStorage.getItem('kjerSimulationMode') === 'true';
+}
+
+function setSimulationMode(enabled) {
+    localStorage.setItem('kjerSimulationMode', enabled ? 'true' : 'false');
+    logActivity(enabled
+        ? 'Simulation mode enabled — failed tool calls will produce generated demo results'
+        : 'Simulation mode disabled — only real tool results are reported',
+        enabled ? 'warning' : 'info', '', true);
+    showNotification(enabled ? 'Simulation mode on — results are marked SIMULATED' : 'Simulation mode off');
+    SecurityMonitor.render();
+}
+
+/** Simple integer random in [min, max] — simulation mode only */
 function ri(min, max) { return Math.floor(Math.random() * (max - min + 1)) + min; }
 
+// Backend severity → the level scale used by findings, counts and the monitor log
+const SEVERITY_TO_LEVEL = { critical: 'critical', high: 'error', medium: 'warning', low: 'info', info: 'info' };
+
+/** "path · host:port · CVE-…" for a normalized finding, or '' when it has no asset fields. */
+function _findingAsset(f) {
+    const parts = [];
+    if (f.path) parts.push(f.path);
+    if (f.host || f.port) parts.push([f.host, f.port].filter(Boolean).join(':'));
+    if (f.cve && f.cve.length) parts.push(f.cve.join(', '));
+    return parts.join(' · ');
+}
+
+/**
+ * Convert a backend finding (lib/finding_parsers.py schema) into the shape
+ * scan results use: the normalized fields plus phase/tool/key/level/message.
+ */
+function _findingFromBackend(f, tool, phase, recurring) {
+    const asset = _findingAsset(f);
+    return {
+        ...f,
+        phase,
+        tool:      tool.name,
+        key:       tool.key,
+        level:     SEVERITY_TO_LEVEL[f.severity] || 'info',
+        flagged:   f.severity !== 'info',
+        message:   asset && !f.title.includes(asset) ? `${f.title} — ${asset}` : f.title,
+        recurring,
+        provenance: 'real',
+    };
+}
+
+/** Most severe finding in a list (null when empty). */
+function _worstFinding(findings) {
+    return (findings || []).reduce((worst, f) =>
+        !worst || _severityRank(f.level) > _severityRank(worst.level) ? f : worst, null);
+}
+
 /**
  * Run a tool via the real backend, parse its structured result, and log it.
- * Falls back to _simulateToolScan() if the backend returns an error or the
- * tool has no run command defined (e.g. not yet on the DB).
+ * Returns the tool's findings — one per issue when the backend has a parser
+ * for the tool, otherwise at most one summary finding for the whole run.
+ * If the backend returns an error or the tool has no run command defined,
+ * returns a single provenance 'error' finding — or, in simulation mode only,
+ * a _simulateToolScan() result.
  */
-async function _runToolScan(tool, phase) {
+async function _runToolScan(tool, phase, jobTag = '') {
     // Determine if this tool had a finding in the previous defend session.
     // Works from the first scan→defend→scan cycle onward:
     //   - _prevScan?.findings  : set at scan start from the prior KjerLastScanResults
@@ -4835,9 +6247,23 @@ async function _runToolScan(tool, phase) {
             || _lastDef.findings?.find(f => f.key === tool.key)   // first-cycle fallback
         )
     );
+    // Individual issues that were already present when defend last ran
+    const _defendedIds = new Set(_wasDefendedPrev
+        ? [...(_prevScan?.findings || []), ...(_lastDef.findings || [])].map(f => f.id).filter(Boolean)
+        : []);
 
+    let error;
     try {
-        const result = await BackendAPI.callBackend('run-tool', { tool: tool.key });
+        let result;
+        try {
+            result = await BackendAPI.runTool(tool.key, _monitorStream(tool.name), jobTag);
+        } finally {
+            SecurityMonitor.endLive(tool.name);
+        }
+        if (result?.cancelled) {
+            logResult(tool.name, 'Scan cancelled', 'warning');
+            return [];
+        }
         if (result && result.success && result.finding_level) {
             const level   = result.finding_level;
             const flagged = ['critical', 'error', 'warning'].includes(level);
@@ -4846,36 +6272,60 @@ async function _runToolScan(tool, phase) {
                 const _hint = _TOOL_PERSIST_HINTS[tool.key] || 'manual remediation required';
                 line += ` — ↻ recurring after defend: ${_hint}`;
             }
-            logResult(tool.name, line, level);
-            return flagged ? { phase, tool: tool.name, key: tool.key, level, message: line, recurring: _wasDefendedPrev } : null;
+            logResult(tool.name, line, level, 'real');
+
+            const parsed = Array.isArray(result.findings) ? result.findings : [];
+            if (parsed.length > 0) {
+                const findings = parsed.map(f => _findingFromBackend(f, tool, phase, _defendedIds.has(f.id)));
+                findings.slice(0, 5).forEach(f => logResult(tool.name, `\u21B3 ${f.message}`, f.level, 'real'));
+                if (findings.length > 5) logResult(tool.name, `\u21B3 +${findings.length - 5} more finding(s)`, 'info');
+                return findings;
+            }
+            return flagged ? [{ phase, tool: tool.name, key: tool.key, level, message: line, recurring: _wasDefendedPrev, provenance: 'real' }] : [];
         }
-        // Backend returned an error (tool not installed, no run_cmd, etc.) — fall through
-    } catch (_) {
-        // IPC or parse error — fall through to simulation
+        // Backend returned an error (tool not installed, no run_cmd, etc.)
+        error = result?.error || result?.message || 'No result from backend';
+    } catch (err) {
+        error = err.message || 'IPC error';
+    }
+    if (isSimulationMode()) {
+        const simulated = _simulateToolScan(tool, phase);
+        return simulated ? [simulated] : [];
     }
-    return _simulateToolScan(tool, phase);
+    // Real mode: report the failure — never a made-up result
+    logResult(tool.name, `Scan failed — ${error}`, 'error', 'error');
+    return [{ phase, tool: tool.name, key: tool.key, level: 'error', message: `Scan failed — ${error}`, flagged: false, provenance: 'error' }];
 }
 
 // ─── DEFEND ENGINE HELPERS ───────────────────────────────────────
 /**
- * Try real backend hardening first; fall back to a simulated result if
- * the backend call fails or the tool has no defend procedure defined.
- * Returns { summary, level } always.
+ * Run the tool's backend hardening. If the backend call fails or the tool has
+ * no defend procedure, the result is an error — or, in simulation mode only,
+ * a simulated result. The backend snapshots the tool's before-state into the
+ * given rollback changeset (see lib/defense_rollback.py).
+ * Returns { summary, level, provenance } always, plus { changeset, snapshot } for real runs.
  */
-async function _runToolDefend(tool, ctx) {
+async function _runToolDefend(tool, ctx, jobTag = '', changeset = '') {
+    let error;
     try {
-        const r = await BackendAPI.callBackend('defend-tool', { tool: tool.key });
+        const r = await BackendAPI.callBackend('defend-tool', { tool: tool.key, jobTag, changeset });
+        if (r?.cancelled) return { summary: 'Defense action cancelled', level: 'warning', provenance: 'real' };
         if (r && r.success && r.summary) {
             // Prefer level from backend; fall back to steps-based heuristic
             const level = r.level || (r.steps_ok > 0 ? 'success' : 'info');
-            return { summary: r.summary, level };
+            return { summary: r.summary, level, changeset: r.changeset, snapshot: r.snapshot, provenance: 'real' };
         }
-    } catch (_) {}
-    return _simulateDefenseResult(tool, ctx || {});
+        error = r?.error || r?.message || 'No result from backend';
+    } catch (err) {
+        error = err.message || 'IPC error';
+    }
+    if (isSimulationMode()) return { ..._simulateDefenseResult(tool, ctx || {}), provenance: 'simulated' };
+    return { summary: `Defense failed — ${error}`, level: 'error', provenance: 'error' };
 }
 
 /**
- * Produce a simulated defense result when no real backend result is available.
+ * Produce a simulated defense result when no real backend result is available
+ * (simulation mode only).
  */
 function _simulateDefenseResult(tool, ctx) {
     const { hasNetworkThreat, hasMalware, hasIntegrityViolation, hasComplianceGap } = ctx;
@@ -4950,15 +6400,273 @@ function _simulateDefenseResult(tool, ctx) {
         case 'nessus':
             return { summary: 'Nessus daemon started — vulnerability scanning available on port 8834', level: 'success' };
         default: {
+            if (tool.plugin?.defend) return { summary: tool.plugin.defend.summary, level: 'success' };
             const rules = ri(2, 8);
             return { summary: `${rules} detection rule(s) pushed — alerting on findings from this scan`, level: 'info' };
         }
     }
 }
 
-// ─── DEFEND ENGINE ──────────────────────────────────────────────
-async function activateSmartDefense() {
-    const installed      = getInstalledTools();
+// ─── DEFENSE PLAN ───────────────────────────────────────────────
+// activateSmartDefense never acts straight from scan findings: it first builds
+// a plan of intended actions (one per tool, grouped by phase), which is shown
+// as a checklist for approval. On Enterprise and above (canAutoDefend) the
+// same plan is approved automatically — this is also the gate for monitor
+// auto-defend.
+
+// What each tool's defend procedure changes on the system (see cmd_defend_tool)
+const DEFEND_ACTION_CHANGES = {
+    ufw:        'Sets default deny incoming / allow outgoing, enables UFW and reloads its rules',
+    fail2ban:   'Restarts fail2ban so the SSH/HTTP/FTP jails are active',
+    suricata:   'Reloads Suricata rules (restarts the service if suricatasc is unavailable)',
+    clamav:     'Updates virus definitions and scans /home, /tmp and /var/tmp',
+    rkhunter:   'Updates signatures and refreshes the file-properties baseline (--propupd)',
+    chkrootkit: 'Re-runs chkrootkit and cross-checks promiscuous interfaces, debsums and rkhunter — read-only',
+    apparmor:   'Puts every profile in /etc/apparmor.d into enforce mode and reloads AppArmor',
+    selinux:    'Switches SELinux to Enforcing (setenforce 1)',
+    aide:       'Runs aide --check; builds the AIDE database first if none exists',
+    tripwire:   'Runs tripwire --check; initialises the Tripwire database if missing',
+    lynis:      'Writes kernel/network sysctl hardening to /etc/sysctl.d/99-kjer-hardening.conf, applies it and re-audits',
+    auditd:     'Restarts auditd to reload the kernel audit rules',
+    tiger:      'Runs a TIGER security audit — read-only',
+    gvm:        'Starts the gvmd and ospd-openvas services',
+    openvas:    'Starts the ospd-openvas and gvmd services',
+    nessus:     'Starts the nessusd service',
+};
+
+// Ordered phases: which tools each phase engages and which ctx flags trigger it
+const DEFENSE_PHASES = [
+    { name: 'PHASE 0 — SCANNER SERVICE RESTORE',
+      tools: () => getToolsByRole(['vuln_svc']),
+      triggers: ['hasVulnSvcFailed', 'hasVulns'] },
+    { name: 'PHASE 1 — NETWORK & PERIMETER',
+      tools: () => getToolsByRole(['firewall', 'ips']).filter(t => ['ufw','fail2ban','suricata'].includes(t.key) || t.plugin),
+      triggers: ['hasNetworkThreat', 'hasVulns'] },
+    { name: 'PHASE 2 — MALWARE CONTAINMENT',
+      tools: () => getToolsByRole(['av_remediate']),
+      triggers: ['hasMalware', 'hasMemoryThreat'] },
+    { name: 'PHASE 3 — ACCESS CONTROL ENFORCEMENT',
+      tools: () => getToolsByRole(['firewall']).filter(t => ['apparmor','selinux'].includes(t.key)),
+      triggers: ['hasComplianceGap', 'hasMalware'] },
+    { name: 'PHASE 4 — FILE INTEGRITY',
+      tools: () => getToolsByRole(['integrity_scan']),
+      triggers: ['hasIntegrityViolation'] },
+    { name: 'PHASE 5 — AUDIT HARDENING',
+      tools: () => getToolsByRole(['compliance_scan']).filter(t => ['lynis','auditd','tiger'].includes(t.key) || t.plugin),
+      triggers: ['hasComplianceGap'] },
+    { name: 'PHASE 6 — SIEM ALERT RULES',
+      tools: () => getToolsByRole(['siem']),
+      triggers: ['hasFindings'] },
+];
+
+// Actions from the response policy whose tool belongs to no phase above
+const POLICY_RESPONSE_PHASE = 'POLICY RESPONSE';
+
+const DEFENSE_TRIGGER_LABELS = {
+    hasNetworkThreat:      'network threat detected',
+    hasMalware:            'malware / rootkit finding',
+    hasIntegrityViolation: 'file integrity violation',
+    hasComplianceGap:      'compliance gap',
+    hasMemoryThreat:       'memory forensics finding',
+    hasVulns:              'vulnerabilities found',
+    hasVulnSvcFailed:      'vulnerability scanner not running',
+    hasFindings:           'scan produced findings',
+};
+
+/** Derive the threat-context flags that drive phase selection and simulation. */
+function _defenseContext(findings, broadMode) {
+    // Scan roles decide which flag a finding raises, so plugin tools count too
+    const inRole = (f, role) => TOOL_ROLES[role].includes(f.key);
+    const hasNetworkThreat    = findings.some(f => inRole(f, 'network_scan')
+                                               && ['critical','error','warning'].includes(f.level));
+    const hasMalware          = findings.some(f => inRole(f, 'malware_scan')
+                                               && ['critical','error'].includes(f.level));
+    const hasIntegrityViolation = findings.some(f => inRole(f, 'integrity_scan')
+                                               && ['critical','warning'].includes(f.level));
+    const hasComplianceGap    = findings.some(f => inRole(f, 'compliance_scan')
+                                               && ['critical','error','warning'].includes(f.level));
+    const hasMemoryThreat     = findings.some(f => inRole(f, 'memory_scan')
+                                               && ['critical','warning'].includes(f.level));
+    const hasVulns            = findings.some(f => inRole(f, 'vuln_scan')
+                                               && ['critical','error','warning'].includes(f.level));
+    // Vuln scanner services that reported failure/not-running during the scan
+    const hasVulnSvcFailed    = findings.some(f => inRole(f, 'vuln_scan')
+                                               && ['error','warning'].includes(f.level));
+    // Detect AIDE missing-DB so simulation gives initialisation message, not "flagged files"
+    const aideMissingDb       = findings.some(f => f.key === 'aide'
+                                               && (f.message || '').toLowerCase().includes('not initialised'));
+    return { hasNetworkThreat, hasMalware, hasIntegrityViolation, hasComplianceGap,
+             hasMemoryThreat, hasVulns, hasVulnSvcFailed, broadMode, aideMissingDb,
+             hasFindings: findings.length > 0 };
+}
+
+function _planAction(tool, phase, reason) {
+    return {
+        phase,
+        tool,
+        change:   DEFEND_ACTION_CHANGES[tool.key] || tool.plugin?.defend?.summary || `Runs the ${tool.name} defend procedure`,
+        reason,
+        approved: true,
+    };
+}
+
+/**
+ * Build the list of actions a defend run would take for the given scan
+ * (or broad hardening of every installed tool when scan is null).
+ * @returns {{createdAt:Date, scanId:string|null, broadMode:boolean, findings:object[],
+ *            ctx:object, actions:object[], approval:{mode:'manual'|'auto', at:Date}|null}}
+ */
+function buildDefensePlan(scan) {
+    const findings  = scan?.findings || [];
+    const broadMode = !scan;
+    const ctx       = _defenseContext(findings, broadMode);
+    const actions   = [];
+    for (const phase of DEFENSE_PHASES) {
+        const hits = phase.triggers.filter(k => ctx[k]);
+        if (!broadMode && hits.length === 0) continue;
+        const reason = broadMode
+            ? 'Broad hardening — no recent scan'
+            : hits.map(k => DEFENSE_TRIGGER_LABELS[k]).join(', ');
+        phase.tools()
+            // A plugin can sit in several phases' roles but defends once, and only if its manifest has a defend section
+            .filter(t => !t.plugin || (t.plugin.defend && !actions.some(a => a.tool.key === t.key)))
+            .forEach(t => actions.push(_planAction(t, phase.name, reason)));
+    }
+    return { createdAt: new Date(), scanId: scan?.historyId || null, broadMode, findings, ctx, actions, approval: null };
+}
+
+/** Plan with a single action — used by monitor auto-defend. */
+function buildMonitorDefensePlan(tool, finding) {
+    const findings = finding ? [finding] : [];
+    return {
+        createdAt: new Date(), scanId: null, broadMode: false, findings,
+        ctx:       _defenseContext(findings, false),
+        actions:   [_planAction(tool, 'MONITOR', finding ? finding.message : 'monitor finding')],
+        approval:  null,
+    };
+}
+
+/** Rollback changeset ID for one defend run — must match CHANGESET_RE in lib/defense_rollback.py. */
+function _newChangesetId() {
+    const ts = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15).toLowerCase();
+    return `cs-${ts}-${Math.random().toString(16).slice(2, 6).padEnd(4, '0')}`;
+}
+
+/** Plain-data copy of a plan for history and reports (drops tool objects). */
+function _serializeDefensePlan(plan) {
+    return {
+        createdAt: plan.createdAt,
+        approval:  plan.approval,
+        actions:   plan.actions.map(a => ({
+            phase: a.phase, tool: a.tool.name, key: a.tool.key,
+            change: a.change, reason: a.reason, approved: a.approved,
+            result: a.result || null,
+        })),
+        policy:    plan.policy ? { fired: plan.policy.fired, throttled: plan.policy.throttled } : null,
+    };
+}
+
+const DefensePlan = {
+    _plan:    null,
+    _resolve: null,
+
+    /**
+     * Approve a plan. Enterprise+ approves every action automatically; lower
+     * tiers get a checklist unless interactive is false, in which case the
+     * plan is declined. A plan that arrives while another is being reviewed is
+     * declined too. Resolves true when the plan should run.
+     */
+    review(plan, { interactive = true } = {}) {
+        if (plan.actions.length === 0 || canAutoDefend()) {
+            plan.actions.forEach(a => { a.approved = true; });
+            plan.approval = { mode: 'auto', at: new Date() };
+            return Promise.resolve(true);
+        }
+        if (!interactive) return Promise.resolve(false);
+        if (this._resolve) {
+            showNotification('A defense plan is already open for review — finish it first', 'warning');
+            return Promise.resolve(false);
+        }
+
+        this._plan = plan;
+        this._showModal(plan);
+        return new Promise(resolve => { this._resolve = resolve; });
+    },
+
+    _showModal(plan) {
+        const byPhase = new Map();
+        plan.actions.forEach((a, i) => {
+            if (!byPhase.has(a.phase)) byPhase.set(a.phase, []);
+            byPhase.get(a.phase).push([a, i]);
+        });
+        const rows = [...byPhase].map(([phase, items]) => `
+            <h4 style="color:#9D4EDD; margin:16px 0 6px 0; font-size:12px; letter-spacing:.5px;">${_escapeHtml(phase)}</h4>
+            <p style="color:#888; font-size:11px; margin:0 0 6px 0;">Why: ${_escapeHtml(items[0][0].reason)}</p>
+            ${items.map(([a, i]) => `
+            <label style="display:flex; gap:10px; align-items:flex-start; padding:6px 4px; font-size:12px; cursor:pointer;">
+                <input type="checkbox" class="defense-plan-item" data-index="${i}" checked style="margin-top:2px;">
+                <span>
+                    <strong style="color:#B0E0E6;">${_escapeHtml(a.tool.name)}</strong>
+                    <span style="color:#ccc; display:block; margin-top:2px;">${_escapeHtml(a.change)}</span>
+                </span>
+            </label>`).join('')}`).join('');
+
+        document.getElementById('defensePlanModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'defensePlanModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10000';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:740px; width:96vw; max-height:88vh; overflow-y:auto;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">Review Defense Plan</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;" onclick="DefensePlan._finish(false)">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px;">
+                    <p style="color:#ccc; font-size:13px; margin:0;">
+                        ${plan.broadMode
+                            ? 'No recent scan — Kjer proposes broad hardening with every installed defensive tool.'
+                            : `Based on ${plan.findings.length} finding(s) from the last scan.`}
+                        Uncheck anything you do not want applied.
+                    </p>
+                    <div style="display:flex; gap:8px; margin-top:10px;">
+                        <button class="btn-small" onclick="DefensePlan.toggleAll(true)">Select all</button>
+                        <button class="btn-small" onclick="DefensePlan.toggleAll(false)">Select none</button>
+                    </div>
+                    ${rows}
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;" onclick="DefensePlan._finish(false)">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="DefensePlan._finish(true)">Apply Selected</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+    },
+
+    toggleAll(on) {
+        document.querySelectorAll('#defensePlanModal .defense-plan-item').forEach(cb => { cb.checked = on; });
+    },
+
+    _finish(apply) {
+        const plan = this._plan, resolve = this._resolve;
+        if (!plan || !resolve) return;
+        if (apply) {
+            document.querySelectorAll('#defensePlanModal .defense-plan-item').forEach(cb => {
+                const action = plan.actions[Number(cb.dataset.index)];
+                if (action) action.approved = cb.checked;
+            });
+            plan.approval = { mode: 'manual', at: new Date() };
+        }
+        document.getElementById('defensePlanModal')?.remove();
+        this._plan = this._resolve = null;
+        resolve(!!apply);
+    },
+};
+
+// ─── DEFEND ENGINE ──────────────────────────────────────────────
+async function activateSmartDefense() {
+    const installed      = getInstalledTools();
     const installedNames = Object.keys(installed);
 
     if (installedNames.length === 0) {
@@ -4972,6 +6680,7 @@ async function activateSmartDefense() {
 
     // ── Header — scan log is preserved; defense entries appended below ──
     const defenseStartCount = SecurityMonitor.entries.length;
+    const defenseStartedAt  = new Date();
     SecurityMonitor.divider();
     SecurityMonitor.section('KJER SMART DEFENSE — ' + new Date().toLocaleTimeString());
     if (hasScanData) {
@@ -4988,87 +6697,66 @@ async function activateSmartDefense() {
     updateLastUpdateTime();
 
     let actionsTotal      = 0;
+    let actionsFailed     = 0;         // backend failures — reported, never simulated unless opted in
     let toolsEngaged      = new Set(); // display names (for user-facing output)
     let toolKeysDefended  = new Set(); // tool DB keys (for post-defend scan comparison)
-
-    // ── Determine threat context from scan findings ───────────────
-    const findings = hasScanData ? scanResults.findings : [];
-    const hasNetworkThreat    = findings.some(f => ['wireshark','suricata','zeek'].includes(f.key)
-                                               && ['critical','error','warning'].includes(f.level));
-    const hasMalware          = findings.some(f => ['clamav','rkhunter','chkrootkit',
-                                               'malwarebytes','windows-defender','kaspersky'].includes(f.key)
-                                               && ['critical','error'].includes(f.level));
-    const hasIntegrityViolation = findings.some(f => ['aide','tripwire'].includes(f.key)
-                                               && ['critical','warning'].includes(f.level));
-    const hasComplianceGap    = findings.some(f => ['lynis','cis-cat','osquery',
-                                               'auditd','tiger'].includes(f.key)
-                                               && ['critical','error','warning'].includes(f.level));
-    const hasMemoryThreat     = findings.some(f => f.key === 'volatility'
-                                               && ['critical','warning'].includes(f.level));
-    const hasVulns            = findings.some(f => ['nessus','openvas','gvm'].includes(f.key)
-                                               && ['critical','error','warning'].includes(f.level));
-    // Vuln scanner services that reported failure/not-running during the scan
-    const hasVulnSvcFailed    = findings.some(f => ['nessus','openvas','gvm'].includes(f.key)
-                                               && ['error','warning'].includes(f.level));
-    // Detect AIDE missing-DB so simulation gives initialisation message, not "flagged files"
-    const aideMissingDb       = findings.some(f => f.key === 'aide'
-                                               && (f.message || '').toLowerCase().includes('not initialised'));
-
-    // If no scan data, defend everything present
-    const broadMode = !hasScanData;
-    const ctx = { hasNetworkThreat, hasMalware, hasIntegrityViolation, hasComplianceGap,
-                  hasMemoryThreat, hasVulns, hasVulnSvcFailed, broadMode, aideMissingDb };
+    const changesetId     = _newChangesetId();   // every action's before-state lands here
+
+    // ── Plan, then wait for approval ──────────────────────────────
+    // Industrial tier: a saved response policy replaces the built-in phase conditions
+    const plan     = await ResponsePolicy.buildPlan(hasScanData ? scanResults : null)
+                  || buildDefensePlan(hasScanData ? scanResults : null);
+    const findings = plan.findings;
+    const ctx      = plan.ctx;
+
+    if (!await DefensePlan.review(plan)) {
+        SecurityMonitor.log('', `Defense plan declined — ${plan.actions.length} proposed action(s) not applied`, 'warning');
+        SecurityMonitor.divider();
+        logActivity('Defense plan declined — no actions taken', 'warning');
+        return;
+    }
+    const approved = plan.actions.filter(a => a.approved);
+    const skipped  = plan.actions.filter(a => !a.approved);
+    SecurityMonitor.log('',
+        `Plan: ${approved.length} of ${plan.actions.length} action(s) approved` +
+        (plan.approval.mode === 'auto' ? ' (auto-approved)' : '') +
+        (plan.policy ? ' — response policy' : ''), 'info');
+    if (plan.policy) ResponsePolicy.report(plan.policy);
 
     // ── Phase runner ─────────────────────────────────────────────
-    // Logs the phase header, then awaits ALL tools in the phase before returning.
+    // Logs the phase header, then awaits ALL actions in the phase before returning.
     // This guarantees every tool result appears under its correct phase section —
     // no result can "leak" into a later phase due to slow backend calls.
-    async function runPhase(phaseName, tools, condition) {
-        if (tools.length === 0 || !condition) return;
+    async function runPhase(phaseName, actions) {
+        if (actions.length === 0 || JobControl.isCancelled('run')) return;
         logSection(phaseName);
-        await Promise.all(tools.map(async (t, i) => {
+        await Promise.all(actions.map(async (a, i) => {
             if (i > 0) await new Promise(res => setTimeout(res, i * 200));
-            toolsEngaged.add(t.name);
-            toolKeysDefended.add(t.key);   // track key for post-defend scan comparison
-            const r = await _runToolDefend(t, ctx);
-            logResult(t.name, r.summary, r.level);
-            actionsTotal++;
+            if (JobControl.isCancelled('run')) return;
+            toolsEngaged.add(a.tool.name);
+            toolKeysDefended.add(a.tool.key);   // track key for post-defend scan comparison
+            const r = await _runToolDefend(a.tool, ctx, 'run', changesetId);
+            logResult(a.tool.name, r.summary, r.level, r.provenance);
+            a.result = r;
+            if (r.provenance === 'error') actionsFailed++;
+            else actionsTotal++;
         }));
     }
 
-    // ── Execute phases sequentially ───────────────────────────────
+    // ── Execute approved actions phase by phase ───────────────────
     // Each phase fully completes before the next phase header fires.
-    await runPhase('PHASE 0 — SCANNER SERVICE RESTORE',
-        getToolsByRole(['vuln_svc']),
-        broadMode || hasVulnSvcFailed || hasVulns);
-
-    await runPhase('PHASE 1 — NETWORK & PERIMETER',
-        getToolsByRole(['firewall', 'ips']).filter(t => ['ufw','fail2ban','suricata'].includes(t.key)),
-        broadMode || hasNetworkThreat || hasVulns);
-
-    await runPhase('PHASE 2 — MALWARE CONTAINMENT',
-        getToolsByRole(['av_remediate']),
-        broadMode || hasMalware || hasMemoryThreat);
-
-    await runPhase('PHASE 3 — ACCESS CONTROL ENFORCEMENT',
-        getToolsByRole(['firewall']).filter(t => ['apparmor','selinux'].includes(t.key)),
-        broadMode || hasComplianceGap || hasMalware);
-
-    await runPhase('PHASE 4 — FILE INTEGRITY',
-        getToolsByRole(['integrity_scan']),
-        broadMode || hasIntegrityViolation);
-
-    await runPhase('PHASE 5 — AUDIT HARDENING',
-        getToolsByRole(['compliance_scan']).filter(t => ['lynis','auditd','tiger'].includes(t.key)),
-        broadMode || hasComplianceGap);
-
-    await runPhase('PHASE 6 — SIEM ALERT RULES',
-        getToolsByRole(['siem']),
-        broadMode || findings.length > 0);
+    for (const phaseName of [...DEFENSE_PHASES.map(p => p.name), POLICY_RESPONSE_PHASE]) {
+        await runPhase(phaseName, approved.filter(a => a.phase === phaseName));
+    }
+    if (skipped.length > 0) {
+        SecurityMonitor.log('', `Not approved — skipped: ${skipped.map(a => a.tool.name).join(', ')}`, 'info');
+    }
 
     // ── Defense summary ───────────────────────────────────────────
     const posture = actionsTotal === 0
-        ? 'NO DEFENSIVE TOOLS INSTALLED'
+        ? (actionsFailed > 0 ? 'DEFENSE FAILED'
+            : plan.actions.length > 0 ? 'NO ACTIONS APPROVED'
+            : plan.policy ? 'NO POLICY ACTION' : 'NO DEFENSIVE TOOLS INSTALLED')
         : findings.length === 0
             ? 'HARDENED (preventive)'
             : hasScanData && scanResults.critical > 0
@@ -5076,9 +6764,12 @@ async function activateSmartDefense() {
                 : 'HARDENED';
 
     SecurityMonitor.divider();
-    SecurityMonitor.section('DEFENSE COMPLETE');
+    SecurityMonitor.section(JobControl.isCancelled('run') ? 'DEFENSE STOPPED' : 'DEFENSE COMPLETE');
     SecurityMonitor.log('', `Actions taken: ${actionsTotal}  |  Tools engaged: ${toolsEngaged.size}  |  Posture: ${posture}`, actionsTotal > 0 ? 'success' : 'warning');
-    if (actionsTotal === 0) {
+    if (actionsFailed > 0) {
+        SecurityMonitor.log('', `${actionsFailed} action(s) failed — see the errors above`, 'error');
+    }
+    if (plan.actions.length === 0 && !plan.policy) {
         SecurityMonitor.log('', 'Install defensive tools (UFW, Fail2ban, ClamAV, AppArmor) for automated response', 'warning');
     }
     SecurityMonitor.divider();
@@ -5087,23 +6778,32 @@ async function activateSmartDefense() {
     window.KjerLastDefenseResults = {
         actions:          SecurityMonitor.entries.slice(0, SecurityMonitor.entries.length - defenseStartCount).reverse(),
         posture,
+        startedAt:        defenseStartedAt,
         completedAt:      Date.now(),
+        stopped:          JobControl.isCancelled('run'),
         toolsEngaged:     [...toolsEngaged],
         toolKeysDefended: [...toolKeysDefended], // used by next scan to mark recurring findings
         actionsTotal,
+        actionsFailed,
+        simulationMode:   isSimulationMode(),
         findings,
+        plan:             _serializeDefensePlan(plan),
+        changesetId,                              // revert via History → Revert defense run
     };
 
     logActivity(
         actionsTotal > 0
             ? `Defense complete — ${actionsTotal} action(s)  |  Posture: ${posture}`
-            : 'Defense complete — no defensive tools installed',
+            : `Defense complete — ${posture.toLowerCase()}`,
         actionsTotal > 0 ? 'success' : 'warning', '', true);
 
     showNotification(
         `Defense complete — ${actionsTotal} action(s), ` +
         `${toolsEngaged.size} tool(s) engaged | ${posture}`
     );
+
+    ScanHistory.recordDefense(window.KjerLastDefenseResults, hasScanData ? scanResults : null);
+    SiemExport.sendDefense(window.KjerLastDefenseResults, hasScanData ? scanResults : null);
 }
 
 function clearActivityLog() {
@@ -5114,189 +6814,2552 @@ function clearActivityLog() {
     }
 }
 
-// ==================== MONITOR MODE ====================
-// Continuously scans installed tools on a fixed interval.
-// Writes to SecurityMonitor ONLY when a finding level changes (new threat,
-// escalation, or resolution) — identical one-line format to scan/defend.
-// Auto-defends tools that surface a new or escalated threat.
-// Conservative: sequential execution, 200 ms gap between tools, 5-min polling.
-
-const MONITOR_INTERVAL_MS = 5 * 60 * 1000;   // 5 minutes
-
-const _monitorState = {
-    active: false,
-    timer:  null,
-    cycle:  0,
-    prev:   {},   // tool.key → { level }  — last observed result
+// ==================== RUN HISTORY ====================
+// Every completed scan and defend run is persisted to ~/.kjer/history by the
+// main process, so findings survive restarts. The History tab lists past runs
+// and can open any of them or feed it back into ReportWizard.
+
+const HISTORY_LEVEL_COLORS = {
+    CRITICAL: '#f44336',
+    HIGH:     '#ff9800',
+    MEDIUM:   '#ffc107',
+    CLEAN:    '#4caf50',
 };
 
-function _severityRank(level) {
-    return { success: 0, info: 1, warning: 2, error: 3, critical: 4 }[level] ?? 0;
-}
+/** Threat level label for a scan results object (same thresholds as the scan summary). */
+function _scanThreatLevel(scan) {
+    return scan.critical > 0 ? 'CRITICAL'
+         : scan.high     > 0 ? 'HIGH'
+         : scan.medium   > 0 ? 'MEDIUM'
+         : 'CLEAN';
+}
+
+function _formatDuration(ms) {
+    const sec = Math.max(0, Math.round((ms || 0) / 1000));
+    return sec < 60 ? `${sec}s` : `${Math.floor(sec / 60)}m ${sec % 60}s`;
+}
+
+const ScanHistory = {
+    runs: [],             // index summaries, newest first
+    _lastCompare: null,   // { baseline, current, diff } from the last compare()
+    _openRun: null,       // run currently shown by open()
+
+    /** Persist a completed scan and remember its history ID on the results object. */
+    async recordScan(results) {
+        if (!window.electronAPI?.saveHistoryRun) return;
+        const run = {
+            ...results,
+            kind:        'scan',
+            durationMs:  results.completedAt - results.startedAt,
+            threatLevel: _scanThreatLevel(results),
+            counts:      { critical: results.critical, high: results.high, medium: results.medium, low: results.low },
+            os:          localStorage.getItem('userDistro') || localStorage.getItem('userOS') || '',
+        };
+        try {
+            const res = await window.electronAPI.saveHistoryRun(run);
+            if (res?.success) results.historyId = res.id;
+            else console.warn('Scan history not saved:', res?.error);
+        } catch (err) {
+            console.warn('Scan history not saved:', err);
+        }
+    },
 
-function _monitorUiActive(on) {
-    const badge = document.getElementById('monitorBadge');
-    if (badge) badge.style.display = on ? '' : 'none';
-    // Keep checkbox in sync when stopping programmatically
-    if (!on) {
-        const cb = document.getElementById('monitorCheckbox');
-        if (cb) cb.checked = false;
-    }
-}
+    /** Persist a defend run, linked to the scan it acted on (if any). */
+    async recordDefense(defense, scanResults) {
+        if (!window.electronAPI?.saveHistoryRun || !defense) return;
+        const startedAt = new Date(defense.startedAt || defense.completedAt);
+        const run = {
+            ...defense,
+            kind:        'defend',
+            startedAt,
+            completedAt: new Date(defense.completedAt),
+            durationMs:  defense.completedAt - startedAt.getTime(),
+            scanId:      scanResults?.historyId || null,
+            os:          localStorage.getItem('userDistro') || localStorage.getItem('userOS') || '',
+        };
+        try {
+            const res = await window.electronAPI.saveHistoryRun(run);
+            if (!res?.success) console.warn('Defense history not saved:', res?.error);
+        } catch (err) {
+            console.warn('Defense history not saved:', err);
+        }
+    },
 
-/**
- * Called by the Monitor checkbox in the UI.
- * Checked  → start persistent monitoring loop (or notify user to click Run first).
- * Unchecked → stop monitoring loop if running.
- */
-function onMonitorCheckboxChange(cb) {
-    if (cb.checked) {
-        if (_monitorState.active) return;  // already running
-        // If a run is currently in progress, leave checkbox checked —
-        // runKjer will start the monitor when it finishes.
-        if (window._KjerRunning) {
-            showNotification('Scan in progress — monitor will start automatically when complete.');
-            return;
+    async refresh() {
+        if (!window.electronAPI?.listHistory) { this.runs = []; return; }
+        try {
+            const res = await window.electronAPI.listHistory();
+            this.runs = res?.success ? res.runs : [];
+        } catch (_) {
+            this.runs = [];
         }
-        const installed = getInstalledTools();
-        if (Object.keys(installed).length === 0) {
-            cb.checked = false;
-            showNotification('No tools installed — install tools first.');
+    },
+
+    async load(id) {
+        const res = await window.electronAPI.getHistoryRun(id);
+        if (!res?.success) throw new Error(res?.error || 'Run not found');
+        return res.run;
+    },
+
+    async render() {
+        const container = document.getElementById('historyList');
+        if (!container) return;
+        await this.refresh();
+
+        if (this.runs.length === 0) {
+            container.innerHTML = `
+                <div style="text-align:center; padding:60px 20px; color:var(--color-empty-state);">
+                    <p style="font-size:16px;">No scan or defend runs recorded yet.</p>
+                    <p style="font-size:13px;">Click Run on the Dashboard — every completed run is saved here.</p>
+                </div>`;
             return;
         }
-        // Require a completed scan+defend before autonomous monitoring starts.
-        // Without baseline scan data every tool looks "new" and auto-defend fires on everything.
-        if (!window.KjerLastDefenseResults) {
-            cb.checked = false;
-            showNotification('Run a full scan first — monitor starts automatically after scan+defend completes.');
-            return;
+
+        const scans  = this.runs.filter(r => r.kind === 'scan');
+        const option = (r, selected) =>
+            `<option value="${r.id}"${selected ? ' selected' : ''}>${new Date(r.startedAt).toLocaleString()} — ${r.threatLevel || 'CLEAN'} (${r.findings})</option>`;
+        const compareBar = scans.length < 2 ? '' : `
+            <div style="display:flex; align-items:center; gap:10px; flex-wrap:wrap;
+                        background:rgba(0,0,0,.18); border:1px solid rgba(255,255,255,.07); border-radius:8px;
+                        padding:10px 16px; margin-bottom:16px; font-size:13px; color:#ccc;">
+                <span>Compare</span>
+                <select id="historyBaseline" class="filter-select">${scans.map((r, i) => option(r, i === 1)).join('')}</select>
+                <span>&rarr;</span>
+                <select id="historyCurrent" class="filter-select">${scans.map((r, i) => option(r, i === 0)).join('')}</select>
+                <button class="btn-small" onclick="ScanHistory.compare()">Show Diff</button>
+            </div>`;
+
+        container.innerHTML = compareBar + this.runs.map(r => {
+            const isScan  = r.kind === 'scan';
+            const label   = isScan ? (r.threatLevel || 'CLEAN') : (r.posture || '—');
+            const color   = isScan ? (HISTORY_LEVEL_COLORS[r.threatLevel] || '#888') : '#B0E0E6';
+            const c       = r.counts || {};
+            const detail  = isScan
+                ? `${r.findings} finding(s) &mdash; C ${c.critical || 0} / H ${c.high || 0} / M ${c.medium || 0} / L ${c.low || 0}`
+                : `${r.actionsTotal} action(s)${r.findings ? ` for ${r.findings} finding(s)` : ''}`;
+            const when    = r.startedAt ? new Date(r.startedAt).toLocaleString() : '—';
+            const origin  = r.source === 'schedule' ? ` &middot; Scheduled: ${_escapeHtml(r.schedule || '')}`
+                          : r.source === 'monitor'  ? ' &middot; Monitor' : '';
+            return `
+            <div style="display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap;
+                        border:1px solid rgba(255,255,255,.07); border-radius:7px; padding:12px 16px; margin-bottom:10px;">
+                <div style="min-width:0;">
+                    <span style="font-size:11px; font-weight:700; letter-spacing:.5px; color:#9D4EDD;">${isScan ? 'SCAN' : 'DEFEND'}</span>
+                    <strong style="color:${color}; font-size:13px; margin-left:8px;">${_escapeHtml(label)}</strong>
+                    <span style="color:#888; font-size:12px; margin-left:8px;">${when} &middot; ${_formatDuration(r.durationMs)}${origin}</span>
+                    <div style="color:#aaa; font-size:12px; margin-top:4px;">${detail}</div>
+                </div>
+                <div style="display:flex; gap:8px;">
+                    <button class="btn-small" onclick="ScanHistory.open('${r.id}')">Open</button>
+                    <button class="btn-small" onclick="ScanHistory.report('${r.id}')">Report</button>
+                    <button class="btn-small" onclick="ScanHistory.remove('${r.id}')" title="Delete this run">&#10005;</button>
+                </div>
+            </div>`;
+        }).join('');
+    },
+
+    /** Show one stored run in a modal. */
+    async open(id) {
+        let run;
+        try { run = await this.load(id); }
+        catch (err) { showNotification(`Could not open run: ${err.message}`, 'error'); return; }
+
+        this._openRun = run;
+        const isScan = run.kind === 'scan';
+        const when   = run.startedAt ? new Date(run.startedAt).toLocaleString() : '—';
+        let body, revertable = false;
+        if (isScan) {
+            const findings   = run.findings || [];
+            const suppressed = run.suppressed || [];
+            body = `
+                <p style="color:#ccc; font-size:13px; margin-bottom:14px;">
+                    Threat Level: <strong style="color:${HISTORY_LEVEL_COLORS[run.threatLevel] || '#888'};">${run.threatLevel}</strong>
+                    &nbsp;|&nbsp; Critical: ${run.critical} &nbsp;High: ${run.high} &nbsp;Medium: ${run.medium} &nbsp;Low: ${run.low}
+                    &nbsp;|&nbsp; Tools run: ${run.toolsRun || 0}
+                </p>
+                ${run.simulationMode ? '<p style="color:#ff9800; font-size:12px; font-weight:700;">Recorded in simulation mode — generated results are marked SIMULATED.</p>' : ''}
+                ${(run.toolErrors || []).length ? `<p style="color:#ff6b00; font-size:12px;">Tool errors (not counted): ${_escapeHtml(run.toolErrors.map(f => `${f.tool} — ${f.message}`).join('; '))}</p>` : ''}
+                ${findings.length === 0
+                    ? '<p style="color:#4caf50; font-size:13px;">No findings — system scan clean.</p>'
+                    : findings.map((f, i) => `
+                    <div style="border-left:3px solid ${HISTORY_LEVEL_COLORS[{ critical: 'CRITICAL', error: 'HIGH', warning: 'MEDIUM' }[f.level]] || '#555'};
+                                padding:6px 12px; margin-bottom:8px; font-size:12px;">
+                        <button class="btn-small" style="float:right;" onclick="ScanHistory.suppress(${i})"
+                            title="Mark as accepted risk or false positive">Suppress</button>
+                        <strong style="color:#B0E0E6;">${_escapeHtml(f.tool || '')}</strong>
+                        <span style="color:#888; margin-left:6px;">${_escapeHtml((f.level || 'info').toUpperCase())} &middot; ${_escapeHtml(f.phase || '')}</span>${f.provenance === 'simulated' ? '<span style="color:#ff9800; margin-left:6px; font-weight:700;">SIMULATED</span>' : ''}
+                        <div style="color:#ccc; margin-top:2px;">${_escapeHtml(f.message || '')}</div>
+                    </div>`).join('')}
+                ${suppressed.length === 0 ? '' : `
+                    <h4 style="color:#888; margin:16px 0 6px 0; font-size:13px;">Suppressed (${suppressed.length})</h4>
+                    ${suppressed.map(f => `
+                    <div style="border-left:3px solid #555; padding:6px 12px; margin-bottom:8px; font-size:12px; opacity:.75;">
+                        <strong style="color:#B0E0E6;">${_escapeHtml(f.tool || '')}</strong>
+                        <span style="color:#888; margin-left:6px;">${_escapeHtml((f.level || 'info').toUpperCase())} &middot; ${_escapeHtml(f.phase || '')}</span>
+                        <div style="color:#ccc; margin-top:2px;">${_escapeHtml(f.message || '')}</div>
+                        <div style="color:#888; margin-top:2px;">${_escapeHtml(Suppressions.describe(f.suppressed))}</div>
+                    </div>`).join('')}`}`;
+        } else {
+            const acts = (run.actions || []).filter(e => e.type === 'result' && e.tool && e.message);
+            let snapshots = [];
+            if (run.changesetId) {
+                const cs = await BackendAPI.callBackend('list-changeset', { changeset: run.changesetId });
+                if (cs?.success) snapshots = cs.snapshots;
+            }
+            revertable = snapshots.some(sn => sn.reversible && !sn.reverted_at);
+            body = `
+                <p style="color:#ccc; font-size:13px; margin-bottom:14px;">
+                    Posture: <strong style="color:#B0E0E6;">${_escapeHtml(run.posture || '—')}</strong>
+                    &nbsp;|&nbsp; Actions: ${run.actionsTotal || 0}
+                    &nbsp;|&nbsp; Tools engaged: ${_escapeHtml((run.toolsEngaged || []).join(', ') || 'None')}
+                    ${run.stopped ? '&nbsp;|&nbsp; <span style="color:#ff9800;">Stopped early</span>' : ''}
+                </p>
+                ${run.plan ? `
+                <p style="color:#888; font-size:12px; margin:-8px 0 14px 0;">
+                    Plan: ${run.plan.actions.filter(a => a.approved).length} of ${run.plan.actions.length} action(s) approved
+                    (${run.plan.approval?.mode === 'auto' ? 'auto-approved' : 'manual review'})
+                    ${run.plan.actions.some(a => !a.approved)
+                        ? `&mdash; skipped: ${_escapeHtml(run.plan.actions.filter(a => !a.approved).map(a => a.tool).join(', '))}` : ''}
+                </p>` : ''}
+                ${acts.map(a => `
+                    <div style="font-size:12px; padding:4px 0; color:#ccc;">
+                        <span style="color:#888;">[${_escapeHtml((a.level || 'info').toUpperCase())}]</span>
+                        <strong style="color:#B0E0E6;">${_escapeHtml(a.tool)}</strong>: ${_escapeHtml(a.message)}
+                    </div>`).join('') || '<p style="color:#888; font-size:13px;">No tool actions recorded.</p>'}
+                ${snapshots.length === 0 ? '' : `
+                    <h4 style="color:#888; margin:16px 0 6px 0; font-size:13px;">Rollback</h4>
+                    ${snapshots.map(sn => `
+                    <div style="display:flex; justify-content:space-between; align-items:center; gap:10px; font-size:12px; padding:4px 0; color:#ccc;">
+                        <span>
+                            <strong style="color:#B0E0E6;">${_escapeHtml(TOOLS_DATABASE[sn.tool]?.name || sn.tool)}</strong>:
+                            ${_escapeHtml(sn.note || '')}
+                        </span>
+                        ${sn.reverted_at
+                            ? `<span style="color:#4caf50; white-space:nowrap;">Reverted ${new Date(sn.reverted_at).toLocaleString()}</span>`
+                            : sn.reversible && /^[a-z0-9-]+$/.test(sn.tool)
+                                ? `<button class="btn-small" onclick="ScanHistory.revert('${run.id}', '${sn.tool}')">Revert</button>`
+                                : '<span style="color:#666; white-space:nowrap;">Not reversible</span>'}
+                    </div>`).join('')}`}`;
+        }
+
+        document.getElementById('historyRunModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'historyRunModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10000';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:740px; width:96vw; max-height:88vh; overflow-y:auto;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">
+                        ${isScan ? 'Scan' : 'Defense'} &mdash; ${when}
+                    </h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('historyRunModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px;">
+                    ${body}
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        ${revertable ? `<button class="btn btn-outline" style="font-size:12px;"
+                            onclick="ScanHistory.revert('${run.id}')">Revert Defense Run</button>` : ''}
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('historyRunModal').remove(); ScanHistory.report('${run.id}')">Generate Report</button>
+                        <button class="btn btn-primary" style="font-size:12px;"
+                            onclick="document.getElementById('historyRunModal').remove()">Close</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+    },
+
+    /**
+     * Restore the before-state snapshots of a defend run — one tool, or every
+     * tool when tool is omitted — then refresh the open run modal.
+     */
+    async revert(id, tool = null) {
+        let run;
+        try { run = await this.load(id); }
+        catch (err) { showNotification(`Could not load run: ${err.message}`, 'error'); return; }
+        if (!run.changesetId) { showNotification('This defense run has no rollback snapshots.'); return; }
+
+        const what = tool ? (TOOLS_DATABASE[tool]?.name || tool) : 'every action in this defense run';
+        if (!confirm(`Restore the system state captured before ${what}?\n\nThis undoes the hardening applied by Kjer.`)) return;
+
+        const res = await BackendAPI.callBackend('revert-defense', { changeset: run.changesetId, tool });
+        (res?.results || []).filter(r => !r.skipped).forEach(r =>
+            logActivity(`Reverted ${TOOLS_DATABASE[r.tool]?.name || r.tool}: ${r.summary}`, r.success ? 'success' : 'error'));
+        if (res?.success) {
+            showNotification(`Defense reverted — ${res.reverted} tool(s) restored${res.skipped ? `, ${res.skipped} not reversible` : ''}`);
+        } else {
+            showNotification(`Revert incomplete: ${res?.error || `${res?.failed} tool(s) failed — see Activity Log`}`, 'error');
         }
-        _startMonitorLoop();
-    } else {
-        stopMonitorMode();
-    }
+        this.open(id);
+    },
+
+    /** Open the suppression form for a finding of the run shown by open(). */
+    suppress(index) {
+        Suppressions.openForm(this._openRun?.findings?.[index]);
+    },
+
+    /**
+     * Open ReportWizard on a stored run. A scan is paired with the defend run
+     * that acted on it; a defend run is paired with the scan it was based on.
+     */
+    async report(id) {
+        try {
+            const run = await this.load(id);
+            let scan = null, defense = null;
+            let diff = null;
+            if (run.kind === 'scan') {
+                scan = run;
+                await this.refresh();
+                const def = this.runs.find(r => r.kind === 'defend' && r.scanId === run.id);
+                if (def) defense = await this.load(def.id).catch(() => null);
+                // Baseline for the diff section: the scan recorded just before this one
+                const idx  = this.runs.findIndex(r => r.id === run.id);
+                const base = this.runs.slice(idx + 1).find(r => r.kind === 'scan');
+                const baseRun = base ? await this.load(base.id).catch(() => null) : null;
+                if (baseRun) diff = diffScans(baseRun, run);
+            } else {
+                defense = run;
+                if (run.scanId) scan = await this.load(run.scanId).catch(() => null);
+            }
+            ReportWizard.open({
+                scan,
+                defense,
+                diff,
+                label: `${run.kind === 'scan' ? 'Scan' : 'Defense'} from ${new Date(run.startedAt).toLocaleString()}`,
+                date:  new Date(run.startedAt),
+            });
+        } catch (err) {
+            showNotification(`Could not load run: ${err.message}`, 'error');
+        }
+    },
+
+    /** Diff the two scans picked in the History compare bar and show the result. */
+    async compare() {
+        const baseId = document.getElementById('historyBaseline')?.value;
+        const curId  = document.getElementById('historyCurrent')?.value;
+        if (!baseId || !curId || baseId === curId) { showNotification('Pick two different scans to compare.'); return; }
+
+        let baseline, current;
+        try { [baseline, current] = await Promise.all([this.load(baseId), this.load(curId)]); }
+        catch (err) { showNotification(`Could not load scans: ${err.message}`, 'error'); return; }
+        const diff = diffScans(baseline, current);
+        this._lastCompare = { baseline, current, diff };
+
+        const row = (f, note) => `
+            <div style="font-size:12px; padding:4px 0; color:#ccc;">
+                <span style="color:#888;">[${_escapeHtml((f.level || 'info').toUpperCase())}]</span>
+                <strong style="color:#B0E0E6;">${_escapeHtml(f.tool || '')}</strong>: ${_escapeHtml(f.message || '')}${note || ''}
+            </div>`;
+        const group = (title, color, items, render) => `
+            <h4 style="color:${color}; margin:16px 0 6px 0; font-size:13px;">${title} (${items.length})</h4>
+            ${items.length ? items.map(render).join('') : '<p style="color:#666; font-size:12px; margin:0;">None</p>'}`;
+
+        document.getElementById('historyDiffModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'historyDiffModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10000';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:740px; width:96vw; max-height:88vh; overflow-y:auto;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">Scan Comparison</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('historyDiffModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px;">
+                    <p style="color:#888; font-size:12px; margin-bottom:4px;">
+                        Baseline: ${new Date(baseline.startedAt).toLocaleString()} (${baseline.threatLevel})
+                        &rarr; Current: ${new Date(current.startedAt).toLocaleString()} (${current.threatLevel})
+                    </p>
+                    <p style="color:#ccc; font-size:13px;">${_describeScanDiff(diff)}</p>
+                    ${group('New', '#f44336', diff.added, f => row(f))}
+                    ${group('Severity changed', '#ff9800', diff.changed, c => row(c.after,
+                        ` <span style="color:${c.direction === 'escalated' ? '#f44336' : '#4caf50'};">` +
+                        `(${_escapeHtml((c.before.level || 'info').toUpperCase())} &rarr; ${_escapeHtml((c.after.level || 'info').toUpperCase())}, ${c.direction})</span>`))}
+                    ${group('Resolved', '#4caf50', diff.resolved, f => row(f))}
+                    ${group('Unchanged', '#888', diff.unchanged, f => row(f))}
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('historyDiffModal').remove(); ScanHistory.reportCompare()">Generate Report</button>
+                        <button class="btn btn-primary" style="font-size:12px;"
+                            onclick="document.getElementById('historyDiffModal').remove()">Close</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+    },
+
+    /** Open ReportWizard on the scan pair last shown by compare(). */
+    reportCompare() {
+        const c = this._lastCompare;
+        if (!c) return;
+        ReportWizard.open({
+            scan:    c.current,
+            defense: null,
+            diff:    c.diff,
+            label:   `Scan from ${new Date(c.current.startedAt).toLocaleString()} vs ${new Date(c.baseline.startedAt).toLocaleString()}`,
+            date:    new Date(c.current.startedAt),
+        });
+    },
+
+    async remove(id) {
+        if (!confirm('Delete this run from history?')) return;
+        const res = await window.electronAPI.deleteHistoryRun(id);
+        if (!res?.success) { showNotification(`Delete failed: ${res?.error || 'unknown error'}`, 'error'); return; }
+        logActivity(`Removed ${id} from run history`, 'info');
+        this.render();
+    },
+};
+
+// ==================== SCAN DIFF ====================
+// Compares two scans finding-by-finding. A finding's identity is its tool
+// plus its finding ID when the tool reports one, otherwise the tool alone
+// (tools that summarise their run as a single finding).
+
+function _findingDiffKey(f) {
+    const tool = (f.key || f.tool || '').toLowerCase();
+    return f.id ? `${tool}::${f.id}` : tool;
+}
+
+function _diffScanRef(scan) {
+    if (!scan) return null;
+    return {
+        id:          scan.historyId || scan.id || null,
+        completedAt: scan.completedAt || null,
+        threatLevel: _scanThreatLevel(scan),
+    };
 }
 
 /**
- * Starts the recurring monitor timer.  Does NOT run an immediate cycle —
- * callers that just completed a full scan+defend (runKjer) should pass
- * skipFirstCycle=true so the next poll happens after the full interval only.
+ * Diff two scan result objects (live or loaded from history).
+ * @returns {{baseline, current, added:object[], resolved:object[], unchanged:object[],
+ *            changed:Array<{before:object, after:object, direction:'escalated'|'reduced'}>}}
  */
-function _startMonitorLoop(skipFirstCycle = true) {
-    if (_monitorState.active) return;
+function diffScans(baseline, current) {
+    const before = new Map((baseline?.findings || []).map(f => [_findingDiffKey(f), f]));
+    const after  = new Map((current?.findings  || []).map(f => [_findingDiffKey(f), f]));
+    const diff = {
+        baseline:  _diffScanRef(baseline),
+        current:   _diffScanRef(current),
+        added:     [],
+        resolved:  [],
+        unchanged: [],
+        changed:   [],
+    };
+    after.forEach((f, key) => {
+        const prev = before.get(key);
+        if (!prev)                       diff.added.push(f);
+        else if (prev.level === f.level) diff.unchanged.push(f);
+        else diff.changed.push({
+            before:    prev,
+            after:     f,
+            direction: _severityRank(f.level) > _severityRank(prev.level) ? 'escalated' : 'reduced',
+        });
+    });
+    // A finding that was suppressed since the baseline is still present — not resolved
+    const suppressed = new Set((current?.suppressed || []).map(_findingDiffKey));
+    before.forEach((f, key) => { if (!after.has(key) && !suppressed.has(key)) diff.resolved.push(f); });
+    return diff;
+}
 
-    _monitorState.active = true;
-    _monitorState.cycle  = 0;
-    _monitorState.prev   = {};
-    _monitorUiActive(true);
+function _describeScanDiff(diff) {
+    return `${diff.added.length} new, ${diff.resolved.length} resolved, ` +
+           `${diff.unchanged.length} unchanged, ${diff.changed.length} changed severity`;
+}
 
-    SecurityMonitor.divider();
-    SecurityMonitor.section('MONITOR ACTIVE — ' + new Date().toLocaleTimeString());
-    SecurityMonitor.log('', `Polling every ${MONITOR_INTERVAL_MS / 60000} min  |  Silent unless threats change  |  Auto-defend on new threats`, 'info');
-    SecurityMonitor.divider();
-    logActivity('Monitor mode active — continuous threat watch every 5 min', 'info', '', true);
-    showNotification('Monitor active — will re-scan and auto-defend every 5 minutes');
+/** Diff of the current session's last two completed scans, or null. */
+function _sessionScanDiff() {
+    const prev = window.KjerPreviousScanResults;
+    const last = window.KjerLastScanResults;
+    if (!prev?.completedAt || !last?.completedAt || prev === last) return null;
+    return diffScans(prev, last);
+}
 
-    if (!skipFirstCycle) {
-        _monitorCycle();  // fire immediately (used when checkbox is checked without prior Run)
-    }
+// ==================== FINDING SUPPRESSIONS ====================
+// Findings the user marked as accepted risk or false positive. An active
+// (unexpired) suppression keeps the finding out of the threat level and
+// monitor auto-defend; reports still list it under Suppressed Findings.
+// The fingerprint is the scan diff key for findings with an ID; a tool's
+// single summary finding adds a hash of its message, so suppressing one
+// summary does not hide whatever the tool reports next. (The diff keeps
+// tool-only identity there so it can report the summary's severity change.)
 
-    _monitorState.timer = setInterval(async () => {
-        if (!_monitorState.active) return;
-        await _monitorCycle();
-    }, MONITOR_INTERVAL_MS);
+/** FNV-1a hash of a finding message, lower-cased and without the recurring-after-defend hint. */
+function _findingMessageHash(message) {
+    const text = String(message || '').replace(/ — ↻ recurring after defend:.*$/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    return (h >>> 0).toString(16).padStart(8, '0');
 }
 
-/** @deprecated Use onMonitorCheckboxChange — kept so any legacy callers still work. */
-async function startMonitorMode() {
+function _suppressionFingerprint(f) {
+    const key = _findingDiffKey(f);
+    return f.id ? key : `${key}::msg-${_findingMessageHash(f.message)}`;
+}
+
+const SUPPRESSION_KINDS = { 'accepted-risk': 'Accepted risk', 'false-positive': 'False positive' };
+
+const Suppressions = {
+    entries: [],   // { fingerprint, tool, title, kind, reason, owner, expiresAt, createdAt }
+    _pending: null, // finding the suppression form was opened for
+
+    async load() {
+        if (!window.electronAPI?.listSuppressions) { this.entries = []; return; }
+        try {
+            const res = await window.electronAPI.listSuppressions();
+            this.entries = res?.success ? res.entries : [];
+        } catch (_) {
+            this.entries = [];
+        }
+    },
+
+    isExpired(entry) {
+        return !!entry.expiresAt && new Date(entry.expiresAt) <= new Date();
+    },
+
+    /** The active suppression covering this finding, or null. */
+    match(finding) {
+        const key = _suppressionFingerprint(finding);
+        return this.entries.find(e => e.fingerprint === key && !this.isExpired(e)) || null;
+    },
+
+    /** One-line description, e.g. "False positive: Suricata sniffing — alice (until 1/31/2027)". */
+    describe(s) {
+        const until = s.expiresAt ? ` (until ${new Date(s.expiresAt).toLocaleDateString()})` : '';
+        return `${SUPPRESSION_KINDS[s.kind] || s.kind}: ${s.reason}${s.owner ? ` — ${s.owner}` : ''}${until}`;
+    },
+
+    /** Show the suppression form for one finding. */
+    openForm(finding) {
+        if (!finding) return;
+        this._pending = finding;
+        const existing = this.entries.find(e => e.fingerprint === _suppressionFingerprint(finding));
+        const owner    = existing?.owner || localStorage.getItem('kjerSuppressionOwner') || '';
+        const expiry   = existing?.expiresAt ? existing.expiresAt.slice(0, 10) : '';
+        const kindOpt  = (k) => `<option value="${k}"${(existing?.kind || 'false-positive') === k ? ' selected' : ''}>${SUPPRESSION_KINDS[k]}</option>`;
+        const attr     = (t) => _escapeHtml(t).replace(/"/g, '&quot;');
+        const field    = 'width:100%; margin-top:4px; padding:6px 8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+
+        document.getElementById('suppressionModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'suppressionModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10001';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:520px; width:96vw;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">Suppress Finding</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('suppressionModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px; font-size:13px; color:#ccc;">
+                    <p style="margin-top:0;"><strong style="color:#B0E0E6;">${_escapeHtml(finding.tool || '')}</strong>: ${_escapeHtml(finding.message || '')}</p>
+                    <p style="color:#888; font-size:11px;">Fingerprint: ${_escapeHtml(_suppressionFingerprint(finding))}</p>
+                    <label style="display:block; margin-top:10px;">Type
+                        <select id="supKind" style="${field}">${Object.keys(SUPPRESSION_KINDS).map(kindOpt).join('')}</select>
+                    </label>
+                    <label style="display:block; margin-top:10px;">Reason
+                        <input id="supReason" type="text" style="${field}" value="${attr(existing?.reason)}"
+                               placeholder="e.g. promiscuous mode expected — Suricata sniffing eth0">
+                    </label>
+                    <label style="display:block; margin-top:10px;">Owner
+                        <input id="supOwner" type="text" style="${field}" value="${attr(owner)}">
+                    </label>
+                    <label style="display:block; margin-top:10px;">Expires (optional)
+                        <input id="supExpiry" type="date" style="${field}" value="${expiry}">
+                    </label>
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('suppressionModal').remove()">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="Suppressions.submit()">Suppress</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+    },
+
+    async submit() {
+        const finding = this._pending;
+        if (!finding) return;
+        const reason = document.getElementById('supReason')?.value.trim() || '';
+        const owner  = document.getElementById('supOwner')?.value.trim()  || '';
+        const expiry = document.getElementById('supExpiry')?.value || '';
+        if (!reason) { showNotification('Enter a reason for the suppression.'); return; }
+
+        const res = await window.electronAPI.saveSuppression({
+            fingerprint: _suppressionFingerprint(finding),
+            tool:        finding.tool || '',
+            title:       finding.message || '',
+            kind:        document.getElementById('supKind')?.value || 'false-positive',
+            reason,
+            owner,
+            // End of the chosen day, local time
+            expiresAt:   expiry ? new Date(`${expiry}T23:59:59`).toISOString() : null,
+        });
+        if (!res?.success) { showNotification(`Suppression not saved: ${res?.error || 'unknown error'}`, 'error'); return; }
+
+        if (owner) localStorage.setItem('kjerSuppressionOwner', owner);
+        document.getElementById('suppressionModal')?.remove();
+        this._pending = null;
+        await this.load();
+        logActivity(`Suppressed ${finding.tool}: ${finding.message} — ${this.describe(res.entry)}`, 'info');
+        showNotification('Finding suppressed — it will be excluded from the threat level on the next scan.');
+        this.render();
+    },
+
+    async remove(fingerprint) {
+        const entry = this.entries.find(e => e.fingerprint === fingerprint);
+        if (!confirm(`Remove the suppression for ${entry?.tool || fingerprint}?`)) return;
+        const res = await window.electronAPI.removeSuppression(fingerprint);
+        if (!res?.success) { showNotification(`Remove failed: ${res?.error || 'unknown error'}`, 'error'); return; }
+        await this.load();
+        logActivity(`Removed suppression for ${entry?.tool || fingerprint}`, 'info');
+        this.render();
+    },
+
+    /** List all suppressions (expired ones dimmed) in the History tab. */
+    async render() {
+        const container = document.getElementById('suppressionList');
+        if (!container) return;
+        await this.load();
+        if (this.entries.length === 0) {
+            container.innerHTML = '<p style="color:#888; font-size:13px;">No suppressed findings. Open a scan run and click Suppress on a finding to mark it as accepted risk or a false positive.</p>';
+            return;
+        }
+        container.innerHTML = this.entries.map((e, i) => {
+            const expired = this.isExpired(e);
+            return `
+            <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;
+                        border:1px solid rgba(255,255,255,.07); border-radius:7px; padding:10px 16px; margin-bottom:8px;${expired ? ' opacity:.5;' : ''}">
+                <div style="min-width:0; font-size:12px;">
+                    <span style="font-size:11px; font-weight:700; letter-spacing:.5px; color:#9D4EDD;">${_escapeHtml((SUPPRESSION_KINDS[e.kind] || e.kind).toUpperCase())}</span>
+                    <strong style="color:#B0E0E6; margin-left:8px;">${_escapeHtml(e.tool || e.fingerprint)}</strong>
+                    ${expired ? '<span style="color:#ff9800; margin-left:8px;">Expired</span>' : ''}
+                    <div style="color:#ccc; margin-top:3px;">${_escapeHtml(e.title || '')}</div>
+                    <div style="color:#888; margin-top:3px;">${_escapeHtml(this.describe(e))}</div>
+                </div>
+                <button class="btn-small" onclick="Suppressions.remove(Suppressions.entries[${i}].fingerprint)" title="Remove suppression">&#10005;</button>
+            </div>`;
+        }).join('');
+    },
+};
+
+// ==================== MONITOR MODE ====================
+// Monitoring runs in the main process (desktop/main.js, "Background monitor")
+// so it survives closing the window and restarting the app. Each installed
+// tool is re-checked on its own interval; the main process reports only level
+// changes (new threat, escalation, resolution) and the renderer logs them
+// here in the same one-line format as scan/defend.
+// Auto-defend of new or escalated threats is Enterprise+ (see DefensePlan).
+// On Industrial a saved response policy decides instead (see RESPONSE POLICY).
+
+const MONITOR_DEFAULT_INTERVAL_MIN = 5;
+const MONITOR_REPLAY_TYPES = new Set(['threat', 'resolved', 'defended', 'needs-approval', 'policy', 'notify']);
+
+function _severityRank(level) {
+    return { success: 0, info: 1, warning: 2, error: 3, critical: 4 }[level] ?? 0;
+}
+
+function _monitorUiActive(on) {
+    const badge = document.getElementById('monitorBadge');
+    if (badge) badge.style.display = on ? '' : 'none';
     const cb = document.getElementById('monitorCheckbox');
-    if (cb) { cb.checked = true; onMonitorCheckboxChange(cb); }
-    else     { _startMonitorLoop(false); }
+    if (cb) cb.checked = on;
+}
+
+const MonitorService = {
+    active:     false,
+    config:     null,
+    _listening: false,
+
+    get api() {
+        return window.electronAPI?.getMonitorStatus ? window.electronAPI : null;
+    },
+
+    /**
+     * Attach to the main-process monitor: sync the checkbox/badge and log the
+     * transitions that happened while no window was open.
+     */
+    async connect() {
+        const api = this.api;
+        if (!api) return;
+        if (!this._listening) {
+            api.onMonitorEvent(evt => this._onEvent(evt));
+            this._listening = true;
+        }
+        const st = await api.getMonitorStatus();
+        this.config = st.config;
+        this.active = !!st.active;
+        _monitorUiActive(this.active);
+        this.renderSettings();
+        if (!this.active) return;
+
+        const seenAt = localStorage.getItem('kjerMonitorSeenAt') || st.state?.startedAt || '';
+        const missed = (st.events || []).filter(e => MONITOR_REPLAY_TYPES.has(e.type) && e.at > seenAt);
+        SecurityMonitor.divider();
+        SecurityMonitor.section('MONITOR RUNNING — reconnected ' + new Date().toLocaleTimeString());
+        SecurityMonitor.log('', `${st.state?.checks || 0} check(s) since ${new Date(st.state?.startedAt || Date.now()).toLocaleString()}  |  ${missed.length} change(s) while the window was closed`, 'info');
+        SecurityMonitor.divider();
+        missed.forEach(e => this._onEvent(e, true));
+        if (missed.length) localStorage.setItem('kjerMonitorSeenAt', missed[missed.length - 1].at);
+    },
+
+    _onEvent(evt, replay = false) {
+        const when = replay ? `  (${new Date(evt.at).toLocaleTimeString()})` : '';
+        switch (evt.type) {
+        case 'threat':
+            logResult(evt.name, evt.message + when, evt.level);
+            if (!replay) logActivity(`[Monitor] ${evt.name}: ${evt.message}`, evt.level);
+            break;
+        case 'defended':
+            logResult(evt.name, `\u21B3 AUTO-DEFEND: ${evt.message}${when}`, evt.level);
+            if (!replay) logActivity(`[Monitor] ${evt.name} defended: ${evt.message}`, evt.level);
+            break;
+        case 'needs-approval':
+            logResult(evt.name, '\u21B3 Defense needs approval — click Run to review the plan', 'info');
+            break;
+        case 'policy':
+            logResult(evt.name, `\u21B3 POLICY: ${evt.message}${when}`, evt.level);
+            break;
+        case 'notify':
+            if (replay) logResult('Policy', `\u21B3 NOTIFY: ${evt.message}${when}`, evt.level);
+            else ResponsePolicy.notify(evt);
+            break;
+        case 'resolved':
+            logResult(evt.name, evt.message + when, 'success');
+            if (!replay) logActivity(`[Monitor] ${evt.name}: threat cleared`, 'success');
+            break;
+        case 'cycle': {
+            const parts = [
+                evt.threats  > 0 ? `${evt.threats} new/escalated threat(s)` : '',
+                evt.defended > 0 ? `${evt.defended} auto-defend action(s)` : '',
+                evt.resolved > 0 ? `${evt.resolved} resolved` : '',
+            ].filter(Boolean).join('  |  ');
+            SecurityMonitor.log('', `[Check  ${new Date(evt.at).toLocaleTimeString()}]  ${parts}`,
+                evt.threats > 0 ? 'warning' : 'success');
+            break;
+        }
+        case 'status':
+            this.active = !!evt.active;
+            _monitorUiActive(this.active);
+            if (!evt.active && evt.reason !== 'restart' && !replay) ReportJobs.monitorEnded();
+            return;
+        default:
+            return;
+        }
+        if (!replay) localStorage.setItem('kjerMonitorSeenAt', evt.at);
+    },
+
+    /** Installed tools as the monitor's tool map, keeping per-tool intervals already set. */
+    _toolConfig() {
+        const installed = getInstalledTools();
+        const current   = this.config?.tools || {};
+        const tools     = {};
+        Object.keys(TOOLS_DATABASE).filter(k => k in installed).forEach(k => {
+            tools[k] = { name: TOOLS_DATABASE[k].name, intervalMin: current[k]?.intervalMin ?? null };
+        });
+        return tools;
+    },
+
+    _intervalLabel() {
+        const cfg   = this.config || {};
+        const base  = cfg.defaultIntervalMin || MONITOR_DEFAULT_INTERVAL_MIN;
+        const custom = Object.values(cfg.tools || {}).filter(t => t.intervalMin).length;
+        return `every ${base} min` + (custom ? ` (${custom} tool(s) custom)` : '');
+    },
+
+    async start(skipFirstCheck = true) {
+        const api = this.api;
+        if (!api) {
+            showNotification('Background monitoring requires the desktop app');
+            _monitorUiActive(false);
+            return;
+        }
+        const r = await api.monitorStart({
+            tools:      this._toolConfig(),
+            autoDefend: canAutoDefend(),
+            autonomous: canRunAutonomously(),
+            catalog:    ResponsePolicy.catalog(),
+            skipFirstCheck,
+        });
+        if (!r.success) {
+            _monitorUiActive(false);
+            showNotification(`Monitor not started: ${r.error}`);
+            return;
+        }
+        this.config = r.config;
+        this.active = true;
+        _monitorUiActive(true);
+        localStorage.setItem('kjerMonitorSeenAt', new Date().toISOString());
+
+        SecurityMonitor.divider();
+        SecurityMonitor.section('MONITOR ACTIVE — ' + new Date().toLocaleTimeString());
+        SecurityMonitor.log('', `Checking ${this._intervalLabel()}  |  Silent unless threats change  |  ${canRunAutonomously() ? 'Policy-driven response' : canAutoDefend() ? 'Auto-defend on new threats' : 'Defense needs approval'}  |  Continues when the window is closed`, 'info');
+        SecurityMonitor.divider();
+        logActivity(`Monitor mode active — continuous threat watch ${this._intervalLabel()}`, 'info', '', true);
+        showNotification(`Monitor active — checking ${this._intervalLabel()}`);
+    },
+
+    async stop() {
+        if (!this.active || !this.api) return;
+        const r = await this.api.monitorStop();
+        this.active = false;
+        _monitorUiActive(false);
+        const checks = r.state?.checks || 0;
+
+        SecurityMonitor.divider();
+        SecurityMonitor.section('MONITOR STOPPED — ' + new Date().toLocaleTimeString());
+        SecurityMonitor.log('', `Completed ${checks} tool check(s)`, 'info');
+        SecurityMonitor.divider();
+        logActivity(`Monitor stopped — ${checks} tool check(s) completed`, 'warning', '', true);
+        showNotification('Monitoring stopped');
+    },
+
+    /** Hold checks while a full Run is in progress. */
+    pause(paused) {
+        if (this.active) return this.api?.monitorPause(paused);
+    },
+
+    /** Read the Settings → Background Monitor inputs and push them to the main process. */
+    async saveSettings() {
+        if (!this.api) return;
+        const patch = {
+            defaultIntervalMin: parseInt(document.getElementById('monitorDefaultInterval')?.value, 10) || MONITOR_DEFAULT_INTERVAL_MIN,
+            startOnLogin:       !!document.getElementById('monitorStartOnLogin')?.checked,
+            tools:              this._toolConfig(),
+            catalog:            ResponsePolicy.catalog(),
+        };
+        document.querySelectorAll('#monitorToolIntervals input[data-tool]').forEach(input => {
+            const t = patch.tools[input.dataset.tool];
+            if (t) t.intervalMin = parseInt(input.value, 10) || null;
+        });
+        const r = await this.api.monitorConfigure(patch);
+        if (!r.success) {
+            showNotification(`Monitor settings not saved: ${r.error}`);
+            return;
+        }
+        this.config = r.config;
+        this.renderSettings();
+    },
+
+    renderSettings() {
+        const cfg = this.config;
+        if (!cfg) return;
+        const def = document.getElementById('monitorDefaultInterval');
+        if (def) def.value = cfg.defaultIntervalMin || MONITOR_DEFAULT_INTERVAL_MIN;
+        const login = document.getElementById('monitorStartOnLogin');
+        if (login) login.checked = !!cfg.startOnLogin;
+
+        const list = document.getElementById('monitorToolIntervals');
+        if (!list) return;
+        const tools = this._toolConfig();
+        if (Object.keys(tools).length === 0) {
+            list.innerHTML = '<small>No tools installed.</small>';
+            return;
+        }
+        list.innerHTML = Object.entries(tools).map(([key, t]) => `
+            <div style="display:flex;align-items:center;justify-content:space-between;gap:10px;margin:4px 0;">
+                <span>${_escapeHtml(t.name)}</span>
+                <input type="number" class="form-input" data-tool="${key}" min="1" max="1440"
+                       value="${t.intervalMin || ''}" placeholder="${cfg.defaultIntervalMin || MONITOR_DEFAULT_INTERVAL_MIN}"
+                       style="width:90px;" onchange="MonitorService.saveSettings()">
+            </div>`).join('');
+    },
+};
+
+/**
+ * Called by the Monitor checkbox in the UI.
+ * Checked  → start the background monitor (or notify user to click Run first).
+ * Unchecked → stop it.
+ */
+function onMonitorCheckboxChange(cb) {
+    if (cb.checked) {
+        if (MonitorService.active) return;  // already running
+        // If a run is currently in progress, leave checkbox checked —
+        // runKjer will start the monitor when it finishes.
+        if (window._KjerRunning) {
+            showNotification('Scan in progress — monitor will start automatically when complete.');
+            return;
+        }
+        const installed = getInstalledTools();
+        if (Object.keys(installed).length === 0) {
+            cb.checked = false;
+            showNotification('No tools installed — install tools first.');
+            return;
+        }
+        // Require a completed scan+defend before autonomous monitoring starts.
+        // Without baseline scan data every tool looks "new" and auto-defend fires on everything.
+        if (!window.KjerLastDefenseResults) {
+            cb.checked = false;
+            showNotification('Run a full scan first — monitor starts automatically after scan+defend completes.');
+            return;
+        }
+        _startMonitorLoop();
+    } else {
+        stopMonitorMode();
+    }
+}
+
+/**
+ * Starts the background monitor. Callers that just completed a full
+ * scan+defend (runKjer) pass skipFirstCycle=true so each tool is first
+ * re-checked after its interval rather than immediately.
+ */
+function _startMonitorLoop(skipFirstCycle = true) {
+    return MonitorService.start(skipFirstCycle);
+}
+
+/** @deprecated Use onMonitorCheckboxChange — kept so any legacy callers still work. */
+async function startMonitorMode() {
+    const cb = document.getElementById('monitorCheckbox');
+    if (cb) { cb.checked = true; onMonitorCheckboxChange(cb); }
+    else     { _startMonitorLoop(false); }
 }
 
 function stopMonitorMode() {
-    if (!_monitorState.active) return;
-    clearInterval(_monitorState.timer);
-    _monitorState.active = false;
-    _monitorState.timer  = null;
+    return MonitorService.stop();
+}
+
+// ==================== ALERT ROUTING ====================
+// Threats leave the app through sinks configured here and dispatched by the
+// main process (desktop/main.js, "Alert routing"): HTTP webhook, RFC 5424
+// syslog, SMTP relay and native desktop notifications. Each sink has its own
+// severity threshold and dedupe window; failed deliveries are retried from a
+// persistent queue. Scans dispatch here; the background monitor and response
+// policy notify actions dispatch from the main process directly.
+
+const ALERT_SEVERITY_LABELS = { info: 'Info', low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+
+// Form fields per sink type: [id suffix, label, input type, placeholder]
+const ALERT_SINK_FIELDS = {
+    webhook: [['url', 'URL', 'text', 'https://hooks.example.com/kjer'],
+              ['headers', 'Extra headers (JSON object, optional)', 'text', '{"Authorization": "Bearer …"}']],
+    syslog:  [['host', 'Host', 'text', '127.0.0.1'], ['port', 'Port', 'number', '514'],
+              ['protocol', 'Protocol', 'select:udp,tcp', ''], ['facility', 'Facility (0-23)', 'number', '4']],
+    smtp:    [['host', 'Relay host', 'text', 'localhost'], ['port', 'Port', 'number', '25'],
+              ['secure', 'Implicit TLS (port 465)', 'checkbox', ''],
+              ['from', 'From', 'text', 'kjer@example.com'], ['to', 'To (comma-separated)', 'text', 'soc@example.com']],
+    desktop: [],
+};
+
+const AlertRouting = {
+    sinks:    [],
+    types:    {},
+    queue:    { pending: [], failed: [] },
+    _editing: null,
+
+    get api() {
+        return window.electronAPI?.dispatchAlerts ? window.electronAPI : null;
+    },
+
+    _apply(r) {
+        if (!r?.success) return;
+        this.sinks = r.sinks || this.sinks;
+        this.types = r.types || this.types;
+        this.queue = r.queue || this.queue;
+    },
+
+    async load() {
+        if (this.api) this._apply(await this.api.getAlertsStatus());
+    },
+
+    /** Route a completed scan's real findings (simulated demo results never leave the app). */
+    dispatchScan(results) {
+        if (!this.api || !results) return;
+        const alerts = results.findings
+            .filter(f => f.provenance !== 'simulated' && (f.level !== 'info' || f.flagged))
+            .map(f => ({
+                severity:    f.severity || { critical: 'critical', error: 'high', warning: 'medium' }[f.level] || 'low',
+                title:       `${f.tool}: ${f.message}`,
+                message:     `${f.phase || 'Scan'} finding${f.recurring ? ' (recurring after defend)' : ''}`,
+                tool:        f.tool,
+                source:      results.source || 'scan',
+                fingerprint: _findingDiffKey(f),
+            }));
+        if (alerts.length === 0) return;
+        this.api.dispatchAlerts(alerts).then(r => {
+            if (r?.queued > 0) logActivity(`${r.queued} alert delivery(ies) failed — queued for retry`, 'warning');
+            if (r?.failed > 0) logActivity(`${r.failed} alert delivery(ies) failed permanently — see Settings → Alert Routing`, 'error');
+        }).catch(err => console.warn('Alerts not dispatched:', err));
+    },
+
+    describe(s) {
+        const target = s.type === 'webhook' ? s.url
+                     : s.type === 'syslog'  ? `${s.protocol}://${s.host}:${s.port || 514}`
+                     : s.type === 'smtp'    ? `${(s.to || []).join(', ')} via ${s.host}:${s.port || (s.secure ? 465 : 25)}`
+                     : 'this computer';
+        return `${this.types[s.type] || s.type} → ${target}`;
+    },
+
+    openForm(id = null) {
+        const existing = this.sinks.find(s => s.id === id) || null;
+        this._editing  = existing;
+        const attr     = (t) => _escapeHtml(t ?? '').replace(/"/g, '&quot;');
+        const field    = 'width:100%; margin-top:4px; padding:6px 8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+        const type     = existing?.type || 'webhook';
+        const typeOpts = Object.entries(this.types).map(([k, label]) =>
+            `<option value="${k}"${k === type ? ' selected' : ''}>${_escapeHtml(label)}</option>`).join('');
+        const sevOpts  = Object.entries(ALERT_SEVERITY_LABELS).map(([k, label]) =>
+            `<option value="${k}"${k === (existing?.minSeverity || 'high') ? ' selected' : ''}>${label} and above</option>`).join('');
+
+        document.getElementById('alertSinkModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'alertSinkModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10001';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:520px; width:96vw;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">${existing ? 'Edit' : 'Add'} Alert Sink</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('alertSinkModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px; font-size:13px; color:#ccc;">
+                    <label style="display:block;">Name
+                        <input id="sinkName" type="text" style="${field}" value="${attr(existing?.name)}" placeholder="e.g. SOC webhook">
+                    </label>
+                    <label style="display:block; margin-top:10px;">Type
+                        <select id="sinkType" style="${field}" onchange="AlertRouting._renderTypeFields()"${existing ? ' disabled' : ''}>${typeOpts}</select>
+                    </label>
+                    <div id="sinkTypeFields"></div>
+                    <label style="display:block; margin-top:10px;">Send
+                        <select id="sinkMinSeverity" style="${field}">${sevOpts}</select>
+                    </label>
+                    <label style="display:block; margin-top:10px;">Suppress repeats of the same finding for (minutes, 0 = never)
+                        <input id="sinkDedupe" type="number" min="0" style="${field}" value="${existing?.dedupeMinutes ?? 60}">
+                    </label>
+                    <div id="sinkTestResult" style="font-size:12px; margin-top:10px;"></div>
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;" onclick="AlertRouting.testForm()">Send Test</button>
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('alertSinkModal').remove()">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="AlertRouting.submit()">Save</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+        this._renderTypeFields();
+    },
+
+    _renderTypeFields() {
+        const box  = document.getElementById('sinkTypeFields');
+        const type = document.getElementById('sinkType')?.value;
+        if (!box) return;
+        const s     = this._editing?.type === type ? this._editing : {};
+        const attr  = (t) => _escapeHtml(t ?? '').replace(/"/g, '&quot;');
+        const field = 'width:100%; margin-top:4px; padding:6px 8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+        const value = (key) => key === 'headers' ? (s.headers ? JSON.stringify(s.headers) : '')
+                             : key === 'to'      ? (s.to || []).join(', ')
+                             : s[key];
+        box.innerHTML = (ALERT_SINK_FIELDS[type] || []).map(([key, label, kind, placeholder]) => {
+            if (kind === 'checkbox') {
+                return `<label style="display:block; margin-top:10px;"><input id="sink_${key}" type="checkbox"${s[key] ? ' checked' : ''}> ${label}</label>`;
+            }
+            if (kind.startsWith('select:')) {
+                const opts = kind.slice(7).split(',').map(o => `<option value="${o}"${(s[key] || '') === o ? ' selected' : ''}>${o.toUpperCase()}</option>`).join('');
+                return `<label style="display:block; margin-top:10px;">${label}<select id="sink_${key}" style="${field}">${opts}</select></label>`;
+            }
+            return `<label style="display:block; margin-top:10px;">${label}
+                <input id="sink_${key}" type="${kind}" style="${field}" value="${attr(value(key))}" placeholder="${attr(placeholder)}">
+            </label>`;
+        }).join('') || '<p style="color:#888; font-size:12px; margin:10px 0 0;">Native notifications from this computer — no settings needed.</p>';
+    },
+
+    /** Sink object from the form, or null (with a notification) when a field cannot be parsed. */
+    _readForm() {
+        const type = document.getElementById('sinkType')?.value;
+        const sink = {
+            id:            this._editing?.id || `sink-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            type,
+            name:          document.getElementById('sinkName')?.value.trim() || '',
+            enabled:       this._editing ? this._editing.enabled : true,
+            minSeverity:   document.getElementById('sinkMinSeverity')?.value || 'high',
+            dedupeMinutes: Math.max(0, parseInt(document.getElementById('sinkDedupe')?.value, 10) || 0),
+        };
+        for (const [key, , kind] of ALERT_SINK_FIELDS[type] || []) {
+            const input = document.getElementById(`sink_${key}`);
+            if (!input) continue;
+            if (kind === 'checkbox') { sink[key] = input.checked; continue; }
+            const raw = input.value.trim();
+            if (!raw) continue;
+            if (kind === 'number') sink[key] = parseInt(raw, 10);
+            else if (key === 'to') sink.to = raw.split(',').map(a => a.trim()).filter(Boolean);
+            else if (key === 'headers') {
+                try { sink.headers = JSON.parse(raw); } catch (_) { showNotification('Extra headers must be a JSON object'); return null; }
+            } else sink[key] = raw;
+        }
+        return sink;
+    },
+
+    async testForm() {
+        const sink = this._readForm();
+        if (!sink) return;
+        const out = document.getElementById('sinkTestResult');
+        if (out) out.innerHTML = '<span style="color:#888;">Sending test alert…</span>';
+        const r = await this.api.testAlertSink(sink);
+        if (out) {
+            out.innerHTML = r.success
+                ? `<span style="color:#4caf50;">Delivered — ${_escapeHtml(r.result || 'ok')}</span>`
+                : `<span style="color:#f44336;">Failed — ${_escapeHtml(r.error)}</span>`;
+        }
+    },
+
+    async submit() {
+        const sink = this._readForm();
+        if (!sink) return;
+        const r = await this.api.saveAlertSink(sink);
+        if (!r.success) { showNotification(`Alert sink not saved: ${r.error}`); return; }
+        this._apply(r);
+        document.getElementById('alertSinkModal')?.remove();
+        logActivity(`Alert sink ${this._editing ? 'updated' : 'added'}: ${sink.name}`, 'info');
+        this._editing = null;
+        this.render();
+    },
+
+    async toggle(id) {
+        const sink = this.sinks.find(s => s.id === id);
+        if (!sink) return;
+        const r = await this.api.saveAlertSink({ ...sink, enabled: !sink.enabled });
+        if (!r.success) { showNotification(`Alert sink not saved: ${r.error}`); return; }
+        this._apply(r);
+        this.render();
+    },
+
+    async test(id) {
+        const sink = this.sinks.find(s => s.id === id);
+        if (!sink) return;
+        const r = await this.api.testAlertSink(sink);
+        showNotification(r.success ? `Test alert delivered to ${sink.name}` : `Test alert to ${sink.name} failed: ${r.error}`);
+        logActivity(`Test alert → ${sink.name}: ${r.success ? r.result || 'delivered' : r.error}`, r.success ? 'success' : 'error');
+    },
+
+    async remove(id) {
+        const sink = this.sinks.find(s => s.id === id);
+        if (!sink || !confirm(`Delete alert sink "${sink.name}"?`)) return;
+        this._apply(await this.api.removeAlertSink(id));
+        logActivity(`Alert sink removed: ${sink.name}`, 'info');
+        this.render();
+    },
+
+    async clearQueue() {
+        if (!confirm('Discard all queued alert retries and the failure log?')) return;
+        this._apply(await this.api.clearAlertQueue());
+        this.render();
+    },
+
+    async render() {
+        const container = document.getElementById('alertSinkList');
+        if (!container) return;
+        if (!this.api) {
+            container.innerHTML = '<p style="color:#888; font-size:13px;">Alert routing requires the desktop app.</p>';
+            return;
+        }
+        await this.load();
+        const sinkName = (id) => this.sinks.find(s => s.id === id)?.name || id;
+        const rows = this.sinks.map(s => `
+            <div style="border:1px solid rgba(255,255,255,.07); border-radius:7px; padding:10px 16px; margin-bottom:8px;${s.enabled ? '' : ' opacity:.6;'}">
+                <div style="display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap;">
+                    <div style="min-width:0; font-size:12px;">
+                        <strong style="color:#B0E0E6;">${_escapeHtml(s.name)}</strong>
+                        <span style="color:#888; margin-left:8px;">${_escapeHtml(ALERT_SEVERITY_LABELS[s.minSeverity])}+${s.dedupeMinutes ? ` · repeats suppressed ${s.dedupeMinutes} min` : ''}</span>
+                        <div style="color:#aaa; margin-top:3px; word-break:break-all;">${_escapeHtml(this.describe(s))}</div>
+                    </div>
+                    <div style="display:flex; gap:6px;">
+                        <button class="btn-small" onclick="AlertRouting.test('${s.id}')">Test</button>
+                        <button class="btn-small" onclick="AlertRouting.toggle('${s.id}')">${s.enabled ? 'Pause' : 'Enable'}</button>
+                        <button class="btn-small" onclick="AlertRouting.openForm('${s.id}')">Edit</button>
+                        <button class="btn-small" onclick="AlertRouting.remove('${s.id}')" title="Delete sink">&#10005;</button>
+                    </div>
+                </div>
+            </div>`).join('');
+        const { pending, failed } = this.queue;
+        const queueInfo = pending.length || failed.length ? `
+            <div style="font-size:12px; color:#ff9800; margin-top:6px;">
+                ${pending.length} delivery(ies) waiting for retry${failed.length ? ` · ${failed.length} given up` : ''}
+                <button class="btn-small" style="margin-left:8px;" onclick="AlertRouting.clearQueue()">Clear</button>
+                ${[...pending.slice(0, 3), ...failed.slice(0, 3)].map(e => `<div style="color:#888; margin-top:3px;">${_escapeHtml(sinkName(e.sinkId))}: ${_escapeHtml(e.alert.title)} — ${_escapeHtml(e.lastError || '')}</div>`).join('')}
+            </div>` : '';
+        container.innerHTML = (rows || '<p style="color:#888; font-size:13px;">No alert sinks — threats are only shown in the Activity Monitor. Add a webhook, syslog server, mail relay or desktop notifications.</p>') + queueInfo;
+    },
+};
+
+// ==================== SIEM EXPORT ====================
+// Findings, defend actions and monitor transitions are forwarded to a SIEM as
+// CEF, LEEF or ECS JSON — to a Splunk HTTP Event Collector or an Elasticsearch
+// _bulk endpoint. The main process (desktop/main.js, "SIEM export") serializes,
+// batches and buffers events on disk while the SIEM is unreachable; the
+// renderer only hands over scan and defend results. Monitor events are
+// forwarded by the main process directly.
+
+const SiemExport = {
+    destinations: [],
+    targets:      {},
+    formats:      {},
+    _editing:     null,
+
+    get api() {
+        return window.electronAPI?.ingestSiemEvents ? window.electronAPI : null;
+    },
+
+    _apply(r) {
+        if (!r?.success) return;
+        this.destinations = r.destinations || this.destinations;
+        this.targets      = r.targets || this.targets;
+        this.formats      = r.formats || this.formats;
+    },
+
+    async load() {
+        if (this.api) this._apply(await this.api.getSiemStatus());
+    },
+
+    _ingest(events, what) {
+        if (!this.api || events.length === 0) return;
+        this.api.ingestSiemEvents(events)
+            .then(r => { if (!r?.success) console.warn(`SIEM export of ${what} failed:`, r?.error); })
+            .catch(err => console.warn(`SIEM export of ${what} failed:`, err));
+    },
+
+    /** Forward a completed scan's real findings (simulated demo results are never exported). */
+    sendScan(results) {
+        if (!results) return;
+        this._ingest(results.findings
+            .filter(f => f.provenance !== 'simulated')
+            .map(f => ({
+                kind:        'finding',
+                action:      f.recurring ? 'recurring' : 'detected',
+                at:          results.completedAt ? new Date(results.completedAt).toISOString() : undefined,
+                severity:    f.severity || { critical: 'critical', error: 'high', warning: 'medium' }[f.level] || 'info',
+                title:       `${f.tool}: ${f.message}`,
+                message:     f.message,
+                tool:        f.tool,
+                key:         f.key,
+                phase:       f.phase,
+                source:      results.source || 'scan',
+                fingerprint: _findingDiffKey(f),
+                scanId:      results.historyId || null,
+                provenance:  f.provenance,
+            })), 'scan findings');
+    },
+
+    /** Forward the executed actions of a defend run. */
+    sendDefense(defense, scanResults) {
+        if (!defense?.plan) return;
+        this._ingest(defense.plan.actions
+            .filter(a => a.result && a.result.provenance !== 'simulated')
+            .map(a => ({
+                kind:        'action',
+                action:      'defend',
+                at:          new Date(defense.completedAt).toISOString(),
+                severity:    a.result.provenance === 'error' ? 'medium' : 'info',
+                title:       `${a.tool}: ${a.change || 'defend'}`,
+                message:     a.result.summary,
+                tool:        a.tool,
+                key:         a.key,
+                phase:       a.phase,
+                source:      defense.plan.policy ? 'policy' : 'defend',
+                outcome:     a.result.provenance === 'error' ? 'failure' : 'success',
+                scanId:      scanResults?.historyId || null,
+                changesetId: defense.changesetId,
+                provenance:  a.result.provenance,
+            })), 'defend actions');
+    },
+
+    describe(d) {
+        const auth = d.type === 'splunk-hec' ? (d.index ? `index ${d.index}` : 'default index') : `index ${d.index}`;
+        return `${this.targets[d.type] || d.type} · ${this.formats[d.format] || d.format} → ${d.url} (${auth})`;
+    },
+
+    openForm(id = null) {
+        const existing = this.destinations.find(d => d.id === id) || null;
+        this._editing  = existing;
+        const attr     = (t) => _escapeHtml(t ?? '').replace(/"/g, '&quot;');
+        const field    = 'width:100%; margin-top:4px; padding:6px 8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+        const options  = (map, current) => Object.entries(map).map(([k, label]) =>
+            `<option value="${k}"${k === current ? ' selected' : ''}>${_escapeHtml(label)}</option>`).join('');
+
+        document.getElementById('siemModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'siemModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10001';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:540px; width:96vw;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">${existing ? 'Edit' : 'Add'} SIEM Destination</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('siemModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px; font-size:13px; color:#ccc;">
+                    <label style="display:block;">Name
+                        <input id="siemName" type="text" style="${field}" value="${attr(existing?.name)}" placeholder="e.g. SOC Splunk">
+                    </label>
+                    <div style="display:flex; gap:10px; margin-top:10px;">
+                        <label style="flex:1;">Destination
+                            <select id="siemType" style="${field}" onchange="SiemExport._toggleAuthFields()">${options(this.targets, existing?.type || 'splunk-hec')}</select>
+                        </label>
+                        <label style="flex:1;">Format
+                            <select id="siemFormat" style="${field}">${options(this.formats, existing?.format || 'ecs')}</select>
+                        </label>
+                    </div>
+                    <label style="display:block; margin-top:10px;">URL
+                        <input id="siemUrl" type="text" style="${field}" value="${attr(existing?.url)}" placeholder="https://splunk.example.com:8088">
+                    </label>
+                    <label style="display:block; margin-top:10px;">Index <span id="siemIndexHint" style="color:#888;"></span>
+                        <input id="siemIndex" type="text" style="${field}" value="${attr(existing?.index)}" placeholder="kjer">
+                    </label>
+                    <div id="siemSplunkAuth">
+                        <label style="display:block; margin-top:10px;">HEC token
+                            <input id="siemToken" type="password" style="${field}" value="${attr(existing?.token)}">
+                        </label>
+                    </div>
+                    <div id="siemElasticAuth">
+                        <label style="display:block; margin-top:10px;">API key (or username and password below)
+                            <input id="siemApiKey" type="password" style="${field}" value="${attr(existing?.apiKey)}">
+                        </label>
+                        <div style="display:flex; gap:10px; margin-top:10px;">
+                            <label style="flex:1;">Username<input id="siemUsername" type="text" style="${field}" value="${attr(existing?.username)}"></label>
+                            <label style="flex:1;">Password<input id="siemPassword" type="password" style="${field}" value="${attr(existing?.password)}"></label>
+                        </div>
+                    </div>
+                    <div style="display:flex; gap:10px; margin-top:10px;">
+                        <label style="flex:1;">Batch size
+                            <input id="siemBatch" type="number" min="1" max="1000" style="${field}" value="${existing?.batchSize ?? 100}">
+                        </label>
+                        <label style="flex:1;">Flush every (seconds)
+                            <input id="siemFlush" type="number" min="5" max="3600" style="${field}" value="${existing?.flushSeconds ?? 30}">
+                        </label>
+                    </div>
+                    <label style="display:block; margin-top:10px;"><input id="siemInsecure" type="checkbox"${existing?.insecureTls ? ' checked' : ''}> Accept self-signed TLS certificates</label>
+                    <div id="siemTestResult" style="font-size:12px; margin-top:10px;"></div>
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;" onclick="SiemExport.testForm()">Send Test Event</button>
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('siemModal').remove()">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="SiemExport.submit()">Save</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+        this._toggleAuthFields();
+    },
+
+    _toggleAuthFields() {
+        const splunk = document.getElementById('siemType')?.value === 'splunk-hec';
+        const show   = (id, on) => { const el = document.getElementById(id); if (el) el.style.display = on ? '' : 'none'; };
+        show('siemSplunkAuth', splunk);
+        show('siemElasticAuth', !splunk);
+        const hint = document.getElementById('siemIndexHint');
+        if (hint) hint.textContent = splunk ? '(optional — token default when empty)' : '(index or data stream)';
+    },
+
+    _readForm() {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        const type  = value('siemType');
+        const dest  = {
+            id:           this._editing?.id || `siem-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name:         value('siemName'),
+            enabled:      this._editing ? this._editing.enabled : true,
+            type,
+            format:       value('siemFormat'),
+            url:          value('siemUrl'),
+            index:        value('siemIndex'),
+            batchSize:    parseInt(value('siemBatch'), 10) || 100,
+            flushSeconds: parseInt(value('siemFlush'), 10) || 30,
+            insecureTls:  !!document.getElementById('siemInsecure')?.checked,
+        };
+        if (type === 'splunk-hec') dest.token = value('siemToken');
+        else {
+            dest.apiKey   = value('siemApiKey');
+            dest.username = value('siemUsername') || undefined;
+            dest.password = dest.username ? document.getElementById('siemPassword')?.value || '' : undefined;
+        }
+        return dest;
+    },
+
+    async testForm() {
+        const out = document.getElementById('siemTestResult');
+        if (out) out.innerHTML = '<span style="color:#888;">Sending test event…</span>';
+        const r = await this.api.testSiemDestination(this._readForm());
+        if (!out) return;
+        const payload = r.payload ? `<pre style="white-space:pre-wrap; word-break:break-all; color:#888; margin:6px 0 0; max-height:140px; overflow:auto;">${_escapeHtml(typeof r.payload === 'string' ? r.payload : JSON.stringify(r.payload, null, 2))}</pre>` : '';
+        out.innerHTML = (r.success
+            ? `<span style="color:#4caf50;">Accepted — ${_escapeHtml(r.result || 'ok')}</span>`
+            : `<span style="color:#f44336;">Failed — ${_escapeHtml(r.error)}</span>`) + payload;
+    },
+
+    async submit() {
+        const dest = this._readForm();
+        const r = await this.api.saveSiemDestination(dest);
+        if (!r.success) { showNotification(`SIEM destination not saved: ${r.error}`); return; }
+        this._apply(r);
+        document.getElementById('siemModal')?.remove();
+        logActivity(`SIEM destination ${this._editing ? 'updated' : 'added'}: ${dest.name}`, 'info');
+        this._editing = null;
+        this.render();
+    },
+
+    async toggle(id) {
+        const dest = this.destinations.find(d => d.id === id);
+        if (!dest) return;
+        const r = await this.api.saveSiemDestination({ ...dest, enabled: !dest.enabled });
+        if (!r.success) { showNotification(`SIEM destination not saved: ${r.error}`); return; }
+        this._apply(r);
+        this.render();
+    },
+
+    async test(id) {
+        const dest = this.destinations.find(d => d.id === id);
+        if (!dest) return;
+        const r = await this.api.testSiemDestination(dest);
+        showNotification(r.success ? `Test event accepted by ${dest.name}` : `Test event to ${dest.name} failed: ${r.error}`);
+        logActivity(`SIEM test → ${dest.name}: ${r.success ? r.result : r.error}`, r.success ? 'success' : 'error');
+    },
+
+    async flush(id) {
+        const r = await this.api.flushSiem(id);
+        this._apply(r);
+        const dest = this.destinations.find(d => d.id === id);
+        if (dest?.buffered) showNotification(`${dest.buffered} event(s) still buffered for ${dest.name}: ${dest.lastError || 'retrying'}`);
+        else if (dest) showNotification(`Buffered events sent to ${dest.name}`);
+        this.render();
+    },
+
+    async remove(id) {
+        const dest = this.destinations.find(d => d.id === id);
+        if (!dest) return;
+        const lost = dest.buffered ? ` ${dest.buffered} buffered event(s) will be discarded.` : '';
+        if (!confirm(`Delete SIEM destination "${dest.name}"?${lost}`)) return;
+        this._apply(await this.api.removeSiemDestination(id));
+        logActivity(`SIEM destination removed: ${dest.name}`, 'info');
+        this.render();
+    },
+
+    async render() {
+        const container = document.getElementById('siemDestinationList');
+        if (!container) return;
+        if (!this.api) {
+            container.innerHTML = '<p style="color:#888; font-size:13px;">SIEM export requires the desktop app.</p>';
+            return;
+        }
+        await this.load();
+        container.innerHTML = this.destinations.map(d => {
+            const state = d.lastError
+                ? `<span style="color:#ff9800;">${_escapeHtml(d.lastError)}${d.retryAt ? ` — retry ${new Date(d.retryAt).toLocaleTimeString()}` : ''}</span>`
+                : d.lastSentAt ? `<span style="color:#888;">last sent ${new Date(d.lastSentAt).toLocaleString()}</span>` : '';
+            return `
+            <div style="border:1px solid rgba(255,255,255,.07); border-radius:7px; padding:10px 16px; margin-bottom:8px;${d.enabled ? '' : ' opacity:.6;'}">
+                <div style="display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap;">
+                    <div style="min-width:0; font-size:12px;">
+                        <strong style="color:#B0E0E6;">${_escapeHtml(d.name)}</strong>
+                        <span style="color:#888; margin-left:8px;">${d.sentTotal} sent · ${d.buffered} buffered${d.dropped ? ` · ${d.dropped} dropped` : ''}</span>
+                        <div style="color:#aaa; margin-top:3px; word-break:break-all;">${_escapeHtml(this.describe(d))}</div>
+                        ${state ? `<div style="margin-top:3px;">${state}</div>` : ''}
+                    </div>
+                    <div style="display:flex; gap:6px;">
+                        <button class="btn-small" onclick="SiemExport.test('${d.id}')">Test</button>
+                        ${d.buffered ? `<button class="btn-small" onclick="SiemExport.flush('${d.id}')">Send Now</button>` : ''}
+                        <button class="btn-small" onclick="SiemExport.toggle('${d.id}')">${d.enabled ? 'Pause' : 'Enable'}</button>
+                        <button class="btn-small" onclick="SiemExport.openForm('${d.id}')">Edit</button>
+                        <button class="btn-small" onclick="SiemExport.remove('${d.id}')" title="Delete destination">&#10005;</button>
+                    </div>
+                </div>
+            </div>`;
+        }).join('') || '<p style="color:#888; font-size:13px;">No SIEM destinations. Add a Splunk HTTP Event Collector or an Elasticsearch cluster to forward findings, defend actions and monitor events.</p>';
+    },
+};
+
+// ==================== RESPONSE POLICY ====================
+// Industrial tier (canRunAutonomously): a declarative policy in
+// ~/.kjer/policy.json replaces the built-in DEFENSE_PHASES conditions. The
+// engine lives in the main process (desktop/main.js, "Response policy") so
+// the defend run here and the background monitor share rules, cooldowns and
+// rate limits. Settings → Response Policy edits, validates and dry-runs it
+// against a recorded scan.
+
+const POLICY_EXAMPLE = {
+    version: 1,
+    rules: [
+        {
+            id: 'malware-critical',
+            description: 'Critical malware finding: remediate and alert',
+            when: { roles: ['malware_scan'], severity: ['critical'] },
+            then: [
+                { action: 'defend', roles: ['av_remediate'] },
+                { action: 'notify', level: 'error', message: '{count} critical malware finding(s) on {device}: {finding}' },
+            ],
+            cooldownMinutes: 30,
+            rateLimit: { max: 4, perMinutes: 240 },
+        },
+        {
+            id: 'network-high',
+            description: 'High network threat: tighten the perimeter',
+            when: { phases: ['NETWORK ANALYSIS'], minSeverity: 'high' },
+            then: [{ action: 'defend', roles: ['firewall', 'ips'] }],
+            cooldownMinutes: 15,
+        },
+        {
+            id: 'integrity-after-hours',
+            description: 'File integrity change outside business hours',
+            when: { roles: ['integrity_scan'], minSeverity: 'medium',
+                    time: { days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '19:00', to: '07:00' } },
+            then: [{ action: 'notify', level: 'warning', message: 'After-hours integrity change ({tools}): {finding}' }],
+            rateLimit: { max: 2, perMinutes: 60 },
+        },
+    ],
+};
+
+const ResponsePolicy = {
+    info: null,          // last policy-get result
+    _testResult: null,
+
+    get api() {
+        return window.electronAPI?.evaluatePolicy ? window.electronAPI : null;
+    },
+
+    /** Installed tools with the roles and scan phase the policy engine matches on. */
+    catalog() {
+        const installed = getInstalledTools();
+        const catalog   = {};
+        Object.keys(TOOLS_DATABASE).filter(k => k in installed).forEach(k => {
+            const roles = Object.keys(TOOL_ROLES).filter(r => TOOL_ROLES[r].includes(k));
+            catalog[k] = {
+                name:  TOOLS_DATABASE[k].name,
+                roles,
+                phase: Object.keys(SCAN_PHASES).find(p => SCAN_PHASES[p].some(r => roles.includes(r))) || null,
+            };
+        });
+        return catalog;
+    },
+
+    /**
+     * Defense plan driven by the saved policy, or null when the built-in
+     * phases apply (below Industrial, no scan, or no valid policy).
+     */
+    async buildPlan(scan) {
+        if (!canRunAutonomously() || !scan || !this.api) return null;
+        const r = await this.api.evaluatePolicy({ findings: scan.findings, catalog: this.catalog() });
+        if (!r?.success) {
+            SecurityMonitor.log('Policy', `Response policy not applied — ${r?.error || 'unknown error'}`, 'warning');
+            return null;
+        }
+        if (!r.active) {
+            if (r.errors?.length) {
+                SecurityMonitor.log('Policy', `policy.json has ${r.errors.length} error(s) — using built-in defense phases`, 'warning');
+            }
+            return null;
+        }
+        const ev   = r.evaluation;
+        const plan = {
+            createdAt: new Date(), scanId: scan.historyId || null, broadMode: false,
+            findings:  scan.findings,
+            ctx:       _defenseContext(scan.findings, false),
+            actions:   [],
+            approval:  null,
+            policy:    ev,
+        };
+        for (const d of ev.defend) {
+            if (!TOOLS_DATABASE[d.key]) continue;
+            const tool  = { key: d.key, ...TOOLS_DATABASE[d.key] };
+            const phase = DEFENSE_PHASES.find(p => p.tools().some(t => t.key === d.key))?.name || POLICY_RESPONSE_PHASE;
+            plan.actions.push(_planAction(tool, phase, 'Policy rule ' + d.rules.map(id => `"${id}"`).join(', ')));
+        }
+        return plan;
+    },
+
+    /** Log a policy evaluation and deliver its notify actions. */
+    report(ev) {
+        ev.fired.forEach(f => SecurityMonitor.log('Policy',
+            `Rule "${f.rule}" fired — ${f.matched} matching finding(s)` + (f.description ? `  |  ${f.description}` : ''), 'info'));
+        ev.throttled.forEach(t => SecurityMonitor.log('Policy', `Rule "${t.rule}" not applied — ${t.reason}`, 'info'));
+        ev.warnings.forEach(w => SecurityMonitor.log('Policy', w, 'warning'));
+        if (ev.fired.length === 0 && ev.throttled.length === 0) {
+            SecurityMonitor.log('Policy', 'No policy rule matched this scan — no action taken', 'info');
+        }
+        ev.notify.forEach(n => this.notify(n));
+    },
+
+    notify(n) {
+        logResult('Policy', `↳ NOTIFY: ${n.message}`, n.level);
+        logActivity(`[Policy ${n.rule}] ${n.message}`, n.level, '', true);
+        showNotification(n.message);
+    },
+
+    async load() {
+        if (!this.api) return null;
+        this.info = await this.api.getPolicy();
+        return this.info;
+    },
+
+    _text() {
+        return document.getElementById('policyText')?.value ?? '';
+    },
+
+    _showErrors(errors, okMessage = '') {
+        const el = document.getElementById('policyErrors');
+        if (!el) return;
+        el.innerHTML = errors.length
+            ? `<div style="color:#f44336;">${errors.length} error(s):</div>` +
+              errors.map(e => `<div style="color:#f44336;">&bull; ${_escapeHtml(e)}</div>`).join('')
+            : okMessage ? `<div style="color:#4caf50;">${_escapeHtml(okMessage)}</div>` : '';
+    },
+
+    loadExample() {
+        const ta = document.getElementById('policyText');
+        if (!ta) return;
+        if (ta.value.trim() && !confirm('Replace the editor contents with the example policy?')) return;
+        ta.value = JSON.stringify(POLICY_EXAMPLE, null, 2);
+        this._showErrors([], 'Example loaded — review it, then Save.');
+    },
+
+    async validate() {
+        const r = await this.api.validatePolicy(this._text());
+        this._showErrors(r.errors || [], 'Policy is valid.');
+        return r.valid;
+    },
+
+    async save() {
+        const text = this._text();
+        if (!text.trim() && !confirm('Remove the response policy? Defense falls back to the built-in phases.')) return;
+        const r = await this.api.savePolicy(text);
+        if (!r.success) {
+            this._showErrors(r.errors || [r.error]);
+            showNotification(`Policy not saved: ${r.error}`, 'error');
+            return;
+        }
+        logActivity(r.exists ? 'Response policy saved' : 'Response policy removed — built-in defense phases apply', 'info', '', true);
+        showNotification(r.exists ? 'Response policy saved' : 'Response policy removed');
+        await this.render();
+        this._showErrors([], r.exists ? 'Saved.' : '');
+    },
+
+    /** Dry-run the editor contents against the selected recorded scan. */
+    async test() {
+        const scanId = document.getElementById('policyTestScan')?.value;
+        if (!scanId) { showNotification('Select a recorded scan to test against.'); return; }
+        const r = await this.api.testPolicy({ text: this._text(), scanId, catalog: this.catalog() });
+        if (!r.success) {
+            this._showErrors(r.errors?.length ? r.errors : [r.error]);
+            this._testResult = null;
+        } else {
+            this._showErrors([]);
+            this._testResult = r;
+        }
+        this._renderTest();
+    },
+
+    _renderTest() {
+        const el = document.getElementById('policyTestResult');
+        if (!el) return;
+        const r = this._testResult;
+        if (!r) { el.innerHTML = ''; return; }
+        const ev   = r.evaluation;
+        const line = (color, html) => `<div style="color:${color}; margin-top:3px;">${html}</div>`;
+        const rows = [
+            line('#aaa', `${r.findings} finding(s) from the scan of ${_escapeHtml(new Date(r.scan.startedAt).toLocaleString())}` +
+                         ` (${_escapeHtml(r.scan.threatLevel || 'CLEAN')}) — dry run, nothing executed`),
+            ...ev.fired.map(f => line('#B0E0E6', `<strong>${_escapeHtml(f.rule)}</strong> fires on ${f.matched} finding(s): ` +
+                _escapeHtml(f.findings.slice(0, 3).map(x => `${x.tool} (${x.severity})`).join(', ')) + (f.matched > 3 ? ', …' : ''))),
+            ...ev.throttled.map(t => line('#ff9800', `${_escapeHtml(t.rule)} matches but is held back — ${_escapeHtml(t.reason)}`)),
+            ...ev.defend.map(d => line('#4caf50', `Defend: ${_escapeHtml(d.name)} <span style="color:#888;">(${_escapeHtml(d.rules.join(', '))})</span>`)),
+            ...ev.notify.map(n => line('#ffc107', `Notify [${_escapeHtml(n.level)}]: ${_escapeHtml(n.message)}`)),
+            ...ev.warnings.map(w => line('#ff9800', _escapeHtml(w))),
+        ];
+        if (ev.fired.length === 0 && ev.throttled.length === 0) rows.push(line('#888', 'No rule matches this scan.'));
+        el.innerHTML = rows.join('');
+    },
+
+    async render() {
+        const panel = document.getElementById('policyPanel');
+        if (!panel) return;
+        if (!canRunAutonomously()) {
+            panel.innerHTML = `<p style="color:#888; font-size:13px;">Policy-driven response is available with an Industrial license (current: ${_escapeHtml(getTierLabel(localStorage.getItem('kjerLicenseType')))}).</p>`;
+            return;
+        }
+        if (!this.api) {
+            panel.innerHTML = '<p style="color:#888; font-size:13px;">Response policies require the desktop app.</p>';
+            return;
+        }
+        const info = await this.load();
+        await ScanHistory.refresh();
+        const scans = ScanHistory.runs.filter(r => r.kind === 'scan').slice(0, 30);
+        const rules = info.policy?.rules || [];
+        const fires = info.state?.rules || {};
+        const status = !info.exists ? 'No policy saved — defense uses the built-in phases.'
+            : info.errors.length ? `policy.json has ${info.errors.length} error(s) — defense uses the built-in phases until it is fixed.`
+            : `${rules.filter(r => r.enabled !== false).length} of ${rules.length} rule(s) enabled — applies to Run and the background monitor.`;
+        const ruleRows = rules.map(r => {
+            const last = (fires[r.id]?.fires || []).slice(-1)[0];
+            return `<div style="font-size:12px; margin-top:3px;${r.enabled === false ? ' opacity:.6;' : ''}">
+                <strong style="color:#B0E0E6;">${_escapeHtml(r.id)}</strong>
+                <span style="color:#888;"> ${_escapeHtml(r.description || '')} &middot; ${last ? `last fired ${new Date(last).toLocaleString()}` : 'never fired'}</span>
+            </div>`;
+        }).join('');
+        const mono = 'width:100%; box-sizing:border-box; font-family:monospace; font-size:12px; padding:8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+
+        panel.innerHTML = `
+            <p style="color:${info.errors.length ? '#ff9800' : '#aaa'}; font-size:13px; margin-top:0;">${_escapeHtml(status)}</p>
+            ${ruleRows}
+            <textarea id="policyText" rows="16" spellcheck="false" style="${mono} margin-top:10px;"
+                      placeholder="Policy JSON — click Load Example to start">${_escapeHtml(info.text)}</textarea>
+            <div id="policyErrors" style="font-size:12px; margin-top:6px;"></div>
+            <div style="display:flex; gap:6px; flex-wrap:wrap; margin-top:8px;">
+                <button class="btn-small" onclick="ResponsePolicy.loadExample()">Load Example</button>
+                <button class="btn-small" onclick="ResponsePolicy.validate()">Validate</button>
+                <button class="btn-small" onclick="ResponsePolicy.save()">Save</button>
+            </div>
+            <div style="display:flex; gap:6px; align-items:center; flex-wrap:wrap; margin-top:14px; font-size:12px;">
+                <label for="policyTestScan">Test against scan:</label>
+                <select id="policyTestScan" class="form-input" style="flex:1; min-width:200px;">
+                    ${scans.length ? scans.map(s => `<option value="${s.id}">${_escapeHtml(new Date(s.startedAt).toLocaleString())} — ${_escapeHtml(s.threatLevel || 'CLEAN')} (${s.findings} finding(s))</option>`).join('')
+                                   : '<option value="">No recorded scans</option>'}
+                </select>
+                <button class="btn-small" onclick="ResponsePolicy.test()"${scans.length ? '' : ' disabled'}>Dry Run</button>
+            </div>
+            <div id="policyTestResult" style="font-size:12px; margin-top:8px;"></div>`;
+        if (info.errors.length) this._showErrors(info.errors);
+        this._renderTest();
+    },
+};
+
+// ==================== SCHEDULED SCANS ====================
+// Cron-style scan schedules (Home tier and above, see canScheduleScans()).
+// Definitions and their recent results live in ~/.kjer/schedules.json; the
+// engine runs here because a scheduled scan is the regular scan pipeline
+// (performComprehensiveScan), so schedules fire only while the window is
+// open. Runs due while the app was closed follow the schedule's missed-run
+// policy at the next start.
+
+const SCHEDULER_TICK_MS  = 30 * 1000;
+const SCHEDULE_MAX_RUNS  = 20;   // matches the main-process cap
+
+const SCHEDULE_PRESETS = {
+    hourly:   { label: 'Every hour',               cron: '0 * * * *' },
+    daily:    { label: 'Daily at 02:00',           cron: '0 2 * * *' },
+    weekdays: { label: 'Weekdays at 08:00',        cron: '0 8 * * 1-5' },
+    weekly:   { label: 'Weekly — Sunday 03:00',    cron: '0 3 * * 0' },
+    monthly:  { label: 'Monthly — 1st at 04:00',   cron: '0 4 1 * *' },
+};
+
+const SCHEDULE_MISSED_POLICIES = {
+    'run-once': 'Run once at next start',
+    'skip':     'Skip missed runs',
+};
+
+const CRON_FIELDS = [
+    { name: 'minute',       min: 0, max: 59 },
+    { name: 'hour',         min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month',        min: 1, max: 12 },
+    { name: 'day of week',  min: 0, max: 7 },   // 0 and 7 are both Sunday
+];
+
+function _parseCronField(text, { name, min, max }) {
+    const values = new Set();
+    for (const item of text.split(',')) {
+        const m = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!m) throw new Error(`Invalid ${name} field "${item}"`);
+        const lo   = m[1] ? min : Number(m[2]);
+        const hi   = m[1] ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+        const step = m[4] ? Number(m[4]) : 1;
+        if (lo < min || hi > max || lo > hi || step < 1) {
+            throw new Error(`Invalid ${name} "${item}" (allowed ${min}-${max})`);
+        }
+        for (let v = lo; v <= hi; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression (minute hour day-of-month month
+ * day-of-week) with *, lists, ranges and steps. Throws with a readable
+ * message on invalid input.
+ */
+function parseCron(expr) {
+    const parts = String(expr || '').trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+    const [minute, hour, dom, month, dow] = parts.map((p, i) => _parseCronField(p, CRON_FIELDS[i]));
+    if (dow.delete(7)) dow.add(0);
+    // As in cron(8): when both day fields are restricted, either may match
+    return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function _cronDayMatches(c, d) {
+    const domOk = c.dom.has(d.getDate());
+    const dowOk = c.dow.has(d.getDay());
+    if (c.domAny && c.dowAny) return true;
+    if (c.domAny) return dowOk;
+    if (c.dowAny) return domOk;
+    return domOk || dowOk;
+}
+
+/** First time strictly after `after` (local time) matching the expression, or null within ~5 years. */
+function cronNextRun(expr, after = new Date()) {
+    const c = typeof expr === 'string' ? parseCron(expr) : expr;
+    const d = new Date(after);
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+    const limit = after.getTime() + 5 * 366 * 86400000;
+    while (d.getTime() <= limit) {
+        if (!c.month.has(d.getMonth() + 1)) { d.setMonth(d.getMonth() + 1, 1); d.setHours(0, 0); continue; }
+        if (!_cronDayMatches(c, d))         { d.setDate(d.getDate() + 1);      d.setHours(0, 0); continue; }
+        if (!c.hour.has(d.getHours()))      { d.setHours(d.getHours() + 1, 0); continue; }
+        if (!c.minute.has(d.getMinutes()))  { d.setMinutes(d.getMinutes() + 1); continue; }
+        return d;
+    }
+    return null;
+}
+
+const ScanScheduler = {
+    schedules: [],
+    timer:     null,
+    _running:  null,   // id of the schedule currently scanning
+    _editing:  null,   // schedule open in the form (null = new)
+
+    async load() {
+        if (!window.electronAPI?.listSchedules) { this.schedules = []; return; }
+        try {
+            const res = await window.electronAPI.listSchedules();
+            this.schedules = res?.success ? res.schedules : [];
+        } catch (_) {
+            this.schedules = [];
+        }
+    },
+
+    /** Boot: apply missed-run policies, then start the tick (Home+ only). */
+    async init() {
+        await this.load();
+        if (canScheduleScans()) {
+            await this._catchUp();
+            if (!this.timer) this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_MS);
+        }
+        this.render();
+    },
+
+    /**
+     * Schedules whose next run passed while the app was closed: 'run-once'
+     * leaves them due so the first tick runs them once; 'skip' records the
+     * miss and moves on to the next future slot.
+     */
+    async _catchUp() {
+        const now = new Date();
+        for (const s of this.schedules) {
+            if (!s.enabled || !s.nextRunAt || new Date(s.nextRunAt) > now) continue;
+            if (s.missedPolicy === 'run-once') {
+                logActivity(`Scheduled scan "${s.name}" was missed at ${new Date(s.nextRunAt).toLocaleString()} — running now`, 'info');
+                continue;
+            }
+            this._addRun(s, { at: s.nextRunAt, status: 'missed' });
+            s.nextRunAt = this._next(s, now);
+            logActivity(`Scheduled scan "${s.name}" missed — next run ${this._when(s.nextRunAt)}`, 'warning');
+            await this._persist(s);
+        }
+    },
+
+    async tick() {
+        if (!canScheduleScans() || this._running || window._KjerRunning) return;
+        const now = Date.now();
+        const due = this.schedules.find(s => s.enabled && s.nextRunAt && Date.parse(s.nextRunAt) <= now);
+        if (due) await this.run(due.id);
+    },
+
+    /** Run one schedule now. manual runs keep the schedule's next slot unchanged. */
+    async run(id, manual = false) {
+        const s = this.schedules.find(x => x.id === id);
+        if (!s) return;
+        if (!canScheduleScans()) {
+            showNotification(`Scheduled scans require a Home license or higher (current: ${getTierLabel(localStorage.getItem('kjerLicenseType'))}).`);
+            return;
+        }
+        if (window._KjerRunning) {
+            if (manual) showNotification('A run is already in progress.');
+            return;
+        }
+        window._KjerRunning = true;
+        this._running = s.id;
+        JobControl.begin('run', `Scheduled scan "${s.name}"`);
+        this.render();
+
+        const entry = { at: new Date().toISOString(), status: 'failed', manual };
+        try {
+            await MonitorService.pause(true);
+            logActivity(`Scheduled scan "${s.name}" started${manual ? ' (run now)' : ''}`, 'info', '', true);
+            const results = await performComprehensiveScan({
+                tools:    s.tools.length  ? s.tools  : null,
+                phases:   s.phases.length ? s.phases : null,
+                schedule: { id: s.id, name: s.name },
+            });
+            if (JobControl.isCancelled('run')) {
+                entry.status = 'cancelled';
+            } else if (results) {
+                entry.status      = 'completed';
+                entry.threatLevel = _scanThreatLevel(results);
+                entry.findings    = results.findings.length;
+                entry.historyId   = results.historyId || null;
+                // No defend run follows a scheduled scan — keep an older one out of the report
+                ReportJobs.afterScan(results, { scan: results, defense: null, diff: _sessionScanDiff() });
+            } else {
+                entry.status = 'skipped';
+                entry.error  = 'No installed scanners match this schedule';
+            }
+        } catch (err) {
+            entry.error = err.message;
+        } finally {
+            JobControl.end('run');
+            await MonitorService.pause(false);
+            window._KjerRunning = false;
+            this._running = null;
+        }
+
+        entry.durationMs = Date.now() - Date.parse(entry.at);
+        s.lastRunAt = entry.at;
+        this._addRun(s, entry);
+        if (!manual) s.nextRunAt = this._next(s, new Date());
+        await this._persist(s);
+        this.render();
+    },
+
+    _next(s, after) {
+        try {
+            return cronNextRun(s.cron, after)?.toISOString() || null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    _addRun(s, entry) {
+        s.runs = [entry, ...(s.runs || [])].slice(0, SCHEDULE_MAX_RUNS);
+    },
+
+    async _persist(s) {
+        try {
+            const res = await window.electronAPI.saveSchedule(s);
+            if (!res?.success) console.warn('Schedule not saved:', res?.error);
+        } catch (err) {
+            console.warn('Schedule not saved:', err);
+        }
+    },
+
+    _when(iso) {
+        return iso ? new Date(iso).toLocaleString() : '—';
+    },
+
+    /** "Daily at 02:00" for presets, otherwise the raw expression. */
+    describe(s) {
+        const preset = Object.values(SCHEDULE_PRESETS).find(p => p.cron === s.cron);
+        return preset ? preset.label : `cron ${s.cron}`;
+    },
+
+    /** Scanner tools that can be selected: installed tools with a scan phase. */
+    _scannerTools() {
+        const seen = new Map();
+        Object.values(SCAN_PHASES).forEach(roles => getToolsByRole(roles).forEach(t => seen.set(t.key, t)));
+        return [...seen.values()];
+    },
+
+    openForm(id = null) {
+        if (!canScheduleScans()) {
+            showNotification('Scheduled scans require a Home license or higher.');
+            return;
+        }
+        const s = id ? this.schedules.find(x => x.id === id) : null;
+        this._editing = s || null;
+        const preset  = s ? (s.preset || 'custom') : 'daily';
+        const cron    = s ? s.cron : SCHEDULE_PRESETS.daily.cron;
+        const attr    = (t) => _escapeHtml(t).replace(/"/g, '&quot;');
+        const field   = 'width:100%; margin-top:4px; padding:6px 8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+        const check   = (name, value, label, checked) => `
+            <label style="display:inline-flex; align-items:center; gap:5px; margin:3px 12px 3px 0; font-size:12px;">
+                <input type="checkbox" name="${name}" value="${attr(value)}"${checked ? ' checked' : ''}> ${_escapeHtml(label)}
+            </label>`;
+        const tools = this._scannerTools();
+
+        document.getElementById('scheduleModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'scheduleModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10000';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:560px; width:96vw;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">${s ? 'Edit' : 'New'} Scan Schedule</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('scheduleModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px; font-size:13px; color:#ccc;">
+                    <label style="display:block;">Name
+                        <input id="schedName" type="text" style="${field}" value="${attr(s?.name || '')}" placeholder="e.g. Nightly malware sweep">
+                    </label>
+                    <label style="display:block; margin-top:10px;">When
+                        <select id="schedPreset" style="${field}" onchange="ScanScheduler._onPresetChange()">
+                            ${Object.entries(SCHEDULE_PRESETS).map(([k, p]) =>
+                                `<option value="${k}"${preset === k ? ' selected' : ''}>${p.label}</option>`).join('')}
+                            <option value="custom"${preset === 'custom' ? ' selected' : ''}>Custom cron expression</option>
+                        </select>
+                    </label>
+                    <label style="display:block; margin-top:10px;">Cron expression <span style="color:#888; font-size:11px;">(minute hour day-of-month month day-of-week)</span>
+                        <input id="schedCron" type="text" style="${field} font-family:monospace;" value="${attr(cron)}"
+                               ${preset === 'custom' ? '' : 'readonly'} oninput="ScanScheduler._previewNext()">
+                    </label>
+                    <div id="schedNextPreview" style="color:#888; font-size:12px; margin-top:4px;"></div>
+                    <div style="margin-top:12px;">Phases <span style="color:#888; font-size:11px;">(none checked = all)</span></div>
+                    <div>${Object.keys(SCAN_PHASES).map(p => check('schedPhase', p, p, s?.phases.includes(p))).join('')}</div>
+                    <div style="margin-top:12px;">Tools <span style="color:#888; font-size:11px;">(none checked = all installed scanners)</span></div>
+                    <div>${tools.length ? tools.map(t => check('schedTool', t.key, t.name, s?.tools.includes(t.key))).join('')
+                                        : '<span style="color:#888; font-size:12px;">No scanner tools installed yet.</span>'}</div>
+                    <label style="display:block; margin-top:12px;">If a run is missed while Kjer is closed
+                        <select id="schedMissed" style="${field}">
+                            ${Object.entries(SCHEDULE_MISSED_POLICIES).map(([k, label]) =>
+                                `<option value="${k}"${(s?.missedPolicy || 'run-once') === k ? ' selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label style="display:flex; align-items:center; gap:6px; margin-top:12px;">
+                        <input id="schedEnabled" type="checkbox"${s?.enabled === false ? '' : ' checked'}> Enabled
+                    </label>
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('scheduleModal').remove()">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="ScanScheduler.submit()">Save Schedule</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+        this._previewNext();
+    },
+
+    _onPresetChange() {
+        const preset = document.getElementById('schedPreset')?.value;
+        const input  = document.getElementById('schedCron');
+        if (!input) return;
+        input.readOnly = preset !== 'custom';
+        if (SCHEDULE_PRESETS[preset]) input.value = SCHEDULE_PRESETS[preset].cron;
+        this._previewNext();
+    },
+
+    _previewNext() {
+        const out = document.getElementById('schedNextPreview');
+        if (!out) return;
+        try {
+            const next = cronNextRun(document.getElementById('schedCron')?.value || '');
+            out.style.color = '#888';
+            out.textContent = next ? `Next run: ${next.toLocaleString()}` : 'This expression never matches a date';
+        } catch (err) {
+            out.style.color = '#ff9800';
+            out.textContent = err.message;
+        }
+    },
+
+    async submit() {
+        const name   = document.getElementById('schedName')?.value.trim() || '';
+        const cron   = (document.getElementById('schedCron')?.value || '').trim().replace(/\s+/g, ' ');
+        const preset = document.getElementById('schedPreset')?.value || 'custom';
+        if (!name) { showNotification('Enter a name for the schedule.'); return; }
+        let next;
+        try {
+            next = cronNextRun(cron);
+        } catch (err) {
+            showNotification(`Invalid cron expression: ${err.message}`, 'error');
+            return;
+        }
+        if (!next) { showNotification('That cron expression never matches a date.', 'error'); return; }
+        const checked = (n) => [...document.querySelectorAll(`#scheduleModal input[name="${n}"]:checked`)].map(i => i.value);
+
+        const prev = this._editing;
+        const schedule = {
+            ...(prev || {}),
+            id:           prev?.id || `sched-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            cron,
+            preset:       SCHEDULE_PRESETS[preset] ? preset : null,
+            phases:       checked('schedPhase'),
+            tools:        checked('schedTool'),
+            missedPolicy: document.getElementById('schedMissed')?.value || 'run-once',
+            enabled:      !!document.getElementById('schedEnabled')?.checked,
+            nextRunAt:    next.toISOString(),
+            runs:         prev?.runs || [],
+        };
+        const res = await window.electronAPI.saveSchedule(schedule);
+        if (!res?.success) { showNotification(`Schedule not saved: ${res?.error || 'unknown error'}`, 'error'); return; }
+
+        document.getElementById('scheduleModal')?.remove();
+        this._editing = null;
+        await this.load();
+        if (!this.timer) this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_MS);
+        logActivity(`Scan schedule "${name}" saved — ${this.describe(schedule)}, next run ${next.toLocaleString()}`, 'info');
+        showNotification(`Schedule saved — next run ${next.toLocaleString()}`);
+        this.render();
+    },
+
+    async toggle(id) {
+        const s = this.schedules.find(x => x.id === id);
+        if (!s) return;
+        s.enabled   = !s.enabled;
+        // Re-enabling starts from the next future slot rather than replaying old ones
+        s.nextRunAt = s.enabled ? this._next(s, new Date()) : s.nextRunAt;
+        await this._persist(s);
+        logActivity(`Scan schedule "${s.name}" ${s.enabled ? 'enabled' : 'paused'}`, 'info');
+        this.render();
+    },
+
+    async remove(id) {
+        const s = this.schedules.find(x => x.id === id);
+        if (!s || !confirm(`Delete the scan schedule "${s.name}"?`)) return;
+        const res = await window.electronAPI.removeSchedule(id);
+        if (!res?.success) { showNotification(`Delete failed: ${res?.error || 'unknown error'}`, 'error'); return; }
+        await this.load();
+        logActivity(`Scan schedule "${s.name}" deleted`, 'info');
+        this.render();
+    },
+
+    /** Schedules with next run and recent run history in the Settings tab. */
+    render() {
+        const container = document.getElementById('scheduleList');
+        if (!container) return;
+        const allowed = canScheduleScans();
+        const addBtn  = document.getElementById('scheduleAddBtn');
+        if (addBtn) addBtn.disabled = !allowed;
+        if (!allowed) {
+            container.innerHTML = `<p style="color:#888; font-size:13px;">Scheduled scans are available with a Home license or higher (current: ${_escapeHtml(getTierLabel(localStorage.getItem('kjerLicenseType')))}).</p>`;
+            return;
+        }
+        if (this.schedules.length === 0) {
+            container.innerHTML = '<p style="color:#888; font-size:13px;">No scan schedules yet. Scheduled scans run while Kjer is open; runs missed while it is closed follow each schedule\'s missed-run policy.</p>';
+            return;
+        }
+        const statusColor = { completed: '#4caf50', missed: '#ff9800', skipped: '#ff9800', cancelled: '#ff9800', failed: '#f44336' };
+        container.innerHTML = this.schedules.map(s => {
+            const scope = [
+                s.phases.length ? `${s.phases.length} phase(s)` : 'all phases',
+                s.tools.length  ? s.tools.map(k => TOOLS_DATABASE[k]?.name || k).join(', ') : 'all scanners',
+            ].join(' · ');
+            const runs = (s.runs || []).slice(0, 5).map(r => {
+                const label = r.status === 'completed' ? `${r.threatLevel || 'CLEAN'} (${r.findings})` : r.status;
+                return `<span title="${_escapeHtml(r.error || '')}" style="color:${statusColor[r.status] || '#888'}; margin-right:10px;">${new Date(r.at).toLocaleString()} ${_escapeHtml(label)}</span>`;
+            }).join('');
+            const running = this._running === s.id;
+            return `
+            <div style="border:1px solid rgba(255,255,255,.07); border-radius:7px; padding:10px 16px; margin-bottom:8px;${s.enabled ? '' : ' opacity:.6;'}">
+                <div style="display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap;">
+                    <div style="min-width:0; font-size:12px;">
+                        <strong style="color:#B0E0E6;">${_escapeHtml(s.name)}</strong>
+                        <span style="color:#888; margin-left:8px;">${_escapeHtml(this.describe(s))}</span>
+                        <div style="color:#aaa; margin-top:3px;">${_escapeHtml(scope)}</div>
+                        <div style="color:#888; margin-top:3px;">
+                            ${running ? 'Running now…' : s.enabled ? `Next run: ${this._when(s.nextRunAt)}` : 'Paused'}
+                            &middot; Missed runs: ${SCHEDULE_MISSED_POLICIES[s.missedPolicy] || s.missedPolicy}
+                        </div>
+                    </div>
+                    <div style="display:flex; gap:6px;">
+                        <button class="btn-small" onclick="ScanScheduler.run('${s.id}', true)"${running ? ' disabled' : ''}>Run Now</button>
+                        <button class="btn-small" onclick="ScanScheduler.toggle('${s.id}')">${s.enabled ? 'Pause' : 'Enable'}</button>
+                        <button class="btn-small" onclick="ScanScheduler.openForm('${s.id}')">Edit</button>
+                        <button class="btn-small" onclick="ScanScheduler.remove('${s.id}')" title="Delete schedule">&#10005;</button>
+                    </div>
+                </div>
+                ${runs ? `<div style="font-size:11px; margin-top:6px;">${runs}</div>` : ''}
+            </div>`;
+        }).join('');
+    },
+};
+
+// ==================== REPORT JOBS ====================
+// Reports written without opening the wizard (Home tier and above, like
+// scheduled scans): after a scan, on a cron schedule or when a background
+// monitor session ends. Each job builds its report from a report preset with
+// _buildReportContent and writes it with _saveReportFile into
+// <directory>/<YYYY-MM-DD>/. The main process (desktop/main.js, "Report jobs")
+// stores the jobs, prunes reports beyond the job's retention limits and hands
+// the file to the job's alert sink. Like schedules, jobs fire only while the
+// window is open; a cron run due while it was closed runs once at the next start.
+
+const REPORT_JOB_MAX_RUNS = 20;   // matches the main-process cap
+
+const REPORT_JOB_TRIGGERS = {
+    scan:          'After a scan',
+    cron:          'On a schedule',
+    'monitor-end': 'When a monitor session ends',
+};
+
+const REPORT_JOB_SCAN_SOURCES = {
+    any:      'Any scan',
+    schedule: 'Scheduled scans only',
+    manual:   'Manual runs only',
+};
+
+const REPORT_JOB_SEVERITY = { CRITICAL: 'critical', HIGH: 'high', MEDIUM: 'medium', CLEAN: 'info' };
+
+const ReportJobs = {
+    jobs:     [],
+    timer:    null,
+    _queue:   Promise.resolve(),   // jobs run one at a time
+    _running: null,                // id of the job currently writing a report
+    _editing: null,
+
+    get api() {
+        return window.electronAPI?.listReportJobs ? window.electronAPI : null;
+    },
+
+    async load() {
+        if (!this.api) { this.jobs = []; return; }
+        try {
+            const res = await this.api.listReportJobs();
+            this.jobs = res?.success ? res.jobs : [];
+        } catch (_) {
+            this.jobs = [];
+        }
+    },
+
+    async init() {
+        await this.load();
+        if (canScheduleScans() && !this.timer) this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_MS);
+        this.render();
+    },
+
+    /** Cron jobs whose time has come (including one missed while the app was closed). */
+    tick() {
+        if (!canScheduleScans()) return;
+        const now = Date.now();
+        this.jobs.filter(j => j.enabled && j.trigger === 'cron' && j.nextRunAt && Date.parse(j.nextRunAt) <= now)
+            .forEach(j => {
+                j.nextRunAt = this._next(j, new Date());
+                this.fire(j, 'cron');
+            });
+    },
+
+    /**
+     * A scan finished. source is what to report on ({ scan, defense, diff }),
+     * or null for the current session (the scan and the defend run after it).
+     */
+    afterScan(results, source = null) {
+        if (!canScheduleScans() || !results) return;
+        const origin = results.source === 'schedule' ? 'schedule' : 'manual';
+        this.jobs.filter(j => j.enabled && j.trigger === 'scan' && (j.scanSource === 'any' || j.scanSource === origin))
+            .forEach(j => this.fire(j, 'scan', source));
+    },
+
+    /** The background monitor was stopped (not restarted). */
+    monitorEnded() {
+        if (!canScheduleScans()) return;
+        this.jobs.filter(j => j.enabled && j.trigger === 'monitor-end').forEach(j => this.fire(j, 'monitor-end'));
+    },
+
+    fire(job, trigger, source = null) {
+        this._queue = this._queue.then(() => this._run(job, trigger, source))
+            .catch(err => console.warn(`Report job "${job.name}" error:`, err));
+        return this._queue;
+    },
+
+    /** <directory>/<date>/<preset>-<time>.<ext> */
+    _filePath(job, preset) {
+        const dir = job.directory.replace(/[\\/]+$/, '');
+        return _expandReportPath(`${dir}/{date}/{preset}-{time}.{ext}`, {
+            date: new Date().toISOString().slice(0, 10), preset: preset.name, ext: preset.format,
+        });
+    },
+
+    async _run(job, trigger, source) {
+        const entry = { at: new Date().toISOString(), trigger, status: 'failed' };
+        this._running = job.id;
+        this.render();
+        try {
+            await ReportPresets.load();
+            const preset = ReportPresets.presets.find(p => p.id === job.presetId);
+            if (!preset) throw new Error('its report preset no longer exists');
+            const opts = {
+                ...preset.sections,
+                frameworks:   preset.frameworks,
+                title:        preset.title,
+                audience:     preset.audience,
+                templateText: preset.template ? await ReportPresets.templateText(preset.template) : null,
+            };
+            const file    = this._filePath(job, preset);
+            const content = _buildReportContent(opts, preset.format, source);
+            await _saveReportFile(content, preset.format, file, { download: false });
+
+            const scan  = source ? source.scan : window.KjerLastScanResults;
+            const level = scan ? _scanThreatLevel(scan) : null;
+            const res   = await this.api.deliverReportJob({
+                id:       job.id,
+                file,
+                severity: REPORT_JOB_SEVERITY[level] || 'info',
+                summary:  level ? `Threat level ${level}` : 'No scan data',
+            });
+            if (!res?.success) throw new Error(res?.error || 'report could not be delivered');
+            Object.assign(entry, { status: 'completed', file: res.file, pruned: res.pruned, delivery: res.delivery });
+            logActivity(`Report job "${job.name}" saved ${res.file}` +
+                        (res.delivery ? ` — alert sink: ${res.delivery}` : '') +
+                        (res.pruned ? ` — ${res.pruned} old report(s) removed` : ''), 'success');
+        } catch (err) {
+            entry.error = err.message;
+            logActivity(`Report job "${job.name}" failed: ${err.message}`, 'error');
+        } finally {
+            this._running = null;
+        }
+        job.lastRunAt = entry.at;
+        job.runs = [entry, ...(job.runs || [])].slice(0, REPORT_JOB_MAX_RUNS);
+        await this._persist(job);
+        this.render();
+    },
+
+    _next(job, after) {
+        try {
+            return cronNextRun(job.cron, after)?.toISOString() || null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    async _persist(job) {
+        try {
+            const res = await this.api.saveReportJob(job);
+            if (!res?.success) console.warn('Report job not saved:', res?.error);
+        } catch (err) {
+            console.warn('Report job not saved:', err);
+        }
+    },
+
+    describe(job) {
+        if (job.trigger === 'cron') {
+            const preset = Object.values(SCHEDULE_PRESETS).find(p => p.cron === job.cron);
+            return preset ? preset.label : `cron ${job.cron}`;
+        }
+        if (job.trigger === 'scan') return `After ${job.scanSource === 'any' ? 'every' : job.scanSource === 'schedule' ? 'each scheduled' : 'each manual'} scan`;
+        return REPORT_JOB_TRIGGERS[job.trigger] || job.trigger;
+    },
+
+    async openForm(id = null) {
+        if (!canScheduleScans()) {
+            showNotification('Report jobs require a Home license or higher.');
+            return;
+        }
+        await Promise.all([ReportPresets.load(), AlertRouting.load()]);
+        if (ReportPresets.presets.length === 0) {
+            showNotification('Save a report preset first — from the last step of the report wizard.');
+            return;
+        }
+        const job     = id ? this.jobs.find(j => j.id === id) : null;
+        this._editing = job || null;
+        const attr    = (t) => _escapeHtml(String(t ?? '')).replace(/"/g, '&quot;');
+        const field   = 'width:100%; margin-top:4px; padding:6px 8px; background:rgba(0,0,0,.25); color:#ddd; border:1px solid rgba(255,255,255,.12); border-radius:5px;';
+        const options = (entries, current) => entries.map(([k, label]) =>
+            `<option value="${attr(k)}"${k === current ? ' selected' : ''}>${_escapeHtml(label)}</option>`).join('');
+
+        document.getElementById('reportJobModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'reportJobModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10001';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:540px; width:96vw;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">${job ? 'Edit' : 'New'} Report Job</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;"
+                        onclick="document.getElementById('reportJobModal').remove()">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px; font-size:13px; color:#ccc;">
+                    <label style="display:block;">Name
+                        <input id="rjobName" type="text" style="${field}" value="${attr(job?.name)}" placeholder="e.g. Weekly management report">
+                    </label>
+                    <label style="display:block; margin-top:10px;">Report preset
+                        <select id="rjobPreset" style="${field}">${options(ReportPresets.presets.map(p => [p.id, `${p.name} (${p.format.toUpperCase()})`]), job?.presetId)}</select>
+                    </label>
+                    <div style="display:flex; gap:10px; margin-top:10px;">
+                        <label style="flex:1;">When
+                            <select id="rjobTrigger" style="${field}" onchange="ReportJobs._onTriggerChange()">${options(Object.entries(REPORT_JOB_TRIGGERS), job?.trigger || 'scan')}</select>
+                        </label>
+                        <label id="rjobScanSourceRow" style="flex:1;">Scans
+                            <select id="rjobScanSource" style="${field}">${options(Object.entries(REPORT_JOB_SCAN_SOURCES), job?.scanSource || 'any')}</select>
+                        </label>
+                    </div>
+                    <div id="rjobCronRow">
+                        <label style="display:block; margin-top:10px;">Cron expression <span style="color:#888; font-size:11px;">(minute hour day-of-month month day-of-week)</span>
+                            <input id="rjobCron" type="text" style="${field} font-family:monospace;" value="${attr(job?.cron || SCHEDULE_PRESETS.weekly.cron)}" oninput="ReportJobs._previewNext()">
+                        </label>
+                        <div id="rjobNextPreview" style="color:#888; font-size:12px; margin-top:4px;"></div>
+                    </div>
+                    <label style="display:block; margin-top:10px;">Directory <span style="color:#888; font-size:11px;">(reports go into a YYYY-MM-DD subdirectory)</span>
+                        <input id="rjobDirectory" type="text" style="${field} font-family:monospace;" value="${attr(job?.directory || '~/Documents/kjer-reports')}">
+                    </label>
+                    <div style="display:flex; gap:10px; margin-top:10px;">
+                        <label style="flex:1;">Keep newest reports <span style="color:#888; font-size:11px;">(0 = all)</span>
+                            <input id="rjobKeepReports" type="number" min="0" max="10000" style="${field}" value="${job?.keepReports ?? 30}">
+                        </label>
+                        <label style="flex:1;">Delete after days <span style="color:#888; font-size:11px;">(0 = never)</span>
+                            <input id="rjobKeepDays" type="number" min="0" max="10000" style="${field}" value="${job?.keepDays ?? 90}">
+                        </label>
+                    </div>
+                    <label style="display:block; margin-top:10px;">Send to alert sink
+                        <select id="rjobSink" style="${field}">
+                            <option value="">Don't send</option>
+                            ${options(AlertRouting.sinks.map(s => [s.id, `${s.name} (${AlertRouting.types[s.type] || s.type})`]), job?.sinkId)}
+                        </select>
+                    </label>
+                    <p style="color:#888; font-size:11px; margin:4px 0 0;">Email sinks attach the report; webhooks embed it base64-encoded; other sinks get its path.</p>
+                    <label style="display:flex; align-items:center; gap:6px; margin-top:12px;">
+                        <input id="rjobEnabled" type="checkbox"${job?.enabled === false ? '' : ' checked'}> Enabled
+                    </label>
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;"
+                            onclick="document.getElementById('reportJobModal').remove()">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="ReportJobs.submit()">Save Job</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+        this._onTriggerChange();
+    },
 
-    SecurityMonitor.divider();
-    SecurityMonitor.section('MONITOR STOPPED — ' + new Date().toLocaleTimeString());
-    SecurityMonitor.log('', `Completed ${_monitorState.cycle} polling cycle(s)`, 'info');
-    SecurityMonitor.divider();
-    logActivity(`Monitor stopped — ${_monitorState.cycle} cycle(s) completed`, 'warning', '', true);
-    showNotification('Monitoring stopped');
-    _monitorUiActive(false);
-}
+    _onTriggerChange() {
+        const trigger = document.getElementById('rjobTrigger')?.value;
+        const show    = (id, on) => { const el = document.getElementById(id); if (el) el.style.display = on ? '' : 'none'; };
+        show('rjobScanSourceRow', trigger === 'scan');
+        show('rjobCronRow', trigger === 'cron');
+        this._previewNext();
+    },
 
-async function _monitorCycle() {
-    _monitorState.cycle++;
-    const cycleTs   = new Date().toLocaleTimeString();
-    const installed = getInstalledTools();
-    const tools     = Object.keys(TOOLS_DATABASE)
-        .filter(k => k in installed)
-        .map(k => ({ key: k, ...TOOLS_DATABASE[k] }));
+    _previewNext() {
+        const out = document.getElementById('rjobNextPreview');
+        if (!out) return;
+        try {
+            const next = cronNextRun(document.getElementById('rjobCron')?.value || '');
+            out.style.color = '#888';
+            out.textContent = next ? `Next report: ${next.toLocaleString()}` : 'This expression never matches a date';
+        } catch (err) {
+            out.style.color = '#ff9800';
+            out.textContent = err.message;
+        }
+    },
 
-    if (tools.length === 0) return;
+    async submit() {
+        const value   = (id) => document.getElementById(id)?.value.trim() || '';
+        const trigger = value('rjobTrigger');
+        const name    = value('rjobName');
+        if (!name) { showNotification('Enter a name for the report job.'); return; }
+        let nextRunAt = null;
+        if (trigger === 'cron') {
+            let next;
+            try {
+                next = cronNextRun(value('rjobCron'));
+            } catch (err) {
+                showNotification(`Invalid cron expression: ${err.message}`, 'error');
+                return;
+            }
+            if (!next) { showNotification('That cron expression never matches a date.', 'error'); return; }
+            nextRunAt = next.toISOString();
+        }
+        const prev = this._editing;
+        const job  = {
+            ...(prev || {}),
+            id:          prev?.id || `rjob-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            enabled:     !!document.getElementById('rjobEnabled')?.checked,
+            presetId:    value('rjobPreset'),
+            trigger,
+            scanSource:  value('rjobScanSource') || 'any',
+            cron:        value('rjobCron').replace(/\s+/g, ' '),
+            directory:   value('rjobDirectory'),
+            keepReports: parseInt(value('rjobKeepReports'), 10) || 0,
+            keepDays:    parseInt(value('rjobKeepDays'), 10) || 0,
+            sinkId:      value('rjobSink') || null,
+            nextRunAt,
+            runs:        prev?.runs || [],
+        };
+        const res = await this.api.saveReportJob(job);
+        if (!res?.success) { showNotification(`Report job not saved: ${res?.error || 'unknown error'}`, 'error'); return; }
+
+        document.getElementById('reportJobModal')?.remove();
+        this._editing = null;
+        await this.load();
+        if (!this.timer) this.timer = setInterval(() => this.tick(), SCHEDULER_TICK_MS);
+        logActivity(`Report job "${name}" saved — ${this.describe(res.job)}`, 'info');
+        this.render();
+    },
 
-    let newThreats      = 0;
-    let resolvedCount   = 0;
-    let actionsThisCycle = 0;
+    async runNow(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (job) await this.fire(job, 'manual');
+    },
 
-    for (let i = 0; i < tools.length; i++) {
-        if (!_monitorState.active) break;   // stop mid-cycle if user hit Stop
-        const tool = tools[i];
-        if (i > 0) await new Promise(res => setTimeout(res, 200));  // 200 ms gap — gentle on CPU
+    async toggle(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job) return;
+        job.enabled = !job.enabled;
+        // Re-enabling starts from the next future slot rather than replaying old ones
+        if (job.enabled && job.trigger === 'cron') job.nextRunAt = this._next(job, new Date());
+        await this._persist(job);
+        logActivity(`Report job "${job.name}" ${job.enabled ? 'enabled' : 'paused'}`, 'info');
+        this.render();
+    },
 
-        let finding = null;
-        try {
-            finding = await _runToolScan(tool, 'MONITOR');
-        } catch (_) {}
+    async remove(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job || !confirm(`Delete the report job "${job.name}"? Reports it already wrote are kept.`)) return;
+        const res = await this.api.removeReportJob(id);
+        if (!res?.success) { showNotification(`Delete failed: ${res?.error || 'unknown error'}`, 'error'); return; }
+        await this.load();
+        logActivity(`Report job "${job.name}" deleted`, 'info');
+        this.render();
+    },
 
-        const newLevel  = finding ? finding.level : 'success';
-        const prev      = _monitorState.prev[tool.key];
-        const prevLevel = prev ? prev.level : null;
-
-        // Classify the transition
-        const isThreat  = finding !== null;
-        const wasClean  = !prevLevel || prevLevel === 'success';
-        const newThreat = isThreat && wasClean;
-        const escalated = isThreat && !wasClean
-                          && _severityRank(newLevel) > _severityRank(prevLevel);
-        const resolved  = !isThreat && prevLevel && prevLevel !== 'success';
-
-        if (newThreat || escalated) {
-            // Emit finding line exactly as scan does
-            logResult(tool.name, finding.message, newLevel);
-            newThreats++;
-            // Immediately auto-defend and emit the action line
-            const r = await _runToolDefend(tool, {});
-            logResult(tool.name, `\u21B3 AUTO-DEFEND: ${r.summary}`, r.level);
-            actionsThisCycle++;
-            // Persist summaries to activity log for history
-            logActivity(`[Monitor] ${tool.name}: ${finding.message}`, newLevel);
-            logActivity(`[Monitor] ${tool.name} defended: ${r.summary}`, r.level);
-        } else if (resolved) {
-            logResult(tool.name, 'Threat cleared — now clean', 'success');
-            logActivity(`[Monitor] ${tool.name}: threat cleared`, 'success');
-            resolvedCount++;
-        }
-        // Unchanged state — stay silent
-
-        _monitorState.prev[tool.key] = { level: newLevel };
-    }
-
-    // Per-cycle summary line only when something happened
-    if (newThreats > 0 || actionsThisCycle > 0 || resolvedCount > 0) {
-        const parts = [
-            newThreats    > 0 ? `${newThreats} new/escalated threat(s)` : '',
-            actionsThisCycle > 0 ? `${actionsThisCycle} auto-defend action(s)` : '',
-            resolvedCount > 0 ? `${resolvedCount} resolved` : '',
-        ].filter(Boolean).join('  |  ');
-        SecurityMonitor.log('', `[Cycle ${_monitorState.cycle}  ${cycleTs}]  ${parts}`,
-            newThreats > 0 ? 'warning' : 'success');
-    }
-}
+    /** Jobs with their trigger, output and last runs in the Settings tab. */
+    render() {
+        const container = document.getElementById('reportJobList');
+        if (!container) return;
+        const allowed = canScheduleScans();
+        const addBtn  = document.getElementById('reportJobAddBtn');
+        if (addBtn) addBtn.disabled = !allowed || !this.api;
+        if (!this.api) {
+            container.innerHTML = '<p style="color:#888; font-size:13px;">Report jobs require the desktop app.</p>';
+            return;
+        }
+        if (!allowed) {
+            container.innerHTML = `<p style="color:#888; font-size:13px;">Report jobs are available with a Home license or higher (current: ${_escapeHtml(getTierLabel(localStorage.getItem('kjerLicenseType')))}).</p>`;
+            return;
+        }
+        if (this.jobs.length === 0) {
+            container.innerHTML = '<p style="color:#888; font-size:13px;">No report jobs. A job writes a report from a preset after scans, on a schedule or when a monitor session ends.</p>';
+            return;
+        }
+        const presetName = (id) => ReportPresets.presets.find(p => p.id === id)?.name || 'missing preset';
+        const sinkName   = (id) => AlertRouting.sinks.find(s => s.id === id)?.name || 'removed sink';
+        container.innerHTML = this.jobs.map(j => {
+            const retention = [j.keepReports ? `newest ${j.keepReports}` : '', j.keepDays ? `${j.keepDays} days` : ''].filter(Boolean).join(', ') || 'kept forever';
+            const runs = (j.runs || []).slice(0, 5).map(r =>
+                `<span title="${_escapeHtml(r.error || r.file || '')}" style="color:${r.status === 'completed' ? '#4caf50' : '#f44336'}; margin-right:10px;">${new Date(r.at).toLocaleString()} ${_escapeHtml(r.status)}</span>`).join('');
+            const running = this._running === j.id;
+            return `
+            <div style="border:1px solid rgba(255,255,255,.07); border-radius:7px; padding:10px 16px; margin-bottom:8px;${j.enabled ? '' : ' opacity:.6;'}">
+                <div style="display:flex; align-items:center; justify-content:space-between; gap:12px; flex-wrap:wrap;">
+                    <div style="min-width:0; font-size:12px;">
+                        <strong style="color:#B0E0E6;">${_escapeHtml(j.name)}</strong>
+                        <span style="color:#888; margin-left:8px;">${_escapeHtml(this.describe(j))}</span>
+                        <div style="color:#aaa; margin-top:3px; word-break:break-all;">
+                            ${_escapeHtml(presetName(j.presetId))} &rarr; ${_escapeHtml(j.directory)} (${_escapeHtml(retention)})${j.sinkId ? ` &middot; sent to ${_escapeHtml(sinkName(j.sinkId))}` : ''}
+                        </div>
+                        <div style="color:#888; margin-top:3px;">
+                            ${running ? 'Writing report…' : !j.enabled ? 'Paused' : j.trigger === 'cron' ? `Next report: ${ScanScheduler._when(j.nextRunAt)}` : 'Waiting for trigger'}
+                        </div>
+                    </div>
+                    <div style="display:flex; gap:6px;">
+                        <button class="btn-small" onclick="ReportJobs.runNow('${j.id}')"${running ? ' disabled' : ''}>Run Now</button>
+                        <button class="btn-small" onclick="ReportJobs.toggle('${j.id}')">${j.enabled ? 'Pause' : 'Enable'}</button>
+                        <button class="btn-small" onclick="ReportJobs.openForm('${j.id}')">Edit</button>
+                        <button class="btn-small" onclick="ReportJobs.remove('${j.id}')" title="Delete report job">&#10005;</button>
+                    </div>
+                </div>
+                ${runs ? `<div style="font-size:11px; margin-top:6px;">${runs}</div>` : ''}
+            </div>`;
+        }).join('');
+    },
+};
 
 // ==================== TOOLS SECTION ====================
 
@@ -5357,6 +9420,14 @@ function createToolCard(tool, isInitialized = true, toolKey = null) {
             osIndicator = '<span style="background-color: #2196F3; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px; margin-left: 6px;">Windows</span>';
         }
     }
+    // Community plugins come from ~/.kjer/plugins, not the bundled database
+    const communityBadge = tool.community
+        ? `<span style="background-color: #f9a825; color: #1a1a1a; padding: 2px 6px; border-radius: 3px; font-size: 10px; margin-left: 6px;" title="Community plugin${tool.plugin?.author ? ` by ${_escapeHtml(tool.plugin.author).replace(/"/g, '&quot;')}` : ''}">Community</span>`
+          + (tool.plugin?.trusted ? '' : '<span style="background-color: #d32f2f; color: #fff; padding: 2px 6px; border-radius: 3px; font-size: 10px; margin-left: 6px;" title="Its scan and defend commands will not run until you trust it">Untrusted</span>')
+        : '';
+    const trustAction = tool.community
+        ? `<button class="btn-small" onclick="setPluginTrust('${_toolKey}', ${!tool.plugin?.trusted})">${tool.plugin?.trusted ? 'Revoke trust' : 'Trust…'}</button>`
+        : '';
     
     // CLI availability notice for Linux tools
     let cliNote = '';
@@ -5381,6 +9452,9 @@ function createToolCard(tool, isInitialized = true, toolKey = null) {
     const _viaInfo = _viaMap[tool.runVia]        || { label: tool.runVia        || '?', color: '#555' };
     const metaBadges = (tool.installSource || tool.runVia) ? `<div style="margin-top:6px;display:flex;gap:4px;flex-wrap:wrap;">${tool.installSource ? `<span style="background:${_srcInfo.color};color:#fff;padding:2px 7px;border-radius:3px;font-size:10px;font-weight:600;">${_srcInfo.label}</span>` : ''}${tool.runVia ? `<span style="background:${_viaInfo.color};color:#fff;padding:2px 7px;border-radius:3px;font-size:10px;font-weight:600;">${_viaInfo.label}</span>` : ''}</div>` : '';
 
+    // Installed version, outdated / stale-signature badges and the Update action
+    const versionInfo = isInstalled ? ToolVersions.cardInfo(_toolKey) : { version: '', badges: '', action: '' };
+
     // Add incompatibility notice
     const incompatNote = tool.isIncompatible ? 
         '<div style="font-size: 11px; color: #ff6b6b; margin-top: 8px; padding: 6px; background: rgba(255, 107, 107, 0.1); border-radius: 4px;"><strong>⚠ Not compatible with your OS</strong></div>' : '';
@@ -5397,12 +9471,12 @@ function createToolCard(tool, isInitialized = true, toolKey = null) {
         ${checkboxHtml}
         <div ${cardOpacity}>
         <div class="tool-icon">${tool.icon}</div>
-        <div class="tool-name">${tool.name}${osIndicator}</div>
-        <span class="tool-category">${tool.category}</span>
+        <div class="tool-name">${_escapeHtml(tool.name)}${osIndicator}${communityBadge}${versionInfo.badges}</div>
+        <span class="tool-category">${_escapeHtml(tool.category)}</span>
         ${metaBadges}
-        <p class="tool-description">${tool.description}</p>
+        <p class="tool-description">${_escapeHtml(tool.description)}</p>
         <p class="tool-status">
-            <strong>Version:</strong> ${tool.version} | 
+            <strong>Version:</strong> ${versionInfo.version || _escapeHtml(tool.version)} | 
             <strong>Status:</strong> ${statusText} | 
             <strong>Compat:</strong> ${compatibility}% |
             <strong>Size:</strong> ${formatStorageSize(tool.size_mb || 0)}
@@ -5413,13 +9487,15 @@ function createToolCard(tool, isInitialized = true, toolKey = null) {
         ${!isInitialized ? '<div style="font-size: 10px; color: #B0E0E6; margin-top: 8px; padding: 6px; background: rgba(176, 224, 230, 0.1); border-radius: 4px;"><strong>ℹ Initialize Kjer to install tools</strong></div>' : ''}
         <div class="tool-actions-centered">
             <button class="btn btn-primary btn-install" onclick="installTool('${_toolKey}')" ${isButtonDisabled ? 'disabled' : ''} style="background-color: ${isInstalled ? '#d32f2f' : '#1976d2'}; ${buttonOpacity} ${buttonCursor}"><i class="icon ${buttonIcon}"></i> ${buttonText}</button>
+            ${versionInfo.action}
+            ${trustAction}
         </div>
         <div class="tool-read-more-container">
             <span class="read-more-link" onclick="toggleToolDetails('${uniqueId}', this)">Read more</span>
         </div>
         <div id="${uniqueId}" class="tool-details-expanded" style="display: none;">
             <div class="tool-detailed-description">
-                <p>${tool.detailedDescription}</p>
+                <p>${_escapeHtml(tool.detailedDescription)}</p>
             </div>
         </div>
     `;
@@ -5443,20 +9519,14 @@ function toggleToolDetails(elementId, link) {
 // ==================== TOOL STATE & DEPENDENCY MANAGEMENT ====================
 
 /**
- * Read the system_analysis.json produced by the CLI, map YAML tool keys to
- * TOOLS_DATABASE display names, and register any detected-installed tools into
+ * Read the system_analysis.json produced by the CLI and register any
+ * detected-installed tools (keyed like TOOLS_DATABASE, by YAML tool key) into
  * localStorage.installedTools so the Toolbox shows them as "Installed".
  *
  * Also runs a fresh `--analyze` pass via the CLI when no analysis file exists yet
  * (e.g. first time after initialization).
  */
 async function syncPreInstalledTools(osName) {
-    // Build lowercase-key → display-name lookup from TOOLS_DATABASE
-    const keyToName = {};
-    for (const [key, tool] of Object.entries(TOOLS_DATABASE)) {
-        keyToName[key.toLowerCase()] = tool.name;
-    }
-
     // Try to read cached analysis first
     let analysisData = null;
     try {
@@ -5472,9 +9542,8 @@ async function syncPreInstalledTools(osName) {
             const appPath = await window.electronAPI?.getAppPath?.();
             if (appPath) {
                 logActivity('Running system tool detection…', 'info');
-                await window.electronAPI.executeCommand('bash', [
-                    '-c',
-                    `cd "${appPath}" && python3 scripts/kjer-cli.py --analyze 2>/dev/null || true`
+                await window.electronAPI.executeCommand('python3', [
+                    `${appPath}/scripts/kjer-cli.py`, '--analyze'
                 ]);
                 // Read the freshly written file
                 const result2 = await window.electronAPI?.readSystemAnalysis?.();
@@ -5496,12 +9565,10 @@ async function syncPreInstalledTools(osName) {
         // Presence in detected_tools means the tool was found on the system.
         // The CLI sets 'path' on found tools; also accept 'installed: true' as explicit flag.
         if (!info?.path && !info?.installed) continue;
-        const displayName = keyToName[yamlKey.toLowerCase()];
-        if (displayName) {
-            // Look up the DB key that corresponds to this display name
-            const dbKey = Object.keys(TOOLS_DATABASE).find(k => TOOLS_DATABASE[k].name === displayName) || yamlKey.toLowerCase();
-            setToolInstalled(dbKey, true);
-            pre.push(displayName);
+        const key = yamlKey.toLowerCase();
+        if (TOOLS_DATABASE[key]) {
+            setToolInstalled(key, true);
+            pre.push(TOOLS_DATABASE[key].name);
         }
     }
 
@@ -5541,6 +9608,698 @@ function checkDependenciesResolved(tool) {
     return deps.every(dep => installed[dep]);
 }
 
+// ==================== INSTALL PLANNER ====================
+// Batch and profile installs are planned and approved before anything runs:
+//   - a requirement (gui.requires) naming another tool is a graph edge — that
+//     tool joins the plan and installs first; any other requirement is a
+//     system component, checked on the host (probe-components in main.js)
+//   - a conflict (gui.conflicts, either direction) with another planned or an
+//     installed tool blocks the plan; a conflicting component on the host warns
+//   - installs are ordered in topological waves: a wave only depends on
+//     earlier ones (the install queue runs the steps in that order)
+//   - the total size_mb is compared with the free space from getDiskInfo
+
+const InstallPlanner = {
+    DISK_HEADROOM_MB: 1024,     // warn when less than this would be left free
+    _plan:    null,
+    _resolve: null,
+
+    /** TOOLS_DATABASE key a requirement / conflict names, or null for a system component. */
+    _toolKey(name) {
+        const n = String(name).toLowerCase();
+        if (TOOLS_DATABASE[n]) return n;
+        return Object.keys(TOOLS_DATABASE).find(k => TOOLS_DATABASE[k].name.toLowerCase() === n) || null;
+    },
+
+    /**
+     * Plan the install of a set of tool keys.
+     * @returns {Promise<{createdAt:Date, steps:object[], waves:string[][], skipped:object[],
+     *           conflicts:object[], components:object[], disk:object, blockers:string[]}>}
+     */
+    async build(keys) {
+        const installed = getInstalledTools();
+        const requested = [...new Set(keys)];
+        const plan = { createdAt: new Date(), steps: [], waves: [], skipped: [], conflicts: [], components: [], disk: null, blockers: [] };
+
+        // ── Tools to install, with the tools they require ──────────
+        const nodes  = new Map();       // key → { deps:Set, requiredBy:Set }
+        const needed = new Map();       // component → Set of tool keys
+        const queue  = requested.map(k => [k, null]);
+        while (queue.length) {
+            const [key, parent] = queue.shift();
+            const tool = TOOLS_DATABASE[key];
+            if (!tool) {
+                plan.skipped.push({ key, name: key, reason: 'not in the tool database' });
+                continue;
+            }
+            if (key in installed || tool.installSource === 'builtin') {
+                if (!parent) plan.skipped.push({ key, name: tool.name, reason: key in installed ? 'already installed' : 'built into OS — no installation needed' });
+                continue;
+            }
+            if (nodes.has(key)) {
+                if (parent) nodes.get(key).requiredBy.add(parent);
+                continue;
+            }
+            const node = { deps: new Set(), requiredBy: new Set(parent ? [parent] : []) };
+            nodes.set(key, node);
+            for (const req of getDependencies(tool)) {
+                const depKey = this._toolKey(req);
+                if (depKey === key) continue;
+                if (depKey) {
+                    node.deps.add(depKey);
+                    queue.push([depKey, key]);
+                } else {
+                    if (!needed.has(req)) needed.set(req, new Set());
+                    needed.get(req).add(key);
+                }
+            }
+        }
+
+        // ── Topological waves (priority, then key, within a wave) ──
+        const byPriority = (a, b) => (TOOLS_DATABASE[a].priority || 99) - (TOOLS_DATABASE[b].priority || 99) || a.localeCompare(b);
+        const pending = new Map([...nodes].map(([k, n]) => [k, [...n.deps].filter(d => nodes.has(d))]));
+        const done    = new Set();
+        while (pending.size) {
+            const wave = [...pending].filter(([, deps]) => deps.every(d => done.has(d))).map(([k]) => k).sort(byPriority);
+            if (wave.length === 0) {
+                plan.blockers.push(`Circular requirement between ${[...pending.keys()].map(k => TOOLS_DATABASE[k].name).join(', ')}`);
+                break;
+            }
+            wave.forEach(k => { pending.delete(k); done.add(k); });
+            plan.waves.push(wave);
+        }
+        plan.steps = plan.waves.flat().map(key => {
+            const tool = TOOLS_DATABASE[key];
+            return {
+                key,
+                name:          tool.name,
+                installSource: tool.installSource || 'pkg',
+                size_mb:       tool.size_mb || 0,
+                selected:      requested.includes(key),
+                deps:          [...nodes.get(key).deps].filter(d => nodes.has(d)),
+                requiredBy:    [...nodes.get(key).requiredBy],
+            };
+        });
+
+        // ── Conflicts ──────────────────────────────────────────────
+        const componentConflicts = new Map();   // component → Set of tool keys
+        const seen = new Set();
+        for (const key of nodes.keys()) {
+            const names = new Set(TOOLS_DATABASE[key].conflicts || []);
+            for (const [other, t] of Object.entries(TOOLS_DATABASE)) {
+                if ((t.conflicts || []).some(c => this._toolKey(c) === key)) names.add(other);
+            }
+            for (const name of names) {
+                const otherKey = this._toolKey(name);
+                if (!otherKey) {
+                    if (!componentConflicts.has(name)) componentConflicts.set(name, new Set());
+                    componentConflicts.get(name).add(key);
+                    continue;
+                }
+                const pair = [key, otherKey].sort().join('|');
+                if (otherKey === key || seen.has(pair)) continue;
+                seen.add(pair);
+                const a = TOOLS_DATABASE[key].name, b = TOOLS_DATABASE[otherKey].name;
+                if (nodes.has(otherKey)) {
+                    plan.conflicts.push({ tool: key, with: otherKey, level: 'error', message: `${a} and ${b} cannot be installed together — deselect one` });
+                } else if (otherKey in installed) {
+                    plan.conflicts.push({ tool: key, with: otherKey, level: 'error', message: `${a} conflicts with the installed ${b} — uninstall ${b} first` });
+                }
+            }
+        }
+
+        // ── System components ──────────────────────────────────────
+        const names = [...new Set([...needed.keys(), ...componentConflicts.keys()])];
+        let probed = {};
+        if (names.length) {
+            try {
+                const res = await window.electronAPI?.probeComponents?.(names);
+                if (res?.success) probed = res.components;
+            } catch (_) { /* unchecked — every component reads as unknown */ }
+        }
+        const label = (n) => probed[n]?.label || n;
+        for (const [name, toolKeys] of componentConflicts) {
+            if (probed[name]?.present !== true) continue;
+            const tools = [...toolKeys].map(k => TOOLS_DATABASE[k].name).join(', ');
+            plan.conflicts.push({ tool: [...toolKeys][0], with: name, level: 'warning',
+                message: `${label(name)} is present on this system and conflicts with ${tools} — disable it before using ${tools}` });
+        }
+        for (const [name, toolKeys] of needed) {
+            const present  = probed[name]?.present ?? null;
+            const keysList = [...toolKeys];
+            const manual   = keysList.filter(k => TOOLS_DATABASE[k].installSource === 'download');
+            let level = 'ok', note = 'present';
+            if (present !== true && manual.length) {
+                level = 'warning';
+                note  = `${present === false ? 'not found' : 'could not be checked'} — install it before ${manual.map(k => TOOLS_DATABASE[k].name).join(', ')}: downloaded installers do not pull in dependencies`;
+            } else if (present !== true) {
+                level = 'info';
+                note  = `${present === false ? 'not found' : 'not checked'} — the package manager installs it with the tool`;
+            }
+            plan.components.push({ name, label: label(name), present, requiredBy: keysList, level, note });
+        }
+
+        // ── Disk space ─────────────────────────────────────────────
+        const requiredMb = plan.steps.reduce((sum, s) => sum + s.size_mb, 0);
+        let availGb = null;
+        try {
+            const r = await window.electronAPI?.getDiskInfo?.();
+            if (r?.success) availGb = r.avail_disk_gb;
+        } catch (_) {}
+        if (availGb == null && localStorage.getItem('hostDiskAvail')) availGb = parseFloat(localStorage.getItem('hostDiskAvail'));
+        const availMb = availGb != null && !isNaN(availGb) ? availGb * 1024 : null;
+        const status  = availMb == null ? 'unknown'
+                      : requiredMb > availMb ? 'insufficient'
+                      : availMb - requiredMb < this.DISK_HEADROOM_MB ? 'tight'
+                      : 'ok';
+        plan.disk = { requiredMb, availMb, status };
+
+        plan.conflicts.filter(c => c.level === 'error').forEach(c => plan.blockers.push(c.message));
+        if (status === 'insufficient') {
+            plan.blockers.push(`Not enough disk space: ~${formatStorageSize(requiredMb)} needed, ${formatStorageSize(availMb)} free`);
+        }
+        return plan;
+    },
+
+    /**
+     * Show the plan; resolves true when the user approves it. A blocked plan
+     * can only be cancelled, and one requested while another plan is open is declined.
+     */
+    review(plan) {
+        if (this._resolve) {
+            showNotification('An install plan is already open for review — finish it first', 'warning');
+            return Promise.resolve(false);
+        }
+        this._plan = plan;
+        this._showModal(plan);
+        return new Promise(resolve => { this._resolve = resolve; });
+    },
+
+    _showModal(plan) {
+        const srcLabel = { pkg: 'package', repo: 'package + APT repo', download: 'download' };
+        const colour   = { error: '#ff6b6b', warning: '#f0ad4e', info: '#888', ok: '#4caf50' };
+        const steps = plan.steps.map((s, i) => `
+            <li style="padding:4px 0; font-size:12px;">
+                <strong style="color:#B0E0E6;">${_escapeHtml(s.name)}</strong>
+                <span style="color:#888;"> — ${srcLabel[s.installSource] || _escapeHtml(s.installSource)}, ~${formatStorageSize(s.size_mb)}</span>
+                ${s.requiredBy.length ? `<span style="color:#9D4EDD;"> · required by ${_escapeHtml(s.requiredBy.map(k => TOOLS_DATABASE[k].name).join(', '))}${s.selected ? '' : ' (added)'}</span>` : ''}
+            </li>`).join('');
+        const list = (title, items) => items.length ? `
+            <h4 style="color:#9D4EDD; margin:16px 0 6px 0; font-size:12px; letter-spacing:.5px;">${title}</h4>
+            <ul style="margin:0; padding-left:18px; font-size:12px;">${items.join('')}</ul>` : '';
+        const conflicts  = plan.conflicts.map(c => `<li style="color:${colour[c.level]}; padding:2px 0;">${_escapeHtml(c.message)}</li>`);
+        const components = plan.components.map(c => `<li style="padding:2px 0;"><strong style="color:#B0E0E6;">${_escapeHtml(c.label)}</strong>
+            <span style="color:${colour[c.level]};"> — ${_escapeHtml(c.note)}</span>
+            <span style="color:#888;"> (${_escapeHtml(c.requiredBy.map(k => TOOLS_DATABASE[k].name).join(', '))})</span></li>`);
+        const skipped = plan.skipped.map(s => `<li style="color:#888; padding:2px 0;">${_escapeHtml(s.name)} — ${_escapeHtml(s.reason)}</li>`);
+        const d = plan.disk;
+        const diskLine = d.status === 'unknown'
+            ? `~${formatStorageSize(d.requiredMb)} required — free space could not be read`
+            : `~${formatStorageSize(d.requiredMb)} required, ${formatStorageSize(d.availMb)} free`
+              + (d.status === 'tight' ? ` — less than ${formatStorageSize(this.DISK_HEADROOM_MB)} would remain` : '');
+        const diskColour = { ok: '#4caf50', tight: '#f0ad4e', insufficient: '#ff6b6b', unknown: '#888' }[d.status];
+        const blocked = plan.blockers.length > 0;
+
+        document.getElementById('installPlanModal')?.remove();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id        = 'installPlanModal';
+        modal.style.display = 'flex';
+        modal.style.zIndex  = '10000';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:700px; width:96vw; max-height:88vh; overflow-y:auto;">
+                <div class="modal-header" style="display:flex; justify-content:space-between; align-items:center;">
+                    <h3 style="margin:0; font-family:'Tomorrow',sans-serif; color:#B0E0E6;">Review Install Plan</h3>
+                    <button class="btn btn-outline" style="padding:4px 10px;" onclick="InstallPlanner._finish(false)">&#10005;</button>
+                </div>
+                <div class="modal-body" style="margin-top:14px;">
+                    <p style="color:#ccc; font-size:13px; margin:0;">${plan.steps.length} tool(s) will be installed in this order.</p>
+                    <p style="color:${diskColour}; font-size:12px; margin:6px 0 0 0;">Disk: ${diskLine}</p>
+                    ${blocked ? `<div style="margin-top:12px; padding:10px; border-radius:4px; background:rgba(255,107,107,.1); border:1px solid #ff6b6b55; color:#ff6b6b; font-size:12px;">
+                        <strong>The plan cannot run:</strong>
+                        <ul style="margin:6px 0 0; padding-left:18px;">${plan.blockers.map(b => `<li>${_escapeHtml(b)}</li>`).join('')}</ul></div>` : ''}
+                    <h4 style="color:#9D4EDD; margin:16px 0 6px 0; font-size:12px; letter-spacing:.5px;">INSTALL ORDER</h4>
+                    <ol style="margin:0; padding-left:22px;">${steps}</ol>
+                    ${list('CONFLICTS', conflicts)}
+                    ${list('SYSTEM COMPONENTS', components)}
+                    ${list('SKIPPED', skipped)}
+                    <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                        <button class="btn btn-outline" style="font-size:12px;" onclick="InstallPlanner._finish(false)">Cancel</button>
+                        <button class="btn btn-primary" style="font-size:12px;" onclick="InstallPlanner._finish(true)" ${blocked ? 'disabled' : ''}>Install ${plan.steps.length} Tool(s)</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(modal);
+    },
+
+    _finish(approve) {
+        const plan = this._plan, resolve = this._resolve;
+        if (!plan || !resolve) return;
+        document.getElementById('installPlanModal')?.remove();
+        this._plan = this._resolve = null;
+        resolve(!!approve && plan.blockers.length === 0);
+    },
+};
+
+// ==================== INSTALL QUEUE ====================
+// Approved multi-tool installs go through a persistent queue (localStorage
+// kjerInstallQueue). Each item is one backend install, so every tool reports
+// its own state as it happens:
+//   queued → downloading → installing → verifying → done | failed  (or skipped)
+// An install only counts as done once list-installed detects the tool, and
+// installedTools is updated per item — a failure midway leaves both in step.
+// Items cut off by closing the app are queued again at the next start and wait
+// for Resume.
+
+const INSTALL_QUEUE_KEY    = 'kjerInstallQueue';
+const INSTALL_QUEUE_ACTIVE = new Set(['downloading', 'installing', 'verifying']);
+const INSTALL_QUEUE_STATES = {
+    queued:      { label: 'Queued',      color: '#888' },
+    downloading: { label: 'Downloading', color: '#e65100' },
+    installing:  { label: 'Installing',  color: '#1976d2' },
+    verifying:   { label: 'Verifying',   color: '#9D4EDD' },
+    done:        { label: 'Done',        color: '#4caf50' },
+    failed:      { label: 'Failed',      color: '#ff6b6b' },
+    skipped:     { label: 'Skipped',     color: '#546e7a' },
+};
+
+const InstallQueue = {
+    items:   [],        // [{ key, name, deps, state, message, attempts, blockedBy, updatedAt }]
+    running: false,
+    paused:  false,
+
+    /** Restore the queue; anything interrupted by a restart is queued again, paused. */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(INSTALL_QUEUE_KEY) || '[]');
+            this.items = Array.isArray(saved) ? saved.filter(i => i && typeof i.key === 'string') : [];
+        } catch (_) {
+            this.items = [];
+        }
+        const interrupted = this.items.filter(i => INSTALL_QUEUE_ACTIVE.has(i.state));
+        interrupted.forEach(i => { i.state = 'queued'; i.message = 'Interrupted when Kjer closed — will be checked before reinstalling'; });
+        const pending = this.items.filter(i => i.state === 'queued').length;
+        if (pending > 0) {
+            this.paused = true;
+            logActivity(`Install queue: ${pending} unfinished item(s) from the last session — Resume in the Tool Box`, 'warning', '', true);
+        }
+        this.save();
+        this.render();
+    },
+
+    save() {
+        try { localStorage.setItem(INSTALL_QUEUE_KEY, JSON.stringify(this.items)); } catch (_) {}
+    },
+
+    /** Add approved plan steps; tools already waiting or installing are not added twice. */
+    enqueue(steps) {
+        let added = 0;
+        for (const step of steps) {
+            const existing = this.items.find(i => i.key === step.key);
+            if (existing && (existing.state === 'queued' || INSTALL_QUEUE_ACTIVE.has(existing.state))) continue;
+            if (existing) this.items.splice(this.items.indexOf(existing), 1);
+            this.items.push({
+                key: step.key, name: step.name, deps: step.deps || [],
+                state: 'queued', message: step.selected === false ? `Required by ${step.requiredBy.map(k => TOOLS_DATABASE[k]?.name || k).join(', ')}` : '',
+                attempts: 0, blockedBy: null, updatedAt: new Date().toISOString(),
+            });
+            added++;
+        }
+        this.save();
+        this.render();
+        return added;
+    },
+
+    _set(item, state, message) {
+        item.state     = state;
+        item.message   = message ?? item.message;
+        item.updatedAt = new Date().toISOString();
+        this.save();
+        this.render();
+    },
+
+    /** Next queued item whose queued dependencies are done; marks blocked ones failed. */
+    _next() {
+        for (const item of this.items.filter(i => i.state === 'queued')) {
+            const deps = item.deps.map(d => this.items.find(i => i.key === d)).filter(Boolean);
+            const dead = deps.find(d => d.state === 'failed' || d.state === 'skipped');
+            if (dead) {
+                item.blockedBy = dead.key;
+                this._set(item, 'failed', `Not attempted — ${dead.name} ${dead.state === 'skipped' ? 'was skipped' : 'failed'}`);
+                return this._next();
+            }
+            if (deps.every(d => d.state === 'done')) return item;
+        }
+        return null;
+    },
+
+    /** Tool keys list-installed detects, or null when the backend could not say. */
+    async _detected() {
+        try {
+            const res = await BackendAPI.getInstalledTools();
+            return res?.success && Array.isArray(res.tools) ? new Set(res.tools) : null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    /** Work through the queue until it is empty, paused or stopped; resolves when that run ends. */
+    start() {
+        this.paused = false;
+        if (!this.running) this._run = this._work();
+        return this._run;
+    },
+
+    async _work() {
+        this.running = true;
+        JobControl.begin('install-queue', 'Install queue');
+        this.render();
+        const before = this.items.filter(i => i.state === 'done').length;
+        let detected = await this._detected();
+        let item;
+        while (!this.paused && !JobControl.isCancelled('install-queue') && (item = this._next())) {
+            // Resumed after a restart — the interrupted install may have finished
+            if (detected?.has(item.key)) {
+                setToolInstalled(item.key, true);
+                this._set(item, 'done', 'Already installed — detected by list-installed');
+                continue;
+            }
+            await this._install(item);
+            if (item.state === 'done') detected?.add(item.key);
+        }
+        const stopped = JobControl.isCancelled('install-queue');
+        JobControl.end('install-queue');
+        this.running = false;
+        if (stopped) this.paused = true;
+        await this._reconcile();
+
+        const done   = this.items.filter(i => i.state === 'done').length - before;
+        const failed = this.items.filter(i => i.state === 'failed').length;
+        const left   = this.items.filter(i => i.state === 'queued').length;
+        const summary = `Install queue ${left ? 'paused' : 'finished'}: ${done} installed, ${failed} failed${left ? `, ${left} waiting` : ''}`;
+        showNotification(summary);
+        logActivity(summary, failed ? 'warning' : 'success', '', true);
+        this.render();
+        if (done > 0) ToolVersions.refresh();
+    },
+
+    async _install(item) {
+        item.attempts = (item.attempts || 0) + 1;
+        item.blockedBy = null;
+        this._set(item, 'installing', 'Starting');
+        logActivity(`  ⏳  ${item.name} — installing${item.attempts > 1 ? ` (attempt ${item.attempts})` : ''}`, 'info');
+        const stream = _monitorStream(item.name);
+        let result;
+        try {
+            result = await BackendAPI.installTool(item.key, {
+                onLine: stream.onLine,
+                onProgress: (evt) => {
+                    stream.onProgress(evt);
+                    if (evt.tool && evt.tool !== item.key) return;
+                    if (evt.stage === 'download') this._set(item, 'downloading', evt.message);
+                    else if (['prepare', 'install', 'configure'].includes(evt.stage)) this._set(item, 'installing', evt.message);
+                },
+            }, 'install-queue');
+        } finally {
+            SecurityMonitor.endLive(item.name);
+        }
+
+        if (result.cancelled) {
+            this._set(item, 'queued', 'Stopped — resume to install');
+            return;
+        }
+        if (!result.success) {
+            this._set(item, 'failed', result.message || result.error || 'Install failed');
+            logActivity(`  ✗  ${item.name} — ${item.message}`, 'error');
+            return;
+        }
+        this._set(item, 'verifying', 'Checking that the tool is detected');
+        const detected = await this._detected();
+        if (detected && !detected.has(item.key)) {
+            setToolInstalled(item.key, false);
+            this._set(item, 'failed', 'The installer reported success but list-installed does not detect the tool');
+            logActivity(`  ✗  ${item.name} — ${item.message}`, 'error');
+            return;
+        }
+        setToolInstalled(item.key, true);
+        this._set(item, 'done', detected ? (result.message || 'Installed') : `${result.message || 'Installed'} — not verified (list-installed unavailable)`);
+        logActivity(`  ✓  ${item.name} — installed`, 'success');
+    },
+
+    /** Match installedTools to list-installed for every tool the queue finished, then add anything else detected. */
+    async _reconcile() {
+        const detected = await this._detected();
+        if (detected) {
+            this.items.filter(i => i.state === 'done' || i.state === 'failed')
+                .forEach(i => setToolInstalled(i.key, detected.has(i.key)));
+        }
+        await syncInstalledFromSystem();
+    },
+
+    retry(key) {
+        const item = this.items.find(i => i.key === key);
+        if (!item || item.state !== 'failed') return;
+        // Tools that were held back by this one go back in the queue with it
+        this.items.filter(i => i === item || (i.state === 'failed' && i.blockedBy === key))
+            .forEach(i => { i.blockedBy = null; this._set(i, 'queued', 'Retry requested'); });
+        if (!this.running) this.start();
+    },
+
+    skip(key) {
+        const item = this.items.find(i => i.key === key);
+        if (!item || (item.state !== 'queued' && item.state !== 'failed')) return;
+        this._set(item, 'skipped', 'Skipped by user');
+    },
+
+    pause() {
+        this.paused = true;
+        showNotification('Install queue will pause after the current tool');
+        this.render();
+    },
+
+    resume() {
+        if (!this.running) this.start();
+    },
+
+    clearFinished() {
+        this.items = this.items.filter(i => i.state !== 'done' && i.state !== 'skipped');
+        this.save();
+        this.render();
+    },
+
+    render() {
+        const panel = document.getElementById('installQueuePanel');
+        if (!panel) return;
+        if (this.items.length === 0) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+        const count = (s) => this.items.filter(i => i.state === s).length;
+        const waiting = count('queued');
+        const controls = this.running
+            ? (this.paused ? '<span style="color:#888; font-size:11px;">Pausing after this tool…</span>'
+                           : '<button class="btn-small" onclick="InstallQueue.pause()">Pause</button>')
+            : waiting ? '<button class="btn-small" onclick="InstallQueue.resume()">Resume</button>' : '';
+        const rows = this.items.map(i => {
+            const st = INSTALL_QUEUE_STATES[i.state] || { label: i.state, color: '#888' };
+            const key = _escapeHtml(i.key);
+            const actions = [
+                i.state === 'failed' ? `<button class="btn-small" onclick="InstallQueue.retry('${key}')">Retry</button>` : '',
+                i.state === 'queued' || i.state === 'failed' ? `<button class="btn-small" onclick="InstallQueue.skip('${key}')">Skip</button>` : '',
+            ].join('');
+            return `
+                <div style="display:flex; gap:10px; align-items:center; padding:5px 0; border-top:1px solid rgba(255,255,255,.06); font-size:12px;">
+                    <span style="min-width:84px; text-align:center; background:${st.color}; color:#fff; padding:2px 6px; border-radius:3px; font-size:10px; font-weight:600;">${st.label}</span>
+                    <strong style="color:#B0E0E6; min-width:140px;">${_escapeHtml(i.name)}</strong>
+                    <span style="color:#aaa; flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;" title="${_escapeHtml(i.message || '').replace(/"/g, '&quot;')}">${_escapeHtml(i.message || '')}</span>
+                    ${actions}
+                </div>`;
+        }).join('');
+        panel.innerHTML = `
+            <div style="display:flex; gap:8px; align-items:center; margin-bottom:6px;">
+                <strong style="color:#B0E0E6; font-size:13px;">Install Queue</strong>
+                <span style="color:#888; font-size:11px;">${count('done')}/${this.items.length} done${count('failed') ? ` · ${count('failed')} failed` : ''}${waiting ? ` · ${waiting} waiting` : ''}</span>
+                <span style="margin-left:auto; display:flex; gap:6px; align-items:center;">
+                    ${controls}
+                    <button class="btn-small" onclick="InstallQueue.clearFinished()" ${this.items.some(i => i.state === 'done' || i.state === 'skipped') ? '' : 'disabled'}>Clear finished</button>
+                </span>
+            </div>
+            ${rows}`;
+        panel.style.display = 'block';
+    },
+};
+
+// ==================== TOOL VERSIONS ====================
+// The backend's tool-versions action reports, for every installed tool, the
+// installed version (package manager, else the CLI's system analysis), the
+// latest one in the version feed and the age of its signature database
+// (lib/tool_versions.py). Outdated tools and stale signatures are listed on the
+// dashboard and badged in the Tool Box, each with an Update action.
+
+const ToolVersions = {
+    tools:     {},      // key → { name, installed, latest, status, notes, signatures, ... }
+    feed:      null,    // { path, updated, source, errors }
+    checkedAt: null,
+    checking:  false,
+    updating:  null,    // key of the tool being updated
+
+    /** Installed tools that are outdated or have stale signatures. */
+    alerts() {
+        return Object.entries(this.tools)
+            .filter(([, t]) => t.status === 'outdated' || t.signatures?.stale)
+            .map(([key, t]) => ({ key, ...t }));
+    },
+
+    async refresh(quiet = true) {
+        if (this.checking) return;
+        this.checking = true;
+        this.render();
+        const res = await BackendAPI.getToolVersions();
+        this.checking = false;
+        if (!res?.success) {
+            logActivity(`Tool version check failed: ${res?.error || 'no response'}`, 'warning');
+            if (!quiet) showNotification(`Tool version check failed: ${res?.error || 'no response'}`);
+            this.render();
+            return;
+        }
+        this.tools     = res.tools || {};
+        this.feed      = res.feed || null;
+        this.checkedAt = new Date().toISOString();
+        (this.feed?.errors || []).forEach(e => logActivity(`Version feed ignored — ${e}`, 'warning'));
+
+        const alerts   = this.alerts();
+        const outdated = alerts.filter(a => a.status === 'outdated').length;
+        const stale    = alerts.filter(a => a.signatures?.stale).length;
+        if (alerts.length) {
+            logActivity(`Tool versions: ${outdated} outdated, ${stale} with stale signatures — see the dashboard`, 'warning', '', true);
+        } else if (!quiet) {
+            showNotification('All installed tools are current');
+        }
+        this.render();
+        reapplyToolFilter();
+    },
+
+    /** Upgrade one tool's packages and refresh its signatures, then check again. */
+    async update(key) {
+        const t = this.tools[key];
+        if (!t) return;
+        if (this.updating) {
+            showNotification(`${this.tools[this.updating]?.name || this.updating} is still updating`);
+            return;
+        }
+        this.updating = key;
+        JobControl.begin('tool-update', `Update ${t.name}`);
+        this.render();
+        showNotification(`Updating ${t.name}…`);
+        logSection(`UPDATE — ${t.name}`);
+
+        let result;
+        try {
+            result = await BackendAPI.updateTool(key, _monitorStream(t.name), 'tool-update');
+        } finally {
+            SecurityMonitor.endLive(t.name);
+            JobControl.end('tool-update');
+            this.updating = null;
+        }
+
+        if (result.cancelled) {
+            logActivity(`${t.name} update stopped`, 'warning');
+        } else {
+            const message = result.message || result.error || 'Update failed';
+            logResult(t.name, result.success ? message : `Update failed: ${message}`, result.success ? 'success' : 'error');
+            showNotification(result.success ? `${t.name} updated` : `${t.name} update failed: ${message}`);
+        }
+        if (result.status) this.tools[key] = result.status;
+        this.render();
+        reapplyToolFilter();
+    },
+
+    /** Read a feed file picked in the dashboard and save it as the local feed. */
+    importFeed(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = async () => {
+            input.value = '';
+            const res = await window.electronAPI?.saveVersionFeed?.(String(reader.result || ''));
+            if (!res?.success) {
+                showNotification(`Version feed rejected: ${res?.error || 'could not be saved'}`);
+                (res?.errors || []).slice(1).forEach(e => logActivity(`Version feed: ${e}`, 'warning'));
+                return;
+            }
+            logActivity(`Version feed imported — ${res.tools} tool(s), updated ${res.updated}`, 'success', '', true);
+            this.refresh(false);
+        };
+        reader.readAsText(file);
+    },
+
+    /** Version text and badges for a Tool Box card; empty when the tool was not checked. */
+    cardInfo(key) {
+        const t = this.tools[key];
+        if (!t) return { version: '', badges: '', action: '' };
+        const version = t.installed
+            ? `${_escapeHtml(t.installed)} installed${t.latest && t.status === 'outdated' ? ` (latest ${_escapeHtml(t.latest)})` : ''}`
+            : '';
+        const badge = (text, color, title) =>
+            `<span style="background-color: ${color}; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px; margin-left: 6px;" title="${_escapeHtml(title).replace(/"/g, '&quot;')}">${text}</span>`;
+        let badges = '';
+        if (t.status === 'outdated') badges += badge('Outdated', '#d32f2f', t.notes || `Latest known version is ${t.latest}`);
+        if (t.signatures?.stale) badges += badge('Stale signatures', '#e65100', this._signatureText(t.signatures));
+        const action = badges
+            ? `<button class="btn btn-outline" onclick="ToolVersions.update('${_escapeHtml(key)}')" ${this.updating ? 'disabled' : ''}>${this.updating === key ? 'Updating…' : 'Update'}</button>`
+            : '';
+        return { version, badges, action };
+    },
+
+    _signatureText(s) {
+        if (s.age_days == null) return `${s.label}: never updated${s.found ? '' : ' (database not found)'}`;
+        return `${s.label}: ${s.age_days < 1 ? 'less than a day' : `${Math.floor(s.age_days)} day(s)`} old (limit ${s.max_age_days})`;
+    },
+
+    render() {
+        const panel = document.getElementById('toolUpdatesPanel');
+        if (!panel) return;
+        const feed = !this.feed?.updated ? 'no version feed'
+            : !this.feed.tools ? 'no versions known — import a feed'
+            : `feed of ${_escapeHtml(this.feed.updated)}${this.feed.local ? ' (imported)' : ''}`;
+        const header = `
+            <div style="display:flex; gap:8px; align-items:center; margin-bottom:6px; font-size:11px; color:#888;">
+                <span>${this.checkedAt ? `Checked ${new Date(this.checkedAt).toLocaleTimeString()} · ${feed}` : 'Not checked yet'}</span>
+                <span style="margin-left:auto; display:flex; gap:6px;">
+                    ${this.updating ? `<button class="btn-small" onclick="JobControl.cancel('tool-update')">Stop update</button>` : ''}
+                    <button class="btn-small" onclick="ToolVersions.refresh(false)" ${this.checking ? 'disabled' : ''}>${this.checking ? 'Checking…' : 'Check now'}</button>
+                    <button class="btn-small" onclick="document.getElementById('versionFeedFile').click()" title="Load a tool-versions.json feed with newer latest versions">Import feed…</button>
+                </span>
+            </div>`;
+
+        const alerts = this.alerts();
+        let body;
+        if (!this.checkedAt) {
+            body = '<p class="small" style="color:#888;">Installed versions are checked after the host scan.</p>';
+        } else if (alerts.length === 0) {
+            const count = Object.keys(this.tools).length;
+            body = `<p class="small" style="color:#4caf50;">&#10003; ${count} installed tool(s) checked — none outdated, no stale signatures</p>`;
+        } else {
+            body = alerts.map(a => {
+                const problems = [];
+                if (a.status === 'outdated') {
+                    problems.push(`${_escapeHtml(a.installed)} → ${_escapeHtml(a.latest)}${a.notes ? ` — ${_escapeHtml(a.notes)}` : ''}`);
+                }
+                if (a.signatures?.stale) problems.push(_escapeHtml(this._signatureText(a.signatures)));
+                const busy = this.updating === a.key;
+                return `
+                    <div style="display:flex; gap:10px; align-items:center; padding:5px 0; border-top:1px solid rgba(255,255,255,.06); font-size:12px;">
+                        <strong style="color:#B0E0E6; min-width:140px;">${_escapeHtml(a.name)}</strong>
+                        <span style="color:#aaa; flex:1;">${problems.join('<br>')}</span>
+                        <button class="btn-small" onclick="ToolVersions.update('${_escapeHtml(a.key)}')" ${this.updating ? 'disabled' : ''}>${busy ? 'Updating…' : 'Update'}</button>
+                    </div>`;
+            }).join('');
+        }
+        panel.innerHTML = header + body;
+    },
+};
+
 function getToolsForOS(osName) {
     return Object.entries(TOOLS_DATABASE).filter(([key, tool]) => {
         return tool.osCompatibility && tool.osCompatibility.includes(osName);
@@ -5740,6 +10499,8 @@ async function installTool(toolName, skipRender = false) {
             } else {
                 setToolInstalled(toolName, false);
             }
+            delete ToolVersions.tools[toolName];
+            ToolVersions.render();
             showNotification(`${_displayName} uninstalled successfully!`);
             logActivity(`${_displayName} uninstalled`, 'success', '', true);
         } else {
@@ -5750,8 +10511,16 @@ async function installTool(toolName, skipRender = false) {
         // Install
         showNotification(`Installing ${_displayName}... This may take several minutes.`);
         logActivity(`Installation started for ${_displayName}`, 'info');
+        logSection(`INSTALL — ${_displayName}`);
 
-        const result = await BackendAPI.installTool(toolName);
+        let result;
+        try {
+            result = await BackendAPI.installTool(toolName, _monitorStream(_displayName));
+        } finally {
+            SecurityMonitor.endLive(_displayName);
+        }
+        logResult(_displayName, result.success ? 'Installation completed' : `Installation failed: ${result.message}`,
+                  result.success ? 'success' : 'error');
 
         if (result.success) {
             setToolInstalled(toolName, true);
@@ -5823,34 +10592,24 @@ async function installSelectedTools() {
     const btn = document.getElementById('installSelectedBtn');
     const resetBtn = () => { if (btn) { btn.disabled = false; btn.textContent = 'Install Selected'; updateMultiInstallBar(); } };
 
-    // Partition tools: skip already-installed tools and 'builtin' tools; install everything else
-    const installableEntries = [];
-    const skipEntries        = [];
-    const alreadyInstalled   = getInstalledTools();
-    for (const entry of toolEntries) {
-        const src = TOOLS_DATABASE[entry.key]?.installSource || 'pkg';
-        if (src === 'builtin') {
-            skipEntries.push({ ...entry, reason: 'built into OS \u2014 no installation needed' });
-        } else if (entry.key in alreadyInstalled) {
-            skipEntries.push({ ...entry, reason: 'already installed' });
-        } else {
-            installableEntries.push(entry);
-        }
-    }
+    // Plan first: required tools, conflicts, install order and disk space.
+    // Already-installed and built-in tools are skipped by the planner.
+    const plan = await InstallPlanner.build(toolEntries.map(t => t.key));
+    const skipCount = plan.skipped.length;
 
-    logActivity(`Batch install requested: ${toolEntries.length} tool(s) selected${installableEntries.length < toolEntries.length ? `, ${toolEntries.length - installableEntries.length} already installed/built-in — skipping` : ''}`, 'info', '', true);
+    logActivity(`Batch install requested: ${toolEntries.length} tool(s) selected${skipCount ? `, ${skipCount} already installed/built-in — skipping` : ''}`, 'info', '', true);
 
     // Log skipped tools so the user sees why they're not being processed
-    for (const { key, display, reason } of skipEntries) {
+    for (const { name, reason } of plan.skipped) {
         const level = reason === 'already installed' ? 'info' : 'warning';
-        logActivity(`  \u2713  ${TOOLS_DATABASE[key]?.name || display} \u2014 ${reason}`, level);
+        logActivity(`  \u2713  ${name} \u2014 ${reason}`, level);
     }
 
-    if (installableEntries.length === 0) {
-        const alreadyCount = skipEntries.filter(s => s.reason === 'already installed').length;
+    if (plan.steps.length === 0) {
+        const alreadyCount = plan.skipped.filter(s => s.reason === 'already installed').length;
         const msg = alreadyCount === toolEntries.length
             ? `All ${alreadyCount} selected tool(s) are already installed`
-            : skipEntries.length > 0
+            : skipCount > 0
                 ? `All selected tool(s) are already installed or built into the OS`
                 : 'No tools to install';
         showNotification(msg);
@@ -5859,75 +10618,26 @@ async function installSelectedTools() {
         return;
     }
 
-    // Log each queued tool so the user sees exactly what's about to happen
-    for (const { key, display } of installableEntries) {
-        const src = TOOLS_DATABASE[key]?.installSource || 'pkg';
-        const note = src === 'repo'     ? ' (adds APT repo first)'
-                   : src === 'download' ? ' (downloads package)'
-                   : '';
-        logActivity(`  \u23F3  ${TOOLS_DATABASE[key]?.name || display} \u2014 queued${note}`, 'info');
-    }
-
-    if (installableEntries.length === 1) {
-        // Single tool — use the normal toggle path
-        if (btn) { btn.disabled = true; btn.textContent = 'Installing\u2026'; }
-        await installTool(installableEntries[0].key, true);
-        reapplyToolFilter();
+    if (!await InstallPlanner.review(plan)) {
+        const why = plan.blockers.length ? ` \u2014 ${plan.blockers.join('; ')}` : '';
+        logActivity(`Batch install cancelled: plan not approved${why}`, plan.blockers.length ? 'warning' : 'info', '', true);
         resetBtn();
         return;
     }
 
-    // Multiple tools — send to backend batch (backend routes pkg/repo/download internally)
-    if (btn) { btn.disabled = true; btn.textContent = `Installing ${installableEntries.length} tools\u2026`; }
-    showNotification(`Batch installing ${installableEntries.length} tools \u2014 this may take several minutes\u2026`);
-    logActivity(`Starting install for ${installableEntries.length} tool(s) \u2014 please wait\u2026`, 'info');
-
-    // Live elapsed-seconds counter so the button never looks frozen
-    let elapsed = 0;
-    const pulseTimer = setInterval(() => {
-        elapsed++;
-        if (btn) btn.textContent = `Installing ${installableEntries.length} tools\u2026 (${elapsed}s)`;
-    }, 1000);
-
-    const keys   = installableEntries.map(t => t.key);
-    const result = await BackendAPI.installBatch(keys);
-    clearInterval(pulseTimer);
-
-    if (result.results && result.results.length > 0) {
-        let succeeded = 0, failed = 0;
-        for (const r of result.results) {
-            const displayName = TOOLS_DATABASE[r.tool]?.name || r.tool;
-            if (r.success) {
-                setToolInstalled(r.tool, true);
-                succeeded++;
-                logActivity(`  \u2713  ${displayName} \u2014 installed`, 'success');
-            } else {
-                failed++;
-                logActivity(`  \u2717  ${displayName} \u2014 ${r.message || 'failed'}`, 'error');
-            }
-            if (btn) btn.textContent = `Done: ${succeeded + failed}/${result.results.length}`;
-        }
-        const summary = failed > 0
-            ? `Batch install: ${succeeded} installed, ${failed} failed \u2014 check activity log`
-            : `Batch install complete: ${succeeded} tool(s) installed`;
-        showNotification(summary);
-        logActivity(`Batch install finished \u2014 ${succeeded} ok, ${failed} failed`, failed > 0 ? 'warning' : 'success', '', true);
-    } else {
-        if (result.success) {
-            installableEntries.forEach(({ key }) => setToolInstalled(key, true));
-            showNotification(`Batch install complete: ${installableEntries.length} tool(s) installed`);
-            logActivity(`Batch install complete \u2014 ${installableEntries.length} tools installed`, 'success', '', true);
-        } else {
-            const errMsg = result.message || result.error || 'unknown error';
-            showNotification(`Batch install failed: ${errMsg}`);
-            logActivity(`Batch install failed: ${errMsg}`, 'error', '', true);
-        }
+    // Queue the plan — the install queue shows per-tool progress and verifies each install
+    const added = InstallQueue.enqueue(plan.steps);
+    for (const step of plan.steps) {
+        const note = step.installSource === 'repo'     ? ' (adds APT repo first)'
+                   : step.installSource === 'download' ? ' (downloads package)'
+                   : '';
+        const req = step.selected ? '' : ` \u2014 required by ${step.requiredBy.map(k => TOOLS_DATABASE[k].name).join(', ')}`;
+        logActivity(`  \u23F3  ${step.name} \u2014 queued${note}${req}`, 'info');
     }
-
-    // Sync actual binary state so Installed tab always reflects reality,
-    // even when the batch partially succeeded or the IPC timed out.
-    await syncInstalledFromSystem();
+    showNotification(`${added} tool(s) added to the install queue`);
+    document.querySelectorAll('.tool-select-checkbox:checked').forEach(cb => { cb.checked = false; });
     resetBtn();
+    InstallQueue.start();
 }
 
 function viewToolDetails(toolName) {
@@ -6296,33 +11006,46 @@ async function installProfile(profileName, toolCount, selectedTools = null) {
     }
     const resolvedTools = tools.map(t => _dbByName[t.toLowerCase()] || t.toLowerCase());
 
+    // Plan first: required tools, conflicts, install order and disk space
+    const plan = await InstallPlanner.build(resolvedTools);
+    if (plan.steps.length > 0 && !await InstallPlanner.review(plan)) {
+        const why = plan.blockers.length ? ` — ${plan.blockers.join('; ')}` : '';
+        logActivity(`Profile installation cancelled: ${profileName} — plan not approved${why}`, plan.blockers.length ? 'warning' : 'info', '', true);
+        return;
+    }
+
     logActivity(`Profile installation started: ${profileName} (${resolvedTools.length} tools)`, 'info', '', true);
     showNotification(`Installing ${profileName} profile (${resolvedTools.length} tools)... This may take several minutes.`);
-    
+
+    // Already installed / built into the OS count as done; unknown names as failed
     let succeeded = 0;
     let failed = 0;
-    for (const toolKey of resolvedTools) {
-        const installed = getInstalledTools();
-        if (toolKey in installed) {
-            // Already installed — skip silently
-            succeeded++;
-            continue;
-        }
-        const displayName = TOOLS_DATABASE[toolKey]?.name || toolKey;
-        logActivity(`[${profileName}] Installing ${displayName}…`, 'info');
-        const result = await BackendAPI.installTool(toolKey);
-        if (result.success) {
-            setToolInstalled(toolKey, true);
-            succeeded++;
-            logActivity(`[${profileName}] ${displayName} installed`, 'success');
-        } else {
+    let skipped = 0;
+    for (const s of plan.skipped) {
+        if (s.reason === 'not in the tool database') {
             failed++;
-            logActivity(`[${profileName}] ${displayName} failed: ${result.message || result.error || 'unknown error'}`, 'error');
+            logActivity(`[${profileName}] ${s.name} failed: not in the tool database`, 'error');
+        } else {
+            succeeded++;
         }
     }
 
-    // Mark the profile itself as installed
-    localStorage.setItem(`profile_${profileName}_installed`, 'true');
+    // The install queue installs, verifies and reports each tool; the profile
+    // tally is read from the queue once its run ends
+    if (plan.steps.length > 0) {
+        InstallQueue.enqueue(plan.steps);
+        plan.steps.forEach(step => logActivity(`[${profileName}] ${step.name} — queued`, 'info'));
+        await InstallQueue.start();
+    }
+    for (const step of plan.steps) {
+        const state = InstallQueue.items.find(i => i.key === step.key)?.state;
+        if (state === 'done')        succeeded++;
+        else if (state === 'failed') failed++;
+        else                         skipped++;   // paused, stopped or skipped in the queue
+    }
+
+    // Mark the profile itself as installed — unless Stop left it incomplete
+    if (skipped === 0) localStorage.setItem(`profile_${profileName}_installed`, 'true');
 
     // Sync all dashboard/toolbox UI that depends on installed tool state
     const installedNow  = getInstalledTools();
@@ -6334,7 +11057,10 @@ async function installProfile(profileName, toolCount, selectedTools = null) {
     renderToolsList();
     renderProfiles();
 
-    if (failed === 0) {
+    if (skipped > 0) {
+        showNotification(`${profileName} profile install stopped: ${succeeded} installed, ${skipped} not installed.`);
+        logActivity(`Profile installation stopped: ${profileName} — ${succeeded} ok, ${failed} failed, ${skipped} not installed`, 'warning', '', true);
+    } else if (failed === 0) {
         showNotification(`✓ ${profileName} profile installed successfully (${succeeded} tools).`);
         logActivity(`Profile installation completed: ${profileName} — ${succeeded} tools installed`, 'success', '', true);
     } else {
@@ -6384,6 +11110,7 @@ function loadSettings() {
 
     if (document.getElementById('autoRefresh'))   document.getElementById('autoRefresh').checked   = autoRefresh;
     if (document.getElementById('notifications')) document.getElementById('notifications').checked = notifications;
+    if (document.getElementById('simulationMode')) document.getElementById('simulationMode').checked = isSimulationMode();
 
     const autoUpdateEl = document.querySelector('input[onchange*="autoUpdate"]');
     if (autoUpdateEl) autoUpdateEl.checked = autoUpdate;
@@ -6921,8 +11648,11 @@ async function bulkScanDevices() {
 
     // Open the combined results modal immediately — rows update live as each scan finishes
     _showBulkScanResultsModal(targets);
+    JobControl.begin('bulk-scan', 'Bulk scan');
 
-    for (const dev of targets) {
+    let stoppedAt = -1;
+    for (const [idx, dev] of targets.entries()) {
+        if (JobControl.isCancelled('bulk-scan')) { stoppedAt = idx; break; }
         const row      = document.getElementById(`bsr-row-${dev.id}`);
         const statusEl = row?.querySelector('.bsr-status');
         if (statusEl) { statusEl.textContent = '\u23f3 Scanning\u2026'; statusEl.style.color = '#2196F3'; }
@@ -6932,7 +11662,14 @@ async function bulkScanDevices() {
         if (d) { d.status = 'scanning'; saveNetworkDevices(devs); }
 
         try {
-            const result = await BackendAPI.callBackend('scan-device', { tool: dev.ip });
+            const result = await BackendAPI.callBackend('scan-device', { tool: dev.ip, jobTag: 'bulk-scan' });
+            if (result.cancelled) {
+                _updateBulkScanRow(dev.id, null, 'Scan cancelled');
+                const devs4 = getNetworkDevices();
+                const d4    = devs4.find(x => x.id === dev.id);
+                if (d4) { d4.status = 'unknown'; saveNetworkDevices(devs4); }
+                continue;
+            }
 
             const devs2 = getNetworkDevices();
             const d2    = devs2.find(x => x.id === dev.id);
@@ -6959,6 +11696,16 @@ async function bulkScanDevices() {
             if (d3) { d3.status = 'unknown'; saveNetworkDevices(devs3); }
         }
     }
+    const stopped = JobControl.isCancelled('bulk-scan');
+    JobControl.end('bulk-scan');
+
+    // Devices never reached after Stop keep their "Queued" row — mark them skipped
+    if (stoppedAt >= 0) {
+        for (const dev of targets.slice(stoppedAt)) {
+            const statusEl = document.getElementById(`bsr-row-${dev.id}`)?.querySelector('.bsr-status');
+            if (statusEl) { statusEl.textContent = 'Skipped'; statusEl.style.color = '#888'; }
+        }
+    }
 
     renderNetworkPage();
 
@@ -6967,10 +11714,12 @@ async function bulkScanDevices() {
         .reduce((s, d) => s + (d.open_count || 0), 0);
     const summaryEl = document.getElementById('bsr-summary');
     if (summaryEl) {
-        summaryEl.innerHTML = `Scan complete &mdash; <strong style="color:#4caf50;">${totalOpen} open port${totalOpen !== 1 ? 's' : ''}</strong> found across ${targets.length} device${targets.length !== 1 ? 's' : ''}.`;
+        summaryEl.innerHTML = `${stopped ? 'Scan stopped' : 'Scan complete'} &mdash; <strong style="color:#4caf50;">${totalOpen} open port${totalOpen !== 1 ? 's' : ''}</strong> found across ${targets.length} device${targets.length !== 1 ? 's' : ''}.`;
         summaryEl.style.color = '#ccc';
     }
-    showNotification(`Bulk scan complete \u2014 ${targets.length} device${targets.length !== 1 ? 's' : ''} scanned.`, 'success');
+    showNotification(stopped
+        ? 'Bulk scan stopped.'
+        : `Bulk scan complete \u2014 ${targets.length} device${targets.length !== 1 ? 's' : ''} scanned.`, 'success');
 }
 
 function _showBulkScanResultsModal(targets) {
@@ -7010,7 +11759,9 @@ function _showBulkScanResultsModal(targets) {
                     Scanning sequentially &mdash; results appear as each device completes.
                 </p>
                 <div id="bsr-rows">${rowsHtml}</div>
-                <div style="display:flex; justify-content:flex-end; margin-top:16px;">
+                <div style="display:flex; justify-content:flex-end; gap:8px; margin-top:16px;">
+                    <button class="btn btn-outline" data-stop-job="bulk-scan" style="font-size:12px; display:none;"
+                        onclick="JobControl.cancel('bulk-scan')">&#9632; Stop</button>
                     <button class="btn btn-primary" style="font-size:12px;"
                         onclick="document.getElementById('bulkScanResultsModal').remove()">Close</button>
                 </div>
@@ -7584,9 +12335,10 @@ async function defendDevice(ip, deviceId) {
 
     // Build defend modal with recommended actions + runnable Kjer tools
     const installedTools = getInstalledTools();
+    // The main process only runs these as `<tool> <host>` (DEVICE_TOOL_COMMANDS in main.js)
     const defensiveNames = ['ufw', 'firewalld', 'fail2ban', 'suricata', 'snort', 'ossec', 'auditd', 'aide', 'rkhunter', 'chkrootkit'];
     const availableTools = Object.entries(installedTools)
-        .filter(([, t]) => defensiveNames.some(n => (t.name || '').toLowerCase().includes(n)))
+        .filter(([k]) => defensiveNames.includes(k))
         .map(([k, t]) => ({ key: k, name: t.name || k }));
 
     const modal = document.createElement('div');
@@ -7651,7 +12403,8 @@ async function _runDefensiveToolOnDevice(toolKey, ip) {
     }
     try {
         const result = await window.electronAPI.executeCommand(toolKey, [ip]);
-        const output = (result?.stdout || result || '').toString();
+        // stderr carries the reason when the main process refuses the command
+        const output = (result?.stdout || result?.stderr || '').toString();
         if (outputArea) {
             outputArea.innerHTML = `
                 <h5 style="color:#B0E0E6; font-size:12px; margin:0 0 8px 0;">${_escapeHtml(toolKey)} output</h5>
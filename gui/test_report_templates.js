@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Kjer Report Template Tests
+ * ==========================
+ * Renders every REPORT_TEMPLATE_EXAMPLES entry from gui/app.js against a
+ * sample model and checks the template engine's comment handling. Only the
+ * "REPORT PRESETS & TEMPLATES" section of app.js is evaluated, so no DOM is
+ * needed.
+ *
+ *     node gui/test_report_templates.js
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const APP_JS  = fs.readFileSync(path.join(__dirname, 'app.js'), 'utf8');
+const START   = APP_JS.indexOf('// ==================== REPORT PRESETS & TEMPLATES');
+const END     = APP_JS.indexOf('// ====================', START + 1);
+assert.ok(START >= 0 && END > START, 'template section not found in app.js');
+
+const { REPORT_TEMPLATE_EXAMPLES, _parseReportTemplate, _renderReportTemplate, _escapeMdTemplate } =
+    vm.runInNewContext(APP_JS.slice(START, END) +
+        '\n;({ REPORT_TEMPLATE_EXAMPLES, _parseReportTemplate, _renderReportTemplate, _escapeMdTemplate });');
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const ESCAPES    = { html: escapeHtml, md: _escapeMdTemplate };
+
+// ─────────────────────────── sample model ───────────────────────────
+// Every field the examples use; the built-in report is a sentinel that must
+// only appear where a template asks for it.
+
+const BUILTIN = 'BUILTIN-REPORT-SENTINEL';
+const finding = (severity, tool, message) => ({
+    severity, level: severity, tool, phase: '', message, risk: '', remediation: 'Fix it', category: '',
+    cve: '', path: '', host: '', port: '', recurring: false, simulated: false,
+});
+const MODEL = {
+    title: 'Weekly <Report>', audience: 'technical', audienceNotice: '',
+    generated: '2026-10-18 12:00', platform: 'linux', version: '1.0', license: 'personal', installDate: '',
+    host: { name: 'host-1', ip: '10.0.0.2', subnet: '10.0.0.0/24' },
+    simulated: false, simulationNotice: '',
+    sections: { threats: true },
+    hasScan: true, threatLevel: 'HIGH',
+    counts: { critical: 1, high: 1, medium: 0, low: 0, toolsRun: 2 },
+    findings: [finding('critical', 'clamav', 'Eicar | detected'), finding('high', 'lynis', 'SSH <weak>')],
+    suppressed: [], toolErrors: [], diff: null,
+    compliance: [{ framework: 'cis', label: 'CIS', summary: { pass: 1, fail: 0, notAssessed: 0 },
+                   controls: [{ id: '1.1', title: 'Control', status: 'pass', statusLabel: 'Pass', evidence: '' }] }],
+    defense: { posture: 'hardened', toolsEngaged: ['ufw'], actionsTotal: 1, completedAt: '',
+               actions: [{ level: 'success', tool: 'ufw', message: 'Default deny', simulated: false }] },
+    networkDevices: [], tools: ['clamav', 'lynis'], activity: [], monitor: [],
+    builtinReport: BUILTIN, builtinStyle: '',
+};
+
+// ─────────────────────────── checks ───────────────────────────
+
+function testExamplesRender() {
+    for (const [format, src] of Object.entries(REPORT_TEMPLATE_EXAMPLES)) {
+        const out = _renderReportTemplate(src, MODEL, ESCAPES[format]);
+        assert.ok(!/\{\{|\}\}/.test(out), `${format} example leaves template tags in its output`);
+        assert.ok(!out.includes(BUILTIN), `${format} example renders the built-in report`);
+        assert.ok(out.includes('Eicar') && out.includes('ufw'), `${format} example drops findings or actions`);
+    }
+    const html = _renderReportTemplate(REPORT_TEMPLATE_EXAMPLES.html, MODEL, escapeHtml);
+    assert.ok(html.includes('<title>Weekly &lt;Report&gt;</title>'), 'html example does not escape the title');
+}
+
+function testComments() {
+    const render = (src) => _renderReportTemplate(src, MODEL, escapeHtml);
+    assert.strictEqual(render('a{{! plain }}b'), 'ab');
+    assert.strictEqual(render('a{{!-- has }} and {{{builtinReport}}} --}}b'), 'ab');
+    assert.strictEqual(render('a{{!\n multi\n line }}b'), 'ab');
+    assert.strictEqual(render('{{!-- x --}}{{title}}'), 'Weekly &lt;Report&gt;');
+    // Line numbers after a multi-line comment still point at the right line
+    assert.throws(() => _parseReportTemplate('{{!--\n\n--}}\n{{#if x}}'), /Line 4/);
+}
+
+for (const test of [testExamplesRender, testComments]) {
+    test();
+    console.log(`ok  ${test.name}`);
+}
@@ -243,9 +243,12 @@ setup_sudo_rules() {
         /usr/sbin/dpkg-reconfigure \
         /usr/bin/clamscan \
         /usr/bin/freshclam \
+        /usr/bin/suricata-update \
         /usr/bin/osqueryi \
         /bin/systemctl /usr/bin/systemctl \
         /usr/sbin/aa-enforce /usr/bin/aa-enforce \
+        /usr/sbin/aa-complain /usr/bin/aa-complain \
+        /usr/sbin/aa-status /usr/bin/aa-status \
         /usr/sbin/setenforce /usr/bin/setenforce \
         /sbin/auditctl /usr/sbin/auditctl /usr/bin/auditctl \
         /usr/bin/fail2ban-client \
@@ -260,6 +263,17 @@ setup_sudo_rules() {
         fi
     done
 
+    # chmod only with the tiger defend modes and their undo — never any
+    # arguments (mirrors TIGER_MODES in lib/defense_rollback.py)
+    for chmod_path in /bin/chmod /usr/bin/chmod; do
+        [[ -x "$chmod_path" ]] || continue
+        for chmod_args in "1777 /tmp" "0777 /tmp" "0755 /tmp" \
+                          "1777 /var/tmp" "0777 /var/tmp" "0755 /var/tmp" \
+                          "0700 /root" "0750 /root" "0755 /root"; do
+            PKG_CMDS="${PKG_CMDS}, ${chmod_path} ${chmod_args}"
+        done
+    done
+
     SUDOERS_FILE="/etc/sudoers.d/kjer"
     cat > "$SUDOERS_FILE" << EOF
 # Kjer Security Framework - passwordless operation
@@ -14,8 +14,15 @@ import platform
 import subprocess
 import argparse
 import re
+import threading
+from datetime import datetime, timedelta, timezone
 from pathlib import Path
 
+from finding_parsers import parse_findings, worst_level
+import defense_rollback
+import tool_plugins
+import tool_versions
+
 try:
     import yaml
 except ImportError:
@@ -30,6 +37,11 @@ LICENSE_FILE   = KJER_DIR / 'license_key.json'
 INIT_FLAG      = KJER_DIR / 'initialized'
 PROMO_REGISTRY = KJER_DIR / 'promo_registry.json'
 
+# Set by the desktop app when it spawns us through execute-command-stream.
+# When enabled, progress events and live subprocess output are written to
+# stderr line by line; stdout stays reserved for the final JSON result.
+STREAM_PROGRESS = os.environ.get('KJER_STREAM') == '1'
+
 # ─── Promo keys: single key shared publicly, one activation per device ───────
 # Key format: 24 chars, 5 dash-separated segments (KJER-XXXX-XXXX-XXXX-XXXX)
 _PROMO_KEYS = {
@@ -41,8 +53,18 @@ _PROMO_KEYS = {
 # ─────────────────────────── helpers ────────────────────────────
 
 def load_db():
+    """The YAML tool database plus valid community plugins (category 'plugins')."""
+    return _load_db_and_plugins()[0]
+
+
+def _load_db_and_plugins():
+    """(db, rejected) — rejected lists the plugin manifests that failed validation."""
     with open(DB_PATH, 'r') as f:
-        return yaml.safe_load(f)
+        db = yaml.safe_load(f)
+    plugins, rejected = tool_plugins.load_plugins(db)
+    if plugins:
+        db['plugins'] = plugins
+    return db, rejected
 
 
 def get_pkg_manager():
@@ -76,11 +98,80 @@ def pkg_remove_cmd(pm, packages):
     return base + packages
 
 
-def run_privileged(cmd, timeout=300):
+def pkg_upgrade_cmd(pm, packages):
+    base = {
+        'apt':    ['apt-get', 'install', '--only-upgrade', '-y',
+                   '-o', 'Dpkg::Options::=--force-confdef',
+                   '-o', 'Dpkg::Options::=--force-confold'],
+        'dnf':    ['dnf',     'upgrade', '-y'],
+        'pacman': ['pacman',  '-S', '--needed', '--noconfirm'],
+        'zypper': ['zypper',  'update', '-y'],
+        'brew':   ['brew',    'upgrade'],
+    }.get(pm, [])
+    return base + packages
+
+
+def emit_progress(stage, message, tool=None, current=None, total=None):
+    """Write one structured progress event to stderr (streaming mode only).
+    The desktop app recognises these lines and forwards them to the renderer
+    as progress events instead of plain output.
+    """
+    if not STREAM_PROGRESS:
+        return
+    event = {'event': 'progress', 'stage': stage, 'message': message}
+    if tool:
+        event['tool'] = tool
+    if current is not None and total:
+        event['current'] = current
+        event['total']   = total
+        event['percent'] = int(current * 100 / total)
+    sys.stderr.write(json.dumps(event) + '\n')
+    sys.stderr.flush()
+
+
+def _run_streamed(cmd, timeout, env):
+    """subprocess.run() equivalent that echoes each output line to stderr as
+    it arrives. stderr is merged into stdout so the returned result carries
+    the full transcript in .stdout.
+    """
+    proc = subprocess.Popen(cmd, stdout=subprocess.PIPE, stderr=subprocess.STDOUT,
+                            text=True, env=env, stdin=subprocess.DEVNULL)
+    timed_out = threading.Event()
+
+    def _expire():
+        timed_out.set()
+        proc.kill()
+
+    timer = threading.Timer(timeout, _expire)
+    timer.start()
+    lines = []
+    try:
+        for line in proc.stdout:
+            lines.append(line)
+            sys.stderr.write(line)
+            sys.stderr.flush()
+        returncode = proc.wait()
+    finally:
+        timer.cancel()
+    if timed_out.is_set():
+        raise subprocess.TimeoutExpired(cmd, timeout)
+    return subprocess.CompletedProcess(args=cmd, returncode=returncode,
+                                       stdout=''.join(lines), stderr='')
+
+
+def _run(cmd, timeout, env, stream):
+    if stream and STREAM_PROGRESS:
+        return _run_streamed(cmd, timeout, env)
+    return subprocess.run(cmd, capture_output=True, text=True, timeout=timeout, env=env,
+                          stdin=subprocess.DEVNULL)
+
+
+def run_privileged(cmd, timeout=300, stream=False):
     """Run a command with privilege escalation.
     Uses sudo with NOPASSWD rules (configured via setup-sudo action).
     Sets DEBIAN_FRONTEND=noninteractive for apt to avoid interactive prompts.
     Returns a CompletedProcess-like result with a clear error if sudo isn't configured.
+    With stream=True the command's output is also echoed live (see _run_streamed).
     """
     env = dict(os.environ)
     env['DEBIAN_FRONTEND'] = 'noninteractive'
@@ -88,12 +179,10 @@ def run_privileged(cmd, timeout=300):
     env['APT_LISTCHANGES_FRONTEND'] = 'none'
 
     if os.getuid() == 0:
-        return subprocess.run(cmd, capture_output=True, text=True, timeout=timeout, env=env,
-                              stdin=subprocess.DEVNULL)
+        return _run(cmd, timeout, env, stream)
 
     if not shutil.which('sudo'):
-        return subprocess.run(cmd, capture_output=True, text=True, timeout=timeout, env=env,
-                              stdin=subprocess.DEVNULL)
+        return _run(cmd, timeout, env, stream)
 
     # Run the privileged command directly via sudo -n.
     # We do NOT try to inject DEBIAN_FRONTEND through sudo because sudo-rs
@@ -101,14 +190,10 @@ def run_privileged(cmd, timeout=300):
     # NOPASSWD entry.  apt-get install is already non-interactive via -y and
     # --force-confdef/--force-confold; the env vars are only needed when
     # running as root (handled above) or without sudo.
-    result = subprocess.run(
-        ['sudo', '-n'] + cmd,
-        capture_output=True, text=True, timeout=timeout, env=env,
-        stdin=subprocess.DEVNULL
-    )
+    result = _run(['sudo', '-n'] + cmd, timeout, env, stream)
     # Provide a helpful error if sudo just needs the NOPASSWD rule set up
     if result.returncode != 0:
-        stderr_lower = (result.stderr or '').lower()
+        stderr_lower = (result.stderr or result.stdout or '').lower()
         if 'interactive' in stderr_lower or 'password' in stderr_lower or 'sudoers' in stderr_lower:
             result = subprocess.CompletedProcess(
                 args=result.args, returncode=result.returncode,
@@ -550,6 +635,7 @@ def _install_download_tool(tool_data, tool_name):
     try:
         size_hint = dl_info.get('size_hint_mb', 0)
         size_note = f' ({size_hint} MB)' if size_hint else ''
+        emit_progress('download', f'Downloading {filename}{size_note}', tool=tool_name)
         dl_result = subprocess.run(
             ['curl', '-fsSL', '--max-time', '900', '-o', str(tmp_path), url],
             capture_output=True, text=True, timeout=920,
@@ -563,6 +649,7 @@ def _install_download_tool(tool_data, tool_name):
             hint = f'  Visit {install_page} to download manually.' if install_page else ''
             return False, f'Downloaded file too small — URL may be invalid.{hint}'
 
+        emit_progress('install', f'Installing {filename}', tool=tool_name)
         if method == 'dpkg':
             res = run_privileged(['dpkg', '-i', str(tmp_path)], timeout=300)
             if res.returncode != 0:
@@ -621,8 +708,9 @@ def _do_install_tool(tool_data, tool_name, pm):
         if not pkg_list:
             return False, f'No packages defined for package manager "{pm}"'
         cmd = pkg_install_cmd(pm, pkg_list)
+        emit_progress('install', f'Installing {" ".join(pkg_list)} via {pm}', tool=tool_name)
         try:
-            result = run_privileged(cmd, timeout=300)
+            result = run_privileged(cmd, timeout=300, stream=True)
             if result.returncode == 0:
                 return True, f'Installed {tool_name}'
             err = (result.stderr or result.stdout or '').strip()
@@ -785,12 +873,15 @@ def cmd_install(args):
     if not pm:
         return {'success': False, 'message': 'No supported package manager found', 'tool': tool_name}
 
+    emit_progress('prepare', 'Checking package manager state', tool=tool_name)
     _fix_dpkg_state()
     ok, msg = _do_install_tool(tool_data, tool_name, pm)
     if ok:
+        emit_progress('configure', 'Running post-install setup', tool=tool_name)
         post_notes = _post_install_setup(tool_name)
         if post_notes:
             msg = msg + ' — ' + '; '.join(post_notes)
+    emit_progress('done', msg, tool=tool_name)
     return {'success': ok, 'message': msg, 'tool': tool_name}
 
 
@@ -881,6 +972,155 @@ def cmd_list_installed(args):
     return {'success': True, 'tools': installed}
 
 
+def cmd_tool_versions(args):
+    """Installed vs latest version and signature age of every installed tool."""
+    try:
+        db = load_db()
+    except Exception as e:
+        return {'success': False, 'tools': {}, 'error': str(e)}
+
+    feed, feed_path, feed_errors = tool_versions.load_feed()
+    analysis = tool_versions.analysis_versions()
+    pm = get_pkg_manager()
+    report = {}
+    for cat, tools in db.items():
+        if cat == 'profiles' or not isinstance(tools, dict):
+            continue
+        for tool_name, tool_data in tools.items():
+            if is_tool_installed(tool_data):
+                report[tool_name] = tool_versions.tool_status(tool_name, tool_data, pm, feed, analysis)
+
+    return {
+        'success': True,
+        'tools':   report,
+        'feed': {
+            'path':    str(feed_path) if feed_path else None,
+            'local':   feed_path == tool_versions.LOCAL_FEED,
+            'updated': feed.get('updated') if feed else None,
+            'source':  feed.get('source') if feed else None,
+            'tools':   len(feed['tools']) if feed else 0,
+            'errors':  feed_errors,
+        },
+    }
+
+
+def _update_signatures(tool_name, spec):
+    """Refresh a tool's signature database. Returns (ok, message)."""
+    label = spec.get('label') or 'signatures'
+    service = spec.get('service')
+    if service and shutil.which('systemctl'):
+        active = subprocess.run(['systemctl', 'is-active', '--quiet', service],
+                                capture_output=True, timeout=10).returncode == 0
+        if active:
+            # The updater daemon holds the database lock; a restart makes it check now
+            emit_progress('configure', f'Restarting {service} to refresh {label}', tool=tool_name)
+            r = run_privileged(['systemctl', 'restart', service], timeout=60)
+            if r.returncode != 0:
+                return False, (r.stderr or r.stdout or '').strip() or f'systemctl restart {service} exited {r.returncode}'
+            tool_versions.record_signature_update(tool_name)
+            return True, f'{label} refresh requested from {service}'
+    cmd = spec.get('update_cmd') or []
+    if not cmd:
+        return False, f'No update command defined for {label}'
+    if not shutil.which(cmd[0]):
+        return False, f'{cmd[0]} not found — cannot update {label}'
+    emit_progress('configure', f'Updating {label}: {" ".join(cmd)}', tool=tool_name)
+    try:
+        r = run_privileged(cmd, timeout=600, stream=True)
+    except subprocess.TimeoutExpired:
+        return False, f'{cmd[0]} timed out'
+    if r.returncode not in (spec.get('ok_exit_codes') or [0]):
+        return False, (r.stderr or r.stdout or '').strip()[-300:] or f'{cmd[0]} exited {r.returncode}'
+    tool_versions.record_signature_update(tool_name)
+    return True, f'{label} updated'
+
+
+def cmd_trust_plugin(args, trusted=True):
+    """Let a community plugin's scan / defend commands run (see tool_plugins)."""
+    key = (args.tool or '').strip()
+    if not key:
+        return {'success': False, 'error': 'No plugin specified'}
+    error = tool_plugins.set_trusted(key, trusted)
+    if error:
+        return {'success': False, 'error': error, 'tool': key}
+    return {'success': True, 'tool': key, 'trusted': trusted}
+
+
+def cmd_untrust_plugin(args):
+    return cmd_trust_plugin(args, trusted=False)
+
+
+def cmd_update_tool(args):
+    """Upgrade an installed tool's packages when they are not known to be current,
+    then refresh its signature database if it has one."""
+    tool_name = (args.tool or '').strip()
+    if not tool_name:
+        return {'success': False, 'message': 'No tool specified', 'tool': ''}
+
+    try:
+        db = load_db()
+    except Exception as e:
+        return {'success': False, 'message': f'DB load error: {e}', 'tool': tool_name}
+
+    _, tool_data = find_tool(db, tool_name)
+    if tool_data is None:
+        return {'success': False, 'message': f'Tool not found in database: {tool_name}', 'tool': tool_name}
+    if not is_tool_installed(tool_data):
+        return {'success': False, 'message': f'{tool_name} is not installed', 'tool': tool_name}
+
+    pm = get_pkg_manager()
+    feed, _, _ = tool_versions.load_feed()
+    before = tool_versions.tool_status(tool_name, tool_data, pm, feed)
+    steps = []
+
+    source = tool_data.get('install_source', 'pkg')
+    if before['status'] == 'current':
+        pass
+    elif source in ('pkg', 'repo'):
+        pkg_list = (tool_data.get('packages') or {}).get(pm, [])
+        if isinstance(pkg_list, str):
+            pkg_list = pkg_list.split()
+        if not pm or not pkg_list:
+            steps.append({'step': 'package', 'success': False, 'message': f'No packages defined for "{pm}"'})
+        else:
+            if pm == 'apt':
+                emit_progress('prepare', 'Waiting for package manager lock', tool=tool_name)
+                _wait_for_apt_lock(max_wait=120)
+                _fix_dpkg_state()
+                emit_progress('prepare', 'Refreshing package lists', tool=tool_name)
+                try:
+                    run_privileged(['apt-get', 'update', '-qq'], timeout=120, stream=True)
+                except Exception:
+                    pass  # upgrade from the cached lists rather than not at all
+            emit_progress('install', f'Upgrading {" ".join(pkg_list)} via {pm}', tool=tool_name)
+            try:
+                r = run_privileged(pkg_upgrade_cmd(pm, pkg_list), timeout=600, stream=True)
+                ok = r.returncode == 0
+                msg = 'Packages upgraded' if ok else ((r.stderr or r.stdout or '').strip()[-300:] or f'Package manager exited {r.returncode}')
+            except subprocess.TimeoutExpired:
+                ok, msg = False, 'Upgrade timed out'
+            steps.append({'step': 'package', 'success': ok, 'message': msg})
+    elif source == 'download':
+        url = (tool_data.get('gui') or {}).get('url', '')
+        steps.append({'step': 'package', 'success': False,
+                      'message': f'Installed from a vendor download — get the new version from {url or "the vendor"}'})
+    elif source == 'builtin':
+        steps.append({'step': 'package', 'success': True, 'message': 'Updated with the operating system'})
+
+    spec = tool_data.get('signatures')
+    if isinstance(spec, dict):
+        ok, msg = _update_signatures(tool_name, spec)
+        steps.append({'step': 'signatures', 'success': ok, 'message': msg})
+
+    after = tool_versions.tool_status(tool_name, tool_data, pm, feed)
+    if not steps:
+        steps.append({'step': 'package', 'success': True, 'message': f'Already at the latest known version ({after["installed"]})'})
+    ok = all(s['success'] for s in steps)
+    message = '; '.join(s['message'] for s in steps)
+    emit_progress('done', message, tool=tool_name)
+    return {'success': ok, 'message': message, 'tool': tool_name, 'steps': steps, 'status': after}
+
+
 def cmd_install_profile(args):
     profile_name = (args.profile or '').strip()
     if not profile_name:
@@ -1186,6 +1426,17 @@ def cmd_get_available_tools(args):
     return {'success': True, 'tools': tools}
 
 
+def cmd_tools_db(args):
+    """The whole tool database as load_db() parses it, plus the plugin manifests
+    that were rejected. The desktop app validates the entries and builds its
+    toolbox from them."""
+    try:
+        db, rejected = _load_db_and_plugins()
+        return {'success': True, 'db': db, 'plugin_errors': rejected}
+    except Exception as e:
+        return {'success': False, 'error': str(e)}
+
+
 def cmd_apply_upgrade(args):
     return {'success': True, 'message': 'Already on latest version'}
 
@@ -1607,8 +1858,109 @@ def _parse_tool_output(tool_name, run_via, output, returncode):
     return 'warning', (f'Exited {returncode}: ' + first) if first else f'Tool exited {returncode}'
 
 
+# Upper bound on how much of a findings_log is parsed (the tail is kept — newest events)
+FINDINGS_LOG_MAX_BYTES = 2 * 1024 * 1024
+
+# Event logs (JSON lines with a "timestamp", e.g. Suricata eve.json) are only
+# counted from the newest event the previous run saw, and never further back
+# than the tool's findings_window_hours DB field (default below). The cursor
+# per log file is kept here.
+FINDINGS_LOG_CURSORS = KJER_DIR / 'findings_log_cursors.json'
+FINDINGS_WINDOW_HOURS = 24
+
+
+def _parse_event_time(ts):
+    """An event timestamp as an aware datetime, or None."""
+    if not isinstance(ts, str):
+        return None
+    # eve.json writes +0000; fromisoformat wants +00:00 before Python 3.11
+    ts = re.sub(r'([+-]\d{2})(\d{2})$', r'\1:\2', ts.replace('Z', '+00:00'))
+    try:
+        t = datetime.fromisoformat(ts)
+    except ValueError:
+        return None
+    return t if t.tzinfo else t.replace(tzinfo=timezone.utc)
+
+
+def _event_time(line):
+    """The "timestamp" of one JSON-lines event, or None."""
+    if not line.startswith('{'):
+        return None
+    try:
+        event = json.loads(line)
+    except ValueError:
+        return None
+    return _parse_event_time(event.get('timestamp')) if isinstance(event, dict) else None
+
+
+def _new_log_events(path, text, window_hours):
+    """Drop timestamped events older than the previous run's newest event or
+    the window; lines without a timestamp are kept. Advances the cursor."""
+    try:
+        cursors = json.loads(FINDINGS_LOG_CURSORS.read_text())
+    except (OSError, ValueError):
+        cursors = {}
+    since = datetime.now(timezone.utc) - timedelta(hours=window_hours)
+    last  = _parse_event_time(cursors.get(str(path)))
+    if last and last > since:
+        since = last
+    kept, newest = [], None
+    for line in text.splitlines():
+        t = _event_time(line.strip())
+        if t is None:
+            kept.append(line)
+        elif t > since:
+            kept.append(line)
+            newest = max(newest or t, t)
+    if newest:
+        cursors[str(path)] = newest.isoformat()
+        try:
+            KJER_DIR.mkdir(parents=True, exist_ok=True)
+            FINDINGS_LOG_CURSORS.write_text(json.dumps(cursors, indent=2))
+        except OSError:
+            pass
+    return '\n'.join(kept)
+
+
+def _read_findings_log(spec, window_hours=None):
+    """Read the file named by a tool's `findings_log` DB field.
+    A directory means "newest *.xml / *.json file inside it". Root-only logs
+    are read through run_privileged. JSON-lines event logs are cut to the
+    events not yet counted (see FINDINGS_LOG_CURSORS). Returns '' when nothing
+    is available."""
+    if not spec:
+        return ''
+    path = Path(os.path.expanduser(spec))
+    if path.is_dir():
+        candidates = [p for p in path.iterdir() if p.suffix in ('.xml', '.json') and p.is_file()]
+        if not candidates:
+            return ''
+        path = max(candidates, key=lambda p: p.stat().st_mtime)
+    try:
+        size = path.stat().st_size
+        with open(path, 'rb') as fh:
+            if size > FINDINGS_LOG_MAX_BYTES and path.suffix != '.xml':
+                fh.seek(size - FINDINGS_LOG_MAX_BYTES)
+                fh.readline()  # drop the partial first line
+            text = fh.read().decode('utf-8', errors='replace')
+    except PermissionError:
+        try:
+            r = run_privileged(['tail', '-c', str(FINDINGS_LOG_MAX_BYTES), str(path)], timeout=15)
+            text = (r.stdout or '') if r.returncode == 0 else ''
+        except Exception:
+            return ''
+    except OSError:
+        return ''
+    if path.suffix == '.json':
+        if not (isinstance(window_hours, (int, float)) and window_hours > 0):
+            window_hours = FINDINGS_WINDOW_HOURS
+        text = _new_log_events(path, text, window_hours)
+    return text
+
+
 def cmd_run_tool(args):
-    """Run a security tool and return a structured finding."""
+    """Run a security tool and return its summary plus normalized findings
+    (see finding_parsers) — one per real issue, for tools that have a parser."""
     tool_name = (args.tool or '').strip()
     if not tool_name:
         return {'success': False, 'error': 'No tool specified'}
@@ -1645,10 +1997,18 @@ def cmd_run_tool(args):
             )
             active = active_r.stdout.strip() == 'active'
             finding_level, summary = _parse_tool_output(tool_name, 'daemon', output, rc)
+            # Service status says nothing about what the daemon detected —
+            # findings come from its log / exported report instead.
+            findings = parse_findings(tool_name, _read_findings_log(tool_data.get('findings_log'), tool_data.get('findings_window_hours')))
+            if findings:
+                finding_level = worst_level(findings)
+                summary = (f'{len(findings)} issue(s) in {tool_name} log — '
+                           f'e.g. {findings[0]["title"]}' + ('' if active else ' — service not running'))
             return {
                 'success':       True,
                 'finding_level': finding_level,
                 'summary':       summary,
+                'findings':      findings,
                 'active':        active,
                 'run_via':       'daemon',
                 'tool':          tool_name,
@@ -1667,15 +2027,31 @@ def cmd_run_tool(args):
     if binary and not shutil.which(binary):
         return {'success': False, 'error': f'{binary} not found — is {tool_name} installed?'}
 
+    plugin  = tool_data.get('plugin')
+    if plugin and not plugin.get('trusted'):
+        return {'success': False, 'error': f'{tool_name} is a community plugin that has not been trusted — '
+                                           'review its commands and trust it in the Tool Box first'}
+    timeout = plugin['scan']['timeout'] if plugin else 120
     try:
-        env = dict(os.environ)
-        result = run_privileged(run_cmd, timeout=120)
+        emit_progress('run', f'Running {" ".join(run_cmd)}', tool=tool_name)
+        result = run_privileged(run_cmd, timeout=timeout, stream=True)
         output = (result.stdout or '') + (result.stderr or '')
-        finding_level, summary = _parse_tool_output(tool_name, run_via, output, result.returncode)
+        if plugin:
+            # Community plugin: its manifest's parser reads the output
+            finding_level, summary, findings = tool_plugins.scan_result(
+                tool_name, tool_data, result.stdout or '', result.returncode)
+        else:
+            finding_level, summary = _parse_tool_output(tool_name, run_via, output, result.returncode)
+            findings = parse_findings(
+                tool_name,
+                output + '\n' + _read_findings_log(tool_data.get('findings_log'), tool_data.get('findings_window_hours')),
+                result.returncode,
+            )
         return {
             'success':       True,
             'finding_level': finding_level,
             'summary':       summary,
+            'findings':      findings,
             'returncode':    result.returncode,
             'run_via':       run_via,
             'tool':          tool_name,
@@ -1683,7 +2059,7 @@ def cmd_run_tool(args):
     except subprocess.TimeoutExpired:
         return {
             'success':       False,
-            'error':         f'{tool_name} timed out after 120s — try running manually',
+            'error':         f'{tool_name} timed out after {timeout}s — try running manually',
             'finding_level': 'info',
             'summary':       'Scan exceeded time limit — run manually for full results',
             'tool':          tool_name,
@@ -1790,10 +2166,14 @@ def cmd_setup_sudo(args):
         '/usr/sbin/dpkg-reconfigure',
         '/usr/bin/clamscan',
         '/usr/bin/freshclam',
+        '/usr/bin/suricata-update',
         '/usr/bin/osqueryi',
         # Defense hardening binaries
         '/bin/systemctl', '/usr/bin/systemctl',
         '/usr/sbin/aa-enforce', '/usr/bin/aa-enforce',
+        # Rollback of defend actions (revert-defense)
+        '/usr/sbin/aa-complain', '/usr/bin/aa-complain',
+        '/usr/sbin/aa-status', '/usr/bin/aa-status',
         '/usr/sbin/setenforce', '/usr/bin/setenforce',
         '/sbin/auditctl', '/usr/sbin/auditctl', '/usr/bin/auditctl',
         '/usr/bin/fail2ban-client',
@@ -1805,6 +2185,12 @@ def cmd_setup_sudo(args):
     for p in scanner_bins:
         if Path(p).exists() and p not in pm_paths:
             pm_paths.append(p)
+    # chmod with any arguments is root-equivalent — allow only the tiger
+    # defend step's modes and their undo (defense_rollback.TIGER_MODES)
+    for chmod in ('/bin/chmod', '/usr/bin/chmod'):
+        if Path(chmod).exists():
+            pm_paths += [f'{chmod} {mode} {target}'
+                         for target, modes in defense_rollback.TIGER_MODES.items() for mode in modes]
 
     if not pm_paths:
         return {'success': False, 'error': 'No supported package managers found on this system'}
@@ -1937,14 +2323,16 @@ def cmd_install_batch(args):
                                 'message': f'No packages defined for {pm}'})
 
     # Wait for any concurrent apt process to finish, then repair dpkg state
+    emit_progress('prepare', 'Waiting for package manager lock')
     _wait_for_apt_lock(max_wait=120)
     _fix_dpkg_state()
 
     # Refresh package lists before installing (like HakPak3) so package
     # names resolve correctly and we get the latest versions.
     if pm == 'apt' and pkg_tools:
+        emit_progress('prepare', 'Refreshing package lists')
         try:
-            run_privileged(['apt-get', 'update', '-qq'], timeout=120)
+            run_privileged(['apt-get', 'update', '-qq'], timeout=120, stream=True)
         except Exception:
             pass  # stale cache is better than no install at all
 
@@ -1959,8 +2347,9 @@ def cmd_install_batch(args):
         batch_cmd = pkg_install_cmd(pm, all_pkgs)
         batch_ok  = False
         batch_err = ''
+        emit_progress('install', f'Installing {len(all_pkgs)} package(s) for {len(pkg_tools)} tool(s)')
         try:
-            result    = run_privileged(batch_cmd, timeout=600)
+            result    = run_privileged(batch_cmd, timeout=600, stream=True)
             batch_ok  = result.returncode == 0
             batch_err = (result.stderr or result.stdout or '').strip()
         except subprocess.TimeoutExpired:
@@ -1970,11 +2359,13 @@ def cmd_install_batch(args):
 
         if batch_ok:
             for t in pkg_tools:
+                emit_progress('configure', 'Running post-install setup', tool=t)
                 post_notes = _post_install_setup(t)
                 msg = f'Installed {t}'
                 if post_notes:
                     msg += ' — ' + '; '.join(post_notes)
                 results.append({'tool': t, 'success': True, 'message': msg})
+                emit_progress('tool-done', msg, tool=t, current=len(results), total=len(tool_names))
         else:
             # Batch failed — report the error for each tool.
             # If the apt lock is held by a concurrent process, a per-tool sequential
@@ -1990,15 +2381,21 @@ def cmd_install_batch(args):
             )
             for tool_name in pkg_tools:
                 results.append({'tool': tool_name, 'success': False, 'message': user_msg})
+                emit_progress('tool-failed', user_msg, tool=tool_name,
+                              current=len(results), total=len(tool_names))
 
     # ── Handle repo / download tools individually ──────────────────
     for tool_name, tool_data in special_tools:
+        emit_progress('install', f'Installing {tool_name}', tool=tool_name,
+                      current=len(results), total=len(tool_names))
         ok, msg = _do_install_tool(tool_data, tool_name, pm)
         if ok:
             post_notes = _post_install_setup(tool_name)
             if post_notes:
                 msg += ' — ' + '; '.join(post_notes)
         results.append({'tool': tool_name, 'success': ok, 'message': msg})
+        emit_progress('tool-done' if ok else 'tool-failed', msg, tool=tool_name,
+                      current=len(results), total=len(tool_names))
 
     installed = sum(1 for r in results if r['success'])
     failed    = sum(1 for r in results if not r['success'])
@@ -2210,10 +2607,65 @@ def _run_chkrootkit_defend():
 
 
 def cmd_defend_tool(args):
-    """Apply real security hardening for an installed tool and return a structured result."""
+    """Snapshot the tool's before-state into a changeset, then apply its hardening.
+    Without --changeset a fresh changeset is created; its ID is returned so the
+    run can still be reverted with revert-defense."""
     tool_name = (args.tool or '').strip()
     if not tool_name:
         return {'success': False, 'error': 'No tool specified'}
+    changeset = args.changeset or defense_rollback.new_changeset_id()
+    if not defense_rollback.valid_changeset(changeset):
+        return {'success': False, 'error': f'Invalid changeset ID: {changeset}'}
+
+    snap = defense_rollback.capture_snapshot(changeset, tool_name, run_privileged)
+    result = _defend_tool(tool_name)
+    defense_rollback.record_applied(snap, result)
+    result['changeset'] = changeset
+    result['snapshot']  = {'reversible': snap['reversible'], 'note': snap['note']}
+    return result
+
+
+def cmd_revert_defense(args):
+    """Undo a defend run from its changeset — one tool with --tool, else every tool."""
+    changeset = (args.changeset or '').strip()
+    if not defense_rollback.valid_changeset(changeset):
+        return {'success': False, 'error': 'A valid --changeset is required'}
+    snaps = defense_rollback.load_changeset(changeset)
+    if args.tool:
+        snaps = [s for s in snaps if s.get('tool') == args.tool]
+    if not snaps:
+        return {'success': False, 'error': f'No snapshots recorded for {args.tool or changeset}'}
+
+    # Undo in reverse order of application
+    results = [defense_rollback.revert_snapshot(s, run_privileged) for s in reversed(snaps)]
+    attempted = [r for r in results if not r.get('skipped')]
+    failed    = [r for r in attempted if not r['success']]
+    return {
+        'success':   not failed,
+        'changeset': changeset,
+        'reverted':  len(attempted) - len(failed),
+        'failed':    len(failed),
+        'skipped':   len(results) - len(attempted),
+        'results':   results,
+    }
+
+
+def cmd_list_changeset(args):
+    """Per-tool rollback status of one changeset (undo commands omitted)."""
+    changeset = (args.changeset or '').strip()
+    if not defense_rollback.valid_changeset(changeset):
+        return {'success': False, 'error': 'A valid --changeset is required'}
+    snaps = defense_rollback.load_changeset(changeset)
+    return {
+        'success':   True,
+        'changeset': changeset,
+        'snapshots': [{k: s.get(k) for k in ('tool', 'captured_at', 'reversible', 'note',
+                                            'result', 'reverted_at')} for s in snaps],
+    }
+
+
+def _defend_tool(tool_name):
+    """Apply real security hardening for an installed tool and return a structured result."""
 
     # ── AIDE special case: database may not exist yet (exit 17 from scan) ──
     if tool_name == 'aide':
@@ -2644,8 +3096,8 @@ def cmd_defend_tool(args):
 
         # Restrict /root to owner-only access
         if os.path.exists('/root'):
-            r = run_privileged(['chmod', '700', '/root'], timeout=5)
-            fix_results.append({'cmd': 'chmod 700 /root', 'rc': r.returncode})
+            r = run_privileged(['chmod', '0700', '/root'], timeout=5)
+            fix_results.append({'cmd': 'chmod 0700 /root', 'rc': r.returncode})
             if r.returncode == 0:
                 fixes.append('/root: permissions restricted to 700')
 
@@ -2773,6 +3225,7 @@ def cmd_defend_tool(args):
             'steps_run': len(results), 'steps_ok': steps_ok,
             'summary': ' — '.join(parts),
             'results': results,
+            'blocked_ips': blocked_ips, 'killed_sessions': killed_sessions,
         }
 
     # Hardening command sequences keyed by tool name.
@@ -2883,6 +3336,16 @@ def cmd_defend_tool(args):
     }
 
     step = HARDEN_STEPS.get(tool_name)
+    if not step:
+        # Community plugins bring their own defend commands
+        try:
+            _, tool_data = find_tool(load_db(), tool_name)
+        except Exception:
+            tool_data = None
+        step = tool_plugins.harden_step(tool_data)
+        if not step and (tool_data or {}).get('plugin', {}).get('defend'):
+            return {'success': False, 'error': f'{tool_name} is a community plugin that has not been trusted — '
+                                               'review its commands and trust it in the Tool Box first'}
     if not step:
         return {
             'success': False,
@@ -3283,6 +3746,7 @@ ACTION_MAP = {
     'store-detected-os':   cmd_store_detected_os,
     'get-version-info':    cmd_get_version_info,
     'get-available-tools': cmd_get_available_tools,
+    'tools-db':            cmd_tools_db,
     'apply-upgrade':       cmd_apply_upgrade,
     'uninitialize':        cmd_uninitialize,
     'reinitialize':        cmd_reinitialize,
@@ -3290,7 +3754,13 @@ ACTION_MAP = {
     'setup-sudo':          cmd_setup_sudo,
     'run-tool':            cmd_run_tool,
     'defend-tool':         cmd_defend_tool,
+    'revert-defense':      cmd_revert_defense,
+    'list-changeset':      cmd_list_changeset,
     'service-status':      cmd_service_status,
+    'tool-versions':       cmd_tool_versions,
+    'update-tool':         cmd_update_tool,
+    'trust-plugin':        cmd_trust_plugin,
+    'untrust-plugin':      cmd_untrust_plugin,
 }
 
 
@@ -3304,6 +3774,7 @@ def main():
     parser.add_argument('--license-type', dest='license_type', default='personal', help='License type')
     parser.add_argument('--detected-os',  dest='detected_os',  help='Detected OS')
     parser.add_argument('--target-ip',    dest='target_ip',    help='Target IP (scan-network / scan-device)')
+    parser.add_argument('--changeset',    help='Rollback changeset ID (defend-tool / revert-defense / list-changeset)')
 
     args = parser.parse_args()
     handler = ACTION_MAP.get(args.action)
@@ -0,0 +1,463 @@
+#!/usr/bin/env python3
+"""
+Kjer Defense Rollback
+=====================
+Before-state snapshots for defend-tool, so a hardening step that breaks a
+service can be undone. Every defend-tool invocation belongs to a changeset
+(one per GUI defend run); each tool's snapshot is stored separately:
+
+    ~/.kjer/changesets/<changeset>/<tool>.json
+    {
+        "changeset":   "cs-lq3k9x2a-7f1c",
+        "tool":        "ufw",
+        "captured_at": "2026-10-18T14:02:11",
+        "reversible":  true,
+        "note":        "UFW was active; defaults deny (incoming), allow (outgoing)",
+        "before":      {...},                    # tool-specific prior state
+        "undo":        [["ufw", "default", "allow", "incoming"], ...],
+        "files":       {"/etc/sysctl.d/...": "<saved copy>"},
+        "result":      {"success": true, "summary": "..."},
+        "reverted_at": null,
+        "revert_results": []
+    }
+
+Undo commands are derived from the before-state and run through the caller's
+run_privileged() on revert. The stored "undo" list is informational only:
+revert rebuilds it from "before", validating every value against what the
+tool's defend step can change, so editing a snapshot cannot smuggle commands
+into sudo. Effects that only exist once the step has run (the iptables rules
+ufw inserts) are added by record_applied(). Tools whose defend step is
+read-only or cannot be meaningfully undone (signature updates, database
+initialisation) get reversible=false with a note saying why.
+"""
+
+import ipaddress
+import json
+import os
+import re
+import shutil
+import subprocess
+import stat
+from datetime import datetime
+from pathlib import Path
+
+CHANGESETS_DIR = Path.home() / '.kjer' / 'changesets'
+CHANGESET_RE   = re.compile(r'^[a-z0-9][a-z0-9-]{5,63}$')
+
+# Written by the lynis defend step (see backend_api.cmd_defend_tool)
+SYSCTL_CONF = '/etc/sysctl.d/99-kjer-hardening.conf'
+LYNIS_SYSCTL_KEYS = (
+    'kernel.randomize_va_space', 'kernel.dmesg_restrict', 'kernel.kptr_restrict',
+    'kernel.yama.ptrace_scope', 'kernel.core_uses_pid', 'kernel.ctrl-alt-del',
+    'net.ipv4.conf.all.accept_redirects', 'net.ipv4.conf.default.accept_redirects',
+    'net.ipv4.conf.all.send_redirects', 'net.ipv4.conf.default.send_redirects',
+    'net.ipv4.conf.all.log_martians', 'net.ipv4.conf.default.log_martians',
+    'net.ipv4.conf.all.rp_filter', 'net.ipv4.conf.default.rp_filter',
+    'net.ipv4.icmp_echo_ignore_broadcasts', 'net.ipv4.icmp_ignore_bogus_error_responses',
+    'net.ipv4.tcp_timestamps', 'fs.protected_hardlinks', 'fs.protected_symlinks',
+)
+# Written by the ufw defend step (backend_api._apply_priv_esc_hardening)
+PRIVESC_CONF = '/etc/sysctl.d/99-kjer-privesc-hardening.conf'
+PRIVESC_SYSCTL_KEYS = (
+    'kernel.kptr_restrict', 'kernel.dmesg_restrict', 'kernel.yama.ptrace_scope',
+    'kernel.perf_event_paranoid', 'kernel.unprivileged_userns_clone',
+)
+TIGER_SYSCTL_KEYS = ('fs.suid_dumpable', 'kernel.core_pattern')
+TIGER_PATHS       = ('/tmp', '/var/tmp', '/root')
+# The only modes the tiger defend step and its undo may set on each path.
+# /etc/sudoers.d/kjer allows exactly these `chmod <mode> <path>` commands
+# (cmd_setup_sudo and the installers) instead of chmod with any arguments.
+TIGER_MODES = {
+    '/tmp':     ('1777', '0777', '0755'),
+    '/var/tmp': ('1777', '0777', '0755'),
+    '/root':    ('0700', '0750', '0755'),
+}
+
+# Services a defend step starts or restarts; stopping them again is the undo
+# when they were not running beforehand.
+SERVICE_UNITS = {
+    'fail2ban': ['fail2ban'],
+    'auditd':   ['auditd'],
+    'suricata': ['suricata'],
+    'gvm':      ['gvmd', 'ospd-openvas'],
+    'openvas':  ['ospd-openvas', 'gvmd'],
+    'nessus':   ['nessusd'],
+}
+
+# Defend steps with nothing to roll back
+NOT_REVERSIBLE = {
+    'clamav':     'Definitions update and scan only — nothing to revert',
+    'chkrootkit': 'Read-only verification — nothing to revert',
+    'rkhunter':   'Signature update and --propupd baseline refresh cannot be reverted',
+    'aide':       'Integrity check / database initialisation — nothing to revert',
+    'tripwire':   'Integrity check / database initialisation — nothing to revert',
+}
+
+
+def valid_changeset(changeset_id):
+    return bool(changeset_id) and bool(CHANGESET_RE.match(changeset_id))
+
+
+def new_changeset_id():
+    return 'cs-' + datetime.now().strftime('%Y%m%dt%H%M%S') + '-' + os.urandom(2).hex()
+
+
+def _snapshot_path(changeset_id, tool):
+    return CHANGESETS_DIR / changeset_id / f'{tool}.json'
+
+
+def _read(cmd, timeout=10):
+    """Unprivileged read-only command; returns stdout or '' on any failure."""
+    try:
+        r = subprocess.run(cmd, capture_output=True, text=True, timeout=timeout,
+                           stdin=subprocess.DEVNULL)
+        return r.stdout if r.returncode == 0 else ''
+    except Exception:
+        return ''
+
+
+def _sysctl_values(keys):
+    values = {}
+    for key in keys:
+        out = _read(['sysctl', '-n', key], timeout=5).strip()
+        if out:
+            values[key] = out
+    return values
+
+
+# ── Undo validation ───────────────────────────────────────────────────────────
+# Snapshots live in the user's home and revert runs their undo through sudo, so
+# undo commands are never read back from disk: they are rebuilt from the
+# recorded before-state, and every value that reaches an argv is checked
+# against what the tool's defend step can actually have changed.
+
+UFW_POLICIES      = ('allow', 'deny', 'reject')
+SYSCTL_VALUE_RE   = re.compile(r'^[\w .:/%|-]{1,200}$')
+PROFILE_RE        = re.compile(r'^[\w/][\w./@+:-]{0,200}$')
+CONF_LINE_RE      = re.compile(r'^\s*([\w.-]+)\s*=\s*(.*?)\s*$')
+
+
+def _root_owned_program(path):
+    """True if path is an executable only root can replace."""
+    try:
+        for p in (path, os.path.dirname(path)):
+            st = os.stat(p)
+            if st.st_uid != 0 or st.st_mode & (stat.S_IWGRP | stat.S_IWOTH):
+                return False
+        return os.access(path, os.X_OK)
+    except OSError:
+        return False
+
+
+def _check_sysctl(key, value, keys):
+    if key not in keys:
+        raise ValueError(f'sysctl {key} is not changed by this defend step')
+    value = str(value)
+    if not SYSCTL_VALUE_RE.match(value):
+        raise ValueError(f'unexpected value for {key}')
+    # A piped core_pattern runs its program as root on every crash
+    if value.startswith('|') and not _root_owned_program(value[1:].split()[0] if value[1:].split() else ''):
+        raise ValueError(f'{key} pipes to a program not owned by root')
+    return f'{key}={value}'
+
+
+def _sysctl_undo(values, keys):
+    if not isinstance(values, dict):
+        raise ValueError('malformed sysctl values')
+    return [['sysctl', '-w', _check_sysctl(k, v, keys)] for k, v in values.items()]
+
+
+def _saved_conf(conf, saved_name, snap_dir, files):
+    """Save a drop-in sysctl conf a defend step overwrites, if there is one."""
+    if os.path.exists(conf):
+        saved = snap_dir / saved_name
+        shutil.copyfile(conf, saved)
+        files[conf] = saved.name
+    return bool(files)
+
+
+def _conf_undo(existed, conf, saved_name, snap_dir, keys):
+    """Copy the saved original back — only if it still sets nothing but the
+    step's own keys — or move the file aside if there was none."""
+    if not existed:
+        # sysctl --system only loads *.conf — moving the file aside disables it
+        return [['mv', conf, conf + '.kjer-reverted']] if os.path.exists(conf) else []
+    saved = snap_dir / saved_name
+    for line in saved.read_text().splitlines():
+        if not line.strip() or line.lstrip().startswith(('#', ';')):
+            continue
+        m = CONF_LINE_RE.match(line)
+        if not m:
+            raise ValueError(f'{saved.name} is not a sysctl conf')
+        _check_sysctl(m.group(1), m.group(2), keys)
+    return [['cp', str(saved), conf]]
+
+
+# ── Per-tool capture ──────────────────────────────────────────────────────────
+# Each capture returns (before, note, files) where files maps an absolute path to
+# the name of a saved copy inside the snapshot directory. The matching undo
+# builder turns a before-state into undo commands, raising ValueError on
+# anything the defend step could not have produced.
+
+def _capture_ufw(run, snap_dir):
+    r = run(['ufw', 'status', 'verbose'], timeout=15)
+    out = r.stdout or ''
+    if r.returncode != 0 or 'Status:' not in out:
+        raise RuntimeError('could not read ufw status')
+    active = bool(re.search(r'Status:\s*active', out))
+    m = re.search(r'Default:\s*(\w+)\s*\(incoming\),\s*(\w+)\s*\(outgoing\)', out)
+    incoming, outgoing = (m.group(1), m.group(2)) if m else ('deny', 'allow')
+    # The step also applies privilege-escalation sysctls and persists them
+    values = _sysctl_values(PRIVESC_SYSCTL_KEYS)
+    files = {}
+    existed = _saved_conf(PRIVESC_CONF, 'sysctl-privesc-hardening.conf', snap_dir, files)
+    before = {'active': active, 'incoming': incoming, 'outgoing': outgoing,
+              'sysctl': values, 'conf_existed': existed, 'blocked_ips': []}
+    note = (f"UFW was {'active' if active else 'inactive'}; defaults {incoming} (incoming), {outgoing} (outgoing); "
+            f"{len(values)} privilege-escalation sysctl value(s) recorded; {PRIVESC_CONF} "
+            + ('saved' if existed else 'did not exist'))
+    return before, note, files
+
+
+def _undo_ufw(before, snap_dir):
+    undo = []
+    for direction in ('incoming', 'outgoing'):
+        policy = before.get(direction)
+        if policy not in UFW_POLICIES:
+            raise ValueError(f'unexpected ufw {direction} policy')
+        undo.append(['ufw', 'default', policy, direction])
+    if not before.get('active'):
+        undo.append(['ufw', '--force', 'disable'])
+    undo += _sysctl_undo(before.get('sysctl', {}), PRIVESC_SYSCTL_KEYS)
+    undo += _conf_undo(before.get('conf_existed'), PRIVESC_CONF, 'sysctl-privesc-hardening.conf',
+                       snap_dir, PRIVESC_SYSCTL_KEYS)
+    for ip in before.get('blocked_ips') or []:
+        try:
+            ip = str(ipaddress.IPv4Address(ip))
+        except ValueError:
+            raise ValueError('malformed blocked IP')
+        undo.append(['iptables', '-D', 'INPUT', '-s', ip, '-j', 'DROP'])
+    return undo
+
+
+def _applied_ufw(snap, result):
+    """The attacker IPs to block are only known once the step has run —
+    record each inserted DROP rule so revert deletes it again."""
+    ips = list(result.get('blocked_ips') or [])
+    snap['before']['blocked_ips'] = ips
+    if ips:
+        snap['note'] += f'; {len(ips)} iptables DROP rule(s) inserted'
+    # ss --kill on established sessions is the one effect that cannot be undone
+    if result.get('killed_sessions'):
+        snap['note'] += f"; {result['killed_sessions']} terminated session(s) cannot be restored"
+
+
+def _capture_selinux(run, snap_dir):
+    mode = _read(['getenforce'], timeout=5).strip()
+    if not mode:
+        raise RuntimeError('getenforce unavailable')
+    return {'mode': mode}, f'SELinux was {mode}', {}
+
+
+def _undo_selinux(before, snap_dir):
+    return [['setenforce', '0']] if str(before.get('mode', '')).lower() == 'permissive' else []
+
+
+def _capture_apparmor(run, snap_dir):
+    r = run(['aa-status', '--json'], timeout=15)
+    try:
+        profiles = json.loads(r.stdout or '{}').get('profiles', {})
+    except ValueError:
+        raise RuntimeError('could not read aa-status')
+    complain = sorted(name for name, mode in profiles.items() if mode == 'complain')
+    note = (f'{len(complain)} profile(s) were in complain mode' if complain
+            else 'No profiles were in complain mode')
+    return {'complain': complain}, note, {}
+
+
+def _undo_apparmor(before, snap_dir):
+    complain = before.get('complain') or []
+    if not all(isinstance(name, str) and PROFILE_RE.match(name) for name in complain):
+        raise ValueError('malformed AppArmor profile name')
+    return [['aa-complain', name] for name in complain]
+
+
+def _capture_lynis(run, snap_dir):
+    values = _sysctl_values(LYNIS_SYSCTL_KEYS)
+    files = {}
+    existed = _saved_conf(SYSCTL_CONF, 'sysctl-hardening.conf', snap_dir, files)
+    note = f'{len(values)} sysctl value(s) recorded; {SYSCTL_CONF} ' + ('saved' if existed else 'did not exist')
+    return {'sysctl': values, 'conf_existed': existed}, note, files
+
+
+def _undo_lynis(before, snap_dir):
+    return (_sysctl_undo(before.get('sysctl', {}), LYNIS_SYSCTL_KEYS) +
+            _conf_undo(before.get('conf_existed'), SYSCTL_CONF, 'sysctl-hardening.conf',
+                       snap_dir, LYNIS_SYSCTL_KEYS))
+
+
+def _capture_tiger(run, snap_dir):
+    modes = {}
+    for p in TIGER_PATHS:
+        try:
+            modes[p] = format(stat.S_IMODE(os.stat(p).st_mode), '04o')
+        except OSError:
+            pass
+    values = _sysctl_values(TIGER_SYSCTL_KEYS)
+    note = ', '.join(f'{p} {m}' + ('' if m in TIGER_MODES[p] else ' (not restorable — outside the allowed modes)')
+                     for p, m in modes.items()) or 'No paths recorded'
+    return {'modes': modes, 'sysctl': values}, note, {}
+
+
+def _undo_tiger(before, snap_dir):
+    modes = before.get('modes') or {}
+    if not all(p in TIGER_MODES for p in modes):
+        raise ValueError('unexpected path in tiger modes')
+    return ([['chmod', mode, p] for p, mode in modes.items() if mode in TIGER_MODES[p]] +
+            _sysctl_undo(before.get('sysctl', {}), TIGER_SYSCTL_KEYS))
+
+
+def _capture_services(units):
+    def capture(run, snap_dir):
+        state = {u: _read(['systemctl', 'is-active', u], timeout=5).strip() or 'inactive' for u in units}
+        note = ', '.join(f'{u} {s}' for u, s in state.items())
+        return {'services': state}, note, {}
+    return capture
+
+
+def _undo_services(units):
+    def undo(before, snap_dir):
+        state = before.get('services') or {}
+        if not all(u in units for u in state):
+            raise ValueError('unexpected service unit')
+        return [['systemctl', 'stop', u] for u, s in state.items() if s != 'active']
+    return undo
+
+
+CAPTURES = {
+    'ufw':      (_capture_ufw, _undo_ufw),
+    'selinux':  (_capture_selinux, _undo_selinux),
+    'apparmor': (_capture_apparmor, _undo_apparmor),
+    'lynis':    (_capture_lynis, _undo_lynis),
+    'tiger':    (_capture_tiger, _undo_tiger),
+    **{tool: (_capture_services(units), _undo_services(units)) for tool, units in SERVICE_UNITS.items()},
+}
+
+# Effects only known after the defend step ran: (snap, result) -> None,
+# adding to the snapshot's before-state and note
+APPLIED = {
+    'ufw': _applied_ufw,
+}
+
+
+def build_undo(snap):
+    """Undo commands for a snapshot, rebuilt from its before-state. Raises
+    ValueError if the before-state holds anything its defend step cannot set."""
+    entry = CAPTURES.get(snap.get('tool'))
+    if not entry or not valid_changeset(snap.get('changeset')):
+        raise ValueError('no rollback procedure for this snapshot')
+    before = snap.get('before')
+    if not isinstance(before, dict):
+        raise ValueError('malformed before-state')
+    return entry[1](before, CHANGESETS_DIR / snap['changeset'])
+
+
+# ── Public API ────────────────────────────────────────────────────────────────
+
+def capture_snapshot(changeset_id, tool, run):
+    """Record the before-state for one tool. Never raises — a failed capture
+    is stored as reversible=false with the reason in note."""
+    snap_dir = CHANGESETS_DIR / changeset_id
+    snap = {
+        'changeset':      changeset_id,
+        'tool':           tool,
+        'captured_at':    datetime.now().isoformat(timespec='milliseconds'),
+        'reversible':     False,
+        'note':           NOT_REVERSIBLE.get(tool, 'No rollback procedure defined for this tool'),
+        'before':         {},
+        'undo':           [],
+        'files':          {},
+        'result':         None,
+        'reverted_at':    None,
+        'revert_results': [],
+    }
+    if tool in CAPTURES:
+        try:
+            snap_dir.mkdir(parents=True, exist_ok=True)
+            before, note, files = CAPTURES[tool][0](run, snap_dir)
+            snap.update(before=before, note=note, files=files)
+            undo = build_undo(snap)
+            snap.update(undo=undo, reversible=bool(undo))
+            if not undo:
+                snap['note'] = note + ' — already in the hardened state, nothing to revert'
+        except Exception as e:
+            snap['note'] = f'Before-state could not be captured: {e}'
+    save_snapshot(snap)
+    return snap
+
+
+def record_applied(snap, result):
+    """Add what the defend step itself reported (e.g. rules it inserted) to a
+    captured snapshot and store the step's outcome on it."""
+    applied = APPLIED.get(snap['tool'])
+    if applied and snap.get('reversible') and result.get('success'):
+        applied(snap, result)
+        try:
+            snap['undo'] = build_undo(snap)
+        except (ValueError, OSError) as e:
+            snap.update(reversible=False, note=f"{snap['note']} — not reversible: {e}")
+    snap['result'] = {k: result.get(k) for k in ('success', 'level', 'summary', 'error')}
+    save_snapshot(snap)
+
+
+def save_snapshot(snap):
+    path = _snapshot_path(snap['changeset'], snap['tool'])
+    path.parent.mkdir(parents=True, exist_ok=True)
+    path.write_text(json.dumps(snap, indent=2))
+
+
+def load_changeset(changeset_id):
+    """All snapshots of one changeset, in capture order."""
+    d = CHANGESETS_DIR / changeset_id
+    if not d.is_dir():
+        return []
+    snaps = []
+    for f in d.glob('*.json'):
+        try:
+            snaps.append(json.loads(f.read_text()))
+        except (OSError, ValueError):
+            continue
+    return sorted(snaps, key=lambda s: s.get('captured_at') or '')
+
+
+def revert_snapshot(snap, run):
+    """Rebuild a snapshot's undo commands from its before-state, run them and
+    record the outcome on it. The stored undo list is never executed."""
+    if not snap.get('reversible'):
+        return {'tool': snap['tool'], 'success': False, 'skipped': True, 'summary': snap.get('note', '')}
+    if snap.get('reverted_at'):
+        return {'tool': snap['tool'], 'success': True, 'skipped': True,
+                'summary': f"Already reverted at {snap['reverted_at']}"}
+    try:
+        undo = build_undo(snap)
+    except (ValueError, OSError) as e:
+        return {'tool': snap['tool'], 'success': False, 'steps': [],
+                'summary': f'Snapshot rejected — {e}'}
+    steps = []
+    for cmd in undo:
+        try:
+            r = run(cmd, timeout=30)
+            steps.append({'cmd': ' '.join(cmd), 'rc': r.returncode,
+                          'error': (r.stderr or '').strip()[:200] if r.returncode != 0 else ''})
+        except subprocess.TimeoutExpired:
+            steps.append({'cmd': ' '.join(cmd), 'rc': -1, 'error': 'timed out'})
+    ok = sum(1 for s in steps if s['rc'] == 0)
+    success = ok == len(steps)
+    if success:
+        snap['reverted_at'] = datetime.now().isoformat(timespec='seconds')
+    snap['revert_results'] = steps
+    save_snapshot(snap)
+    summary = (f"Restored previous state — {snap.get('note', '')}" if success
+               else f'{ok}/{len(steps)} undo step(s) succeeded — ' +
+                    next((s['error'] or s['cmd'] for s in steps if s['rc'] != 0), ''))
+    return {'tool': snap['tool'], 'success': success, 'steps': steps, 'summary': summary}
@@ -0,0 +1,471 @@
+#!/usr/bin/env python3
+"""
+Kjer Finding Parsers
+====================
+Turns raw security-tool output into normalized findings — one per real
+issue — so the GUI can count, diff and report on them without guessing from
+a free-text summary line.
+
+Every finding has the same shape:
+
+    {
+        "id":          "clamav-3f2a9c1b7d4e",   # stable fingerprint, see _fingerprint()
+        "tool":        "clamav",
+        "category":    "malware",                # see CATEGORIES
+        "severity":    "critical",               # see SEVERITIES
+        "title":       "Eicar-Test-Signature detected",
+        "path":        "/home/user/eicar.com",   # affected asset fields — only
+        "host":        None,                     # the ones that apply are set
+        "port":        None,
+        "cve":         [],
+        "evidence":    "/home/user/eicar.com: Eicar-Test-Signature FOUND",
+        "remediation": "Quarantine or delete the file, then rescan."
+    }
+
+Used by backend_api.cmd_run_tool; parse_findings() never raises.
+"""
+
+import hashlib
+import json
+import re
+import xml.etree.ElementTree as ET
+
+CATEGORIES = ('malware', 'rootkit', 'integrity', 'hardening', 'intrusion', 'vulnerability')
+SEVERITIES = ('critical', 'high', 'medium', 'low', 'info')
+
+# Backend finding_level for each severity (the scale _parse_tool_output uses)
+SEVERITY_LEVELS = {
+    'critical': 'critical',
+    'high':     'error',
+    'medium':   'warning',
+    'low':      'info',
+    'info':     'info',
+}
+
+# Directories whose files an attacker replaces to persist or hide
+CRITICAL_PATHS = ('/bin/', '/sbin/', '/usr/bin/', '/usr/sbin/', '/lib/', '/usr/lib/', '/boot/', '/etc/')
+
+# chkrootkit pattern matches that fire on stock GNU coreutils (documented
+# upstream, never fixed). Not real issues, so they produce no finding.
+CHKROOTKIT_FALSE_POSITIVES = frozenset([
+    'basename', 'date', 'dirname', 'echo', 'head', 'ls',
+    'ps', 'readdir', 'strings', 'top',
+])
+
+CVE_RE = re.compile(r'CVE-\d{4}-\d{4,}', re.I)
+
+
+def _fingerprint(tool, category, rule, host=None, path=None, port=None):
+    """Stable ID for a finding: the same issue on the same asset hashes to the
+    same value on every run. Counts, timestamps and free text are excluded."""
+    basis = '|'.join(str(x or '') for x in (tool, category, rule, host, path, port))
+    return f'{tool}-{hashlib.sha1(basis.encode()).hexdigest()[:12]}'
+
+
+def make_finding(tool, category, severity, title, evidence='', remediation='',
+                 rule=None, path=None, host=None, port=None, cve=None):
+    cves = sorted(set(c.upper() for c in (cve or [])))
+    return {
+        'id':          _fingerprint(tool, category, rule or title, host, path, port),
+        'tool':        tool,
+        'category':    category,
+        'severity':    severity,
+        'title':       title,
+        'path':        path,
+        'host':        host,
+        'port':        port,
+        'cve':         cves,
+        'evidence':    (evidence or '').strip()[:500],
+        'remediation': remediation,
+    }
+
+
+def _path_severity(path, default='medium'):
+    return 'high' if path and path.startswith(CRITICAL_PATHS) else default
+
+
+# ── ClamAV ────────────────────────────────────────────────────────────────────
+# clamscan --infected:  /path/to/file: Eicar-Test-Signature FOUND
+
+def parse_clamav(output, returncode):
+    findings = []
+    for line in output.splitlines():
+        m = re.match(r'^(.+?):\s+(\S.*?)\s+FOUND\s*$', line.strip())
+        if not m:
+            continue
+        path, signature = m.group(1), m.group(2)
+        findings.append(make_finding(
+            'clamav', 'malware', 'critical', f'{signature} detected',
+            evidence=line, rule=signature, path=path,
+            remediation='Quarantine or delete the file, then rescan (DEFEND runs freshclam and a targeted clamscan).',
+        ))
+    return findings
+
+
+# ── rkhunter ──────────────────────────────────────────────────────────────────
+# --quiet prints "Warning: <text>" followed by indented detail lines such as
+# "         File: /usr/bin/lsof"; verbose runs print "<check>  [ Warning ]".
+
+def parse_rkhunter(output, returncode):
+    findings = []
+    current = None
+
+    def _flush():
+        if not current:
+            return
+        text  = current['text']
+        lower = text.lower()
+        if not current['path']:
+            pm = re.search(r'(/[^\s:\'"]+)', text)
+            current['path'] = pm.group(1) if pm else None
+        is_rootkit = 'rootkit' in lower or 'backdoor' in lower or 'hidden' in lower
+        findings.append(make_finding(
+            'rkhunter',
+            'rootkit' if is_rootkit else 'integrity',
+            'high' if is_rootkit else _path_severity(current['path']),
+            text[:120],
+            evidence='\n'.join(current['lines']),
+            rule=re.sub(r'\s+', ' ', lower)[:80],
+            path=current['path'],
+            remediation=('Investigate immediately and consider rebuilding from known-good media; '
+                         'see /var/log/rkhunter.log.' if is_rootkit else
+                         'Verify the change against package updates (debsums / rpm -Va), then run rkhunter --propupd.'),
+        ))
+
+    for line in output.splitlines():
+        stripped = line.strip()
+        m = re.match(r'^Warning:\s*(.+)$', stripped, re.I)
+        if m:
+            _flush()
+            current = {'text': m.group(1).rstrip(':'), 'path': None, 'lines': [stripped]}
+            continue
+        m = re.match(r'^(.+?)\s+\[\s*(Warning|Found)\s*\]$', stripped, re.I)
+        if m:
+            _flush()
+            subject = m.group(1).strip()
+            current = {
+                'text':  f'{subject} — {m.group(2).lower()}',
+                'path':  subject if subject.startswith('/') else None,
+                'lines': [stripped],
+            }
+            continue
+        if current and line[:1].isspace() and stripped:
+            current['lines'].append(stripped)
+            fm = re.match(r'^File:\s*(/\S+)', stripped)
+            if fm and not current['path']:
+                current['path'] = fm.group(1)
+        elif not stripped:
+            _flush()
+            current = None
+    _flush()
+    return findings
+
+
+# ── chkrootkit ────────────────────────────────────────────────────────────────
+# "Checking `basename'... INFECTED", "Warning: Possible ... installed",
+# and a "suspicious files and directories" section listing paths.
+
+def parse_chkrootkit(output, returncode):
+    findings = []
+    in_suspicious = False
+    for line in output.splitlines():
+        stripped = line.strip()
+        lower    = stripped.lower()
+
+        if re.search(r'(?<!not )\binfected\b', lower):
+            m = re.search(r"Checking\s+`([^']+)'", stripped, re.I)
+            name = m.group(1).strip() if m else stripped[:60]
+            if name.lower() in CHKROOTKIT_FALSE_POSITIVES:
+                continue
+            findings.append(make_finding(
+                'chkrootkit', 'rootkit', 'high', f'{name}: infected pattern matched',
+                evidence=stripped, rule=name.lower(),
+                remediation='Cross-check the binary with debsums / rpm -Va and rkhunter; reinstall the owning package if it differs.',
+            ))
+            in_suspicious = False
+            continue
+
+        if re.search(r'possible .* (rootkit|installed)', lower):
+            findings.append(make_finding(
+                'chkrootkit', 'rootkit', 'high', stripped.replace('Warning: ', '')[:120],
+                evidence=stripped, rule=lower[:80],
+                remediation='Inspect the reported files and processes; treat the host as compromised until cleared.',
+            ))
+            continue
+
+        if 'suspicious files' in lower and 'found' in lower:
+            in_suspicious = True
+            continue
+        if in_suspicious:
+            paths = [p for p in stripped.split() if p.startswith('/')]
+            if not paths:
+                in_suspicious = False
+                continue
+            for p in paths:
+                findings.append(make_finding(
+                    'chkrootkit', 'rootkit', 'medium', f'Suspicious file: {p}',
+                    evidence=stripped, rule='suspicious-file', path=p,
+                    remediation='Confirm which package owns the file (dpkg -S / rpm -qf); remove it if unowned and unexpected.',
+                ))
+    return findings
+
+
+# ── Lynis ─────────────────────────────────────────────────────────────────────
+# Console: "! Reboot of system is most likely needed [BOOT-5180]" (warning)
+#          "* Consider hardening SSH configuration [SSH-7408]"    (suggestion)
+# Report (/var/log/lynis-report.dat): warning[]=ID|text|details|solution|
+
+def parse_lynis(output, returncode):
+    findings = {}
+
+    def _add(kind, test_id, text, solution=''):
+        severity = 'medium' if kind == 'warning' else 'low'
+        key = (kind, test_id or text)
+        if key in findings:
+            return
+        findings[key] = make_finding(
+            'lynis', 'hardening', severity, text[:140],
+            evidence=f'[{test_id}] {text}' if test_id else text, rule=test_id or text,
+            remediation=(solution if solution and solution != '-' else
+                         f'See: lynis show details {test_id}' if test_id else
+                         'Review /var/log/lynis.log for the recommended change.'),
+        )
+
+    for line in output.splitlines():
+        stripped = line.strip()
+        m = re.match(r'^(warning|suggestion)\[\]=([^|]*)\|([^|]*)\|([^|]*)\|([^|]*)', stripped)
+        if m:
+            _add(m.group(1), m.group(2).strip(), m.group(3).strip(), m.group(5).strip())
+            continue
+        m = re.match(r'^([!*])\s+(.+?)\s*\[([A-Z]+-\d+)\]\s*$', stripped)
+        if m:
+            _add('warning' if m.group(1) == '!' else 'suggestion', m.group(3), m.group(2))
+    return list(findings.values())
+
+
+# ── AIDE ──────────────────────────────────────────────────────────────────────
+# "Added entries:" / "Removed entries:" / "Changed entries:" sections with
+# lines like "f++++++++++++++++: /etc/cron.d/x" or "f   ...    .C... : /etc/hosts";
+# older versions print "changed: /etc/passwd".
+
+_AIDE_SECTIONS = {'added entries': 'added', 'removed entries': 'removed', 'changed entries': 'changed'}
+
+
+def parse_aide(output, returncode):
+    findings = {}
+    section = None
+    for line in output.splitlines():
+        stripped = line.strip()
+        header = stripped.rstrip(':').lower()
+        if header in _AIDE_SECTIONS:
+            section = _AIDE_SECTIONS[header]
+            continue
+        if stripped.startswith('---') or not stripped:
+            continue
+        if re.match(r'^(detailed information|the attributes)', stripped, re.I):
+            section = None
+            continue
+
+        m = re.match(r'^(added|removed|changed):\s*(/\S+)', stripped, re.I)
+        if m:
+            change, path = m.group(1).lower(), m.group(2)
+        else:
+            m = re.match(r'^[fdlcbpsD!][^:]*:\s*(/\S.*)$', stripped)
+            if not (m and section):
+                continue
+            change, path = section, m.group(1).strip()
+
+        if (change, path) in findings:
+            continue
+        findings[(change, path)] = make_finding(
+            'aide', 'integrity',
+            'medium' if change == 'added' else _path_severity(path),
+            f'File {change}: {path}',
+            evidence=stripped, rule=change, path=path,
+            remediation='Confirm the change was authorised (package update, admin edit); approve with: sudo aide --update',
+        )
+    return list(findings.values())
+
+
+# ── Tripwire ──────────────────────────────────────────────────────────────────
+# Report sections "Added:", "Modified:", "Removed:" list quoted object names;
+# "Severity Level: N" on the enclosing rule sets the severity.
+
+def parse_tripwire(output, returncode):
+    findings = {}
+    section = None
+    rule_severity = 0
+    for line in output.splitlines():
+        stripped = line.strip()
+        m = re.match(r'^Severity Level:\s*(\d+)', stripped, re.I)
+        if m:
+            rule_severity = int(m.group(1))
+            continue
+        m = re.match(r'^(Added|Modified|Removed):$', stripped)
+        if m:
+            section = m.group(1).lower()
+            continue
+        if not section:
+            continue
+        m = re.match(r'^"?(/[^"]+)"?$', stripped)
+        if not m:
+            if stripped and not stripped.startswith('-'):
+                section = None
+            continue
+        path = m.group(1)
+        if (section, path) in findings:
+            continue
+        severity = 'high' if rule_severity >= 100 else _path_severity(path)
+        findings[(section, path)] = make_finding(
+            'tripwire', 'integrity', severity, f'Policy violation ({section}): {path}',
+            evidence=stripped, rule=section, path=path,
+            remediation='Confirm the change was authorised; approve with: sudo tripwire --update',
+        )
+    return list(findings.values())
+
+
+# ── Suricata ──────────────────────────────────────────────────────────────────
+# eve.json alert events, or fast.log lines:
+#   10/18/2026-12:00:00.000 [**] [1:2013028:7] ET POLICY curl UA [**]
+#   [Classification: ...] [Priority: 2] {TCP} 10.0.0.5:51514 -> 93.184.216.34:80
+# One finding per signature and destination service (host = dest, port =
+# dest port); the sources that triggered it are listed in the evidence.
+
+_SURICATA_PRIORITY = {1: 'high', 2: 'medium', 3: 'low'}
+_FAST_RE = re.compile(
+    r'\[\d+:(\d+):\d+\]\s+(.+?)\s+\[\*\*\].*?\[Priority:\s*(\d+)\]\s*\{(\w+)\}\s*'
+    r'([\d.:a-fA-F]+?)(?::(\d+))?\s+->\s+([\d.:a-fA-F]+?)(?::(\d+))?\s*$'
+)
+
+
+def parse_suricata(output, returncode):
+    alerts = {}
+
+    def _add(sid, signature, priority, src, dest, dport, evidence):
+        key = (sid, dest, dport)
+        if key in alerts:
+            alerts[key]['count'] += 1
+            if src and src not in alerts[key]['sources']:
+                alerts[key]['sources'].append(src)
+            return
+        alerts[key] = {
+            'count': 1, 'sid': sid, 'signature': signature, 'priority': priority,
+            'sources': [src] if src else [], 'dest': dest, 'dport': dport, 'evidence': evidence,
+        }
+
+    for line in output.splitlines():
+        stripped = line.strip()
+        if stripped.startswith('{'):
+            try:
+                ev = json.loads(stripped)
+            except ValueError:
+                continue
+            if ev.get('event_type') != 'alert':
+                continue
+            a = ev.get('alert') or {}
+            _add(str(a.get('signature_id', '')), a.get('signature', 'Suricata alert'),
+                 int(a.get('severity') or 3), ev.get('src_ip'), ev.get('dest_ip'),
+                 ev.get('dest_port'), stripped)
+            continue
+        m = _FAST_RE.search(stripped)
+        if m:
+            _add(m.group(1), m.group(2), int(m.group(3)), m.group(5), m.group(7),
+                 int(m.group(8)) if m.group(8) else None, stripped)
+
+    findings = []
+    for a in alerts.values():
+        sources = ', '.join(a['sources'][:10]) + (f" and {len(a['sources']) - 10} more" if len(a['sources']) > 10 else '')
+        evidence = a['evidence']
+        if len(a['sources']) > 1:
+            evidence += f'\nsources: {sources}'
+        if a['count'] > 1:
+            evidence += f"\n(seen {a['count']} times)"
+        findings.append(make_finding(
+            'suricata', 'intrusion', _SURICATA_PRIORITY.get(a['priority'], 'low'),
+            a['signature'],
+            evidence=evidence,
+            rule=a['sid'], host=a['dest'], port=a['dport'],
+            cve=CVE_RE.findall(a['signature']),
+            remediation=(f"Investigate traffic from {sources or 'unknown sources'} to {a['dest']}; "
+                         'block the source if hostile (DEFEND adds it to the firewall and fail2ban).'),
+        ))
+    return findings
+
+
+# ── OpenVAS / GVM ─────────────────────────────────────────────────────────────
+# GMP XML report (get_reports / exported report): one <result> per issue.
+
+_OPENVAS_THREAT = {'high': 'high', 'medium': 'medium', 'low': 'low', 'log': 'info', 'debug': 'info'}
+
+
+def parse_openvas(output, returncode):
+    start = output.find('<')
+    if start < 0:
+        return []
+    try:
+        root = ET.fromstring(output[start:])
+    except ET.ParseError:
+        return []
+
+    findings = {}
+    for res in root.iter('result'):
+        nvt   = res.find('nvt')
+        oid   = nvt.get('oid', '') if nvt is not None else ''
+        name  = (res.findtext('name') or (nvt.findtext('name') if nvt is not None else '') or 'OpenVAS result').strip()
+        host  = (res.findtext('host') or '').strip() or None
+        port  = (res.findtext('port') or '').strip() or None
+        try:
+            score = float(res.findtext('severity') or 0)
+        except ValueError:
+            score = 0.0
+        threat   = (res.findtext('threat') or '').strip().lower()
+        severity = 'critical' if score >= 9.0 else _OPENVAS_THREAT.get(threat, 'info')
+        if severity == 'info':
+            continue
+        cves = [r.get('id', '') for r in res.iter('ref') if r.get('type', '').lower() == 'cve']
+        if not cves and nvt is not None:
+            cves = CVE_RE.findall(nvt.findtext('cve') or '')
+        solution = (nvt.findtext('solution') if nvt is not None else '') or ''
+        key = (oid or name, host, port)
+        if key in findings:
+            continue
+        findings[key] = make_finding(
+            'openvas', 'vulnerability', severity, name,
+            evidence=(res.findtext('description') or '').strip() or f'CVSS {score}',
+            rule=oid or name, host=host, port=port, cve=cves,
+            remediation=solution.strip() or 'Apply the vendor patch or configuration fix referenced by the NVT.',
+        )
+    return list(findings.values())
+
+
+PARSERS = {
+    'clamav':     parse_clamav,
+    'rkhunter':   parse_rkhunter,
+    'chkrootkit': parse_chkrootkit,
+    'lynis':      parse_lynis,
+    'aide':       parse_aide,
+    'tripwire':   parse_tripwire,
+    'suricata':   parse_suricata,
+    'openvas':    parse_openvas,
+    'gvm':        parse_openvas,
+}
+
+
+def parse_findings(tool_name, output, returncode=0):
+    """Return the normalized findings for a tool run, or [] when the tool has
+    no parser or its output can't be parsed."""
+    parser = PARSERS.get(tool_name)
+    if not parser:
+        return []
+    try:
+        return parser(output or '', returncode)
+    except Exception:
+        return []
+
+
+def worst_level(findings):
+    """Backend finding_level of the most severe finding (None when empty)."""
+    for sev in SEVERITIES:
+        if any(f['severity'] == sev for f in findings):
+            return SEVERITY_LEVELS[sev]
+    return None
@@ -0,0 +1,184 @@
+#!/usr/bin/env python3
+"""
+Kjer Finding Parser Tests
+=========================
+Fixture-driven checks for lib/finding_parsers.py: each parser is fed a
+typical piece of its tool's output and an empty run.
+
+    cd lib && python3 -m unittest test_finding_parsers
+"""
+
+import unittest
+
+import finding_parsers as fp
+
+# ─────────────────────────── fixtures ───────────────────────────
+# tool: (typical output, [(severity, title, path, host, port), ...] expected in order)
+
+FIXTURES = {
+    'clamav': (
+        '/home/user/eicar.com: Eicar-Test-Signature FOUND\n'
+        '/usr/bin/ls: OK\n'
+        '\n'
+        '----------- SCAN SUMMARY -----------\n'
+        'Infected files: 1\n',
+        [('critical', 'Eicar-Test-Signature detected', '/home/user/eicar.com', None, None)],
+    ),
+    'rkhunter': (
+        'Warning: The file properties have changed:\n'
+        '         File: /usr/bin/lsof\n'
+        '         Current hash: 3f2a\n'
+        '\n'
+        'Warning: Hidden directory found: /etc/.java\n',
+        [('high', 'The file properties have changed', '/usr/bin/lsof', None, None),
+         ('high', 'Hidden directory found: /etc/.java', '/etc/.java', None, None)],
+    ),
+    'chkrootkit': (
+        "Checking `basename'... INFECTED\n"
+        "Checking `login'... INFECTED\n"
+        "Checking `ls'... not infected\n"
+        'Searching for suspicious files and dirs, it may take a while... The following suspicious files and directories were found:\n'
+        '/usr/lib/.hidden /tmp/.x\n'
+        'Checking `lkm\'... chkproc: nothing detected\n',
+        [('high', 'login: infected pattern matched', None, None, None),
+         ('medium', 'Suspicious file: /usr/lib/.hidden', '/usr/lib/.hidden', None, None),
+         ('medium', 'Suspicious file: /tmp/.x', '/tmp/.x', None, None)],
+    ),
+    'lynis': (
+        '  ! Reboot of system is most likely needed [BOOT-5180]\n'
+        '  * Consider hardening SSH configuration [SSH-7408]\n'
+        'warning[]=BOOT-5180|Reboot of system is most likely needed|-|-|\n',
+        [('medium', 'Reboot of system is most likely needed', None, None, None),
+         ('low', 'Consider hardening SSH configuration', None, None, None)],
+    ),
+    'aide': (
+        'AIDE found differences between database and filesystem!!\n'
+        '\n'
+        'Added entries:\n'
+        '---------------------------------------------------\n'
+        'f++++++++++++++++: /etc/cron.d/x\n'
+        '\n'
+        'Changed entries:\n'
+        '---------------------------------------------------\n'
+        'f   ...    .C... : /usr/bin/passwd\n'
+        '\n'
+        'Detailed information about changes:\n'
+        'File: /usr/bin/passwd\n',
+        [('medium', 'File added: /etc/cron.d/x', '/etc/cron.d/x', None, None),
+         ('high', 'File changed: /usr/bin/passwd', '/usr/bin/passwd', None, None)],
+    ),
+    'tripwire': (
+        'Rule Name: Critical system boot files (/boot)\n'
+        'Severity Level: 100\n'
+        '-------------------------------------------------------------------------------\n'
+        'Modified:\n'
+        '"/boot/vmlinuz"\n'
+        '\n'
+        'Rule Name: User data\n'
+        'Severity Level: 33\n'
+        'Added:\n'
+        '"/home/user/notes.txt"\n',
+        [('high', 'Policy violation (modified): /boot/vmlinuz', '/boot/vmlinuz', None, None),
+         ('medium', 'Policy violation (added): /home/user/notes.txt', '/home/user/notes.txt', None, None)],
+    ),
+    'suricata': (
+        '10/18/2026-12:00:00.000 [**] [1:2013028:7] ET POLICY curl UA [**] '
+        '[Classification: Attempted Information Leak] [Priority: 2] {TCP} 10.0.0.5:51514 -> 93.184.216.34:80\n'
+        '10/18/2026-12:00:05.000 [**] [1:2013028:7] ET POLICY curl UA [**] '
+        '[Classification: Attempted Information Leak] [Priority: 2] {TCP} 10.0.0.6:51600 -> 93.184.216.34:80\n'
+        '{"event_type": "flow", "src_ip": "10.0.0.5"}\n'
+        '{"event_type": "alert", "src_ip": "203.0.113.9", "dest_ip": "10.0.0.1", "dest_port": 22, '
+        '"alert": {"signature_id": 2001219, "signature": "ET SCAN Potential SSH Scan", "severity": 1}}\n',
+        [('medium', 'ET POLICY curl UA', None, '93.184.216.34', 80),
+         ('high', 'ET SCAN Potential SSH Scan', None, '10.0.0.1', 22)],
+    ),
+    'openvas': (
+        '<report><results>'
+        '<result><name>OpenSSH Multiple Vulnerabilities</name><host>10.0.0.1</host><port>22/tcp</port>'
+        '<severity>9.8</severity><threat>High</threat>'
+        '<nvt oid="1.3.6.1.4.1.25623.1.0.1"><solution>Update OpenSSH.</solution></nvt>'
+        '<refs><ref type="cve" id="CVE-2024-6387"/></refs></result>'
+        '<result><name>TCP timestamps</name><host>10.0.0.1</host><port>general/tcp</port>'
+        '<severity>2.6</severity><threat>Low</threat><nvt oid="1.3.6.1.4.1.25623.1.0.2"/></result>'
+        '<result><name>OS Detection</name><host>10.0.0.1</host><port>general/tcp</port>'
+        '<severity>0.0</severity><threat>Log</threat><nvt oid="1.3.6.1.4.1.25623.1.0.3"/></result>'
+        '</results></report>',
+        [('critical', 'OpenSSH Multiple Vulnerabilities', None, '10.0.0.1', '22/tcp'),
+         ('low', 'TCP timestamps', None, '10.0.0.1', 'general/tcp')],
+    ),
+}
+
+# Output of a clean or empty run — a header or summary but nothing to report
+EMPTY_OUTPUT = {
+    'clamav':     '----------- SCAN SUMMARY -----------\nInfected files: 0\n',
+    'rkhunter':   '',
+    'chkrootkit': "Checking `ls'... not infected\nChecking `login'... not infected\n",
+    'lynis':      '  Hardening index : 72 [##############      ]\n',
+    'aide':       'AIDE found NO differences between database and filesystem. Looks okay!!\n',
+    'tripwire':   'Total violations found:  0\n',
+    'suricata':   '{"event_type": "stats", "stats": {}}\n',
+    'openvas':    '<report><results></results></report>',
+}
+
+
+class ParserFixtureTest(unittest.TestCase):
+
+    def test_every_parser_has_fixtures(self):
+        tools = set(fp.PARSERS) - {'gvm'}   # gvm shares parse_openvas
+        self.assertEqual(tools, set(FIXTURES))
+        self.assertEqual(tools, set(EMPTY_OUTPUT))
+
+    def test_typical_output(self):
+        for tool, (output, expected) in FIXTURES.items():
+            with self.subTest(tool=tool):
+                findings = fp.parse_findings(tool, output)
+                got = [(f['severity'], f['title'], f['path'], f['host'], f['port']) for f in findings]
+                self.assertEqual(got, expected)
+                for f in findings:
+                    self.assertEqual(f['tool'], tool)
+                    self.assertIn(f['category'], fp.CATEGORIES)
+                    self.assertIn(f['severity'], fp.SEVERITIES)
+                    self.assertTrue(f['id'].startswith(f'{tool}-'))
+                    self.assertTrue(f['remediation'])
+                self.assertEqual(len({f['id'] for f in findings}), len(findings), 'finding IDs must be unique')
+
+    def test_ids_are_stable_across_runs(self):
+        for tool, (output, _) in FIXTURES.items():
+            with self.subTest(tool=tool):
+                first  = [f['id'] for f in fp.parse_findings(tool, output)]
+                second = [f['id'] for f in fp.parse_findings(tool, output)]
+                self.assertEqual(first, second)
+
+    def test_empty_output(self):
+        for tool, output in EMPTY_OUTPUT.items():
+            with self.subTest(tool=tool):
+                self.assertEqual(fp.parse_findings(tool, output), [])
+                self.assertEqual(fp.parse_findings(tool, ''), [])
+                self.assertEqual(fp.parse_findings(tool, None), [])
+
+    def test_chkrootkit_skips_known_false_positives(self):
+        output = "Checking `basename'... INFECTED\nChecking `date'... INFECTED\n"
+        self.assertEqual(fp.parse_findings('chkrootkit', output), [])
+
+    def test_suricata_lists_every_source(self):
+        output, _ = FIXTURES['suricata']
+        curl = fp.parse_findings('suricata', output)[0]
+        self.assertIn('sources: 10.0.0.5, 10.0.0.6', curl['evidence'])
+        self.assertIn('(seen 2 times)', curl['evidence'])
+
+    def test_openvas_cves_and_gvm_alias(self):
+        output, _ = FIXTURES['openvas']
+        findings = fp.parse_findings('gvm', output)
+        self.assertEqual(findings[0]['cve'], ['CVE-2024-6387'])
+        self.assertEqual(findings[0]['remediation'], 'Update OpenSSH.')
+        self.assertEqual(fp.parse_findings('openvas', 'not xml <broken'), [])
+
+    def test_unknown_tool_and_worst_level(self):
+        self.assertEqual(fp.parse_findings('no-such-tool', 'anything'), [])
+        output, _ = FIXTURES['openvas']
+        self.assertEqual(fp.worst_level(fp.parse_findings('openvas', output)), 'critical')
+        self.assertIsNone(fp.worst_level([]))
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,460 @@
+#!/usr/bin/env python3
+"""
+Kjer Tool Plugins
+=================
+Third-party tools described by a manifest instead of code. Each plugin is a
+directory under ~/.kjer/plugins named after its tool key:
+
+    ~/.kjer/plugins/crowdsec/manifest.json
+    {
+        "manifest":    1,
+        "name":        "CrowdSec",
+        "version":     "1.6.2",
+        "author":      "Example Org",
+        "homepage":    "https://www.crowdsec.net",
+        "description": "Collaborative IPS - bans IPs behind attack scenarios",
+        "details":     "Longer text for the toolbox card (optional)",
+        "category":    "Defense",                        # toolbox category
+        "os":          ["linux"],
+        "binary":      "cscli",                          # installed-check
+        "packages":    {"apt": "crowdsec", "dnf": "crowdsec"},
+        "sizeMb":      60,
+        "roles":       ["compliance_scan", "ips"],       # see SCAN_ROLES / DEFEND_ROLES
+        "scan":        {"cmd": ["cscli", "alerts", "list", "-o", "json"],
+                        "timeout": 120, "okExitCodes": [0]},
+        "parser":      {"type": "json", "items": "", "category": "intrusion",
+                        "fields": {"title": "scenario", "host": "source.ip"},
+                        "severity": "high"},
+        "defend":      {"cmds": [["cscli", "hub", "upgrade"]],
+                        "summary": "CrowdSec hub scenarios and parsers upgraded",
+                        "timeout": 120, "okExitCodes": [0]},
+        "advisory":    "Shown as the fix applied to this tool's findings",
+        "risk":        "Shown as why this tool's findings matter"
+    }
+
+A scan role needs a "scan" section and a defend role a "defend" section.
+Commands are argv lists run through backend_api.run_privileged, exactly like
+the built-in tools — as root wherever /etc/sudoers.d/kjer allows the binary.
+A manifest therefore cannot use generic binaries (DENIED_COMMANDS: shells,
+interpreters, cp / tee / chmod, package managers, systemctl…) whose arguments
+sudoers does not pin down, each package entry is a single package name, and no
+command runs until the user has trusted the plugin in the Tool Box. Trust is
+recorded in ~/.kjer/plugins/trusted.json as the SHA-256 of the manifest, so
+any later edit to the manifest has to be trusted again.
+
+The parser turns scan output into normalized findings (see finding_parsers):
+
+    regex       one finding per matching line; named groups title, path, host,
+                port, rule, severity and cve fill the finding (Python syntax:
+                (?P<title>...)); the title defaults to the whole line
+    json        the whole output is JSON; "items" is the dotted path to the
+                list of results ("" for a top-level list)
+    json-lines  one JSON object per line
+    none        no findings — the exit code decides the scan result
+
+json and json-lines map finding fields to dotted paths in each item with
+"fields". A raw severity value is looked up in "severityMap" (value ->
+severity); anything else falls back to the parser's "severity".
+
+Valid plugins become tool database entries in the "plugins" category, in the
+same shape as db/defensive-tools-db.yaml entries (gui block included), with the
+manifest's extra data under "plugin". Invalid ones are returned with their
+errors so the desktop app can flag them.
+"""
+
+import hashlib
+import json
+import re
+from pathlib import Path
+
+from finding_parsers import CATEGORIES, SEVERITIES, CVE_RE, make_finding, worst_level
+
+PLUGINS_DIR      = Path.home() / '.kjer' / 'plugins'
+MANIFEST_NAME    = 'manifest.json'
+MANIFEST_VERSION = 1
+TRUST_FILE       = PLUGINS_DIR / 'trusted.json'
+PLUGIN_KEY_RE    = re.compile(r'^[a-z0-9][a-z0-9-]{0,39}$')
+PACKAGE_NAME_RE  = re.compile(r'^[a-z0-9][a-z0-9.+-]*$')
+
+# Binaries that turn an argv into arbitrary root access when run through sudo:
+# shells and interpreters, file writers, permission changers, package managers
+# and service control. A plugin command must run the tool's own binary.
+DENIED_COMMANDS = frozenset([
+    'sh', 'bash', 'dash', 'zsh', 'ksh', 'csh', 'tcsh', 'fish', 'busybox', 'env', 'sudo', 'su',
+    'doas', 'pkexec', 'nohup', 'setsid', 'xargs', 'find', 'awk', 'gawk', 'sed', 'perl', 'ruby',
+    'node', 'php', 'lua', 'tclsh', 'cp', 'mv', 'tee', 'dd', 'install', 'ln', 'rm', 'rsync',
+    'tar', 'unzip', 'curl', 'wget', 'vi', 'vim', 'nano', 'ed', 'chmod', 'chown', 'chgrp',
+    'chattr', 'setfacl', 'crontab', 'at', 'visudo', 'mount', 'useradd', 'usermod', 'passwd',
+    'systemctl', 'service', 'apt', 'apt-get', 'dpkg', 'dnf', 'yum', 'rpm', 'pacman', 'zypper',
+    'brew', 'snap', 'flatpak', 'pip', 'pip3',
+])
+_INTERPRETER_RE = re.compile(r'^(python|pypy|perl|ruby|php|node)[\d.]*$')
+
+# Mirror TOOL_ROLES in gui/app.js
+SCAN_ROLES   = ('network_scan', 'vuln_scan', 'malware_scan', 'integrity_scan', 'memory_scan',
+                'compliance_scan', 'siem')
+DEFEND_ROLES = ('firewall', 'ips', 'av_remediate', 'vuln_svc')
+
+PLATFORMS       = ('windows', 'macos', 'linux')
+PACKAGE_MGRS    = ('apt', 'dnf', 'pacman', 'zypper', 'brew')
+PARSER_TYPES    = ('regex', 'json', 'json-lines', 'none')
+FINDING_FIELDS  = ('title', 'path', 'host', 'port', 'rule', 'severity', 'cve')
+MANIFEST_FIELDS = ('manifest', 'name', 'version', 'author', 'homepage', 'description', 'details',
+                   'category', 'os', 'binary', 'packages', 'sizeMb', 'roles', 'scan', 'parser',
+                   'defend', 'advisory', 'risk')
+MAX_TIMEOUT     = 3600
+MAX_FINDINGS    = 500
+PLUGIN_PRIORITY = 5      # after the built-in tools when ranking by compatibility
+
+
+def _text(v, limit=2000):
+    return isinstance(v, str) and v.strip() != '' and len(v) <= limit
+
+
+def _argv(v):
+    return isinstance(v, list) and bool(v) and all(isinstance(a, str) for a in v) and v[0].strip() != ''
+
+
+def _denied_command(argv):
+    """argv[0]'s name when it is a generic binary a plugin may not run, else None."""
+    name = argv[0].strip().rsplit('/', 1)[-1]
+    return name if name in DENIED_COMMANDS or _INTERPRETER_RE.match(name) else None
+
+
+def _check_run(section, name, errors, argv_key):
+    """Validate a scan / defend section; argv_key is 'cmd' (one command) or 'cmds'."""
+    if not isinstance(section, dict):
+        errors.append(f'{name}: must be an object')
+        return
+    for k in section:
+        if k not in (argv_key, 'timeout', 'okExitCodes', 'summary'):
+            errors.append(f'{name}.{k}: unknown field')
+    if argv_key == 'cmd':
+        cmds = [section.get('cmd')]
+        if not _argv(cmds[0]):
+            errors.append(f'{name}.cmd: must be a command as a list of strings')
+            cmds = []
+    else:
+        cmds = section.get('cmds')
+        if not (isinstance(cmds, list) and cmds and all(_argv(c) for c in cmds)):
+            errors.append(f'{name}.cmds: must be a list of commands, each a list of strings')
+            cmds = []
+    for argv in cmds:
+        denied = _denied_command(argv)
+        if denied:
+            errors.append(f'{name}.{argv_key}: "{denied}" is not allowed — run the tool\'s own binary')
+    timeout = section.get('timeout', 120)
+    if not (isinstance(timeout, int) and 1 <= timeout <= MAX_TIMEOUT):
+        errors.append(f'{name}.timeout: must be 1-{MAX_TIMEOUT} seconds')
+    codes = section.get('okExitCodes', [0])
+    if not (isinstance(codes, list) and codes and all(isinstance(c, int) for c in codes)):
+        errors.append(f'{name}.okExitCodes: must be a list of exit codes')
+    if 'summary' in section and not _text(section['summary'], 300):
+        errors.append(f'{name}.summary: must be text')
+
+
+def _check_parser(p, errors):
+    if not isinstance(p, dict):
+        errors.append('parser: must be an object')
+        return
+    kind = p.get('type')
+    if kind not in PARSER_TYPES:
+        errors.append(f'parser.type: must be one of {", ".join(PARSER_TYPES)}')
+        return
+    if kind == 'none':
+        return
+    if p.get('category') not in CATEGORIES:
+        errors.append(f'parser.category: must be one of {", ".join(CATEGORIES)}')
+    if 'severity' in p and p['severity'] not in SEVERITIES:
+        errors.append(f'parser.severity: must be one of {", ".join(SEVERITIES)}')
+    smap = p.get('severityMap', {})
+    if not (isinstance(smap, dict) and all(v in SEVERITIES for v in smap.values())):
+        errors.append(f'parser.severityMap: values must be one of {", ".join(SEVERITIES)}')
+    if 'remediation' in p and not _text(p['remediation'], 500):
+        errors.append('parser.remediation: must be text')
+    if kind == 'regex':
+        try:
+            rx = re.compile(p.get('pattern') or '')
+            if not p.get('pattern'):
+                errors.append('parser.pattern: is required')
+            bad = [g for g in rx.groupindex if g not in FINDING_FIELDS]
+            if bad:
+                errors.append(f'parser.pattern: unknown group(s) {", ".join(bad)} — use {", ".join(FINDING_FIELDS)}')
+        except (re.error, TypeError) as e:
+            errors.append(f'parser.pattern: {e}')
+    else:
+        fields = p.get('fields')
+        if not (isinstance(fields, dict) and fields.get('title')
+                and all(k in FINDING_FIELDS and _text(v, 200) for k, v in fields.items())):
+            errors.append(f'parser.fields: must map {", ".join(FINDING_FIELDS)} to dotted paths (title required)')
+        if kind == 'json' and not isinstance(p.get('items', ''), str):
+            errors.append('parser.items: must be a dotted path ("" for a top-level list)')
+
+
+def validate_manifest(key, m):
+    """Return a list of "field: problem" strings (empty when the manifest is valid)."""
+    errors = []
+    if not PLUGIN_KEY_RE.match(key):
+        errors.append('directory name: must be a tool key — lowercase letters, digits and "-"')
+    if not isinstance(m, dict):
+        return errors + ['manifest: must be a JSON object']
+    errors += [f'{k}: unknown field' for k in m if k not in MANIFEST_FIELDS]
+    if m.get('manifest') != MANIFEST_VERSION:
+        errors.append(f'manifest: must be {MANIFEST_VERSION}')
+    for f in ('name', 'description', 'category'):
+        if not _text(m.get(f), 300):
+            errors.append(f'{f}: is required')
+    if not _text(m.get('version'), 40):
+        errors.append('version: must be a string such as "1.2.0"')
+    for f in ('details', 'advisory', 'risk', 'author'):
+        if f in m and not _text(m[f]):
+            errors.append(f'{f}: must be text')
+    if 'homepage' in m and not re.match(r'^https?://\S+$', str(m['homepage'])):
+        errors.append('homepage: must be an http(s) URL')
+    os_list = m.get('os')
+    if not (isinstance(os_list, list) and os_list and all(o in PLATFORMS for o in os_list)):
+        errors.append(f'os: must list one or more of {", ".join(PLATFORMS)}')
+    if not (_text(m.get('binary'), 200) and re.match(r'^[\w./+-]+$', m['binary'])):
+        errors.append('binary: must be the command that shows the tool is installed')
+    pkgs = m.get('packages')
+    if not (isinstance(pkgs, dict) and pkgs and all(pm in PACKAGE_MGRS for pm in pkgs)):
+        errors.append(f'packages: must map one or more of {", ".join(PACKAGE_MGRS)} to a package name')
+    else:
+        for pm, v in pkgs.items():
+            if not (isinstance(v, str) and len(v) <= 100 and PACKAGE_NAME_RE.match(v)):
+                errors.append(f'packages.{pm}: must be one package name (lowercase letters, digits, ".", "+", "-")')
+    if 'sizeMb' in m and not (isinstance(m['sizeMb'], (int, float)) and m['sizeMb'] >= 0):
+        errors.append('sizeMb: must be a number ≥ 0')
+
+    roles = m.get('roles')
+    if not (isinstance(roles, list) and roles and all(r in SCAN_ROLES + DEFEND_ROLES for r in roles)):
+        errors.append(f'roles: must list one or more of {", ".join(SCAN_ROLES + DEFEND_ROLES)}')
+        roles = []
+    if any(r in SCAN_ROLES for r in roles) and 'scan' not in m:
+        errors.append('scan: required by the scan role(s)')
+    if any(r in DEFEND_ROLES for r in roles) and 'defend' not in m:
+        errors.append('defend: required by the defend role(s)')
+    if 'scan' in m:
+        _check_run(m['scan'], 'scan', errors, 'cmd')
+        _check_parser(m.get('parser', {'type': 'none'}), errors)
+    elif 'parser' in m:
+        errors.append('parser: only applies to a plugin with a scan section')
+    if 'defend' in m:
+        _check_run(m['defend'], 'defend', errors, 'cmds')
+    return errors
+
+
+def _db_entry(key, m, plugin_dir, digest, trusted):
+    """A valid manifest as a tool database entry."""
+    scan, defend = m.get('scan'), m.get('defend')
+    entry = {
+        'binary':         m['binary'],
+        'description':    m['description'],
+        'packages':       m['packages'],
+        'tags':           ['community'],
+        'metrics':        {'estimated_size_mb': m.get('sizeMb', 0)},
+        'dependencies':   [],
+        'install_source': 'pkg',
+        'run_via':        'kjer' if scan else 'direct',
+        'gui': {
+            'name':          m['name'],
+            'category':      m['category'],
+            'summary':       m['description'],
+            'details':       m.get('details') or m['description'],
+            'version':       m['version'],
+            'os':            m['os'],
+            'compatibility': {o: (90 if o in m['os'] else 0) for o in PLATFORMS},
+            'size_mb':       m.get('sizeMb', 0),
+            'priority':      PLUGIN_PRIORITY,
+        },
+        'plugin': {
+            'dir':      str(plugin_dir),
+            'digest':   digest,
+            'trusted':  trusted,
+            'author':   m.get('author'),
+            'roles':    m['roles'],
+            'parser':   m.get('parser', {'type': 'none'}),
+            'advisory': m.get('advisory'),
+            'risk':     m.get('risk'),
+        },
+    }
+    if m.get('homepage'):
+        entry['gui']['url'] = m['homepage']
+    if scan:
+        entry['run_cmd'] = scan['cmd']
+        entry['plugin']['scan'] = {'timeout': scan.get('timeout', 120), 'ok_rcs': scan.get('okExitCodes', [0])}
+    if defend:
+        entry['plugin']['defend'] = {
+            'cmds':    defend['cmds'],
+            'summary': defend.get('summary') or f'{m["name"]}: defend commands completed',
+            'timeout': defend.get('timeout', 120),
+            'ok_rcs':  defend.get('okExitCodes', [0]),
+        }
+    return entry
+
+
+# ── Output parsing ────────────────────────────────────────────────────────────
+
+def _dig(item, dotted):
+    for part in dotted.split('.') if dotted else []:
+        if isinstance(item, dict):
+            item = item.get(part)
+        elif isinstance(item, list) and part.isdigit() and int(part) < len(item):
+            item = item[int(part)]
+        else:
+            return None
+    return item
+
+
+def _finding(tool, parser, raw, evidence):
+    """One finding from raw field values ({field: value or None})."""
+    title = str(raw.get('title') or evidence).strip()[:200]
+    sev   = raw.get('severity')
+    sev   = parser.get('severityMap', {}).get(str(sev), sev if sev in SEVERITIES else None) \
+        or parser.get('severity', 'medium')
+    port  = raw.get('port')
+    port  = int(port) if isinstance(port, int) or (isinstance(port, str) and port.isdigit()) else None
+    cve   = raw.get('cve')
+    cves  = CVE_RE.findall(' '.join(cve) if isinstance(cve, list) else str(cve or '')) or CVE_RE.findall(evidence)
+    return make_finding(
+        tool, parser['category'], sev, title,
+        evidence=evidence, rule=str(raw['rule']) if raw.get('rule') else None,
+        path=str(raw['path']) if raw.get('path') else None,
+        host=str(raw['host']) if raw.get('host') else None,
+        port=port, cve=cves,
+        remediation=parser.get('remediation', ''),
+    )
+
+
+def parse_output(tool, parser, output):
+    """Findings from a plugin's scan output; [] when there is nothing to parse."""
+    kind = parser.get('type', 'none')
+    findings = []
+    if kind == 'regex':
+        rx = re.compile(parser['pattern'])
+        for line in output.splitlines():
+            m = rx.search(line)
+            if m:
+                findings.append(_finding(tool, parser, m.groupdict(), line.strip()))
+    elif kind in ('json', 'json-lines'):
+        if kind == 'json':
+            try:
+                items = _dig(json.loads(output), parser.get('items', ''))
+            except ValueError:
+                items = None
+            items = items if isinstance(items, list) else []
+        else:
+            items = []
+            for line in output.splitlines():
+                try:
+                    items.append(json.loads(line))
+                except ValueError:
+                    continue
+        for item in items:
+            if not isinstance(item, dict):
+                continue
+            raw = {k: _dig(item, path) for k, path in parser['fields'].items()}
+            findings.append(_finding(tool, parser, raw, json.dumps(item)[:500]))
+    # The same issue reported twice (e.g. repeated alerts) is one finding
+    unique = {f['id']: f for f in findings}
+    return list(unique.values())[:MAX_FINDINGS]
+
+
+def scan_result(tool, entry, output, returncode):
+    """(finding_level, summary, findings) for one plugin scan."""
+    plugin = entry['plugin']
+    if returncode not in plugin['scan']['ok_rcs']:
+        first = next((l.strip() for l in (output or '').splitlines() if l.strip()), '')
+        return 'warning', f'{entry["binary"]} exited {returncode}' + (f' — {first[:120]}' if first else ''), []
+    try:
+        findings = parse_output(tool, plugin['parser'], output or '')
+    except Exception:
+        findings = []
+    if not findings:
+        return 'success', 'No issues reported', []
+    return (worst_level(findings),
+            f'{len(findings)} issue(s) — e.g. {findings[0]["title"]}', findings)
+
+
+# ── Trust ─────────────────────────────────────────────────────────────────────
+
+def manifest_digest(text):
+    return hashlib.sha256(text.encode()).hexdigest()
+
+
+def _trusted():
+    """{key: manifest digest} of the plugins the user trusted."""
+    try:
+        data = json.loads(TRUST_FILE.read_text())
+        return data if isinstance(data, dict) else {}
+    except (OSError, ValueError):
+        return {}
+
+
+def set_trusted(key, trusted):
+    """Trust (or stop trusting) the current manifest of one plugin.
+    Returns an error string, or None on success."""
+    data = _trusted()
+    if not trusted:
+        data.pop(key, None)
+    else:
+        path = PLUGINS_DIR / key / MANIFEST_NAME
+        if not PLUGIN_KEY_RE.match(key) or not path.is_file():
+            return f'No plugin manifest at {path}'
+        try:
+            text = path.read_text()
+            errors = validate_manifest(key, json.loads(text))
+        except (OSError, ValueError) as e:
+            return f'{MANIFEST_NAME}: {e}'
+        if errors:
+            return f'{key}: the manifest is invalid — {errors[0]}'
+        data[key] = manifest_digest(text)
+    PLUGINS_DIR.mkdir(parents=True, exist_ok=True)
+    TRUST_FILE.write_text(json.dumps(data, indent=2))
+    return None
+
+
+# ── Public API ────────────────────────────────────────────────────────────────
+
+def load_plugins(db):
+    """Read every manifest under PLUGINS_DIR. Returns (entries, rejected): the
+    valid plugins as {key: tool entry} and the others as [{key, errors}].
+    Keys that clash with a built-in tool in db are rejected. Each entry's
+    plugin.trusted says whether the user trusted this exact manifest."""
+    builtin = {k for cat, tools in (db or {}).items()
+               if cat != 'profiles' and isinstance(tools, dict) for k in tools}
+    entries, rejected = {}, []
+    if not PLUGINS_DIR.is_dir():
+        return entries, rejected
+    trusted = _trusted()
+    for d in sorted(p for p in PLUGINS_DIR.iterdir() if p.is_dir()):
+        key, path = d.name, d / MANIFEST_NAME
+        try:
+            text = path.read_text()
+            manifest = json.loads(text)
+        except FileNotFoundError:
+            rejected.append({'key': key, 'errors': [f'{MANIFEST_NAME}: not found in {d}']})
+            continue
+        except (OSError, ValueError) as e:
+            rejected.append({'key': key, 'errors': [f'{MANIFEST_NAME}: {e}']})
+            continue
+        errors = validate_manifest(key, manifest)
+        if key in builtin:
+            errors.append(f'{key}: a built-in tool already uses this key')
+        if errors:
+            rejected.append({'key': key, 'errors': errors})
+        else:
+            digest = manifest_digest(text)
+            entries[key] = _db_entry(key, manifest, d, digest, trusted.get(key) == digest)
+    return entries, rejected
+
+
+def harden_step(entry):
+    """The plugin's defend section as a backend_api HARDEN_STEPS entry, or None
+    (no defend section, or the plugin is not trusted)."""
+    plugin = (entry or {}).get('plugin', {})
+    defend = plugin.get('defend')
+    if not defend or not plugin.get('trusted'):
+        return None
+    return {'cmds': defend['cmds'], 'summary': defend['summary'],
+            'timeout': defend['timeout'], 'ok_rcs': set(defend['ok_rcs'])}
@@ -0,0 +1,263 @@
+#!/usr/bin/env python3
+"""
+Kjer Tool Versions
+==================
+Which version of each installed tool is on this host, whether a newer one is
+known, and how old the signature databases of the tools that use them are.
+
+Installed version — asked of the package manager for the tool's first package
+(dpkg-query, rpm, pacman -Q, brew list --versions). Tools that were not
+installed from a package fall back to the version line the CLI's system
+analysis recorded in ~/.kjer/system_analysis.json.
+
+Latest version — read from the version feed, a JSON file that can be updated
+without a new Kjer release:
+
+    {
+        "feed":    1,
+        "updated": "2026-10-18",                 # date the versions were checked
+        "source":  "where the versions came from",
+        "tools": {
+            "clamav": {"latest": "1.0.0", "notes": "optional text shown with the alert"}
+        }
+    }
+
+db/tool-versions.json ships with Kjer with an empty tools map, so every tool
+is `unknown` until a checked feed is imported; ~/.kjer/tool-versions.json
+(written by the desktop app's "Import feed") is used instead when it is valid
+and either not older or the only one that lists tools. Tools missing from the
+feed have no latest version and are never reported as outdated.
+
+Signatures — a tool's `signatures:` block in db/defensive-tools-db.yaml:
+
+    signatures:
+      label: virus definitions          # what the alert calls them
+      paths: [/var/lib/clamav/daily.cvd, /var/lib/clamav/daily.cld]   # globs
+      max_age_days: 2                   # older than this is stale
+      update_cmd: [freshclam, --quiet]  # run by the Update action
+      ok_exit_codes: [0]                # optional, exit codes that mean success
+      service: clamav-freshclam         # optional: when this unit is active it
+                                        # owns the database and is restarted instead
+
+Their age is that of the newest matching file, or of the last successful
+update Kjer ran (~/.kjer/signature_updates.json) when that is more recent —
+some upstreams (rkhunter) rarely change their data files, so an update that
+finds nothing new still counts.
+"""
+
+import glob
+import json
+import os
+import re
+import subprocess
+from datetime import datetime, timezone
+from pathlib import Path
+
+BASE_DIR          = Path(__file__).resolve().parent.parent
+BUNDLED_FEED      = BASE_DIR / 'db' / 'tool-versions.json'
+KJER_DIR          = Path.home() / '.kjer'
+LOCAL_FEED        = KJER_DIR / 'tool-versions.json'
+SYSTEM_ANALYSIS   = KJER_DIR / 'system_analysis.json'
+SIGNATURE_UPDATES = KJER_DIR / 'signature_updates.json'
+FEED_VERSION      = 1
+
+_VERSION_RE = re.compile(r'\d+(?:\.\d+)+|\d+')
+_DATE_RE    = re.compile(r'^\d{4}-\d{2}-\d{2}$')
+
+
+# ─────────────────────────── versions ───────────────────────────
+
+def normalize_version(raw):
+    """The dotted release number in a version string, or None.
+
+    '1:0.103.9+dfsg-0ubuntu0.22.04.1' -> '0.103.9' (Debian epoch dropped),
+    'ClamAV 1.0.3/27100/Mon Nov 20' -> '1.0.3', 'rkhunter 1.4.6-11' -> '1.4.6'.
+    """
+    if not raw:
+        return None
+    text = re.sub(r'^\d+:', '', str(raw).strip())
+    m = _VERSION_RE.search(text)
+    return m.group(0) if m else None
+
+
+def compare_versions(a, b):
+    """-1, 0 or 1 as dotted version a is older than, equal to or newer than b."""
+    pa = [int(p) for p in a.split('.')]
+    pb = [int(p) for p in b.split('.')]
+    width = max(len(pa), len(pb))
+    pa += [0] * (width - len(pa))
+    pb += [0] * (width - len(pb))
+    return (pa > pb) - (pa < pb)
+
+
+def package_version(pm, package):
+    """Installed version of a package as the package manager reports it, or None."""
+    cmd = {
+        'apt':    ['dpkg-query', '-W', '-f=${Version}', package],
+        'dnf':    ['rpm', '-q', '--qf', '%{VERSION}', package],
+        'zypper': ['rpm', '-q', '--qf', '%{VERSION}', package],
+        'pacman': ['pacman', '-Q', package],
+        'brew':   ['brew', 'list', '--versions', package],
+    }.get(pm)
+    if not cmd:
+        return None
+    try:
+        r = subprocess.run(cmd, capture_output=True, text=True, timeout=15)
+    except Exception:
+        return None
+    out = r.stdout.strip()
+    if r.returncode != 0 or not out:
+        return None
+    # pacman and brew print "name version"
+    return out.split()[-1] if pm in ('pacman', 'brew') else out
+
+
+def analysis_versions():
+    """{tool_key: version line} from the CLI's last system analysis."""
+    try:
+        data = json.loads(SYSTEM_ANALYSIS.read_text())
+        tools = data.get('detected_tools') or {}
+        return {k: v.get('version') for k, v in tools.items() if isinstance(v, dict) and v.get('version')}
+    except Exception:
+        return {}
+
+
+# ─────────────────────────── feed ───────────────────────────────
+
+def validate_feed(feed):
+    """List of problems with a parsed feed (empty when valid). Mirrors main.js."""
+    if not isinstance(feed, dict):
+        return ['the feed must be a JSON object']
+    errors = []
+    if feed.get('feed') != FEED_VERSION:
+        errors.append(f'feed: must be {FEED_VERSION}')
+    if not (isinstance(feed.get('updated'), str) and _DATE_RE.match(feed['updated'])):
+        errors.append('updated: must be a YYYY-MM-DD date')
+    tools = feed.get('tools')
+    if not isinstance(tools, dict):
+        return errors + ['tools: must map tool keys to {latest}']
+    for key, t in tools.items():
+        if not (isinstance(t, dict) and isinstance(t.get('latest'), str) and normalize_version(t['latest'])):
+            errors.append(f'tools.{key}.latest: must be a version string')
+        elif t.get('notes') is not None and not isinstance(t['notes'], str):
+            errors.append(f'tools.{key}.notes: must be text')
+    return errors
+
+
+def load_feed():
+    """(feed, path, errors) — the newest valid of the local and bundled feeds.
+
+    errors describes a local feed that was ignored because it is invalid.
+    """
+    candidates, errors = [], []
+    for path in (LOCAL_FEED, BUNDLED_FEED):
+        if not path.exists():
+            continue
+        try:
+            feed = json.loads(path.read_text())
+        except Exception as e:
+            problems = [f'not valid JSON: {e}']
+        else:
+            problems = validate_feed(feed)
+        if problems:
+            errors += [f'{path}: {p}' for p in problems]
+        else:
+            candidates.append((feed, path))
+    if not candidates:
+        return None, None, errors
+    # A bundled feed shipped with a newer release wins over an older import,
+    # but never an empty one — it has no versions to replace the import's
+    feed, path = max(candidates, key=lambda c: (bool(c[0]['tools']), c[0]['updated']))
+    return feed, path, errors
+
+
+# ─────────────────────────── signatures ─────────────────────────
+
+def _signature_updates():
+    try:
+        data = json.loads(SIGNATURE_UPDATES.read_text())
+        return data if isinstance(data, dict) else {}
+    except Exception:
+        return {}
+
+
+def record_signature_update(tool_name):
+    """Remember that Kjer just updated this tool's signatures."""
+    data = _signature_updates()
+    data[tool_name] = datetime.now(timezone.utc).isoformat()
+    KJER_DIR.mkdir(parents=True, exist_ok=True)
+    SIGNATURE_UPDATES.write_text(json.dumps(data, indent=2))
+
+
+def signature_status(tool_name, spec, now=None):
+    """Age of a tool's signature database from its `signatures:` block."""
+    now = now or datetime.now(timezone.utc)
+    newest = None
+    found = False
+    for pattern in spec.get('paths') or []:
+        for p in glob.glob(pattern):
+            try:
+                mtime = os.path.getmtime(p)
+            except OSError:
+                continue
+            found = True
+            newest = max(newest or 0, mtime)
+    updated = datetime.fromtimestamp(newest, timezone.utc) if newest else None
+    recorded = _signature_updates().get(tool_name)
+    if recorded:
+        try:
+            r = datetime.fromisoformat(recorded)
+            updated = max(updated, r) if updated else r
+        except ValueError:
+            pass
+    max_age = spec.get('max_age_days', 7)
+    age_days = round((now - updated).total_seconds() / 86400, 1) if updated else None
+    return {
+        'label':        spec.get('label') or 'signatures',
+        'found':        found,
+        'updated_at':   updated.isoformat() if updated else None,
+        'age_days':     age_days,
+        'max_age_days': max_age,
+        # Never updated counts as stale: a scanner without signatures finds nothing
+        'stale':        age_days is None or age_days > max_age,
+    }
+
+
+# ─────────────────────────── report ─────────────────────────────
+
+def tool_status(tool_name, tool_data, pm, feed, analysis=None):
+    """Installed vs latest version and signature age for one installed tool."""
+    packages = (tool_data.get('packages') or {}).get(pm) or ''
+    if isinstance(packages, list):
+        packages = ' '.join(packages)
+    package = packages.split()[0] if packages.split() else None
+
+    raw, source = None, None
+    if package and tool_data.get('install_source', 'pkg') in ('pkg', 'repo'):
+        raw = package_version(pm, package)
+        source = 'package' if raw else None
+    if not raw:
+        raw = (analysis if analysis is not None else analysis_versions()).get(tool_name)
+        source = 'analysis' if raw else None
+    installed = normalize_version(raw)
+
+    entry = ((feed or {}).get('tools') or {}).get(tool_name) or {}
+    latest = normalize_version(entry.get('latest'))
+    if installed and latest:
+        status = 'outdated' if compare_versions(installed, latest) < 0 else 'current'
+    else:
+        status = 'unknown'
+
+    spec = tool_data.get('signatures')
+    return {
+        'name':           (tool_data.get('gui') or {}).get('name', tool_name),
+        'package':        package,
+        'installed':      installed,
+        'installed_raw':  raw,
+        'source':         source,
+        'latest':         latest,
+        'notes':          entry.get('notes'),
+        'status':         status,
+        'install_source': tool_data.get('install_source', 'pkg'),
+        'signatures':     signature_status(tool_name, spec) if isinstance(spec, dict) else None,
+    }
@@ -19,6 +19,7 @@ Output:
 import sys
 import os
 import json
+import re
 import shutil
 import tarfile
 import tempfile
@@ -30,6 +31,7 @@ from datetime import datetime, timezone
 REPO_OWNER   = "PhanesGuildSoftware"   # default; overridden by version.json at runtime
 REPO_NAME    = "Kjer-upgrades"
 TIMEOUT_SECS = 120
+VERSION_RE   = re.compile(r"^\d{1,4}\.\d{1,4}\.\d{1,4}(?:-[A-Za-z0-9.]{1,32})?$")   # after lstrip("v")
 # ─────────────────────────────────────────────────────────────────────────────
 
 
@@ -111,6 +113,9 @@ def download_and_apply(version: str, github_token: str, install_path: str) -> di
     if not version or not github_token or not install_path:
         return _result(False, "Missing required arguments.")
 
+    if not VERSION_RE.match(version):
+        return _result(False, f"Not a release version: {version}")
+
     if not os.path.isdir(install_path):
         return _result(False, f"Install path not found: {install_path}")
 
@@ -336,6 +336,8 @@ class BackendAPI:
 			args.extend(['--license-key', kwargs['license_key']])
 		if 'license_type' in kwargs:
 			args.extend(['--license-type', kwargs['license_type']])
+		if 'changeset' in kwargs:
+			args.extend(['--changeset', kwargs['changeset']])
 		
 		try:
 			result = subprocess.run(args, capture_output=True, text=True, timeout=300)
@@ -1808,11 +1810,14 @@ def cli_defend():
 	print(f"  Activating hardening for {len(available)} tool(s)...")
 	print()
 
+	# One rollback changeset for the whole run (see lib/defense_rollback.py)
+	import datetime
+	changeset = 'cs-cli-' + datetime.datetime.now().strftime('%Y%m%dt%H%M%S')
 	success = 0
 	for key, name in available:
 		print(f"  \033[1;33m▶\033[0m {name}")
 		# Call backend defend-tool — uses smart hardening logic from cmd_defend_tool()
-		result = BackendAPI.call_backend('defend-tool', tool=key)
+		result = BackendAPI.call_backend('defend-tool', tool=key, changeset=changeset)
 		if result.get('success'):
 			summary = (result.get('summary') or result.get('message') or 'Hardening applied')[:120]
 			print(f"    \033[1;32m✓\033[0m {summary}")
@@ -1827,6 +1832,7 @@ def cli_defend():
 	print()
 	print("\033[1;36m" + "="*70 + "\033[0m")
 	print(f"  \033[1;32m✓ Defense complete — {success}/{len(available)} tool(s) hardened.\033[0m")
+	print(f"  \033[0;33m  To undo: python3 {BACKEND_API} revert-defense --changeset {changeset}\033[0m")
 	print("  \033[0;33m  For full Smart Defense + reports, use: kjer --gui → DEFEND\033[0m")
 	print("\033[1;36m" + "="*70 + "\033[0m")
 	print()